@@ -1,13 +1,17 @@
-import React, { useState, useMemo } from "react";
+import React, {
+  useState,
+  useMemo,
+  useEffect,
+  useRef,
+  useCallback,
+} from "react";
 import {
-  LineChart,
+  ComposedChart,
   Line,
   AreaChart,
   Area,
   BarChart,
   Bar,
-  ScatterChart,
-  Scatter,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -16,156 +20,603 @@ import {
   ResponsiveContainer,
   ReferenceLine,
   Cell,
+  ErrorBar,
 } from "recharts";
 import {
   TrendingUp,
   Activity,
-  Shield,
   Target,
   Zap,
   DollarSign,
   AlertTriangle,
+  Shuffle,
+  Sliders,
+  Square,
+  Loader2,
+  Download,
+  FileText,
+  FolderOpen,
+  Briefcase,
+  Link2,
+  Check,
+  X,
 } from "lucide-react";
+import AssumptionsPanel from "./components/AssumptionsPanel";
+import CalibrationSection from "./components/CalibrationSection";
+import ChartExport from "./components/ChartExport";
+import CompareView from "./components/CompareView";
+import ConvergenceSection from "./components/ConvergenceSection";
+import ExceedanceSection from "./components/ExceedanceSection";
+import GoalSeekSection from "./components/GoalSeekSection";
+import LibraryPanel from "./components/LibraryPanel";
+import NarrativeCallout from "./components/NarrativeCallout";
+import NarrativeThresholds from "./components/NarrativeThresholds";
+import NumberField from "./components/NumberField";
+import OptionsSection from "./components/OptionsSection";
+import PortfolioView from "./components/PortfolioView";
+import PrecisionWarning from "./components/PrecisionWarning";
+import Report from "./components/Report";
+import ReturnsSection from "./components/ReturnsSection";
+import RiskReturnSection from "./components/RiskReturnSection";
+import SeedTag from "./components/SeedTag";
+import SamplingComparison from "./components/SamplingComparison";
+import SensitivitySection from "./components/SensitivitySection";
+import useSavedAnalyses from "./hooks/useSavedAnalyses";
+import useSimulationWorker from "./hooks/useSimulationWorker";
+import {
+  DEFAULT_ASSUMPTIONS,
+  scenarioLabel,
+  setDriver,
+  validateAssumptions,
+} from "./lib/assumptions";
+import { pearson } from "./lib/correlation";
+import { CI_LEVEL } from "./lib/convergence";
+import { DEFAULT_VIEW, decodeLink, encodeLink } from "./lib/deepLink";
+import { DEFAULT_RISK_BANDS, bandStats, densityGrid } from "./lib/density";
+import { DEFAULT_MOIC_MULTIPLE } from "./lib/exceedance";
+import { DEFAULT_GOAL, searchMatches } from "./lib/goalSeek";
+import { revisionFrom } from "./lib/library";
+import { NARRATIVE_THRESHOLDS, buildNarrative } from "./lib/narrative";
+import {
+  analysisDocument,
+  downloadCsv,
+  downloadJson,
+  fileStem,
+  simulationsCsv,
+} from "./lib/export";
+import {
+  DEFAULT_ITERATIONS,
+  DEFAULT_TARGET_NPV,
+  ITERATION_OPTIONS,
+  MODEL_SCENARIOS,
+  scenarioWeights,
+} from "./lib/model";
+import { DEFAULT_PLAN, valuationMatches } from "./lib/options";
+import { DEFAULT_PORTFOLIO, simulationMatches } from "./lib/portfolio";
+import { DEFAULT_SEED, normalizeSeed, randomSeed } from "./lib/random";
+import { irrReasonCounts } from "./lib/returns";
+import { DEFAULT_SAMPLING, SAMPLING_STRATEGIES } from "./lib/sampling";
+import {
+  CONFIDENCE_LEVELS,
+  DEFAULT_CONFIDENCE,
+  confidenceLabel,
+  formatRatio,
+  tailRisk,
+} from "./lib/risk";
+import { countAbove, quantileSorted } from "./lib/stats";
+import { SAMPLE_PATHS } from "./lib/summary";
+
+const colors = {
+  all: "#8b5cf6",
+  conservative: "#f59e0b",
+  base: "#3b82f6",
+  optimistic: "#10b981",
+};
+
+const scenariosWorker = () =>
+  new Worker(new URL("./lib/scenarios.worker.js", import.meta.url));
+
+const optionsWorker = () =>
+  new Worker(new URL("./lib/options.worker.js", import.meta.url));
+
+const goalSeekWorker = () =>
+  new Worker(new URL("./lib/goalSeek.worker.js", import.meta.url));
+
+const portfolioWorker = () =>
+  new Worker(new URL("./lib/portfolio.worker.js", import.meta.url));
+
+// Rating badge colours by narrative tone
+const badgeStyles = {
+  positive: {
+    box: "from-green-500/20 to-emerald-600/20 border-green-500/50",
+    text: "text-green-400",
+    dot: "bg-green-500",
+  },
+  caution: {
+    box: "from-yellow-500/20 to-amber-600/20 border-yellow-500/50",
+    text: "text-yellow-400",
+    dot: "bg-yellow-500",
+  },
+  negative: {
+    box: "from-red-500/20 to-rose-700/20 border-red-500/50",
+    text: "text-red-400",
+    dot: "bg-red-500",
+  },
+};
 
 const Dashboard = () => {
   const [scenario, setScenario] = useState("all");
+  const [seed, setSeed] = useState(DEFAULT_SEED);
+  const [draft, setDraft] = useState(DEFAULT_ASSUMPTIONS);
+  const [assumptions, setAssumptions] = useState(DEFAULT_ASSUMPTIONS);
+  const [showAssumptions, setShowAssumptions] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [showPortfolio, setShowPortfolio] = useState(false);
+  const [portfolio, setPortfolio] = useState(DEFAULT_PORTFOLIO);
+  const [comparing, setComparing] = useState(null);
+  const [analysisName, setAnalysisName] = useState("");
+  const [iterations, setIterations] = useState(DEFAULT_ITERATIONS);
+  const [sampling, setSampling] = useState(DEFAULT_SAMPLING);
+  const [stackByScenario, setStackByScenario] = useState(false);
+  const [confidence, setConfidence] = useState(DEFAULT_CONFIDENCE);
+  const [target, setTarget] = useState(DEFAULT_TARGET_NPV);
+  // The exceedance threshold follows the target until it is moved on the
+  // chart, and a move only holds while the target it was made against does
+  const [thresholdMove, setThresholdMove] = useState(null);
+  const [moicMultiple, setMoicMultiple] = useState(DEFAULT_MOIC_MULTIPLE);
+  const exceedanceThreshold =
+    thresholdMove && thresholdMove.target === target
+      ? thresholdMove.value
+      : target;
+  const [riskBands, setRiskBands] = useState(DEFAULT_RISK_BANDS);
+  const [narrativeThresholds, setNarrativeThresholds] =
+    useState(NARRATIVE_THRESHOLDS);
+  const [showThresholds, setShowThresholds] = useState(false);
+  const [optionsPlan, setOptionsPlan] = useState(DEFAULT_PLAN);
+  const [goal, setGoal] = useState(DEFAULT_GOAL);
+  const [linkWarnings, setLinkWarnings] = useState([]);
+  // null, "copied" or "failed" for a couple of seconds after Copy Link
+  const [linkCopy, setLinkCopy] = useState(null);
+  const {
+    run,
+    cancel,
+    status,
+    progress,
+    result,
+    error: runError,
+  } = useSimulationWorker();
+  const scenarioRuns = useSimulationWorker(scenariosWorker);
+  const optionsValuation = useSimulationWorker(optionsWorker);
+  const goalSearch = useSimulationWorker(goalSeekWorker);
+  const portfolioRun = useSimulationWorker(portfolioWorker);
+  const {
+    library,
+    error: libraryError,
+    update: updateLibrary,
+  } = useSavedAnalyses();
+  const distributionChart = useRef(null);
+  const trajectoryChart = useRef(null);
+  const scenarioChart = useRef(null);
 
-  // Generate simulations
-  const simulations = useMemo(() => {
-    const params = {
-      all: { mean: 89.4, std: 14.3, ms: 0.749 },
-      conservative: { mean: 74.2, std: 8.5, ms: 0.7 },
-      base: { mean: 89.4, std: 11.2, ms: 0.749 },
-      optimistic: { mean: 108.7, std: 9.8, ms: 0.82 },
-    }[scenario];
-
-    const results = [];
-    for (let i = 0; i < 10000; i++) {
-      const u1 = Math.random();
-      const u2 = Math.random();
-      const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-      const npv = Math.max(50, params.mean + z * params.std);
-      const ms = Math.max(0.5, Math.min(0.95, params.ms + z * 0.08));
-      results.push({ npv, ms });
+  const errors = useMemo(() => validateAssumptions(draft), [draft]);
+
+  // Only valid assumptions reach the model; the panel keeps showing the draft
+  const updateAssumptions = (next) => {
+    setDraft(next);
+    if (Object.keys(validateAssumptions(next)).length === 0) {
+      setAssumptions(next);
     }
-    return results;
-  }, [scenario]);
+  };
+
+  const runAnalysis = () =>
+    run({ scenario, seed, iterations, sampling, assumptions });
+
+  // Sets every run control and re-runs; the seed makes the run reproduce
+  // whatever was saved or shared
+  const restoreRun = useCallback(
+    (settings) => {
+      setScenario(settings.scenario);
+      setSeed(settings.seed);
+      setIterations(settings.iterations);
+      setSampling(settings.sampling);
+      setDraft(settings.assumptions);
+      setAssumptions(settings.assumptions);
+      run({
+        scenario: settings.scenario,
+        seed: settings.seed,
+        iterations: settings.iterations,
+        sampling: settings.sampling,
+        assumptions: settings.assumptions,
+      });
+    },
+    [run]
+  );
+
+  const loadRevision = (analysis, revision) => {
+    setAnalysisName(analysis.name);
+    setShowLibrary(false);
+    restoreRun(revision.settings);
+  };
+
+  // Opens the view in the URL hash, on load and whenever the hash is edited;
+  // parts of the link that cannot be read fall back to their defaults
+  const openLink = useCallback(() => {
+    const { view, warnings } = decodeLink(window.location.hash);
+    setConfidence(view.confidence);
+    setStackByScenario(view.stackByScenario);
+    setTarget(view.target);
+    setLinkWarnings(warnings);
+    restoreRun(view);
+  }, [restoreRun]);
+
+  useEffect(() => {
+    openLink();
+    window.addEventListener("hashchange", openLink);
+    return () => window.removeEventListener("hashchange", openLink);
+  }, [openLink]);
+
+  // Charts always describe the last completed run, not the pending controls
+  const simulations = result && result.simulations;
+  const diagnostics = result && result.diagnostics;
+  // Sorted columns and trajectory bands, prepared by the simulation worker
+  const summary = result && result.summary;
+  const config = result && result.config;
+  const stale =
+    !!config &&
+    (config.scenario !== scenario ||
+      config.seed !== seed ||
+      config.iterations !== iterations ||
+      config.sampling !== sampling ||
+      config.assumptions !== assumptions);
+  const running = status === "running";
+
+  // The URL always links to the run on screen
+  useEffect(() => {
+    if (!config) return;
+    window.history.replaceState(
+      null,
+      "",
+      `#${encodeLink({ ...config, confidence, stackByScenario, target })}`
+    );
+  }, [config, confidence, stackByScenario, target]);
+
+  // The clipboard is refused without permission or outside a secure context
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopy("copied");
+    } catch (err) {
+      setLinkCopy("failed");
+    }
+    setTimeout(() => setLinkCopy(null), 2000);
+  };
 
   // Stats
   const stats = useMemo(() => {
-    const sorted = [...simulations].sort((a, b) => a.npv - b.npv);
-    const vals = sorted.map((s) => s.npv);
-    const mean = vals.reduce((a, b) => a + b) / vals.length;
+    if (!simulations) return null;
+    const { n, npv, ms } = simulations;
+    const vals = summary.sortedNpv;
+    const mean = vals.reduce((a, b) => a + b) / n;
     const std = Math.sqrt(
-      vals.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / vals.length
+      vals.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / n
     );
+    const pct = (arr, test) => (arr.filter(test).length / n) * 100;
 
     return {
+      sortedNpv: vals,
       mean,
-      median: vals[Math.floor(vals.length * 0.5)],
-      p10: vals[Math.floor(vals.length * 0.1)],
-      p90: vals[Math.floor(vals.length * 0.9)],
-      min: Math.min(...vals),
-      max: Math.max(...vals),
+      median: quantileSorted(vals, 0.5),
+      p10: quantileSorted(vals, 0.1),
+      p90: quantileSorted(vals, 0.9),
+      min: vals[0],
+      max: vals[n - 1],
       std,
-      positive:
-        (simulations.filter((s) => s.npv > 0).length / simulations.length) *
-        100,
-      above80:
-        (simulations.filter((s) => s.npv > 80).length / simulations.length) *
-        100,
-      avgMs:
-        (simulations.reduce((sum, s) => sum + s.ms, 0) / simulations.length) *
-        100,
-      msAbove75:
-        (simulations.filter((s) => s.ms > 0.75).length / simulations.length) *
-        100,
+      positive: pct(npv, (v) => v > 0),
+      avgMs: (ms.reduce((sum, v) => sum + v, 0) / n) * 100,
+      msAbove75: pct(ms, (v) => v > 0.75),
+      msNpvCorr: pearson(ms, npv),
     };
-  }, [simulations]);
+  }, [simulations, summary]);
+
+  // IRR, discounted payback and MOIC over the iterations they are defined for
+  const returns = useMemo(
+    () =>
+      simulations && {
+        ...summary.returns,
+        irrUndefined: irrReasonCounts(simulations.irrReason),
+      },
+    [simulations, summary]
+  );
+
+  const risk = useMemo(
+    () => stats && tailRisk(stats.sortedNpv, confidence),
+    [stats, confidence]
+  );
 
   // Distribution
   const distribution = useMemo(() => {
+    if (!stats) return [];
     const bins = 40;
     const size = (stats.max - stats.min) / bins;
     const dist = new Array(bins).fill(0);
-    simulations.forEach((s) => {
-      const idx = Math.min(bins - 1, Math.floor((s.npv - stats.min) / size));
+    const byScenario = MODEL_SCENARIOS.map(() => new Array(bins).fill(0));
+    simulations.npv.forEach((v, i) => {
+      const idx = Math.min(bins - 1, Math.floor((v - stats.min) / size));
       dist[idx]++;
+      byScenario[simulations.scenario[i]][idx]++;
     });
     return dist
-      .map((count, i) => ({
-        x: stats.min + (i + 0.5) * size,
-        y: (count / simulations.length) * 100,
-      }))
+      .map((count, i) => {
+        const row = {
+          x: stats.min + (i + 0.5) * size,
+          y: (count / simulations.n) * 100,
+        };
+        MODEL_SCENARIOS.forEach((key, k) => {
+          row[key] = (byScenario[k][i] / simulations.n) * 100;
+        });
+        return row;
+      })
       .filter((d) => d.y > 0);
   }, [simulations, stats]);
 
-  // Trajectory
-  const trajectory = useMemo(() => {
-    const factors = {
-      all: [0.15, 0.28, 0.42, 0.58, 0.75, 0.88],
-      conservative: [0.1, 0.2, 0.32, 0.45, 0.6, 0.72],
-      base: [0.15, 0.28, 0.42, 0.58, 0.75, 0.88],
-      optimistic: [0.2, 0.38, 0.55, 0.72, 0.88, 1.05],
-    }[scenario];
-
-    return [2026, 2027, 2028, 2029, 2030, 2031].map((yr, i) => ({
-      year: String(yr),
-      expected: Number((stats.median * factors[i]).toFixed(1)),
-      p90: Number((stats.p90 * factors[i] * 1.05).toFixed(1)),
-      p10: Number((stats.p10 * factors[i] * 0.95).toFixed(1)),
-    }));
-  }, [scenario, stats]);
-
-  // Risk scatter
-  const scatter = useMemo(() => {
-    return simulations.slice(0, 800).map((s) => ({
-      x: Number((s.ms * 100).toFixed(1)),
-      y: Number(s.npv.toFixed(1)),
-      risk: s.ms > 0.78 ? "low" : s.ms > 0.7 ? "med" : "high",
-    }));
-  }, [simulations]);
+  // Trajectory: per-year percentile bands over every simulated value path
+  const trajectory = summary ? summary.trajectory : [];
+
+  // Risk-return density and bands over every iteration
+  const density = useMemo(
+    () =>
+      simulations && densityGrid(simulations.ms, simulations.npv, riskBands),
+    [simulations, riskBands]
+  );
+  const bandSummary = useMemo(
+    () => simulations && bandStats(simulations.ms, simulations.npv, riskBands),
+    [simulations, riskBands]
+  );
+
+  // Each scenario is also run on its own once the main run completes; the
+  // comparison waits for those runs rather than reading the mixture draws
+  const { run: runScenarios, cancel: cancelScenarios } = scenarioRuns;
+  useEffect(() => {
+    if (config) runScenarios(config);
+  }, [config, runScenarios]);
+  useEffect(() => {
+    if (running) cancelScenarios();
+  }, [running, cancelScenarios]);
+
+  const aboveTarget = useMemo(
+    () => stats && (countAbove(stats.sortedNpv, target) / simulations.n) * 100,
+    [stats, simulations, target]
+  );
 
   // Scenarios
+  // Per-scenario runs, once they match the current configuration
+  const runs = useMemo(
+    () =>
+      scenarioRuns.result && scenarioRuns.result.config === config
+        ? scenarioRuns.result.runs
+        : null,
+    [scenarioRuns.result, config]
+  );
+
+  // The options valuation, once it matches the current plan and configuration
+  const options =
+    config &&
+    optionsValuation.result &&
+    valuationMatches(optionsValuation.result.config, optionsPlan, config)
+      ? optionsValuation.result.options
+      : null;
+  // Likewise the goal-seek search for the current goal
+  const goalSeek =
+    config &&
+    goalSearch.result &&
+    searchMatches(goalSearch.result.config, goal, config)
+      ? goalSearch.result
+      : null;
+  // And the joint portfolio run, which funding changes do not invalidate
+  const portfolioResult =
+    config &&
+    portfolioRun.result &&
+    simulationMatches(portfolioRun.result.config, portfolio, confidence, config)
+      ? portfolioRun.result.portfolio
+      : null;
+
   const scenarios = useMemo(() => {
-    return [
-      {
-        name: "Conservative",
-        target: 80,
-        ml: 74.2,
-        pct: 24,
-        sims: 2443,
-        color: "#f59e0b",
-      },
-      {
-        name: "Base Case",
-        target: 80,
-        ml: 89.4,
-        pct: 51,
-        sims: 5050,
-        color: "#3b82f6",
-      },
-      {
-        name: "Optimistic",
-        target: 80,
-        ml: 108.7,
-        pct: 25,
-        sims: 2507,
-        color: "#10b981",
-      },
-    ];
-  }, []);
-
-  const colors = {
-    all: "#8b5cf6",
-    conservative: "#f59e0b",
-    base: "#3b82f6",
-    optimistic: "#10b981",
-  };
+    if (!config) return [];
+    const names = {
+      conservative: "Conservative",
+      base: "Base Case",
+      optimistic: "Optimistic",
+    };
+    const weights = scenarioWeights(config.assumptions, "all");
+    const counts = MODEL_SCENARIOS.map(() => 0);
+    simulations.scenario.forEach((k) => {
+      counts[k]++;
+    });
+
+    return MODEL_SCENARIOS.map((key, k) => {
+      const row = {
+        key,
+        name: names[key],
+        target,
+        median: null,
+        pct: Number((weights[k] * 100).toFixed(1)),
+        // Draw counts only exist when the run sampled the mixture
+        sims: config.scenario === "all" ? counts[k] : null,
+        color: colors[key],
+      };
+      if (!runs) return row;
+      const { sortedNpv, mean, p10, median, p90 } = runs[k];
+      return {
+        ...row,
+        mean,
+        p10,
+        median,
+        p90,
+        // Asymmetric error bar from the median to P10 and P90
+        range: [median - p10, p90 - median],
+        aboveTarget: (countAbove(sortedNpv, target) / sortedNpv.length) * 100,
+      };
+    });
+  }, [config, simulations, runs, target]);
+
+  const narrative = useMemo(
+    () =>
+      stats &&
+      buildNarrative(
+        {
+          stats,
+          risk,
+          returns,
+          investment: config.assumptions.investment,
+          target,
+          scenarios,
+        },
+        narrativeThresholds
+      ),
+    [stats, risk, returns, config, target, scenarios, narrativeThresholds]
+  );
+
+  // The first run failed, so there is nothing to show yet
+  if (!stats && status === "error") {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-850 to-black text-white flex items-center justify-center">
+        <div className="max-w-lg text-center space-y-4">
+          <AlertTriangle className="text-red-400 mx-auto" size={40} />
+          <div className="text-lg font-bold">The simulation could not run</div>
+          <div className="text-sm text-red-300">{runError}</div>
+          <button
+            onClick={() => {
+              window.history.replaceState(null, "", "#");
+              setConfidence(DEFAULT_VIEW.confidence);
+              setStackByScenario(DEFAULT_VIEW.stackByScenario);
+              setTarget(DEFAULT_VIEW.target);
+              setLinkWarnings([]);
+              restoreRun(DEFAULT_VIEW);
+            }}
+            className="px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-600 rounded-xl font-bold hover:from-green-600 hover:to-emerald-700 transition"
+          >
+            Run the default analysis
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!stats) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-850 to-black text-white flex items-center justify-center">
+        <div className="text-center space-y-4">
+          <Loader2 className="animate-spin text-green-400 mx-auto" size={40} />
+          <div className="text-gray-300">
+            Running {iterations.toLocaleString()} simulations…{" "}
+            {(progress * 100).toFixed(0)}%
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const { investment } = config.assumptions;
+  // 95% margin of error on a reported figure; outside plain sampling it comes
+  // from formulas that assume independent draws
+  const moe = (key) => diagnostics.estimates[key].halfWidth.toFixed(2);
+  const moeTitle = diagnostics.iidApproximation
+    ? `${CI_LEVEL * 100}% margin of error (iid approximation for ${
+        SAMPLING_STRATEGIES[config.sampling].label
+      })`
+    : `${CI_LEVEL * 100}% margin of error`;
+  const stem = fileStem(config);
+  const badge = badgeStyles[narrative.rating.tone];
+
+  const exportCsv = () =>
+    downloadCsv(simulationsCsv(simulations), `${stem}-simulations.csv`);
+  const exportJson = () =>
+    downloadJson(
+      analysisDocument({
+        config,
+        stats,
+        returns,
+        target: { npv: target, probabilityAbove: aboveTarget },
+        distribution,
+        trajectory,
+      }),
+      `${stem}-results.json`
+    );
+
+  if (showPortfolio) {
+    return (
+      <PortfolioView
+        portfolio={portfolio}
+        onChange={setPortfolio}
+        config={config}
+        confidence={confidence}
+        simulation={portfolioRun}
+        onClose={() => setShowPortfolio(false)}
+      />
+    );
+  }
+
+  if (showReport) {
+    return (
+      <Report
+        config={config}
+        finishedAt={result.finishedAt}
+        stats={stats}
+        risk={risk}
+        returns={returns}
+        confidence={confidence}
+        diagnostics={diagnostics}
+        distribution={distribution}
+        trajectory={trajectory}
+        sortedDrivers={summary.sortedDrivers}
+        density={density}
+        bandSummary={bandSummary}
+        scenarios={scenarios}
+        simulations={simulations}
+        narrative={narrative}
+        target={target}
+        aboveTarget={aboveTarget}
+        threshold={exceedanceThreshold}
+        multiple={moicMultiple}
+        options={options}
+        goalSeek={goalSeek}
+        portfolio={portfolio}
+        joint={portfolioResult}
+        onClose={() => setShowReport(false)}
+      />
+    );
+  }
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-850 to-black text-white p-8">
       <div className="max-w-7xl mx-auto space-y-8">
+        {linkWarnings.length > 0 && (
+          <div className="p-4 bg-yellow-500/10 rounded-xl border border-yellow-500/40 text-sm text-yellow-200 flex items-start gap-3">
+            <AlertTriangle
+              className="text-yellow-400 mt-0.5 shrink-0"
+              size={16}
+            />
+            <div className="flex-1">
+              <div className="font-bold mb-1">
+                Parts of this link could not be restored
+              </div>
+              <ul className="list-disc list-inside space-y-0.5">
+                {linkWarnings.map((w) => (
+                  <li key={w}>{w}</li>
+                ))}
+              </ul>
+            </div>
+            <button
+              onClick={() => setLinkWarnings([])}
+              title="Dismiss"
+              className="text-yellow-400 hover:text-white transition"
+            >
+              <X size={16} />
+            </button>
+          </div>
+        )}
+
         {/* Header */}
         <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
           <div className="flex justify-between items-center mb-6">
@@ -174,8 +625,73 @@ const Dashboard = () => {
                 NVIDIA Green AI Investment Analytics
               </h1>
               <p className="text-gray-400 text-lg mt-2">
-                ML-Powered Monte Carlo Dashboard • 10,000 Simulations
+                ML-Powered Monte Carlo Dashboard •{" "}
+                {config.iterations.toLocaleString()} Simulations •{" "}
+                {SAMPLING_STRATEGIES[config.sampling].label}
               </p>
+              <div className="flex gap-2 mt-3">
+                <button
+                  onClick={exportCsv}
+                  className="px-3 py-1.5 bg-gray-700 rounded-lg border border-gray-600 hover:border-green-500 transition flex items-center gap-2 text-sm text-gray-300"
+                >
+                  <Download size={14} />
+                  Simulations CSV
+                </button>
+                <button
+                  onClick={exportJson}
+                  className="px-3 py-1.5 bg-gray-700 rounded-lg border border-gray-600 hover:border-green-500 transition flex items-center gap-2 text-sm text-gray-300"
+                >
+                  <Download size={14} />
+                  Results JSON
+                </button>
+                <button
+                  onClick={() => setShowReport(true)}
+                  className="px-3 py-1.5 bg-gray-700 rounded-lg border border-gray-600 hover:border-green-500 transition flex items-center gap-2 text-sm text-gray-300"
+                >
+                  <FileText size={14} />
+                  Generate Report
+                </button>
+                <button
+                  onClick={() => setShowPortfolio(true)}
+                  className="px-3 py-1.5 bg-gray-700 rounded-lg border border-gray-600 hover:border-green-500 transition flex items-center gap-2 text-sm text-gray-300"
+                >
+                  <Briefcase size={14} />
+                  Portfolio
+                </button>
+                <button
+                  onClick={() => setShowLibrary(true)}
+                  className="px-3 py-1.5 bg-gray-700 rounded-lg border border-gray-600 hover:border-green-500 transition flex items-center gap-2 text-sm text-gray-300"
+                >
+                  <FolderOpen size={14} />
+                  Saved Analyses
+                </button>
+                <button
+                  onClick={copyLink}
+                  title={
+                    linkCopy === "failed"
+                      ? "The browser blocked the clipboard; copy the address bar instead"
+                      : "Copy a link that reopens this exact view"
+                  }
+                  className={`px-3 py-1.5 bg-gray-700 rounded-lg border transition flex items-center gap-2 text-sm ${
+                    linkCopy === "failed"
+                      ? "border-red-500 text-red-300"
+                      : "border-gray-600 hover:border-green-500 text-gray-300"
+                  }`}
+                >
+                  {linkCopy === "copied" ? (
+                    <Check size={14} />
+                  ) : linkCopy === "failed" ? (
+                    <X size={14} />
+                  ) : (
+                    <Link2 size={14} />
+                  )}
+                  {linkCopy === "copied"
+                    ? "Link Copied"
+                    : linkCopy === "failed"
+                      ? "Couldn't Copy"
+                      : "Copy Link"}
+                </button>
+              </div>
             </div>
             <div className="flex gap-4 items-center">
               <div className="text-right">
@@ -184,9 +700,7 @@ const Dashboard = () => {
                   className="text-lg font-bold"
                   style={{ color: colors[scenario] }}
                 >
-                  {scenario === "all"
-                    ? "All Scenarios"
-                    : scenario.charAt(0).toUpperCase() + scenario.slice(1)}
+                  {scenarioLabel(scenario)}
                 </div>
               </div>
               <select
@@ -199,15 +713,108 @@ const Dashboard = () => {
                 <option value="base">🎯 Base Case</option>
                 <option value="optimistic">🚀 Optimistic</option>
               </select>
-              <button className="px-6 py-3 bg-gradient-to-r from-green-500 to-emerald-600 rounded-xl font-bold hover:from-green-600 hover:to-emerald-700 transition flex items-center gap-2">
-                <Zap size={20} />
-                Run Analysis
+              <div className="flex items-center bg-gray-700 rounded-xl border-2 border-gray-600 focus-within:border-green-500 transition">
+                <label
+                  htmlFor="seed"
+                  className="pl-4 text-sm text-gray-400 font-medium"
+                >
+                  Seed
+                </label>
+                <input
+                  id="seed"
+                  type="number"
+                  min={0}
+                  value={seed}
+                  onChange={(e) => setSeed(normalizeSeed(e.target.value))}
+                  className="w-32 bg-transparent text-white px-3 py-3 font-mono text-lg focus:outline-none"
+                />
+                <button
+                  onClick={() => setSeed(randomSeed())}
+                  title="Re-roll seed"
+                  className="px-3 py-3 text-gray-300 hover:text-green-400 transition"
+                >
+                  <Shuffle size={20} />
+                </button>
+              </div>
+              <button
+                onClick={() => setShowAssumptions(true)}
+                className="px-6 py-3 bg-gray-700 rounded-xl border-2 border-gray-600 hover:border-green-500 transition flex items-center gap-2 font-medium"
+              >
+                <Sliders size={20} />
+                Assumptions
               </button>
+              <select
+                value={iterations}
+                onChange={(e) => setIterations(Number(e.target.value))}
+                title="Iterations"
+                className="bg-gray-700 text-white px-4 py-3 rounded-xl border-2 border-gray-600 hover:border-green-500 transition cursor-pointer text-lg font-medium"
+              >
+                {ITERATION_OPTIONS.map((n) => (
+                  <option key={n} value={n}>
+                    {n.toLocaleString()} runs
+                  </option>
+                ))}
+              </select>
+              <select
+                value={sampling}
+                onChange={(e) => setSampling(e.target.value)}
+                title="Sampling strategy"
+                className="bg-gray-700 text-white px-4 py-3 rounded-xl border-2 border-gray-600 hover:border-green-500 transition cursor-pointer text-lg font-medium"
+              >
+                {Object.entries(SAMPLING_STRATEGIES).map(([key, { label }]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              {running ? (
+                <button
+                  onClick={cancel}
+                  className="px-6 py-3 bg-gradient-to-r from-red-500 to-rose-600 rounded-xl font-bold hover:from-red-600 hover:to-rose-700 transition flex items-center gap-2"
+                >
+                  <Square size={20} />
+                  Cancel
+                </button>
+              ) : (
+                <button
+                  onClick={runAnalysis}
+                  className="px-6 py-3 bg-gradient-to-r from-green-500 to-emerald-600 rounded-xl font-bold hover:from-green-600 hover:to-emerald-700 transition flex items-center gap-2"
+                >
+                  <Zap size={20} />
+                  Run Analysis
+                </button>
+              )}
             </div>
           </div>
 
+          {running && (
+            <div className="mb-6">
+              <div className="flex justify-between text-sm text-gray-400 mb-1">
+                <span className="flex items-center gap-2">
+                  <Loader2 className="animate-spin" size={14} />
+                  Simulating {iterations.toLocaleString()} iterations
+                </span>
+                <span>{(progress * 100).toFixed(0)}%</span>
+              </div>
+              <div className="h-2 bg-gray-700 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-gradient-to-r from-green-500 to-emerald-600 transition-all"
+                  style={{ width: `${progress * 100}%` }}
+                />
+              </div>
+            </div>
+          )}
+          {!running && (stale || status === "cancelled") && (
+            <div className="mb-6 p-3 bg-yellow-500/10 rounded-xl border border-yellow-500/30 text-sm text-yellow-300 flex items-center gap-2">
+              <AlertTriangle size={16} />
+              {status === "cancelled"
+                ? "Run cancelled. Figures below are from the previous run."
+                : "Settings changed. Press Run Analysis to update the figures below."}
+            </div>
+          )}
+
           {/* Metrics */}
-          <div className="grid grid-cols-4 gap-6">
+          <div className="grid grid-cols-5 gap-4">
             <div className="bg-gradient-to-br from-green-500/20 to-emerald-600/20 rounded-xl p-6 border-2 border-green-500/40">
               <div className="flex items-center gap-2 mb-2">
                 <DollarSign className="text-green-400" size={24} />
@@ -215,27 +822,43 @@ const Dashboard = () => {
               </div>
               <div className="text-4xl font-bold">
                 ${stats.median.toFixed(1)}B
+                <span
+                  className="text-base font-normal text-gray-400 ml-1"
+                  title={moeTitle}
+                >
+                  ±{moe("median")}
+                </span>
               </div>
               <div className="text-sm text-green-400 mt-1">Median (P50)</div>
-              <div className="text-xs text-gray-400 mt-2">
-                Range: ${stats.p10.toFixed(1)}B - ${stats.p90.toFixed(1)}B
+              <div className="text-xs text-gray-400 mt-2" title={moeTitle}>
+                Range: ${stats.p10.toFixed(1)}B ±{moe("p10")} - $
+                {stats.p90.toFixed(1)}B ±{moe("p90")}
               </div>
+              <SeedTag seed={config.seed} />
             </div>
 
             <div className="bg-gradient-to-br from-blue-500/20 to-cyan-600/20 rounded-xl p-6 border-2 border-blue-500/40">
               <div className="flex items-center gap-2 mb-2">
                 <TrendingUp className="text-blue-400" size={24} />
-                <div className="text-sm text-gray-300">Return Multiple</div>
+                <div className="text-sm text-gray-300">MOIC</div>
               </div>
               <div className="text-4xl font-bold">
-                {(stats.median / 4.5).toFixed(1)}x
+                {returns.moic.median.toFixed(1)}x
               </div>
               <div className="text-sm text-blue-400 mt-1">
-                On $4.5B Investment
+                On ${investment.toFixed(1)}B Investment
               </div>
               <div className="text-xs text-gray-400 mt-2">
-                ROI: {((stats.median / 4.5 - 1) * 100).toFixed(0)}%
+                IRR (P50):{" "}
+                {returns.irr.n > 0
+                  ? `${(returns.irr.median * 100).toFixed(0)}%`
+                  : "undefined"}{" "}
+                • Payback (P50):{" "}
+                {returns.payback.n > 0
+                  ? `${returns.payback.median.toFixed(1)} yrs`
+                  : "not reached"}
               </div>
+              <SeedTag seed={config.seed} />
             </div>
 
             <div className="bg-gradient-to-br from-purple-500/20 to-pink-600/20 rounded-xl p-6 border-2 border-purple-500/40">
@@ -250,6 +873,7 @@ const Dashboard = () => {
               <div className="text-xs text-gray-400 mt-2">
                 Std Dev: ${stats.std.toFixed(1)}B
               </div>
+              <SeedTag seed={config.seed} />
             </div>
 
             <div className="bg-gradient-to-br from-orange-500/20 to-red-600/20 rounded-xl p-6 border-2 border-orange-500/40">
@@ -258,41 +882,47 @@ const Dashboard = () => {
                 <div className="text-sm text-gray-300">Success Rate</div>
               </div>
               <div className="text-4xl font-bold">
-                {stats.positive.toFixed(1)}%
+                {(100 - risk.probLoss).toFixed(1)}%
+              </div>
+              <div className="text-sm text-orange-400 mt-1">
+                Recovers ${investment.toFixed(1)}B Investment
               </div>
-              <div className="text-sm text-orange-400 mt-1">Positive NPV</div>
               <div className="text-xs text-gray-400 mt-2">
-                {stats.above80.toFixed(0)}% exceed $80B
+                P(capital loss): {risk.probLoss.toFixed(1)}% •{" "}
+                {aboveTarget.toFixed(0)}% exceed ${target}B
               </div>
+              <SeedTag seed={config.seed} />
             </div>
-          </div>
 
-          {/* Insight */}
-          <div className="mt-6 p-4 bg-green-500/10 rounded-xl border border-green-500/30">
-            <div className="flex items-start gap-3">
-              <Target className="text-green-400 mt-1" size={20} />
-              <div className="text-sm">
-                <span className="font-bold text-green-400">🎯 ML Insight:</span>{" "}
-                Exceptional investment opportunity with{" "}
-                <span className="font-bold text-white">
-                  {stats.positive.toFixed(0)}% confidence
-                </span>
-                . Median NPV of{" "}
-                <span className="font-bold text-white">
-                  ${stats.median.toFixed(1)}B
-                </span>{" "}
-                represents{" "}
-                <span className="font-bold text-white">
-                  {(stats.median / 4.5).toFixed(1)}x return
-                </span>
-                . Volatility at{" "}
-                <span className="font-bold text-white">
-                  {((stats.std / stats.mean) * 100).toFixed(1)}%
-                </span>{" "}
-                indicates stable value creation.
+            <div className="bg-gradient-to-br from-red-500/20 to-rose-700/20 rounded-xl p-6 border-2 border-red-500/40">
+              <div className="flex items-center gap-2 mb-2">
+                <AlertTriangle className="text-red-400" size={24} />
+                <div className="text-sm text-gray-300">Value at Risk</div>
+              </div>
+              <div className="text-4xl font-bold">
+                ${risk.valueAtRisk.toFixed(1)}B
               </div>
+              <div className="text-sm text-red-400 mt-1">
+                {confidenceLabel(confidence)} VaR vs break-even
+              </div>
+              <div className="text-xs text-gray-400 mt-2">
+                Expected Shortfall: ${risk.expectedShortfall.toFixed(1)}B • Tail
+                NPV ${risk.tailNpv.toFixed(1)}B
+              </div>
+              <SeedTag seed={config.seed} />
             </div>
           </div>
+
+          <PrecisionWarning diagnostics={diagnostics} />
+
+          {/* Insight */}
+          <NarrativeCallout
+            icon={Target}
+            iconSize={20}
+            title="🎯 ML Insight:"
+            callout={narrative.insight}
+            accent="green"
+          />
         </div>
         {/* Distribution */}
         <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
@@ -300,414 +930,421 @@ const Dashboard = () => {
             <Activity className="text-green-400" size={28} />
             ML-Predicted NPV Distribution
             <span className="text-lg font-normal text-gray-400">
-              (
-              {scenario === "all"
-                ? "All Scenarios"
-                : scenario.charAt(0).toUpperCase() + scenario.slice(1)}
-              )
+              ({scenarioLabel(config.scenario)})
             </span>
+            <SeedTag seed={config.seed} />
+            {config.scenario === "all" && (
+              <label className="ml-auto flex items-center gap-2 text-sm font-normal text-gray-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={stackByScenario}
+                  onChange={(e) => setStackByScenario(e.target.checked)}
+                  className="accent-green-500"
+                />
+                Stack by scenario
+              </label>
+            )}
+            <ChartExport
+              chartRef={distributionChart}
+              filename={`${stem}-distribution`}
+              className={config.scenario === "all" ? "ml-4" : "ml-auto"}
+            />
           </h2>
 
-          <ResponsiveContainer width="100%" height={350}>
-            <AreaChart
-              data={distribution}
-              margin={{ top: 20, right: 30, left: 20, bottom: 50 }}
-            >
-              <defs>
-                <linearGradient id="grad" x1="0" y1="0" x2="0" y2="1">
-                  <stop
-                    offset="5%"
-                    stopColor={colors[scenario]}
-                    stopOpacity={0.8}
-                  />
-                  <stop
-                    offset="95%"
-                    stopColor={colors[scenario]}
-                    stopOpacity={0.1}
-                  />
-                </linearGradient>
-              </defs>
-              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-              <XAxis
-                dataKey="x"
-                stroke="#9ca3af"
-                tickFormatter={(v) => `$${v.toFixed(0)}B`}
-                label={{
-                  value: "NPV (Billions $)",
-                  position: "insideBottom",
-                  offset: -10,
-                  fill: "#9ca3af",
-                }}
-              />
-              <YAxis
-                stroke="#9ca3af"
-                tickFormatter={(v) => `${v.toFixed(1)}%`}
-                label={{
-                  value: "Probability (%)",
-                  angle: -90,
-                  position: "insideLeft",
-                  fill: "#9ca3af",
-                }}
-              />
-              <Tooltip
-                contentStyle={{
-                  backgroundColor: "#1f2937",
-                  border: "1px solid #374151",
-                  borderRadius: "8px",
-                }}
-                formatter={(v) => `${v.toFixed(2)}%`}
-                labelFormatter={(v) => `NPV: $${v.toFixed(1)}B`}
-              />
-              <Area
-                type="monotone"
-                dataKey="y"
-                stroke={colors[scenario]}
-                strokeWidth={3}
-                fill="url(#grad)"
-              />
-              <ReferenceLine
-                x={stats.p10}
-                stroke="#ef4444"
-                strokeWidth={2}
-                strokeDasharray="5 5"
-                label={{
-                  value: `P10: $${stats.p10.toFixed(1)}B`,
-                  fill: "#ef4444",
-                  position: "top",
-                }}
-              />
-              <ReferenceLine
-                x={stats.median}
-                stroke="#10b981"
-                strokeWidth={3}
-                label={{
-                  value: `P50: $${stats.median.toFixed(1)}B`,
-                  fill: "#10b981",
-                  position: "top",
-                }}
-              />
-              <ReferenceLine
-                x={stats.p90}
-                stroke="#3b82f6"
-                strokeWidth={2}
-                strokeDasharray="5 5"
-                label={{
-                  value: `P90: $${stats.p90.toFixed(1)}B`,
-                  fill: "#3b82f6",
-                  position: "top",
-                }}
-              />
-            </AreaChart>
-          </ResponsiveContainer>
-
-          <div className="mt-6 p-4 bg-blue-500/10 rounded-xl border border-blue-500/30">
-            <div className="flex items-start gap-3">
-              <Activity className="text-blue-400 mt-1" size={18} />
-              <div className="text-sm">
-                <span className="font-bold text-blue-400">📊 Analysis:</span>{" "}
-                Outcomes centered at{" "}
-                <span className="font-bold text-white">
-                  ${stats.median.toFixed(1)}B
-                </span>
-                . P10-P90 spread of{" "}
-                <span className="font-bold text-white">
-                  ${(stats.p90 - stats.p10).toFixed(1)}B
-                </span>{" "}
-                indicates balanced risk-return profile.
-              </div>
-            </div>
-          </div>
-        </div>
-
-        {/* Trajectory */}
-        <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
-          <h2 className="text-2xl font-bold mb-6 flex items-center gap-3">
-            <TrendingUp className="text-green-400" size={28} />
-            5-Year NPV Trajectory
-          </h2>
-
-          <ResponsiveContainer width="100%" height={350}>
-            <LineChart
-              data={trajectory}
-              margin={{ top: 20, right: 30, left: 20, bottom: 50 }}
-            >
-              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
-              <XAxis
-                dataKey="year"
-                stroke="#9ca3af"
-                label={{
-                  value: "Year",
-                  position: "insideBottom",
-                  offset: -10,
-                  fill: "#9ca3af",
-                }}
-              />
-              <YAxis
-                stroke="#9ca3af"
-                tickFormatter={(v) => `$${v}B`}
-                label={{
-                  value: "NPV (Billions $)",
-                  angle: -90,
-                  position: "insideLeft",
-                  fill: "#9ca3af",
-                }}
-              />
-              <Tooltip
-                contentStyle={{
-                  backgroundColor: "#1f2937",
-                  border: "1px solid #374151",
-                  borderRadius: "8px",
-                }}
-                formatter={(v) => `$${v}B`}
-              />
-              <Legend />
-              <Line
-                type="monotone"
-                dataKey="p90"
-                stroke="#3b82f6"
-                strokeWidth={2.5}
-                strokeDasharray="5 5"
-                name="Optimistic (P90)"
-                dot={{ r: 4 }}
-              />
-              <Line
-                type="monotone"
-                dataKey="expected"
-                stroke="#10b981"
-                strokeWidth={4}
-                name="Expected NPV"
-                dot={{ r: 5 }}
-              />
-              <Line
-                type="monotone"
-                dataKey="p10"
-                stroke="#ef4444"
-                strokeWidth={2.5}
-                strokeDasharray="5 5"
-                name="Conservative (P10)"
-                dot={{ r: 4 }}
-              />
-            </LineChart>
-          </ResponsiveContainer>
-        </div>
-
-        {/* Bottom Row */}
-        <div className="grid grid-cols-2 gap-8">
-          {/* Risk-Return */}
-          <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
-            <h2 className="text-2xl font-bold mb-6 flex items-center gap-3">
-              <Shield className="text-green-400" size={28} />
-              Risk-Return Analysis
-            </h2>
-
-            <ResponsiveContainer width="100%" height={380}>
-              <ScatterChart
-                margin={{ top: 20, right: 40, bottom: 70, left: 70 }}
+          <div ref={distributionChart}>
+            <ResponsiveContainer width="100%" height={350}>
+              <AreaChart
+                data={distribution}
+                margin={{ top: 20, right: 30, left: 20, bottom: 50 }}
               >
-                <CartesianGrid
-                  strokeDasharray="3 3"
-                  stroke="#4b5563"
-                  opacity={0.3}
-                />
+                <defs>
+                  <linearGradient id="grad" x1="0" y1="0" x2="0" y2="1">
+                    <stop
+                      offset="5%"
+                      stopColor={colors[config.scenario]}
+                      stopOpacity={0.8}
+                    />
+                    <stop
+                      offset="95%"
+                      stopColor={colors[config.scenario]}
+                      stopOpacity={0.1}
+                    />
+                  </linearGradient>
+                </defs>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
                 <XAxis
                   dataKey="x"
                   stroke="#9ca3af"
-                  domain={[65, 95]}
-                  ticks={[65, 70, 75, 80, 85, 90, 95]}
-                  tick={{ fill: "#d1d5db", fontSize: 13 }}
-                  tickFormatter={(v) => `${v}%`}
+                  tickFormatter={(v) => `$${v.toFixed(0)}B`}
                   label={{
-                    value: "Market Share Retained (%)",
+                    value: "NPV (Billions $)",
                     position: "insideBottom",
-                    offset: -50,
-                    fill: "#e5e7eb",
-                    fontSize: 14,
-                    fontWeight: 700,
+                    offset: -10,
+                    fill: "#9ca3af",
                   }}
                 />
                 <YAxis
-                  dataKey="y"
                   stroke="#9ca3af"
-                  domain={[50, 130]}
-                  ticks={[50, 65, 80, 95, 110, 125]}
-                  tick={{ fill: "#d1d5db", fontSize: 13 }}
-                  tickFormatter={(v) => `${v}B`}
+                  tickFormatter={(v) => `${v.toFixed(1)}%`}
                   label={{
-                    value: "Net Present Value",
+                    value: "Probability (%)",
                     angle: -90,
                     position: "insideLeft",
-                    offset: 15,
-                    fill: "#e5e7eb",
-                    fontSize: 14,
-                    fontWeight: 700,
+                    fill: "#9ca3af",
                   }}
                 />
                 <Tooltip
                   contentStyle={{
                     backgroundColor: "#1f2937",
-                    border: "2px solid #4b5563",
-                    borderRadius: "10px",
-                    padding: "14px",
+                    border: "1px solid #374151",
+                    borderRadius: "8px",
                   }}
-                  formatter={(v, name) => [
-                    name === "x" ? `${v}%` : `${v}B`,
-                    name === "x" ? "Market Share" : "NPV",
-                  ]}
-                  labelFormatter={() => "Investment Scenario"}
-                  cursor={{ strokeDasharray: "3 3" }}
+                  formatter={(v) => `${v.toFixed(2)}%`}
+                  labelFormatter={(v) => `NPV: $${v.toFixed(1)}B`}
                 />
-                <Legend
-                  wrapperStyle={{ paddingTop: "20px" }}
-                  iconType="circle"
-                  iconSize={10}
-                  formatter={(value) => (
-                    <span
-                      style={{
-                        color: "#e5e7eb",
-                        fontSize: "13px",
-                        fontWeight: "600",
-                        marginLeft: "8px",
-                      }}
-                    >
-                      {value}
-                    </span>
-                  )}
-                />
-                <Scatter
-                  name="Low Risk (>78% share)"
-                  data={scatter.filter((d) => d.risk === "low")}
-                  fill="#10b981"
-                  opacity={0.6}
-                  shape="circle"
+                {config.scenario === "all" && stackByScenario ? (
+                  MODEL_SCENARIOS.map((key) => (
+                    <Area
+                      key={key}
+                      type="monotone"
+                      dataKey={key}
+                      name={scenarioLabel(key)}
+                      stackId="scenario"
+                      stroke={colors[key]}
+                      fill={colors[key]}
+                      fillOpacity={0.5}
+                      strokeWidth={2}
+                    />
+                  ))
+                ) : (
+                  <Area
+                    type="monotone"
+                    dataKey="y"
+                    stroke={colors[config.scenario]}
+                    strokeWidth={3}
+                    fill="url(#grad)"
+                  />
+                )}
+                <ReferenceLine
+                  x={stats.p10}
+                  stroke="#ef4444"
+                  strokeWidth={2}
+                  strokeDasharray="5 5"
+                  label={{
+                    value: `P10: $${stats.p10.toFixed(1)}B`,
+                    fill: "#ef4444",
+                    position: "top",
+                  }}
                 />
-                <Scatter
-                  name="Medium Risk (70-78%)"
-                  data={scatter.filter((d) => d.risk === "med")}
-                  fill="#f59e0b"
-                  opacity={0.6}
-                  shape="circle"
+                <ReferenceLine
+                  x={stats.median}
+                  stroke="#10b981"
+                  strokeWidth={3}
+                  label={{
+                    value: `P50: $${stats.median.toFixed(1)}B`,
+                    fill: "#10b981",
+                    position: "top",
+                  }}
                 />
-                <Scatter
-                  name="High Risk (<70%)"
-                  data={scatter.filter((d) => d.risk === "high")}
-                  fill="#ef4444"
-                  opacity={0.6}
-                  shape="circle"
+                <ReferenceLine
+                  x={stats.p90}
+                  stroke="#3b82f6"
+                  strokeWidth={2}
+                  strokeDasharray="5 5"
+                  label={{
+                    value: `P90: $${stats.p90.toFixed(1)}B`,
+                    fill: "#3b82f6",
+                    position: "top",
+                  }}
                 />
-              </ScatterChart>
+              </AreaChart>
             </ResponsiveContainer>
-
-            <div className="mt-6 p-4 bg-green-500/10 rounded-xl border border-green-500/30">
-              <div className="flex items-start gap-3">
-                <Shield className="text-green-400 mt-1" size={18} />
-                <div className="text-sm">
-                  <span className="font-bold text-green-400">
-                    🛡️ Risk Analysis:
-                  </span>{" "}
-                  <span className="font-bold text-white">
-                    {stats.msAbove75.toFixed(0)}%
-                  </span>{" "}
-                  of scenarios maintain dominant position with &gt;75% market
-                  share. Strong correlation between higher market share and
-                  superior NPV outcomes demonstrates competitive moat
-                  resilience.
-                </div>
-              </div>
-            </div>
           </div>
 
-          {/* Scenarios */}
-          <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
-            <h2 className="text-2xl font-bold mb-6 flex items-center gap-3">
-              <Activity className="text-green-400" size={28} />
-              Scenario Comparison (ML vs Target)
-            </h2>
+          <NarrativeCallout
+            icon={Activity}
+            title="📊 Analysis:"
+            callout={narrative.analysis}
+            accent="blue"
+          />
+        </div>
+
+        <ReturnsSection
+          config={config}
+          returns={returns}
+          total={simulations.n}
+        />
+
+        <ExceedanceSection
+          config={config}
+          stats={stats}
+          moic={returns.moic}
+          runs={runs}
+          colors={colors}
+          threshold={exceedanceThreshold}
+          onThresholdChange={(value) => setThresholdMove({ target, value })}
+          multiple={moicMultiple}
+          onMultipleChange={setMoicMultiple}
+        />
+
+        <OptionsSection
+          config={config}
+          plan={optionsPlan}
+          onPlanChange={setOptionsPlan}
+          valuation={optionsValuation}
+        />
+
+        <GoalSeekSection
+          config={config}
+          goal={goal}
+          onGoalChange={setGoal}
+          search={goalSearch}
+        />
+
+        {/* Trajectory */}
+        <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
+          <h2 className="text-2xl font-bold mb-6 flex items-center gap-3">
+            <TrendingUp className="text-green-400" size={28} />
+            NPV Trajectory {trajectory[0].year}–
+            {trajectory[trajectory.length - 1].year}
+            <SeedTag seed={config.seed} />
+            <ChartExport
+              chartRef={trajectoryChart}
+              filename={`${stem}-trajectory`}
+            />
+          </h2>
 
-            <ResponsiveContainer width="100%" height={320}>
-              <BarChart
-                data={scenarios}
-                margin={{ top: 10, right: 30, bottom: 60, left: 60 }}
+          <div ref={trajectoryChart}>
+            <ResponsiveContainer width="100%" height={350}>
+              <ComposedChart
+                data={trajectory}
+                margin={{ top: 20, right: 30, left: 20, bottom: 50 }}
               >
-                <CartesianGrid
-                  strokeDasharray="3 3"
-                  stroke="#374151"
-                  opacity={0.5}
-                />
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
                 <XAxis
-                  dataKey="name"
+                  dataKey="year"
                   stroke="#9ca3af"
-                  tick={{ fill: "#9ca3af", fontSize: 12 }}
                   label={{
-                    value: "Investment Scenario",
+                    value: "Year",
                     position: "insideBottom",
-                    offset: -45,
-                    fill: "#d1d5db",
-                    fontSize: 13,
-                    fontWeight: 600,
+                    offset: -10,
+                    fill: "#9ca3af",
                   }}
                 />
                 <YAxis
                   stroke="#9ca3af"
-                  domain={[0, 120]}
-                  ticks={[0, 30, 60, 90, 120]}
-                  tick={{ fill: "#9ca3af", fontSize: 12 }}
-                  tickFormatter={(v) => `${v}B`}
+                  tickFormatter={(v) => `$${v}B`}
                   label={{
-                    value: "Net Present Value (Billions $)",
+                    value: "Cumulative Value (Billions $)",
                     angle: -90,
                     position: "insideLeft",
-                    offset: 10,
-                    fill: "#d1d5db",
-                    fontSize: 13,
-                    fontWeight: 600,
+                    fill: "#9ca3af",
                   }}
                 />
                 <Tooltip
                   contentStyle={{
                     backgroundColor: "#1f2937",
-                    border: "2px solid #374151",
+                    border: "1px solid #374151",
                     borderRadius: "8px",
-                    padding: "12px",
                   }}
-                  formatter={(v) => `${v}B`}
-                  labelFormatter={(label) => `${label} Scenario`}
+                  formatter={(v) =>
+                    Array.isArray(v) ? `$${v[0]}B – $${v[1]}B` : `$${v}B`
+                  }
                 />
-                <Legend
-                  wrapperStyle={{ paddingTop: "15px" }}
-                  iconType="rect"
-                  iconSize={14}
-                  formatter={(value) => (
-                    <span
-                      style={{
-                        color: "#d1d5db",
-                        fontSize: "13px",
-                        fontWeight: "500",
-                        marginLeft: "5px",
-                      }}
-                    >
-                      {value}
-                    </span>
-                  )}
+                <Legend />
+                <Area
+                  type="monotone"
+                  dataKey="outer"
+                  stroke="none"
+                  fill={colors[config.scenario]}
+                  fillOpacity={0.15}
+                  name="P5–P95"
                 />
-                <Bar
-                  dataKey="target"
-                  fill="#6b7280"
-                  name="Target NPV"
-                  radius={[8, 8, 0, 0]}
-                  barSize={60}
+                <Area
+                  type="monotone"
+                  dataKey="inner"
+                  stroke="none"
+                  fill={colors[config.scenario]}
+                  fillOpacity={0.35}
+                  name="P25–P75"
                 />
-                <Bar
-                  dataKey="ml"
-                  name="ML Predicted NPV"
-                  radius={[8, 8, 0, 0]}
-                  barSize={60}
-                >
-                  {scenarios.map((entry, idx) => (
-                    <Cell key={idx} fill={entry.color} />
-                  ))}
-                </Bar>
-              </BarChart>
+                {Array.from({ length: SAMPLE_PATHS }, (_, k) => (
+                  <Line
+                    key={k}
+                    type="monotone"
+                    dataKey={`path${k}`}
+                    stroke="#9ca3af"
+                    strokeWidth={1}
+                    strokeOpacity={0.6}
+                    dot={false}
+                    legendType="none"
+                    name={`Sample path ${k + 1}`}
+                  />
+                ))}
+                <Line
+                  type="monotone"
+                  dataKey="p50"
+                  stroke="#10b981"
+                  strokeWidth={4}
+                  name="Median (P50)"
+                  dot={{ r: 5 }}
+                />
+              </ComposedChart>
             </ResponsiveContainer>
+          </div>
+          <div className="text-xs text-gray-500 mt-2">
+            Cumulative discounted free cash flow net of the $
+            {config.assumptions.investment.toFixed(1)}B investment; the final
+            year adds the terminal value, so it matches the NPV distribution.
+            Grey lines are the first {SAMPLE_PATHS} simulated paths.
+          </div>
+        </div>
+
+        {/* Bottom Row */}
+        <div className="grid grid-cols-2 gap-8">
+          {/* Risk-Return */}
+          <RiskReturnSection
+            config={config}
+            density={density}
+            bandSummary={bandSummary}
+            bands={riskBands}
+            onBandsChange={setRiskBands}
+            callout={narrative.risk}
+          />
+
+          {/* Scenarios */}
+          <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
+            <h2 className="text-2xl font-bold mb-6 flex items-center gap-3">
+              <Activity className="text-green-400" size={28} />
+              Scenario Comparison (Model vs Target)
+              <label className="ml-auto flex items-center gap-2 text-sm font-normal text-gray-400">
+                Target $B
+                <NumberField
+                  value={target}
+                  onChange={setTarget}
+                  className="w-20"
+                />
+              </label>
+              <ChartExport
+                chartRef={scenarioChart}
+                filename={`${stem}-scenarios`}
+                className=""
+              />
+            </h2>
+
+            <div ref={scenarioChart}>
+              {scenarios[0].median === null ? (
+                <div className="h-[320px] flex items-center justify-center text-sm text-gray-400">
+                  {scenarioRuns.status === "error" ? (
+                    <span className="text-red-400">
+                      Scenario runs failed: {scenarioRuns.error}
+                    </span>
+                  ) : (
+                    <span className="flex items-center gap-2">
+                      <Loader2 className="animate-spin" size={16} />
+                      Running each scenario…{" "}
+                      {(scenarioRuns.progress * 100).toFixed(0)}%
+                    </span>
+                  )}
+                </div>
+              ) : (
+                <ResponsiveContainer width="100%" height={320}>
+                  <BarChart
+                    data={scenarios}
+                    margin={{ top: 10, right: 30, bottom: 60, left: 60 }}
+                  >
+                    <CartesianGrid
+                      strokeDasharray="3 3"
+                      stroke="#374151"
+                      opacity={0.5}
+                    />
+                    <XAxis
+                      dataKey="name"
+                      stroke="#9ca3af"
+                      tick={{ fill: "#9ca3af", fontSize: 12 }}
+                      label={{
+                        value: "Investment Scenario",
+                        position: "insideBottom",
+                        offset: -45,
+                        fill: "#d1d5db",
+                        fontSize: 13,
+                        fontWeight: 600,
+                      }}
+                    />
+                    <YAxis
+                      stroke="#9ca3af"
+                      tick={{ fill: "#9ca3af", fontSize: 12 }}
+                      tickFormatter={(v) => `${v}B`}
+                      label={{
+                        value: "Net Present Value (Billions $)",
+                        angle: -90,
+                        position: "insideLeft",
+                        offset: 10,
+                        fill: "#d1d5db",
+                        fontSize: 13,
+                        fontWeight: 600,
+                      }}
+                    />
+                    <Tooltip
+                      contentStyle={{
+                        backgroundColor: "#1f2937",
+                        border: "2px solid #374151",
+                        borderRadius: "8px",
+                        padding: "12px",
+                      }}
+                      formatter={(v, name, { payload }) =>
+                        name === "Target NPV"
+                          ? `${v}B`
+                          : `${v.toFixed(1)}B (P10 ${payload.p10.toFixed(
+                              1
+                            )}B – P90 ${payload.p90.toFixed(1)}B)`
+                      }
+                      labelFormatter={(label) => `${label} Scenario`}
+                    />
+                    <Legend
+                      wrapperStyle={{ paddingTop: "15px" }}
+                      iconType="rect"
+                      iconSize={14}
+                      formatter={(value) => (
+                        <span
+                          style={{
+                            color: "#d1d5db",
+                            fontSize: "13px",
+                            fontWeight: "500",
+                            marginLeft: "5px",
+                          }}
+                        >
+                          {value}
+                        </span>
+                      )}
+                    />
+                    <Bar
+                      dataKey="target"
+                      fill="#6b7280"
+                      name="Target NPV"
+                      radius={[8, 8, 0, 0]}
+                      barSize={60}
+                    />
+                    <Bar
+                      dataKey="median"
+                      name="Median NPV (P10–P90)"
+                      radius={[8, 8, 0, 0]}
+                      barSize={60}
+                    >
+                      {scenarios.map((entry, idx) => (
+                        <Cell key={idx} fill={entry.color} />
+                      ))}
+                      <ErrorBar
+                        dataKey="range"
+                        width={12}
+                        strokeWidth={2}
+                        stroke="#e5e7eb"
+                      />
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              )}
+            </div>
 
             <div className="mt-6 grid grid-cols-3 gap-3 text-xs">
               {scenarios.map((sc, i) => (
@@ -726,35 +1363,70 @@ const Dashboard = () => {
                     <span className="font-semibold">{sc.pct}%</span>
                   </div>
                   <div className="text-gray-400">
-                    {sc.sims.toLocaleString()} sims
-                  </div>
-                  <div className="text-gray-300 mt-1">
-                    NPV: <span className="font-semibold">${sc.ml}B</span>
+                    {sc.sims === null
+                      ? "not sampled in this run"
+                      : `${sc.sims.toLocaleString()} sims`}
                   </div>
+                  {sc.median !== null && (
+                    <>
+                      <div className="text-gray-300 mt-1">
+                        Median NPV:{" "}
+                        <span className="font-semibold">
+                          ${sc.median.toFixed(1)}B
+                        </span>
+                      </div>
+                      <div className="text-gray-400">
+                        P10–P90: ${sc.p10.toFixed(1)}B – ${sc.p90.toFixed(1)}B
+                      </div>
+                      <div className="text-gray-300">
+                        NPV &gt; ${target}B:{" "}
+                        <span className="font-semibold">
+                          {sc.aboveTarget.toFixed(1)}%
+                        </span>
+                      </div>
+                    </>
+                  )}
                 </div>
               ))}
             </div>
-
-            <div className="mt-6 p-4 bg-blue-500/10 rounded-xl border border-blue-500/30">
-              <div className="flex items-start gap-3">
-                <Activity className="text-blue-400 mt-1" size={18} />
-                <div className="text-sm">
-                  <span className="font-bold text-blue-400">
-                    🤖 Validation:
-                  </span>{" "}
-                  ML model shows strong alignment. Base case has{" "}
-                  <span className="font-bold text-white">51% probability</span>{" "}
-                  (5,050 simulations), confirming realistic assumptions. All
-                  scenarios exceed $80B target, demonstrating robust investment
-                  thesis.
-                </div>
-              </div>
+            <div className="text-xs text-gray-500 mt-3">
+              Each scenario is run on its own with{" "}
+              {config.iterations.toLocaleString()} iterations and seed{" "}
+              {config.seed}; probabilities are the mixture weights.
             </div>
+
+            <NarrativeCallout
+              icon={Activity}
+              title="🤖 Validation:"
+              callout={narrative.validation}
+              accent="blue"
+            />
           </div>
         </div>
+
+        <SensitivitySection
+          config={config}
+          simulations={simulations}
+          sortedDrivers={summary.sortedDrivers}
+        />
+
+        <ConvergenceSection config={config} diagnostics={diagnostics} />
+
+        <SamplingComparison config={config} />
+
+        <CalibrationSection
+          assumptions={draft}
+          onApply={(key, driverKey, spec) =>
+            updateAssumptions(setDriver(draft, key, driverKey, spec))
+          }
+        />
+
         {/* Summary */}
         <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
-          <h2 className="text-2xl font-bold mb-6">Analytics Summary</h2>
+          <h2 className="text-2xl font-bold mb-6 flex items-center gap-3">
+            Analytics Summary
+            <SeedTag seed={config.seed} />
+          </h2>
 
           <div className="grid grid-cols-4 gap-6">
             <div>
@@ -765,7 +1437,7 @@ const Dashboard = () => {
               <div className="space-y-2">
                 <div className="p-2 bg-gray-700/30 rounded">
                   <div className="text-xs text-gray-400">Total</div>
-                  <div className="font-bold">$4.5B</div>
+                  <div className="font-bold">${investment.toFixed(1)}B</div>
                 </div>
                 <div className="p-2 bg-gray-700/30 rounded">
                   <div className="text-xs text-gray-400">Min NPV</div>
@@ -773,12 +1445,26 @@ const Dashboard = () => {
                 </div>
                 <div className="p-2 bg-gray-700/30 rounded">
                   <div className="text-xs text-gray-400">Mean</div>
-                  <div className="font-bold">${stats.mean.toFixed(1)}B</div>
+                  <div className="font-bold">
+                    ${stats.mean.toFixed(1)}B
+                    <span
+                      className="text-xs font-normal text-gray-400 ml-1"
+                      title={moeTitle}
+                    >
+                      ±{moe("mean")} (SE {diagnostics.se.toFixed(2)})
+                    </span>
+                  </div>
                 </div>
                 <div className="p-2 bg-green-500/20 rounded border border-green-500/40">
                   <div className="text-xs text-gray-400">Median</div>
                   <div className="font-bold text-green-400">
                     ${stats.median.toFixed(1)}B
+                    <span
+                      className="text-xs font-normal text-gray-400 ml-1"
+                      title={moeTitle}
+                    >
+                      ±{moe("median")}
+                    </span>
                   </div>
                 </div>
                 <div className="p-2 bg-gray-700/30 rounded">
@@ -801,15 +1487,17 @@ const Dashboard = () => {
                   </div>
                 </div>
                 <div className="p-2 bg-blue-500/20 rounded border border-blue-500/40">
-                  <div className="text-xs text-gray-400">NPV &gt; $80B</div>
+                  <div className="text-xs text-gray-400">
+                    NPV &gt; ${target}B
+                  </div>
                   <div className="font-bold text-blue-400">
-                    {stats.above80.toFixed(1)}%
+                    {aboveTarget.toFixed(1)}%
                   </div>
                 </div>
                 <div className="p-2 bg-gray-700/30 rounded">
-                  <div className="text-xs text-gray-400">Avg Multiple</div>
+                  <div className="text-xs text-gray-400">Mean MOIC</div>
                   <div className="font-bold">
-                    {(stats.mean / 4.5).toFixed(1)}x
+                    {returns.moic.mean.toFixed(1)}x
                   </div>
                 </div>
               </div>
@@ -840,6 +1528,17 @@ const Dashboard = () => {
               <h3 className="font-bold text-orange-400 mb-4 flex items-center gap-2">
                 <AlertTriangle size={18} />
                 Risk
+                <select
+                  value={confidence}
+                  onChange={(e) => setConfidence(Number(e.target.value))}
+                  className="ml-auto bg-gray-700 text-white px-2 py-1 rounded-lg border border-gray-600 hover:border-orange-500 transition cursor-pointer text-xs font-medium"
+                >
+                  {CONFIDENCE_LEVELS.map((level) => (
+                    <option key={level} value={level}>
+                      {confidenceLabel(level)} confidence
+                    </option>
+                  ))}
+                </select>
               </h3>
               <div className="space-y-2">
                 <div className="p-2 bg-orange-500/20 rounded border border-orange-500/40">
@@ -854,20 +1553,52 @@ const Dashboard = () => {
                     ${(stats.p90 - stats.p10).toFixed(1)}B
                   </div>
                 </div>
-                <div className="p-2 bg-green-500/20 rounded border border-green-500/40">
-                  <div className="text-xs text-gray-400">Downside</div>
-                  <div className="font-bold text-green-400">
-                    {(100 - stats.positive).toFixed(1)}%
+                <div className="p-2 bg-red-500/20 rounded border border-red-500/40">
+                  <div className="text-xs text-gray-400">
+                    VaR ({confidenceLabel(confidence)})
+                  </div>
+                  <div className="font-bold text-red-400">
+                    ${risk.valueAtRisk.toFixed(1)}B
+                  </div>
+                </div>
+                <div className="p-2 bg-red-500/20 rounded border border-red-500/40">
+                  <div className="text-xs text-gray-400">
+                    Expected Shortfall ({confidenceLabel(confidence)})
                   </div>
+                  <div className="font-bold text-red-400">
+                    ${risk.expectedShortfall.toFixed(1)}B
+                  </div>
+                </div>
+                <div className="p-2 bg-gray-700/30 rounded">
+                  <div className="text-xs text-gray-400">P(Capital Loss)</div>
+                  <div className="font-bold">{risk.probLoss.toFixed(1)}%</div>
+                </div>
+                <div className="p-2 bg-gray-700/30 rounded">
+                  <div className="text-xs text-gray-400">
+                    Downside Deviation
+                  </div>
+                  <div className="font-bold">
+                    ${risk.downsideDeviation.toFixed(1)}B
+                  </div>
+                </div>
+                <div className="p-2 bg-gray-700/30 rounded">
+                  <div className="text-xs text-gray-400">Sortino Ratio</div>
+                  <div className="font-bold">{formatRatio(risk.sortino)}</div>
+                </div>
+                <div className="text-xs text-gray-500">
+                  Losses measured against recovering the $
+                  {investment.toFixed(1)}B investment (NPV below zero)
                 </div>
               </div>
             </div>
           </div>
         </div>
         {/* Confidence Badge */}
-        <div className="bg-gradient-to-r from-green-500/20 to-emerald-600/20 rounded-2xl p-8 border-2 border-green-500/50 text-center">
+        <div
+          className={`bg-gradient-to-r ${badge.box} rounded-2xl p-8 border-2 text-center`}
+        >
           <div className="flex items-center justify-center gap-6">
-            <div className="text-7xl font-bold text-green-400">
+            <div className={`text-7xl font-bold ${badge.text}`}>
               {stats.positive.toFixed(0)}
             </div>
             <div className="text-left">
@@ -875,27 +1606,80 @@ const Dashboard = () => {
                 ML Confidence Score
               </div>
               <div className="text-3xl font-bold text-white mt-1">
-                Exceptional Investment Opportunity
+                {narrative.rating.label}
               </div>
+              {narrative.rating.heldBackBy.length > 0 && (
+                <div className="text-sm text-gray-400 mt-1">
+                  Held back by: {narrative.rating.heldBackBy.join(" • ")}
+                </div>
+              )}
               <div className="text-base text-gray-300 mt-2">
-                Based on 10,000 Monte Carlo simulations •{" "}
-                {scenario === "all"
-                  ? "All Scenarios"
-                  : scenario.charAt(0).toUpperCase() + scenario.slice(1)}
+                Based on {config.iterations.toLocaleString()} Monte Carlo
+                simulations • {SAMPLING_STRATEGIES[config.sampling].label} •{" "}
+                {scenarioLabel(config.scenario)} • Seed {config.seed}
               </div>
               <div className="mt-4 flex items-center gap-4 text-sm">
                 <div className="flex items-center gap-2">
-                  <div className="w-3 h-3 bg-green-500 rounded-full animate-pulse"></div>
+                  <div
+                    className={`w-3 h-3 ${badge.dot} rounded-full animate-pulse`}
+                  ></div>
                   <span className="text-gray-300">
                     Status:{" "}
-                    <span className="font-bold text-green-400">Active</span>
+                    <span className={`font-bold ${badge.text}`}>Active</span>
                   </span>
                 </div>
+                <button
+                  onClick={() => setShowThresholds((v) => !v)}
+                  className="flex items-center gap-1.5 text-gray-400 hover:text-white transition"
+                >
+                  <Sliders size={14} />
+                  {showThresholds ? "Hide" : "Edit"} rating thresholds
+                </button>
               </div>
             </div>
           </div>
+          {showThresholds && (
+            <NarrativeThresholds
+              thresholds={narrativeThresholds}
+              onChange={setNarrativeThresholds}
+            />
+          )}
         </div>
       </div>
+
+      {showAssumptions && (
+        <AssumptionsPanel
+          assumptions={draft}
+          errors={errors}
+          initialScenario={scenario}
+          onChange={updateAssumptions}
+          onReset={() => updateAssumptions(DEFAULT_ASSUMPTIONS)}
+          onClose={() => setShowAssumptions(false)}
+        />
+      )}
+
+      {showLibrary && (
+        <LibraryPanel
+          library={library}
+          storageError={libraryError}
+          config={config}
+          stale={stale}
+          defaultName={analysisName}
+          createRevision={(note) => revisionFrom({ config, stats, note })}
+          onChange={updateLibrary}
+          onLoad={loadRevision}
+          onCompare={setComparing}
+          onClose={() => setShowLibrary(false)}
+        />
+      )}
+
+      {comparing && (
+        <CompareView
+          library={library}
+          initial={comparing}
+          onClose={() => setComparing(null)}
+        />
+      )}
     </div>
   );
 };
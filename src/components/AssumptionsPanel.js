@@ -0,0 +1,296 @@
+import React, { useState } from "react";
+import { RotateCcw, Sliders, X } from "lucide-react";
+import DistributionPreview from "./DistributionPreview";
+import NumberField from "./NumberField";
+import { setCorrelation } from "../lib/correlation";
+import { DISTRIBUTIONS, convertSpec } from "../lib/distributions";
+import {
+  DEFAULT_CORRELATION,
+  DRIVERS,
+  MAX_HORIZON,
+  MIN_HORIZON,
+  MODEL_SCENARIOS,
+} from "../lib/model";
+import {
+  scenarioLabel,
+  setDriver,
+  setWeight,
+  resetScenario,
+} from "../lib/assumptions";
+
+const AssumptionsPanel = ({
+  assumptions,
+  errors,
+  initialScenario,
+  onChange,
+  onReset,
+  onClose,
+}) => {
+  const [tab, setTab] = useState(
+    initialScenario === "all" ? "base" : initialScenario
+  );
+  const { drivers } = assumptions.scenarios[tab];
+  const errorList = Object.entries(errors);
+
+  return (
+    <div className="fixed inset-y-0 right-0 z-40 w-[38rem] bg-gray-900 border-l border-gray-700 shadow-2xl overflow-y-auto text-white">
+      <div className="sticky top-0 bg-gray-900 border-b border-gray-700 p-6 flex justify-between items-center">
+        <h2 className="text-xl font-bold flex items-center gap-2">
+          <Sliders className="text-green-400" size={22} />
+          Assumptions
+        </h2>
+        <button
+          onClick={onClose}
+          title="Close"
+          className="text-gray-400 hover:text-white transition"
+        >
+          <X size={22} />
+        </button>
+      </div>
+
+      <div className="p-6 space-y-6">
+        <div>
+          <label className="text-sm text-gray-400">
+            Up-front Investment ($B)
+          </label>
+          <NumberField
+            value={assumptions.investment}
+            error={errors.investment}
+            onChange={(v) => onChange({ ...assumptions, investment: v })}
+          />
+        </div>
+
+        <div>
+          <label className="text-sm text-gray-400">
+            Horizon (years, {MIN_HORIZON}-{MAX_HORIZON})
+          </label>
+          <NumberField
+            value={assumptions.horizon}
+            step={1}
+            error={errors.horizon}
+            onChange={(v) => onChange({ ...assumptions, horizon: v })}
+          />
+        </div>
+
+        <div>
+          <div className="text-sm text-gray-400 mb-2">
+            Scenario Weights (All Scenarios mixture, normalised)
+          </div>
+          <div className="grid grid-cols-3 gap-2">
+            {MODEL_SCENARIOS.map((key) => (
+              <div key={key}>
+                <div className="text-xs text-gray-500 mb-1">
+                  {scenarioLabel(key)}
+                </div>
+                <NumberField
+                  value={assumptions.scenarios[key].weight}
+                  error={errors.weights}
+                  onChange={(v) => onChange(setWeight(assumptions, key, v))}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex gap-2">
+          {MODEL_SCENARIOS.map((key) => (
+            <button
+              key={key}
+              onClick={() => setTab(key)}
+              className={`flex-1 px-2 py-2 rounded-lg text-xs font-semibold transition ${
+                tab === key
+                  ? "bg-green-500/20 border border-green-500/60 text-green-400"
+                  : "bg-gray-800 border border-gray-700 text-gray-300 hover:border-gray-500"
+              }`}
+            >
+              {scenarioLabel(key)}
+            </button>
+          ))}
+        </div>
+
+        <div className="space-y-3">
+          {DRIVERS.map((driver) => {
+            const { key, label, unit } = driver;
+            const spec = drivers[key];
+            const error = errors[`${tab}.${key}`];
+            return (
+              <div
+                key={key}
+                className={`p-3 rounded-lg border ${
+                  error ? "border-red-500/60" : "border-gray-700"
+                } bg-gray-800/50`}
+              >
+                <div className="flex items-center justify-between gap-3 mb-2">
+                  <div className="text-sm text-gray-300">
+                    {label}
+                    <span className="text-gray-500 text-xs ml-1">
+                      ({unit === "%" ? "0-1" : unit})
+                    </span>
+                    {spec.source && (
+                      <div className="text-xs text-blue-300">
+                        Fitted to {spec.source}
+                      </div>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={spec.dist}
+                      onChange={(e) =>
+                        onChange(
+                          setDriver(
+                            assumptions,
+                            tab,
+                            key,
+                            convertSpec(spec, e.target.value, driver)
+                          )
+                        )
+                      }
+                      className="bg-gray-900/60 text-white text-xs px-2 py-1 rounded border border-gray-600 focus:border-green-500 focus:outline-none"
+                    >
+                      {Object.entries(DISTRIBUTIONS).map(([dist, meta]) => (
+                        <option key={dist} value={dist}>
+                          {meta.label}
+                        </option>
+                      ))}
+                    </select>
+                    <DistributionPreview
+                      spec={spec}
+                      bounds={driver}
+                      invalid={!!error}
+                    />
+                  </div>
+                </div>
+                <div className="grid grid-cols-4 gap-2">
+                  {DISTRIBUTIONS[spec.dist].fields.map((field) => (
+                    <div key={field}>
+                      <div className="text-xs text-gray-500 mb-1">{field}</div>
+                      <NumberField
+                        value={spec[field]}
+                        error={error}
+                        onChange={(v) => {
+                          // A hand edit means the values no longer come
+                          // from the fitted data
+                          const { source, ...rest } = spec;
+                          onChange(
+                            setDriver(assumptions, tab, key, {
+                              ...rest,
+                              [field]: v,
+                            })
+                          );
+                        }}
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <div>
+          <div className="flex justify-between items-center mb-2">
+            <div className="text-sm text-gray-400">
+              Driver Correlations (all scenarios)
+            </div>
+            <button
+              onClick={() =>
+                onChange({ ...assumptions, correlation: DEFAULT_CORRELATION })
+              }
+              className="text-xs text-gray-400 hover:text-green-400 transition flex items-center gap-1"
+            >
+              <RotateCcw size={12} />
+              Reset
+            </button>
+          </div>
+          <table
+            className={`text-xs border-collapse ${
+              errors.correlation ? "ring-1 ring-red-500" : ""
+            }`}
+          >
+            <thead>
+              <tr>
+                <th />
+                {DRIVERS.map(({ key, short }) => (
+                  <th key={key} className="font-medium text-gray-500 pb-1">
+                    {short}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {DRIVERS.map((row, i) => (
+                <tr key={row.key}>
+                  <th
+                    className="font-medium text-gray-500 pr-2 text-right"
+                    title={row.label}
+                  >
+                    {row.short}
+                  </th>
+                  {DRIVERS.map((col, j) => (
+                    <td key={col.key} className="p-0.5">
+                      {j > i ? (
+                        <NumberField
+                          value={assumptions.correlation[i][j]}
+                          step={0.05}
+                          className="w-12"
+                          onChange={(v) =>
+                            onChange({
+                              ...assumptions,
+                              correlation: setCorrelation(
+                                assumptions.correlation,
+                                i,
+                                j,
+                                v
+                              ),
+                            })
+                          }
+                        />
+                      ) : (
+                        <div className="w-12 text-center font-mono text-gray-600">
+                          {i === j ? "1" : assumptions.correlation[i][j]}
+                        </div>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {errorList.length > 0 && (
+          <div className="p-3 bg-red-500/10 rounded-lg border border-red-500/40 text-xs text-red-300 space-y-1">
+            <div className="font-bold text-red-400">
+              Run Analysis uses the last valid assumptions until these are
+              fixed:
+            </div>
+            {errorList.map(([path, message]) => (
+              <div key={path}>
+                {scenarioLabel(path.split(".")[0])}: {message}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex gap-3">
+          <button
+            onClick={() => onChange(resetScenario(assumptions, tab))}
+            className="flex-1 px-4 py-2 bg-gray-800 rounded-lg border border-gray-600 hover:border-green-500 transition flex items-center justify-center gap-2 text-sm"
+          >
+            <RotateCcw size={16} />
+            Reset {scenarioLabel(tab)}
+          </button>
+          <button
+            onClick={onReset}
+            className="flex-1 px-4 py-2 bg-gray-800 rounded-lg border border-gray-600 hover:border-red-500 transition flex items-center justify-center gap-2 text-sm"
+          >
+            <RotateCcw size={16} />
+            Reset All
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AssumptionsPanel;
@@ -0,0 +1,329 @@
+import React, { useMemo, useState } from "react";
+import {
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  ReferenceLine,
+} from "recharts";
+import { Check, Upload } from "lucide-react";
+import { scenarioLabel } from "../lib/assumptions";
+import { fitAll, observationSummary, parseCsv } from "../lib/calibration";
+import { DISTRIBUTIONS } from "../lib/distributions";
+import { DRIVERS, MODEL_SCENARIOS } from "../lib/model";
+
+const tooltipStyle = {
+  backgroundColor: "#1f2937",
+  border: "1px solid #374151",
+  borderRadius: "8px",
+};
+
+const selectClass =
+  "bg-gray-700 text-white px-3 py-2 rounded-lg border border-gray-600 hover:border-green-500 transition cursor-pointer text-sm w-full";
+
+const formatSpec = (spec) =>
+  DISTRIBUTIONS[spec.dist].fields.map((f) => `${f} ${spec[f]}`).join(" · ");
+
+const CalibrationSection = ({ assumptions, onApply }) => {
+  const [file, setFile] = useState(null);
+  const [parseError, setParseError] = useState(null);
+  const [columnIdx, setColumnIdx] = useState(0);
+  const [driverKey, setDriverKey] = useState(DRIVERS[0].key);
+  const [scenario, setScenario] = useState("base");
+  const [scalePercent, setScalePercent] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [applied, setApplied] = useState(null);
+
+  const driver = DRIVERS.find((d) => d.key === driverKey);
+  const column = file && file.columns[columnIdx];
+
+  // Percentage drivers are fractions; plain numbers above 1 are most likely
+  // whole percentages, so the toggle starts on for them
+  const suggestScale = (col, drv) =>
+    drv.unit === "%" && !col.percent && col.values.some((v) => Math.abs(v) > 1);
+
+  const values = useMemo(() => {
+    if (!column) return null;
+    return scalePercent ? column.values.map((v) => v / 100) : column.values;
+  }, [column, scalePercent]);
+
+  const fits = useMemo(
+    () => (values ? fitAll(values, driver) : []),
+    [values, driver]
+  );
+  const summary = values && observationSummary(values);
+  const fit =
+    fits.find((f) => f.dist === selected && !f.error) ||
+    fits.find((f) => !f.error);
+  const current = assumptions.scenarios[scenario].drivers[driverKey];
+
+  const reset = (next) => {
+    setSelected(null);
+    setApplied(null);
+    if (next.column && next.driver) {
+      setScalePercent(suggestScale(next.column, next.driver));
+    }
+  };
+
+  const loadFile = async (e) => {
+    const upload = e.target.files[0];
+    e.target.value = "";
+    if (!upload) return;
+    try {
+      const columns = parseCsv(await upload.text());
+      setFile({ name: upload.name, columns });
+      setParseError(null);
+      setColumnIdx(0);
+      reset({ column: columns[0], driver });
+    } catch (err) {
+      setFile(null);
+      setParseError(err.message);
+    }
+  };
+
+  const apply = () => {
+    const source = `${file.name} · ${column.name} (n=${values.length})`;
+    onApply(scenario, driverKey, { ...fit.spec, source });
+    setApplied({ scenario, driverKey, dist: fit.dist });
+  };
+
+  return (
+    <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold flex items-center gap-3">
+          <Upload className="text-green-400" size={28} />
+          Calibrate from Data
+        </h2>
+        <label className="px-4 py-2 bg-gray-700 rounded-xl border-2 border-gray-600 hover:border-green-500 transition cursor-pointer text-sm font-medium flex items-center gap-2">
+          <Upload size={16} />
+          {file ? "Replace CSV" : "Upload CSV"}
+          <input
+            type="file"
+            accept=".csv,.tsv,.txt,text/csv"
+            onChange={loadFile}
+            className="hidden"
+          />
+        </label>
+      </div>
+
+      {parseError && (
+        <div className="text-sm text-red-400 mb-4">{parseError}</div>
+      )}
+
+      {!file ? (
+        <p className="text-sm text-gray-400">
+          Upload historical or comparable observations with a header row, for
+          example quarterly data-center revenue, gross margins or market-share
+          readings. Each numeric column can be fitted by maximum likelihood to
+          every distribution family and applied to one driver of one scenario.
+        </p>
+      ) : (
+        <div className="grid grid-cols-3 gap-8">
+          <div className="space-y-3 text-sm">
+            <div className="text-xs text-gray-500">{file.name}</div>
+            <label className="block">
+              <span className="text-gray-400">Column</span>
+              <select
+                value={columnIdx}
+                onChange={(e) => {
+                  const idx = Number(e.target.value);
+                  setColumnIdx(idx);
+                  reset({ column: file.columns[idx], driver });
+                }}
+                className={selectClass}
+              >
+                {file.columns.map((c, i) => (
+                  <option key={i} value={i}>
+                    {c.name} ({c.values.length} values)
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="text-gray-400">Driver</span>
+              <select
+                value={driverKey}
+                onChange={(e) => {
+                  const next = DRIVERS.find((d) => d.key === e.target.value);
+                  setDriverKey(next.key);
+                  reset({ column, driver: next });
+                }}
+                className={selectClass}
+              >
+                {DRIVERS.map((d) => (
+                  <option key={d.key} value={d.key}>
+                    {d.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              <span className="text-gray-400">Scenario</span>
+              <select
+                value={scenario}
+                onChange={(e) => {
+                  setScenario(e.target.value);
+                  setApplied(null);
+                }}
+                className={selectClass}
+              >
+                {MODEL_SCENARIOS.map((key) => (
+                  <option key={key} value={key}>
+                    {scenarioLabel(key)}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {driver.unit === "%" && (
+              <label className="flex items-center gap-2 text-gray-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={scalePercent}
+                  onChange={(e) => {
+                    setScalePercent(e.target.checked);
+                    setApplied(null);
+                  }}
+                  className="accent-green-500"
+                />
+                Values are whole percentages (divide by 100)
+              </label>
+            )}
+            {summary && (
+              <div className="p-3 bg-gray-700/30 rounded-lg text-xs text-gray-300 space-y-1">
+                <div>
+                  n = {summary.n} · mean {summary.mean.toPrecision(4)} · std{" "}
+                  {summary.std.toPrecision(4)}
+                </div>
+                <div>
+                  range {summary.min.toPrecision(4)} to{" "}
+                  {summary.max.toPrecision(4)}
+                </div>
+                <div className="text-gray-500">
+                  Current {scenarioLabel(scenario)}:{" "}
+                  {DISTRIBUTIONS[current.dist].label} · {formatSpec(current)}
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <div className="text-sm font-bold text-gray-300">
+              Maximum-likelihood fits
+            </div>
+            {fits.map((f) => (
+              <button
+                key={f.dist}
+                disabled={!!f.error}
+                onClick={() => {
+                  setSelected(f.dist);
+                  setApplied(null);
+                }}
+                className={`w-full text-left p-2 rounded-lg border text-xs transition ${
+                  fit && f.dist === fit.dist
+                    ? "border-green-500 bg-green-500/10"
+                    : "border-gray-700 bg-gray-700/30 hover:border-gray-500"
+                } ${f.error ? "opacity-50 cursor-not-allowed" : ""}`}
+              >
+                <div className="flex justify-between font-medium text-sm">
+                  <span>{DISTRIBUTIONS[f.dist].label}</span>
+                  {!f.error && (
+                    <span className="font-mono text-gray-400">
+                      AIC {f.aic.toFixed(1)}
+                    </span>
+                  )}
+                </div>
+                {f.error ? (
+                  <div className="text-gray-400">{f.error}</div>
+                ) : (
+                  <>
+                    <div className="text-gray-400 font-mono">
+                      {formatSpec(f.spec)}
+                    </div>
+                    <div className="text-gray-400">
+                      KS D = {f.ks.toFixed(3)}
+                    </div>
+                  </>
+                )}
+              </button>
+            ))}
+            <div className="text-xs text-gray-500">
+              Ranked by AIC. KS D is the largest gap between the fitted and the
+              observed distribution functions. No p-value is given: the
+              parameters come from these same observations, which a KS p-value
+              would ignore.
+            </div>
+          </div>
+
+          <div>
+            {fit && (
+              <>
+                <div className="text-sm font-bold text-gray-300 mb-2">
+                  QQ plot: {DISTRIBUTIONS[fit.dist].label}
+                </div>
+                <ResponsiveContainer width="100%" height={260}>
+                  <ScatterChart
+                    margin={{ top: 10, right: 10, bottom: 30, left: 10 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                    <XAxis
+                      dataKey="theoretical"
+                      type="number"
+                      domain={["auto", "auto"]}
+                      stroke="#9ca3af"
+                      tickFormatter={(v) => v.toPrecision(3)}
+                      label={{
+                        value: "Fitted quantile",
+                        position: "insideBottom",
+                        offset: -20,
+                        fill: "#9ca3af",
+                      }}
+                    />
+                    <YAxis
+                      dataKey="observed"
+                      type="number"
+                      domain={["auto", "auto"]}
+                      stroke="#9ca3af"
+                      tickFormatter={(v) => v.toPrecision(3)}
+                    />
+                    <Tooltip
+                      contentStyle={tooltipStyle}
+                      formatter={(v) => v.toPrecision(4)}
+                    />
+                    <ReferenceLine
+                      segment={[
+                        { x: summary.min, y: summary.min },
+                        { x: summary.max, y: summary.max },
+                      ]}
+                      stroke="#6b7280"
+                      strokeDasharray="4 4"
+                    />
+                    <Scatter data={fit.qq} fill="#10b981" />
+                  </ScatterChart>
+                </ResponsiveContainer>
+                <button
+                  onClick={apply}
+                  className="mt-3 w-full px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-600 rounded-xl font-bold hover:from-green-600 hover:to-emerald-700 transition text-sm flex items-center justify-center gap-2"
+                >
+                  {applied ? <Check size={16} /> : null}
+                  {applied
+                    ? `Applied to ${scenarioLabel(applied.scenario)}`
+                    : `Apply to ${scenarioLabel(scenario)} · ${driver.label}`}
+                </button>
+                {applied && (
+                  <div className="text-xs text-gray-400 mt-2">
+                    Press Run Analysis to simulate with the fitted driver.
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalibrationSection;
@@ -0,0 +1,38 @@
+import React, { useState } from "react";
+import { Download } from "lucide-react";
+import { downloadChartPng, downloadChartSvg } from "../lib/export";
+
+const ChartExport = ({ chartRef, filename, className = "ml-auto" }) => {
+  const [error, setError] = useState(null);
+
+  const save = async (format) => {
+    setError(null);
+    try {
+      if (format === "svg") {
+        downloadChartSvg(chartRef.current, `${filename}.svg`);
+      } else {
+        await downloadChartPng(chartRef.current, `${filename}.png`);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className={`${className} flex items-center gap-1 text-xs font-normal`}>
+      {error && <span className="text-red-400 mr-2">{error}</span>}
+      <Download className="text-gray-400" size={14} />
+      {["svg", "png"].map((format) => (
+        <button
+          key={format}
+          onClick={() => save(format)}
+          className="px-2 py-1 rounded-lg bg-gray-700 border border-gray-600 hover:border-green-500 text-gray-300 transition uppercase"
+        >
+          {format}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ChartExport;
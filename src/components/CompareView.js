@@ -0,0 +1,251 @@
+import React, { useState } from "react";
+import {
+  ComposedChart,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { GitCompare, X } from "lucide-react";
+import { SAVED_STATS, diffSettings, formatSavedAt } from "../lib/library";
+
+const tooltipStyle = {
+  backgroundColor: "#1f2937",
+  border: "1px solid #374151",
+  borderRadius: "8px",
+};
+
+const SIDES = [
+  { key: "a", label: "A", color: "#3b82f6" },
+  { key: "b", label: "B", color: "#f59e0b" },
+];
+
+const selectClass =
+  "bg-gray-700 text-white px-4 py-2 rounded-xl border-2 border-gray-600 hover:border-green-500 transition cursor-pointer text-sm font-medium w-full";
+
+const refKey = ({ analysisId, revisionId }) => `${analysisId}/${revisionId}`;
+
+const formatStat = (value, unit) =>
+  unit === "%" ? `${value.toFixed(1)}%` : `$${value.toFixed(2)}B`;
+
+const CompareView = ({ library, initial, onClose }) => {
+  const options = library.analyses.flatMap((analysis) =>
+    analysis.revisions.map((revision, i) => ({
+      ref: { analysisId: analysis.id, revisionId: revision.id },
+      label: `${analysis.name} · r${i + 1} · ${formatSavedAt(
+        revision.savedAt
+      )}`,
+      name: `${analysis.name} r${i + 1}`,
+      revision,
+    }))
+  );
+  const [refs, setRefs] = useState({ a: initial[0], b: initial[1] });
+  const pick = (side) =>
+    options.find((o) => refKey(o.ref) === refKey(refs[side])) || options[0];
+  const a = pick("a");
+  const b = pick("b");
+  const diff = diffSettings(a.revision.settings, b.revision.settings);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/70 overflow-y-auto p-8 text-white">
+      <div className="max-w-6xl mx-auto bg-gray-900 rounded-2xl border border-gray-700 shadow-2xl">
+        <div className="border-b border-gray-700 p-6 flex justify-between items-center">
+          <h2 className="text-2xl font-bold flex items-center gap-3">
+            <GitCompare className="text-green-400" size={28} />
+            Compare Analyses
+          </h2>
+          <button
+            onClick={onClose}
+            title="Close"
+            className="text-gray-400 hover:text-white transition"
+          >
+            <X size={22} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-8">
+          <div className="grid grid-cols-2 gap-6">
+            {SIDES.map(({ key, label, color }) => (
+              <label key={key} className="block text-sm">
+                <span className="font-bold" style={{ color }}>
+                  {label}
+                </span>
+                <select
+                  value={refKey(pick(key).ref)}
+                  onChange={(e) =>
+                    setRefs({
+                      ...refs,
+                      [key]: options.find(
+                        (o) => refKey(o.ref) === e.target.value
+                      ).ref,
+                    })
+                  }
+                  className={`${selectClass} mt-1`}
+                >
+                  {options.map((o) => (
+                    <option key={refKey(o.ref)} value={refKey(o.ref)}>
+                      {o.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-3 gap-8">
+            <div className="col-span-2">
+              <h3 className="text-lg font-bold mb-4">NPV Distributions</h3>
+              <ResponsiveContainer width="100%" height={320}>
+                <ComposedChart>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                  <XAxis
+                    dataKey="x"
+                    type="number"
+                    domain={["auto", "auto"]}
+                    stroke="#9ca3af"
+                    tickFormatter={(v) => `$${v.toFixed(0)}B`}
+                    allowDuplicatedCategory={false}
+                  />
+                  <YAxis
+                    stroke="#9ca3af"
+                    tickFormatter={(v) => `${(v * 100).toFixed(1)}%`}
+                    label={{
+                      value: "Probability per $B",
+                      angle: -90,
+                      position: "insideLeft",
+                      fill: "#9ca3af",
+                    }}
+                  />
+                  <Tooltip
+                    contentStyle={tooltipStyle}
+                    formatter={(v) => `${(v * 100).toFixed(2)}% per $B`}
+                    labelFormatter={(v) => `NPV $${v.toFixed(1)}B`}
+                  />
+                  <Legend />
+                  {SIDES.map(({ key, label, color }) => {
+                    const side = key === "a" ? a : b;
+                    return (
+                      <Area
+                        key={key}
+                        data={side.revision.results.density}
+                        dataKey="density"
+                        name={`${label}: ${side.name}`}
+                        type="monotone"
+                        stroke={color}
+                        fill={color}
+                        fillOpacity={0.25}
+                        strokeWidth={2}
+                        isAnimationActive={false}
+                      />
+                    );
+                  })}
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div>
+              <h3 className="text-lg font-bold mb-4">Key Statistics</h3>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-gray-400 text-xs">
+                    <th className="text-left font-medium pb-2">Statistic</th>
+                    {SIDES.map(({ key, label, color }) => (
+                      <th
+                        key={key}
+                        className="text-right font-medium pb-2"
+                        style={{ color }}
+                      >
+                        {label}
+                      </th>
+                    ))}
+                    <th className="text-right font-medium pb-2">B − A</th>
+                  </tr>
+                </thead>
+                <tbody className="font-mono">
+                  {SAVED_STATS.map(({ key, label, unit }) => {
+                    const va = a.revision.results.stats[key];
+                    const vb = b.revision.results.stats[key];
+                    const delta = vb - va;
+                    return (
+                      <tr key={key} className="border-t border-gray-800">
+                        <td className="py-1.5 font-sans text-gray-300">
+                          {label}
+                        </td>
+                        <td className="text-right">{formatStat(va, unit)}</td>
+                        <td className="text-right">{formatStat(vb, unit)}</td>
+                        <td
+                          className={`text-right ${
+                            delta > 0
+                              ? "text-green-400"
+                              : delta < 0
+                                ? "text-red-400"
+                                : "text-gray-500"
+                          }`}
+                        >
+                          {delta > 0 ? "+" : ""}
+                          {unit === "%"
+                            ? `${delta.toFixed(1)} pts`
+                            : delta.toFixed(2)}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <div className="text-xs text-gray-500 mt-3">
+                For VaR and Expected Shortfall a positive change means more
+                downside.
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-lg font-bold mb-4">
+              Settings and Assumptions ({diff.length} difference
+              {diff.length === 1 ? "" : "s"})
+            </h3>
+            {diff.length === 0 ? (
+              <p className="text-sm text-gray-400">
+                Both revisions use identical settings and assumptions, so they
+                produce the same simulation.
+              </p>
+            ) : (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-gray-400 text-xs">
+                    <th className="text-left font-medium pb-2 w-1/4">
+                      Setting
+                    </th>
+                    {SIDES.map(({ key, label, color }) => (
+                      <th
+                        key={key}
+                        className="text-left font-medium pb-2"
+                        style={{ color }}
+                      >
+                        {label}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {diff.map((row) => (
+                    <tr key={row.label} className="border-t border-gray-800">
+                      <td className="py-1.5 text-gray-300">{row.label}</td>
+                      <td className="font-mono text-xs">{row.a}</td>
+                      <td className="font-mono text-xs">{row.b}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CompareView;
@@ -0,0 +1,160 @@
+import React from "react";
+import {
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { Gauge } from "lucide-react";
+import SeedTag from "./SeedTag";
+import PrecisionWarning from "./PrecisionWarning";
+import { BOOTSTRAP_RESAMPLES, CI_LEVEL } from "../lib/convergence";
+import { SAMPLING_STRATEGIES } from "../lib/sampling";
+
+const tooltipStyle = {
+  backgroundColor: "#1f2937",
+  border: "1px solid #374151",
+  borderRadius: "8px",
+};
+
+const formatCount = (v) =>
+  v >= 1000000
+    ? `${v / 1000000}M`
+    : v >= 1000
+      ? `${Math.round(v / 1000)}k`
+      : `${v}`;
+
+const ConvergenceSection = ({ config, diagnostics }) => {
+  const { estimates, path, se, iidApproximation } = diagnostics;
+  const approx = iidApproximation ? " (iid approximation)" : "";
+
+  return (
+    <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
+      <h2 className="text-2xl font-bold mb-6 flex items-center gap-3">
+        <Gauge className="text-green-400" size={28} />
+        Convergence
+        <SeedTag seed={config.seed} />
+      </h2>
+
+      <div className="grid grid-cols-3 gap-8">
+        <div className="col-span-2">
+          <ResponsiveContainer width="100%" height={340}>
+            <ComposedChart
+              data={path}
+              margin={{ top: 10, right: 30, bottom: 30, left: 20 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis
+                dataKey="n"
+                type="number"
+                scale="log"
+                domain={["dataMin", "dataMax"]}
+                stroke="#9ca3af"
+                tickFormatter={formatCount}
+                label={{
+                  value: "Iterations (log scale)",
+                  position: "insideBottom",
+                  offset: -20,
+                  fill: "#9ca3af",
+                }}
+              />
+              <YAxis
+                stroke="#9ca3af"
+                domain={["auto", "auto"]}
+                tickFormatter={(v) => `$${v.toFixed(0)}B`}
+              />
+              <Tooltip
+                contentStyle={tooltipStyle}
+                labelFormatter={(v) => `${v.toLocaleString()} iterations`}
+                formatter={(v, name) =>
+                  Array.isArray(v)
+                    ? [`$${v[0].toFixed(1)}B – $${v[1].toFixed(1)}B`, name]
+                    : [`$${v.toFixed(1)}B`, name]
+                }
+              />
+              <Legend wrapperStyle={{ paddingTop: "25px" }} />
+              <Area
+                type="monotone"
+                dataKey="meanBand"
+                stroke="none"
+                fill="#10b981"
+                fillOpacity={0.2}
+                name={`Mean ${CI_LEVEL * 100}% CI${approx}`}
+              />
+              <Line
+                type="monotone"
+                dataKey="mean"
+                stroke="#10b981"
+                strokeWidth={2}
+                dot={false}
+                name="Running Mean"
+              />
+              <Line
+                type="monotone"
+                dataKey="p10"
+                stroke="#f59e0b"
+                strokeWidth={2}
+                dot={false}
+                name="P10"
+              />
+              <Line
+                type="monotone"
+                dataKey="median"
+                stroke="#3b82f6"
+                strokeWidth={2}
+                dot={false}
+                name="P50"
+              />
+              <Line
+                type="monotone"
+                dataKey="p90"
+                stroke="#8b5cf6"
+                strokeWidth={2}
+                dot={false}
+                name="P90"
+              />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div className="space-y-3">
+          {Object.entries(estimates).map(([key, e]) => (
+            <div key={key} className="p-3 bg-gray-700/30 rounded-lg">
+              <div className="flex justify-between items-baseline">
+                <div className="text-sm text-gray-400">{e.label}</div>
+                <div className="font-bold">
+                  ${e.value.toFixed(1)}B
+                  <span className="text-xs text-gray-400 ml-1">
+                    ±{e.halfWidth.toFixed(2)}
+                  </span>
+                </div>
+              </div>
+              <div className="text-xs text-gray-500 mt-1">
+                {CI_LEVEL * 100}% CI{approx}:{" "}
+                {`$${e.low.toFixed(2)}B – $${e.high.toFixed(2)}B`}
+              </div>
+            </div>
+          ))}
+          <div className="text-xs text-gray-500">
+            Standard error of the mean ${se.toFixed(3)}B. Percentile intervals
+            from {BOOTSTRAP_RESAMPLES.toLocaleString()} bootstrap resamples of
+            the {config.iterations.toLocaleString()} draws.
+            {iidApproximation &&
+              ` These intervals and the running estimates on the left treat the draws as independent, which ${
+                SAMPLING_STRATEGIES[config.sampling].label
+              } draws are not, so they are an iid approximation; Sampling Strategies below measures the error from independent replications.`}
+          </div>
+        </div>
+      </div>
+
+      <PrecisionWarning diagnostics={diagnostics} />
+    </div>
+  );
+};
+
+export default ConvergenceSection;
@@ -0,0 +1,31 @@
+import React, { useMemo } from "react";
+import { AreaChart, Area, XAxis, YAxis } from "recharts";
+import { densityCurve } from "../lib/distributions";
+
+const DistributionPreview = ({ spec, bounds, invalid }) => {
+  const data = useMemo(
+    () => (invalid ? [] : densityCurve(spec, bounds)),
+    [spec, bounds, invalid]
+  );
+
+  if (data.length === 0) {
+    return <div className="w-28 h-8 rounded bg-gray-800" />;
+  }
+  return (
+    <AreaChart width={112} height={32} data={data} margin={{ top: 2 }}>
+      <XAxis dataKey="x" type="number" domain={["dataMin", "dataMax"]} hide />
+      <YAxis hide domain={[0, "dataMax"]} />
+      <Area
+        type="monotone"
+        dataKey="y"
+        stroke="#10b981"
+        fill="#10b981"
+        fillOpacity={0.3}
+        strokeWidth={1.5}
+        isAnimationActive={false}
+      />
+    </AreaChart>
+  );
+};
+
+export default DistributionPreview;
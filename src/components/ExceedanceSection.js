@@ -0,0 +1,257 @@
+import React, { useMemo, useRef, useState } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  ReferenceLine,
+} from "recharts";
+import { TrendingDown } from "lucide-react";
+import ChartExport from "./ChartExport";
+import NumberField from "./NumberField";
+import SeedTag from "./SeedTag";
+import { scenarioLabel } from "../lib/assumptions";
+import { exceedanceCurves, probabilityAtLeast } from "../lib/exceedance";
+import { fileStem } from "../lib/export";
+import { MODEL_SCENARIOS } from "../lib/model";
+
+const tooltipStyle = {
+  backgroundColor: "#1f2937",
+  border: "1px solid #374151",
+  borderRadius: "8px",
+};
+
+const ExceedanceSection = ({
+  config,
+  stats,
+  moic,
+  runs,
+  colors,
+  threshold,
+  onThresholdChange,
+  multiple,
+  onMultipleChange,
+}) => {
+  const [overlay, setOverlay] = useState(false);
+  const [dragging, setDragging] = useState(false);
+  const chartRef = useRef(null);
+  const showOverlay = overlay && !!runs;
+
+  const series = useMemo(() => {
+    const out = { run: stats.sortedNpv };
+    if (showOverlay) {
+      MODEL_SCENARIOS.forEach((key, k) => {
+        out[key] = runs[k].sortedNpv;
+      });
+    }
+    return out;
+  }, [stats, runs, showOverlay]);
+  const curves = useMemo(() => exceedanceCurves(series), [series]);
+
+  const rows = [
+    {
+      key: "run",
+      label: scenarioLabel(config.scenario),
+      color: colors[config.scenario],
+      moic: moic.sorted,
+    },
+    ...(showOverlay
+      ? MODEL_SCENARIOS.map((key, k) => ({
+          key,
+          label: `${scenarioLabel(key)} (own run)`,
+          color: colors[key],
+          moic: runs[k].sortedMoic,
+        }))
+      : []),
+  ].map((row) => ({
+    ...row,
+    npv: probabilityAtLeast(series[row.key], threshold),
+    multiple: probabilityAtLeast(row.moic, multiple),
+  }));
+
+  // Dragging snaps the threshold to the nearest curve point; the input box
+  // takes exact values
+  const probe = (e) => {
+    if (e && e.activeLabel !== undefined) {
+      onThresholdChange(Number(e.activeLabel.toFixed(1)));
+    }
+  };
+
+  return (
+    <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
+      <h2 className="text-2xl font-bold mb-6 flex items-center gap-3">
+        <TrendingDown className="text-green-400" size={28} />
+        Exceedance Probability
+        <SeedTag seed={config.seed} />
+        <label
+          className={`ml-auto flex items-center gap-2 text-sm font-normal text-gray-300 ${
+            runs ? "cursor-pointer" : "opacity-50"
+          }`}
+          title={runs ? undefined : "Waiting for the per-scenario runs"}
+        >
+          <input
+            type="checkbox"
+            checked={overlay}
+            disabled={!runs}
+            onChange={(e) => setOverlay(e.target.checked)}
+            className="accent-green-500"
+          />
+          Overlay scenarios
+        </label>
+        <ChartExport
+          chartRef={chartRef}
+          filename={`${fileStem(config)}-exceedance`}
+          className="ml-4"
+        />
+      </h2>
+
+      <div className="grid grid-cols-3 gap-8">
+        <div
+          ref={chartRef}
+          className={`col-span-2 select-none ${
+            dragging ? "cursor-grabbing" : "cursor-crosshair"
+          }`}
+        >
+          <ResponsiveContainer width="100%" height={350}>
+            <LineChart
+              data={curves}
+              margin={{ top: 20, right: 30, left: 20, bottom: 30 }}
+              onMouseDown={(e) => {
+                setDragging(true);
+                probe(e);
+              }}
+              onMouseMove={(e) => dragging && probe(e)}
+              onMouseUp={() => setDragging(false)}
+              onMouseLeave={() => setDragging(false)}
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis
+                dataKey="x"
+                type="number"
+                domain={["dataMin", "dataMax"]}
+                stroke="#9ca3af"
+                tickFormatter={(v) => `$${v.toFixed(0)}B`}
+                label={{
+                  value: "NPV threshold X",
+                  position: "insideBottom",
+                  offset: -15,
+                  fill: "#9ca3af",
+                }}
+              />
+              <YAxis
+                domain={[0, 100]}
+                stroke="#9ca3af"
+                tickFormatter={(v) => `${v}%`}
+                label={{
+                  value: "P(NPV ≥ X)",
+                  angle: -90,
+                  position: "insideLeft",
+                  fill: "#9ca3af",
+                }}
+              />
+              <Tooltip
+                contentStyle={tooltipStyle}
+                formatter={(v) => `${v.toFixed(1)}%`}
+                labelFormatter={(v) => `NPV ≥ $${v.toFixed(1)}B`}
+              />
+              <Legend verticalAlign="top" />
+              {rows.map((row) => (
+                <Line
+                  key={row.key}
+                  dataKey={row.key}
+                  name={row.label}
+                  type="monotone"
+                  stroke={row.color}
+                  strokeWidth={row.key === "run" ? 3 : 2}
+                  strokeDasharray={row.key === "run" ? undefined : "6 3"}
+                  dot={false}
+                  isAnimationActive={false}
+                />
+              ))}
+              <ReferenceLine
+                x={threshold}
+                stroke="#f9fafb"
+                strokeWidth={2}
+                label={{
+                  value: `X = $${threshold}B`,
+                  fill: "#f9fafb",
+                  position: "top",
+                }}
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div className="space-y-4 text-sm">
+          <div className="p-4 bg-gray-700/30 rounded-xl space-y-2">
+            <label className="flex items-center justify-between gap-3 text-gray-300">
+              NPV threshold X ($B)
+              <NumberField
+                value={threshold}
+                onChange={onThresholdChange}
+                className="w-24"
+              />
+            </label>
+            <div className="text-3xl font-bold text-white">
+              {rows[0].npv.toFixed(1)}%
+            </div>
+            <div className="text-gray-400">
+              P(NPV ≥ ${threshold}B). Drag on the chart to move X.
+            </div>
+          </div>
+
+          <div className="p-4 bg-gray-700/30 rounded-xl space-y-2">
+            <label className="flex items-center justify-between gap-3 text-gray-300">
+              MOIC multiple Y (x)
+              <NumberField
+                value={multiple}
+                onChange={onMultipleChange}
+                className="w-24"
+              />
+            </label>
+            <div className="text-3xl font-bold text-purple-400">
+              {rows[0].multiple.toFixed(1)}%
+            </div>
+            <div className="text-gray-400">
+              P(MOIC ≥ {multiple}x): undiscounted cash returned per dollar
+              invested.
+            </div>
+          </div>
+
+          {showOverlay && (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-gray-400">
+                  <th className="text-left font-medium pb-1">Curve</th>
+                  <th className="text-right font-medium pb-1">
+                    NPV ≥ ${threshold}B
+                  </th>
+                  <th className="text-right font-medium pb-1">
+                    MOIC ≥ {multiple}x
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="font-mono">
+                {rows.map((row) => (
+                  <tr key={row.key} className="border-t border-gray-700">
+                    <td className="py-1 font-sans" style={{ color: row.color }}>
+                      {row.label}
+                    </td>
+                    <td className="text-right">{row.npv.toFixed(1)}%</td>
+                    <td className="text-right">{row.multiple.toFixed(1)}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExceedanceSection;
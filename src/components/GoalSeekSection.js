@@ -0,0 +1,340 @@
+import React from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  ReferenceLine,
+} from "recharts";
+import { AlertTriangle, Crosshair, Loader2, Play } from "lucide-react";
+import NumberField from "./NumberField";
+import SeedTag from "./SeedTag";
+import {
+  SOLVER_INPUTS,
+  SOLVER_MAX_ITERATIONS,
+  SOLVER_STATISTICS,
+  defaultRange,
+  formatStatistic,
+  formatUnit,
+  searchMatches,
+  statisticLabel,
+  validateGoal,
+} from "../lib/goalSeek";
+
+const tooltipStyle = {
+  backgroundColor: "#1f2937",
+  border: "1px solid #374151",
+  borderRadius: "8px",
+};
+
+const selectClass =
+  "bg-gray-900/60 text-white text-sm px-2 py-1 rounded border border-gray-600 focus:border-green-500 focus:outline-none";
+
+// The goal and its search live in the dashboard, as the options plan does
+const GoalSeekSection = ({ config, goal, onGoalChange, search }) => {
+  const { run, status, progress, result, error } = search;
+  const running = status === "running";
+  const errors = validateGoal(goal, config.assumptions, config.scenario);
+  const invalid = Object.keys(errors).length > 0;
+  const input = SOLVER_INPUTS.find((i) => i.key === goal.input);
+  const solution = result && result.solution;
+  const solved = result && result.config.goal;
+  const solvedInput =
+    solved && SOLVER_INPUTS.find((i) => i.key === solved.input);
+  const outdated = !!result && !searchMatches(result.config, goal, config);
+
+  const set = (changes) => onGoalChange({ ...goal, ...changes });
+  const chooseInput = (key) =>
+    set({
+      input: key,
+      ...defaultRange(config.assumptions, config.scenario, key),
+    });
+
+  const solve = () =>
+    run({
+      goal,
+      assumptions: config.assumptions,
+      scenario: config.scenario,
+      seed: config.seed,
+      iterations: config.iterations,
+      sampling: config.sampling,
+    });
+
+  return (
+    <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold flex items-center gap-3">
+          <Crosshair className="text-green-400" size={28} />
+          Goal Seek
+          {result && <SeedTag seed={result.config.seed} />}
+        </h2>
+        <button
+          onClick={solve}
+          disabled={running || invalid}
+          className="px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-600 rounded-xl font-bold hover:from-green-600 hover:to-emerald-700 transition flex items-center gap-2 text-sm disabled:opacity-60"
+        >
+          {running ? (
+            <Loader2 className="animate-spin" size={16} />
+          ) : (
+            <Play size={16} />
+          )}
+          {running ? `Solving… ${(progress * 100).toFixed(0)}%` : "Solve"}
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-400 mb-4">
+        Finds the value of one input at which an NPV statistic reaches a target.
+        Each step re-runs the model on seed {config.seed} with up to{" "}
+        {SOLVER_MAX_ITERATIONS.toLocaleString()} iterations, so the search is
+        repeatable. A driver is moved by shifting its distribution in every
+        scenario; its value is the scenario-weighted mean.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-300 mb-3">
+        Make
+        <select
+          value={goal.statistic}
+          onChange={(e) => set({ statistic: e.target.value })}
+          className={selectClass}
+        >
+          {Object.entries(SOLVER_STATISTICS).map(([key, statistic]) => (
+            <option key={key} value={key}>
+              {statistic.label}
+            </option>
+          ))}
+        </select>
+        {goal.statistic === "probAbove" && (
+          <>
+            threshold $B
+            <NumberField
+              value={goal.threshold}
+              onChange={(v) => set({ threshold: v })}
+              error={errors.threshold}
+              className="w-20"
+            />
+          </>
+        )}
+        equal
+        <NumberField
+          value={goal.target}
+          onChange={(v) => set({ target: v })}
+          error={errors.target}
+          className="w-20"
+        />
+        {SOLVER_STATISTICS[goal.statistic].unit}
+      </div>
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-300 mb-3">
+        by varying
+        <select
+          value={goal.input}
+          onChange={(e) => chooseInput(e.target.value)}
+          className={selectClass}
+        >
+          {SOLVER_INPUTS.map(({ key, label }) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+        between
+        <NumberField
+          value={goal.low}
+          onChange={(v) => set({ low: v })}
+          error={errors.low}
+          className="w-24"
+        />
+        and
+        <NumberField
+          value={goal.high}
+          onChange={(v) => set({ high: v })}
+          error={errors.high}
+          className="w-24"
+        />
+        {input && input.unit === "%" && (
+          <span className="text-xs text-gray-500">(as fractions, 0-1)</span>
+        )}
+      </div>
+      <div className="text-sm mb-6">
+        {invalid ? (
+          <span className="text-red-400">{Object.values(errors)[0]}</span>
+        ) : (
+          <span className="text-xs text-gray-500">
+            Searching {formatUnit(input.unit, goal.low)} to{" "}
+            {formatUnit(input.unit, goal.high)}
+          </span>
+        )}
+      </div>
+
+      {error && <div className="text-sm text-red-400 mb-4">{error}</div>}
+      {outdated && (
+        <div className="text-sm text-yellow-300 mb-4">
+          The goal or the model has changed since this search. Press Solve to
+          refresh it.
+        </div>
+      )}
+
+      {solution &&
+        (solution.solved === null ? (
+          <div className="p-4 rounded-xl border bg-yellow-500/10 border-yellow-500/30 text-sm text-yellow-300 flex items-start gap-2">
+            <AlertTriangle size={16} className="mt-0.5 shrink-0" />
+            <div>
+              {statisticLabel(solved)} runs from{" "}
+              {formatStatistic(solved.statistic, solution.history[0].statistic)}{" "}
+              at {formatUnit(solvedInput.unit, solved.low)} to{" "}
+              {formatStatistic(solved.statistic, solution.history[1].statistic)}{" "}
+              at {formatUnit(solvedInput.unit, solved.high)}, so the target of{" "}
+              {formatStatistic(solved.statistic, solved.target)} is not reached
+              in this range. Widen the range and solve again.
+            </div>
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-3 gap-4 mb-6">
+              <div className="p-4 bg-green-500/10 rounded-xl border border-green-500/40">
+                <div className="text-xs text-gray-400">
+                  Solved {solvedInput.label}
+                </div>
+                <div className="text-3xl font-bold text-green-400">
+                  {formatUnit(solvedInput.unit, solution.solved, 2)}
+                </div>
+                <div className="text-xs text-gray-400 mt-1">
+                  Currently {formatUnit(solvedInput.unit, solution.start, 2)}
+                </div>
+              </div>
+              <div className="p-4 bg-gray-700/30 rounded-xl border border-gray-600">
+                <div className="text-xs text-gray-400">
+                  {statisticLabel(solved)} at the solution
+                </div>
+                <div className="text-3xl font-bold">
+                  {formatStatistic(solved.statistic, solution.achieved)}
+                </div>
+                <div className="text-xs text-gray-400 mt-1">
+                  Target {formatStatistic(solved.statistic, solved.target)}
+                </div>
+              </div>
+              <div className="p-4 bg-gray-700/30 rounded-xl border border-gray-600">
+                <div className="text-xs text-gray-400">Search</div>
+                <div className="text-3xl font-bold">
+                  {solution.history.length} runs
+                </div>
+                <div
+                  className={`text-xs mt-1 ${
+                    solution.converged ? "text-gray-400" : "text-yellow-400"
+                  }`}
+                >
+                  {solution.converged
+                    ? `Converged • ${solution.iterations.toLocaleString()} iterations per run`
+                    : "Closest value found; at a fixed seed the statistic moves in steps and cannot hit the target exactly"}
+                </div>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 gap-8">
+              <div>
+                <h3 className="font-bold text-gray-300 mb-3">
+                  Iteration history
+                </h3>
+                <ResponsiveContainer width="100%" height={260}>
+                  <LineChart
+                    data={solution.history}
+                    margin={{ top: 10, right: 20, bottom: 10, left: 10 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                    <XAxis dataKey="step" stroke="#9ca3af" />
+                    <YAxis
+                      yAxisId="statistic"
+                      stroke="#10b981"
+                      tickFormatter={(v) =>
+                        formatStatistic(solved.statistic, v)
+                      }
+                      width={70}
+                    />
+                    <YAxis
+                      yAxisId="value"
+                      orientation="right"
+                      stroke="#60a5fa"
+                      tickFormatter={(v) => formatUnit(solvedInput.unit, v, 1)}
+                      width={70}
+                    />
+                    <Tooltip
+                      contentStyle={tooltipStyle}
+                      formatter={(v, name) =>
+                        name === "Input"
+                          ? formatUnit(solvedInput.unit, v)
+                          : formatStatistic(solved.statistic, v)
+                      }
+                      labelFormatter={(step) => `Run ${step}`}
+                    />
+                    <Legend />
+                    <ReferenceLine
+                      yAxisId="statistic"
+                      y={solved.target}
+                      stroke="#f9fafb"
+                      strokeDasharray="4 4"
+                    />
+                    <Line
+                      yAxisId="statistic"
+                      dataKey="statistic"
+                      name="Statistic"
+                      stroke="#10b981"
+                      strokeWidth={2}
+                      isAnimationActive={false}
+                    />
+                    <Line
+                      yAxisId="value"
+                      dataKey="value"
+                      name="Input"
+                      stroke="#60a5fa"
+                      strokeWidth={2}
+                      isAnimationActive={false}
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="max-h-[300px] overflow-y-auto">
+                <table className="w-full text-xs">
+                  <thead className="sticky top-0 bg-gray-800">
+                    <tr className="text-gray-400">
+                      <th className="text-left pb-1">Run</th>
+                      <th className="text-right pb-1">{solvedInput.label}</th>
+                      <th className="text-right pb-1">
+                        {statisticLabel(solved)}
+                      </th>
+                      <th className="text-right pb-1">Miss</th>
+                    </tr>
+                  </thead>
+                  <tbody className="font-mono">
+                    {solution.history.map((h) => (
+                      <tr
+                        key={h.step}
+                        className={`border-t border-gray-700 ${
+                          h.value === solution.solved ? "text-green-400" : ""
+                        }`}
+                      >
+                        <td className="py-1">{h.step}</td>
+                        <td className="text-right">
+                          {formatUnit(solvedInput.unit, h.value, 4)}
+                        </td>
+                        <td className="text-right">
+                          {formatStatistic(solved.statistic, h.statistic)}
+                        </td>
+                        <td className="text-right">
+                          {(h.statistic - solved.target).toFixed(2)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </>
+        ))}
+    </div>
+  );
+};
+
+export default GoalSeekSection;
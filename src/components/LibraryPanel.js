@@ -0,0 +1,282 @@
+import React, { useState } from "react";
+import {
+  Download,
+  FolderOpen,
+  GitCompare,
+  Save,
+  Trash2,
+  Upload,
+  X,
+} from "lucide-react";
+import { scenarioLabel } from "../lib/assumptions";
+import { downloadJson } from "../lib/export";
+import {
+  analysisDocument,
+  deleteAnalysis,
+  formatSavedAt,
+  importAnalysis,
+  saveRevision,
+} from "../lib/library";
+import { SAMPLING_STRATEGIES } from "../lib/sampling";
+
+const inputClass =
+  "w-full bg-gray-800 text-white px-3 py-2 rounded-lg border border-gray-600 focus:border-green-500 focus:outline-none text-sm";
+
+const buttonClass =
+  "px-3 py-1.5 bg-gray-700 rounded-lg border border-gray-600 hover:border-green-500 transition flex items-center gap-2 text-sm text-gray-300 disabled:opacity-50 disabled:cursor-not-allowed";
+
+const runSummary = (settings) =>
+  `${scenarioLabel(settings.scenario)} · seed ${
+    settings.seed
+  } · ${settings.iterations.toLocaleString()} runs · ${
+    SAMPLING_STRATEGIES[settings.sampling].label
+  }`;
+
+const fileName = (name) =>
+  `${name.replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "") || "analysis"}.json`;
+
+const LibraryPanel = ({
+  library,
+  storageError,
+  config,
+  stale,
+  defaultName,
+  createRevision,
+  onChange,
+  onLoad,
+  onCompare,
+  onClose,
+}) => {
+  const [name, setName] = useState(defaultName);
+  const [note, setNote] = useState("");
+  const [selected, setSelected] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  const save = () => {
+    onChange(saveRevision(library, name, createRevision(note)));
+    setNote("");
+    setMessage({ text: `Saved "${name.trim()}"` });
+  };
+
+  const importFile = async (e) => {
+    const upload = e.target.files[0];
+    e.target.value = "";
+    if (!upload) return;
+    try {
+      const next = importAnalysis(library, JSON.parse(await upload.text()));
+      onChange(next);
+      const added = next.analyses[next.analyses.length - 1];
+      setMessage({ text: `Imported "${added.name}"` });
+    } catch (err) {
+      setMessage({ text: `${upload.name}: ${err.message}`, error: true });
+    }
+  };
+
+  const remove = (analysis) => {
+    if (!window.confirm(`Delete "${analysis.name}" and all its revisions?`)) {
+      return;
+    }
+    onChange(deleteAnalysis(library, analysis.id));
+    setSelected(selected.filter((ref) => ref.analysisId !== analysis.id));
+  };
+
+  const isSelected = (analysisId, revisionId) =>
+    selected.some(
+      (ref) => ref.analysisId === analysisId && ref.revisionId === revisionId
+    );
+
+  // Keeps the two most recent picks
+  const toggle = (analysisId, revisionId) =>
+    setSelected(
+      isSelected(analysisId, revisionId)
+        ? selected.filter(
+            (ref) =>
+              ref.analysisId !== analysisId || ref.revisionId !== revisionId
+          )
+        : [...selected, { analysisId, revisionId }].slice(-2)
+    );
+
+  return (
+    <div className="fixed inset-y-0 right-0 z-40 w-[38rem] bg-gray-900 border-l border-gray-700 shadow-2xl overflow-y-auto text-white">
+      <div className="sticky top-0 bg-gray-900 border-b border-gray-700 p-6 flex justify-between items-center">
+        <h2 className="text-xl font-bold flex items-center gap-2">
+          <FolderOpen className="text-green-400" size={22} />
+          Saved Analyses
+        </h2>
+        <button
+          onClick={onClose}
+          title="Close"
+          className="text-gray-400 hover:text-white transition"
+        >
+          <X size={22} />
+        </button>
+      </div>
+
+      <div className="p-6 space-y-6">
+        {storageError && (
+          <div className="p-3 bg-red-500/10 border border-red-500/50 rounded-lg text-sm text-red-300">
+            {storageError}
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <div className="text-sm font-bold text-gray-300">
+            Save the current run
+          </div>
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Analysis name"
+            className={inputClass}
+          />
+          <input
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Revision note (optional)"
+            className={inputClass}
+          />
+          <div className="text-xs text-gray-500">
+            {runSummary(config)}. Saving under an existing name adds a revision
+            to it.
+          </div>
+          {stale && (
+            <div className="text-xs text-yellow-400">
+              The controls have changed since this run. Run the analysis first
+              to save the new settings.
+            </div>
+          )}
+          <button
+            onClick={save}
+            disabled={!name.trim()}
+            className="w-full px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-600 rounded-xl font-bold hover:from-green-600 hover:to-emerald-700 transition text-sm flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Save size={16} />
+            Save Revision
+          </button>
+        </div>
+
+        <div className="flex gap-2 items-center">
+          <label className={`${buttonClass} cursor-pointer`}>
+            <Upload size={14} />
+            Import
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={importFile}
+              className="hidden"
+            />
+          </label>
+          <button
+            onClick={() => onCompare(selected)}
+            disabled={selected.length !== 2}
+            className={buttonClass}
+          >
+            <GitCompare size={14} />
+            Compare Selected ({selected.length}/2)
+          </button>
+        </div>
+        {message && (
+          <div
+            className={`text-sm ${
+              message.error ? "text-red-400" : "text-green-400"
+            }`}
+          >
+            {message.text}
+          </div>
+        )}
+
+        {library.analyses.length === 0 ? (
+          <p className="text-sm text-gray-400">
+            No saved analyses yet. Saved analyses stay in this browser; export
+            one to share it or keep a copy.
+          </p>
+        ) : (
+          <div className="space-y-4">
+            {library.analyses.map((analysis) => (
+              <div
+                key={analysis.id}
+                className="p-4 bg-gray-800/60 rounded-xl border border-gray-700"
+              >
+                <div className="flex justify-between items-start mb-3">
+                  <div>
+                    <div className="font-bold">{analysis.name}</div>
+                    <div className="text-xs text-gray-500">
+                      {analysis.revisions.length} revision
+                      {analysis.revisions.length === 1 ? "" : "s"} · updated{" "}
+                      {formatSavedAt(analysis.updatedAt)}
+                    </div>
+                  </div>
+                  <div className="flex gap-1">
+                    <button
+                      onClick={() =>
+                        downloadJson(
+                          analysisDocument(analysis),
+                          fileName(analysis.name)
+                        )
+                      }
+                      title="Export"
+                      className="p-2 text-gray-400 hover:text-green-400 transition"
+                    >
+                      <Download size={16} />
+                    </button>
+                    <button
+                      onClick={() => remove(analysis)}
+                      title="Delete"
+                      className="p-2 text-gray-400 hover:text-red-400 transition"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </div>
+                <div className="space-y-2">
+                  {analysis.revisions
+                    .map((revision, i) => ({ revision, number: i + 1 }))
+                    .reverse()
+                    .map(({ revision, number }) => (
+                      <div
+                        key={revision.id}
+                        className="flex items-center gap-3 p-2 bg-gray-700/30 rounded-lg text-xs"
+                      >
+                        <input
+                          type="checkbox"
+                          checked={isSelected(analysis.id, revision.id)}
+                          onChange={() => toggle(analysis.id, revision.id)}
+                          title="Select for comparison"
+                          className="accent-green-500"
+                        />
+                        <div className="flex-1 min-w-0">
+                          <div className="text-gray-300">
+                            <span className="font-mono font-bold">
+                              r{number}
+                            </span>{" "}
+                            · {formatSavedAt(revision.savedAt)}
+                            {revision.note && ` · ${revision.note}`}
+                          </div>
+                          <div className="text-gray-500 truncate">
+                            {runSummary(revision.settings)}
+                          </div>
+                          <div className="text-gray-400">
+                            Median ${revision.results.stats.median.toFixed(1)}B
+                            · P(NPV &gt; 0){" "}
+                            {revision.results.stats.positive.toFixed(1)}%
+                          </div>
+                        </div>
+                        <button
+                          onClick={() => onLoad(analysis, revision)}
+                          className="px-2 py-1 rounded-lg bg-gray-700 border border-gray-600 hover:border-green-500 text-gray-300 transition"
+                        >
+                          Load
+                        </button>
+                      </div>
+                    ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LibraryPanel;
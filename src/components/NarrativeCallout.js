@@ -0,0 +1,46 @@
+import React from "react";
+
+// Cautionary and negative callouts override the section's own colour
+const TONES = {
+  caution: {
+    box: "bg-yellow-500/10 border-yellow-500/30",
+    text: "text-yellow-400",
+  },
+  negative: { box: "bg-red-500/10 border-red-500/30", text: "text-red-400" },
+};
+
+const ACCENTS = {
+  green: { box: "bg-green-500/10 border-green-500/30", text: "text-green-400" },
+  blue: { box: "bg-blue-500/10 border-blue-500/30", text: "text-blue-400" },
+};
+
+const NarrativeCallout = ({
+  icon: Icon,
+  title,
+  callout,
+  accent,
+  iconSize = 18,
+}) => {
+  const style = TONES[callout.tone] || ACCENTS[accent];
+  return (
+    <div className={`mt-6 p-4 rounded-xl border ${style.box}`}>
+      <div className="flex items-start gap-3">
+        <Icon className={`${style.text} mt-1`} size={iconSize} />
+        <div className="text-sm">
+          <span className={`font-bold ${style.text}`}>{title}</span>{" "}
+          {callout.parts.map((part, i) =>
+            typeof part === "string" ? (
+              part
+            ) : (
+              <span key={i} className="font-bold text-white">
+                {part.value}
+              </span>
+            )
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NarrativeCallout;
@@ -0,0 +1,118 @@
+import React, { useState } from "react";
+import { RotateCcw } from "lucide-react";
+import NumberField from "./NumberField";
+import {
+  NARRATIVE_THRESHOLDS,
+  RATING_LIMITS,
+  THRESHOLD_BANDS,
+  setThreshold,
+  validateThresholds,
+} from "../lib/narrative";
+
+// Bands the callouts and the rating tiers are picked from
+const NarrativeThresholds = ({ thresholds, onChange }) => {
+  // Edits stay local until the thresholds are valid again
+  const [draft, setDraft] = useState(thresholds);
+  const errors = validateThresholds(draft);
+  const update = (next) => {
+    setDraft(next);
+    if (Object.keys(validateThresholds(next)).length === 0) onChange(next);
+  };
+  const field = (path, value) => (
+    <NumberField
+      value={value}
+      onChange={(v) => update(setThreshold(draft, path, v))}
+      error={errors[path]}
+      step={0.01}
+      className="w-20"
+    />
+  );
+
+  return (
+    <div className="mt-6 pt-6 border-t border-gray-700 text-left text-sm">
+      <div className="grid grid-cols-2 gap-8">
+        <div>
+          <h3 className="font-bold text-gray-300 mb-2">Callout bands</h3>
+          <table className="w-full">
+            <tbody>
+              {THRESHOLD_BANDS.map(({ key, label, fields }) => (
+                <tr key={key} className="border-t border-gray-700/60">
+                  <td className="py-1.5 pr-3 text-gray-400">{label}</td>
+                  <td className="py-1.5">
+                    <div className="flex items-center gap-2">
+                      {fields
+                        ? fields.map((f) => (
+                            <label
+                              key={f}
+                              className="flex items-center gap-1 text-xs text-gray-500"
+                            >
+                              {f}
+                              {field(`${key}.${f}`, draft[key][f])}
+                            </label>
+                          ))
+                        : field(key, draft[key])}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div>
+          <h3 className="font-bold text-gray-300 mb-2">Rating tiers</h3>
+          <p className="text-xs text-gray-500 mb-2">
+            The first tier whose every limit is met applies; a dash means the
+            tier sets no limit.
+          </p>
+          <table className="w-full">
+            <thead>
+              <tr className="text-xs text-gray-500">
+                <th className="text-left font-normal pb-1">Tier</th>
+                {RATING_LIMITS.map(({ key, label }) => (
+                  <th key={key} className="text-right font-normal pb-1 pl-2">
+                    {label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {draft.ratings.map((tier, i) => (
+                <tr key={tier.label} className="border-t border-gray-700/60">
+                  <td className="py-1.5 pr-2 text-gray-400">{tier.label}</td>
+                  {RATING_LIMITS.map(({ key }) => (
+                    <td key={key} className="py-1.5 pl-2 text-right">
+                      {tier[key] !== undefined ? (
+                        <div className="flex justify-end">
+                          {field(`ratings.${i}.${key}`, tier[key])}
+                        </div>
+                      ) : (
+                        <span className="text-gray-600">—</span>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="flex items-center gap-3 mt-3">
+        <button
+          onClick={() => update(NARRATIVE_THRESHOLDS)}
+          className="px-3 py-1.5 bg-gray-700 rounded-lg border border-gray-600 hover:border-green-500 transition flex items-center gap-2 text-sm text-gray-300"
+        >
+          <RotateCcw size={14} />
+          Reset thresholds
+        </button>
+        {Object.keys(errors).length > 0 && (
+          <span className="text-sm text-red-400">
+            {Object.values(errors)[0]}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NarrativeThresholds;
@@ -0,0 +1,34 @@
+import React, { useEffect, useState } from "react";
+
+// Keeps the typed text locally and only reports finite numbers upward, so a
+// half-typed "0." or an empty box never reaches the simulation
+const NumberField = ({ value, onChange, error, step = "any", className }) => {
+  const [text, setText] = useState(String(value));
+
+  useEffect(() => {
+    setText((prev) => (Number(prev) === value ? prev : String(value)));
+  }, [value]);
+
+  const invalid = text.trim() === "" || !Number.isFinite(Number(text));
+
+  return (
+    <input
+      type="number"
+      step={step}
+      value={text}
+      title={invalid ? "Enter a number" : error}
+      onChange={(e) => {
+        setText(e.target.value);
+        const n = Number(e.target.value);
+        if (e.target.value.trim() !== "" && Number.isFinite(n)) onChange(n);
+      }}
+      className={`bg-gray-900/60 text-white px-2 py-1 rounded border font-mono text-sm focus:outline-none ${
+        invalid || error
+          ? "border-red-500 focus:border-red-400"
+          : "border-gray-600 focus:border-green-500"
+      } ${className || "w-full"}`}
+    />
+  );
+};
+
+export default NumberField;
@@ -0,0 +1,458 @@
+import React from "react";
+import {
+  AreaChart,
+  Area,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { GitBranch, Loader2, Play, Plus, Trash2 } from "lucide-react";
+import NumberField from "./NumberField";
+import SeedTag from "./SeedTag";
+import { START_YEAR } from "../lib/model";
+import {
+  DECISIONS,
+  DEFAULT_GATE,
+  DEFAULT_PLAN,
+  GATE_TRIGGERS,
+  committedCapital,
+  validatePlan,
+  valuationMatches,
+} from "../lib/options";
+
+const DECISION_COLORS = {
+  continue: "#3b82f6",
+  expand: "#10b981",
+  abandon: "#ef4444",
+  notReached: "#4b5563",
+};
+
+const tooltipStyle = {
+  backgroundColor: "#1f2937",
+  border: "1px solid #374151",
+  borderRadius: "8px",
+};
+
+const GATE_FIELDS = [
+  { field: "amount", label: "Tranche $B" },
+  { field: "abandonBelow", label: "Abandon below" },
+  { field: "expandAbove", label: "Expand at/above" },
+  { field: "expandBy", label: "Expand by (0-1)" },
+  { field: "expandCost", label: "Expand cost $B" },
+  { field: "salvage", label: "Salvage (0-1)" },
+];
+
+const money = (v) => `$${v.toFixed(1)}B`;
+
+// The plan and its valuation live in the dashboard, so they outlast a visit
+// to the printable report
+const OptionsSection = ({ config, plan, onPlanChange, valuation }) => {
+  const { run, status, progress, result, error } = valuation;
+  const running = status === "running";
+  const { horizon, investment } = config.assumptions;
+  const errors = validatePlan(plan, horizon);
+  const invalid = Object.keys(errors).length > 0;
+  const options = result && result.options;
+  const outdated = !!result && !valuationMatches(result.config, plan, config);
+
+  const setGate = (i, field, value) =>
+    onPlanChange({
+      ...plan,
+      gates: plan.gates.map((gate, j) =>
+        j === i ? { ...gate, [field]: value } : gate
+      ),
+    });
+  const lastYear = START_YEAR + horizon - 1;
+  const freeYear = Array.from(
+    { length: horizon - 1 },
+    (_, t) => START_YEAR + 1 + t
+  ).find((year) => !plan.gates.some((gate) => gate.year === year));
+
+  const value = () =>
+    run({
+      plan,
+      assumptions: config.assumptions,
+      scenario: config.scenario,
+      seed: config.seed,
+      iterations: config.iterations,
+      sampling: config.sampling,
+    });
+
+  return (
+    <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold flex items-center gap-3">
+          <GitBranch className="text-green-400" size={28} />
+          Staged Investment &amp; Real Options
+          {result && <SeedTag seed={result.config.seed} />}
+        </h2>
+        <button
+          onClick={value}
+          disabled={running || invalid}
+          className="px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-600 rounded-xl font-bold hover:from-green-600 hover:to-emerald-700 transition flex items-center gap-2 text-sm disabled:opacity-60"
+        >
+          {running ? (
+            <Loader2 className="animate-spin" size={16} />
+          ) : (
+            <Play size={16} />
+          )}
+          {running
+            ? `Valuing… ${(progress * 100).toFixed(0)}%`
+            : "Value Options"}
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-400 mb-4">
+        The capital goes in as tranches. At each gate the program is abandoned
+        (recovering the salvage share of the capital invested so far) when the
+        trigger is below its abandon threshold, expanded (paying the expansion
+        cost and scaling every later cash flow) when it is at or above the
+        expand threshold, and otherwise continued. The realised market share
+        moves around each draw's share from year to year, and cash flows follow
+        it. A gate reads the share or revenue of the year before it opens and
+        cannot see how the share moves afterwards, so it can abandon a program
+        that would have recovered or expand one that then fades.
+      </p>
+
+      <div className="flex items-center gap-3 text-sm text-gray-300 mb-3">
+        First tranche ({START_YEAR}, committed) $B
+        <NumberField
+          value={plan.upfront}
+          onChange={(v) => onPlanChange({ ...plan, upfront: v })}
+          error={errors.upfront}
+          className="w-24"
+        />
+        <span className="ml-4">Share volatility (per year)</span>
+        <NumberField
+          value={plan.volatility}
+          onChange={(v) => onPlanChange({ ...plan, volatility: v })}
+          error={errors.volatility}
+          className="w-20"
+        />
+        <span
+          className={`ml-auto text-xs ${
+            Math.abs(committedCapital(plan) - investment) < 1e-9
+              ? "text-gray-500"
+              : "text-yellow-400"
+          }`}
+        >
+          Tranches total {money(committedCapital(plan))} against the{" "}
+          {money(investment)} up-front investment
+        </span>
+      </div>
+
+      <table className="w-full text-sm mb-3">
+        <thead>
+          <tr className="text-gray-400 text-xs">
+            <th className="text-left pb-2">Gate year</th>
+            <th className="text-left pb-2">Trigger</th>
+            {GATE_FIELDS.map(({ field, label }) => (
+              <th key={field} className="text-left pb-2">
+                {label}
+              </th>
+            ))}
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {plan.gates.map((gate, i) => (
+            <tr key={i} className="border-t border-gray-700">
+              <td className="py-2 pr-2">
+                <NumberField
+                  value={gate.year}
+                  onChange={(v) => setGate(i, "year", v)}
+                  error={errors[`gates.${i}.year`]}
+                  step={1}
+                  className="w-20"
+                />
+              </td>
+              <td className="py-2 pr-2">
+                <select
+                  value={gate.trigger}
+                  onChange={(e) => setGate(i, "trigger", e.target.value)}
+                  className="bg-gray-900/60 text-white text-xs px-2 py-1 rounded border border-gray-600 focus:border-green-500 focus:outline-none"
+                >
+                  {Object.entries(GATE_TRIGGERS).map(([key, trigger]) => (
+                    <option key={key} value={key}>
+                      {trigger.label}
+                    </option>
+                  ))}
+                </select>
+              </td>
+              {GATE_FIELDS.map(({ field }) => (
+                <td key={field} className="py-2 pr-2">
+                  <NumberField
+                    value={gate[field]}
+                    onChange={(v) => setGate(i, field, v)}
+                    error={errors[`gates.${i}.${field}`]}
+                    className="w-20"
+                  />
+                </td>
+              ))}
+              <td className="py-2 text-right">
+                <button
+                  onClick={() =>
+                    onPlanChange({
+                      ...plan,
+                      gates: plan.gates.filter((_, j) => j !== i),
+                    })
+                  }
+                  title="Remove gate"
+                  className="p-2 text-gray-400 hover:text-red-400 transition"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex items-center gap-4 mb-6">
+        <button
+          onClick={() =>
+            onPlanChange({
+              ...plan,
+              gates: [...plan.gates, { ...DEFAULT_GATE, year: freeYear }],
+            })
+          }
+          disabled={freeYear === undefined}
+          className="px-3 py-1.5 bg-gray-700 rounded-lg border border-gray-600 hover:border-green-500 transition flex items-center gap-2 text-sm text-gray-300 disabled:opacity-50"
+        >
+          <Plus size={14} />
+          Add Gate
+        </button>
+        <button
+          onClick={() => onPlanChange(DEFAULT_PLAN)}
+          className="text-sm text-gray-400 hover:text-green-400 transition"
+        >
+          Reset plan
+        </button>
+        {invalid && (
+          <span className="text-sm text-red-400">
+            {Object.values(errors)[0]}
+          </span>
+        )}
+        {!invalid && plan.gates.length > 0 && (
+          <span className="text-xs text-gray-500">
+            Gates can open from {START_YEAR + 1} to {lastYear}
+          </span>
+        )}
+      </div>
+
+      {error && <div className="text-sm text-red-400 mb-4">{error}</div>}
+      {outdated && (
+        <div className="text-sm text-yellow-300 mb-4">
+          The plan or the model has changed since this valuation. Press Value
+          Options to refresh it.
+        </div>
+      )}
+
+      {options ? (
+        <>
+          <div className="grid grid-cols-4 gap-4 mb-6">
+            <div className="p-4 bg-gray-700/30 rounded-xl border border-gray-600">
+              <div className="text-xs text-gray-400">
+                Static NPV (every tranche paid)
+              </div>
+              <div className="text-3xl font-bold">
+                {money(options.static.mean)}
+              </div>
+              <div className="text-xs text-gray-400 mt-1">
+                Mean • P10 {money(options.static.p10)} – P90{" "}
+                {money(options.static.p90)}
+              </div>
+            </div>
+            <div className="p-4 bg-green-500/10 rounded-xl border border-green-500/40">
+              <div className="text-xs text-gray-400">Option-adjusted NPV</div>
+              <div className="text-3xl font-bold text-green-400">
+                {money(options.flexible.mean)}
+              </div>
+              <div className="text-xs text-gray-400 mt-1">
+                Mean • P10 {money(options.flexible.p10)} – P90{" "}
+                {money(options.flexible.p90)}
+              </div>
+            </div>
+            <div
+              className={`p-4 rounded-xl border ${
+                options.flexibility >= 0
+                  ? "bg-blue-500/10 border-blue-500/40"
+                  : "bg-red-500/10 border-red-500/40"
+              }`}
+            >
+              <div className="text-xs text-gray-400">Value of flexibility</div>
+              <div
+                className={`text-3xl font-bold ${
+                  options.flexibility >= 0 ? "text-blue-400" : "text-red-400"
+                }`}
+              >
+                {options.flexibility >= 0 ? "+" : "−"}
+                {money(Math.abs(options.flexibility))}
+              </div>
+              <div className="text-xs text-gray-400 mt-1">
+                Gates add value in {options.better.toFixed(1)}% of draws and
+                cost value in {options.worse.toFixed(1)}%
+              </div>
+            </div>
+            <div className="p-4 bg-gray-700/30 rounded-xl border border-gray-600">
+              <div className="text-xs text-gray-400">
+                Up-front NPV (dashboard)
+              </div>
+              <div className="text-3xl font-bold">
+                {money(options.upfrontNpv.mean)}
+              </div>
+              <div className="text-xs text-gray-400 mt-1">
+                Mean with all {money(investment)} committed in {START_YEAR}
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-8">
+            <div>
+              <h3 className="font-bold text-gray-300 mb-3">
+                NPV with and without the gates
+              </h3>
+              <ResponsiveContainer width="100%" height={280}>
+                <AreaChart
+                  data={options.histogram}
+                  margin={{ top: 10, right: 20, bottom: 10, left: 10 }}
+                >
+                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                  <XAxis
+                    dataKey="x"
+                    type="number"
+                    domain={["dataMin", "dataMax"]}
+                    stroke="#9ca3af"
+                    tickFormatter={(v) => `$${v.toFixed(0)}B`}
+                  />
+                  <YAxis
+                    stroke="#9ca3af"
+                    tickFormatter={(v) => `${v.toFixed(0)}%`}
+                  />
+                  <Tooltip
+                    contentStyle={tooltipStyle}
+                    formatter={(v) => `${v.toFixed(2)}%`}
+                    labelFormatter={(v) => `≈ ${money(v)}`}
+                  />
+                  <Legend />
+                  <Area
+                    type="monotone"
+                    dataKey="static"
+                    name="Static"
+                    stroke="#9ca3af"
+                    fill="#9ca3af"
+                    fillOpacity={0.25}
+                    isAnimationActive={false}
+                  />
+                  <Area
+                    type="monotone"
+                    dataKey="flexible"
+                    name="Option-adjusted"
+                    stroke="#10b981"
+                    fill="#10b981"
+                    fillOpacity={0.3}
+                    isAnimationActive={false}
+                  />
+                </AreaChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div>
+              <h3 className="font-bold text-gray-300 mb-3">
+                How often each decision fires
+              </h3>
+              {options.gates.length > 0 ? (
+                <>
+                  <ResponsiveContainer width="100%" height={200}>
+                    <BarChart
+                      data={options.gates}
+                      layout="vertical"
+                      margin={{ top: 10, right: 20, bottom: 10, left: 10 }}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                      <XAxis
+                        type="number"
+                        domain={[0, 100]}
+                        stroke="#9ca3af"
+                        tickFormatter={(v) => `${v}%`}
+                      />
+                      <YAxis
+                        type="category"
+                        dataKey="year"
+                        stroke="#9ca3af"
+                        width={50}
+                      />
+                      <Tooltip
+                        contentStyle={tooltipStyle}
+                        formatter={(v) => `${v.toFixed(1)}%`}
+                        labelFormatter={(year) => `Gate ${year}`}
+                      />
+                      <Legend />
+                      {DECISIONS.map(({ key, label }) => (
+                        <Bar
+                          key={key}
+                          dataKey={key}
+                          name={label}
+                          stackId="decisions"
+                          fill={DECISION_COLORS[key]}
+                          isAnimationActive={false}
+                        />
+                      ))}
+                    </BarChart>
+                  </ResponsiveContainer>
+                  <table className="w-full text-xs mt-2">
+                    <thead>
+                      <tr className="text-gray-400">
+                        <th className="text-left pb-1">Gate</th>
+                        {DECISIONS.map(({ key, label }) => (
+                          <th key={key} className="text-right pb-1">
+                            {label}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="font-mono">
+                      {options.gates.map((gate) => (
+                        <tr
+                          key={gate.year}
+                          className="border-t border-gray-700"
+                        >
+                          <td className="py-1 font-sans">
+                            {gate.year} ({GATE_TRIGGERS[gate.trigger].label})
+                          </td>
+                          {DECISIONS.map(({ key }) => (
+                            <td key={key} className="text-right">
+                              {gate[key].toFixed(1)}%
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
+              ) : (
+                <div className="text-sm text-gray-400">
+                  No gates: the tranches are paid on a fixed schedule, so the
+                  option-adjusted and static NPV are the same.
+                </div>
+              )}
+            </div>
+          </div>
+        </>
+      ) : (
+        !running && (
+          <div className="text-sm text-gray-400">
+            Press Value Options to value this plan on the current run's draws.
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default OptionsSection;
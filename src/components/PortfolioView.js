@@ -0,0 +1,649 @@
+import React, { useMemo, useState } from "react";
+import {
+  AreaChart,
+  Area,
+  BarChart,
+  Bar,
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  ZAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  ReferenceLine,
+} from "recharts";
+import {
+  AlertTriangle,
+  ArrowLeft,
+  Briefcase,
+  Loader2,
+  Play,
+  Plus,
+  Sliders,
+  Trash2,
+} from "lucide-react";
+import AssumptionsPanel from "./AssumptionsPanel";
+import NumberField from "./NumberField";
+import SeedTag from "./SeedTag";
+import { DEFAULT_ASSUMPTIONS, validateAssumptions } from "../lib/assumptions";
+import { setCorrelation } from "../lib/correlation";
+import {
+  MAX_PROJECTS,
+  addProject,
+  capitalUsed,
+  newProjectId,
+  portfolioStats,
+  removeProject,
+  setProject,
+  simulationMatches,
+  validatePortfolio,
+} from "../lib/portfolio";
+import { confidenceLabel } from "../lib/risk";
+
+const PROJECT_COLORS = [
+  "#10b981",
+  "#3b82f6",
+  "#f59e0b",
+  "#8b5cf6",
+  "#ef4444",
+  "#06b6d4",
+  "#ec4899",
+  "#84cc16",
+];
+
+const tooltipStyle = {
+  backgroundColor: "#1f2937",
+  border: "1px solid #374151",
+  borderRadius: "8px",
+};
+
+const money = (v) => `$${v.toFixed(1)}B`;
+
+const PortfolioView = ({
+  portfolio,
+  onChange,
+  config,
+  confidence,
+  simulation,
+  onClose,
+}) => {
+  const [editing, setEditing] = useState(null);
+  const { run, status, progress, result, error } = simulation;
+  const running = status === "running";
+  const { projects } = portfolio;
+  const errors = validatePortfolio(portfolio);
+  const invalid = Object.keys(errors).length > 0;
+  const capital = capitalUsed(portfolio);
+  const overBudget = capital > portfolio.budget + 1e-9;
+
+  const simulate = () =>
+    run({
+      portfolio,
+      confidence,
+      seed: config.seed,
+      iterations: config.iterations,
+      sampling: config.sampling,
+    });
+
+  const joint = result && result.portfolio;
+  // Results stay usable while only funding or names have changed
+  const usable =
+    !!joint &&
+    result.config.portfolio.projects.length === projects.length &&
+    result.config.confidence === confidence;
+  const outdated =
+    !!result &&
+    !simulationMatches(result.config, portfolio, confidence, config);
+
+  const funding = projects.map((p) => p.funding);
+  const fundingKey = funding.join(",");
+  const stats = useMemo(
+    () =>
+      usable &&
+      portfolioStats(
+        joint.columns,
+        fundingKey.split(",").map(Number),
+        confidence
+      ),
+    [usable, joint, fundingKey, confidence]
+  );
+
+  const applyFunding = (levels) =>
+    onChange({
+      ...portfolio,
+      projects: projects.map((p, i) => ({ ...p, funding: levels[i] })),
+    });
+
+  const editedProject = editing !== null && projects[editing];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-850 to-black text-white p-8">
+      <div className="max-w-7xl mx-auto space-y-8">
+        <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
+          <div className="flex justify-between items-center mb-6">
+            <div>
+              <button
+                onClick={onClose}
+                className="flex items-center gap-2 text-sm text-gray-400 hover:text-green-400 transition mb-2"
+              >
+                <ArrowLeft size={16} />
+                Back to Dashboard
+              </button>
+              <h1 className="text-4xl font-bold bg-gradient-to-r from-green-400 to-emerald-600 bg-clip-text text-transparent flex items-center gap-3">
+                <Briefcase className="text-green-400" size={36} />
+                Green AI Portfolio
+              </h1>
+              <p className="text-gray-400 mt-2 text-sm">
+                {projects.length} projects •{" "}
+                {config.iterations.toLocaleString()} joint iterations •{" "}
+                {confidenceLabel(confidence)} CVaR
+                {joint && <SeedTag seed={result.config.seed} />}
+              </p>
+            </div>
+            <button
+              onClick={simulate}
+              disabled={running || invalid}
+              className="px-6 py-3 bg-gradient-to-r from-green-500 to-emerald-600 rounded-xl font-bold hover:from-green-600 hover:to-emerald-700 transition flex items-center gap-2 disabled:opacity-60"
+            >
+              {running ? (
+                <Loader2 className="animate-spin" size={18} />
+              ) : (
+                <Play size={18} />
+              )}
+              {running
+                ? `Simulating… ${(progress * 100).toFixed(0)}%`
+                : "Simulate Portfolio"}
+            </button>
+          </div>
+
+          <div className="flex items-center gap-3 text-sm text-gray-300 mb-4">
+            Capital budget $B
+            <NumberField
+              value={portfolio.budget}
+              onChange={(v) => onChange({ ...portfolio, budget: v })}
+              error={errors.budget}
+              className="w-24"
+            />
+            <span
+              className={`ml-auto ${
+                overBudget ? "text-yellow-400" : "text-gray-400"
+              }`}
+            >
+              Funding uses {money(capital)} of the {money(portfolio.budget)}{" "}
+              budget
+            </span>
+          </div>
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-gray-400 text-xs">
+                <th className="text-left pb-2">Project</th>
+                <th className="text-right pb-2">Full investment</th>
+                <th className="text-right pb-2">Funding (0-1)</th>
+                <th className="text-right pb-2">Capital</th>
+                <th className="text-right pb-2">Mean NPV contribution</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {projects.map((p, i) => (
+                <tr key={p.id} className="border-t border-gray-700">
+                  <td className="py-2 pr-3">
+                    <input
+                      value={p.name}
+                      onChange={(e) =>
+                        onChange(
+                          setProject(portfolio, i, { name: e.target.value })
+                        )
+                      }
+                      className={`w-full bg-gray-900/60 text-white px-2 py-1 rounded border focus:outline-none ${
+                        errors[`projects.${i}.name`]
+                          ? "border-red-500"
+                          : "border-gray-600 focus:border-green-500"
+                      }`}
+                      style={{ color: PROJECT_COLORS[i] }}
+                    />
+                  </td>
+                  <td className="py-2 text-right font-mono">
+                    {money(p.assumptions.investment)}
+                  </td>
+                  <td className="py-2 pl-3">
+                    <NumberField
+                      value={p.funding}
+                      onChange={(v) =>
+                        onChange(setProject(portfolio, i, { funding: v }))
+                      }
+                      error={errors[`projects.${i}.funding`]}
+                      className="w-20 ml-auto block"
+                    />
+                  </td>
+                  <td className="py-2 text-right font-mono">
+                    {money(p.funding * p.assumptions.investment)}
+                  </td>
+                  <td className="py-2 text-right font-mono">
+                    {stats ? money(stats.contributions[i].mean) : "—"}
+                  </td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <button
+                      onClick={() => setEditing(i)}
+                      title="Edit assumptions"
+                      className={`p-2 transition ${
+                        errors[`projects.${i}.assumptions`]
+                          ? "text-red-400"
+                          : "text-gray-400 hover:text-green-400"
+                      }`}
+                    >
+                      <Sliders size={16} />
+                    </button>
+                    <button
+                      onClick={() => onChange(removeProject(portfolio, i))}
+                      disabled={projects.length === 1}
+                      title="Remove project"
+                      className="p-2 text-gray-400 hover:text-red-400 transition disabled:opacity-40"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="flex items-center gap-4 mt-3">
+            <button
+              onClick={() =>
+                onChange(
+                  addProject(portfolio, {
+                    id: newProjectId(),
+                    name: `Project ${projects.length + 1}`,
+                    funding: 0,
+                    assumptions: DEFAULT_ASSUMPTIONS,
+                  })
+                )
+              }
+              disabled={projects.length >= MAX_PROJECTS}
+              className="px-3 py-1.5 bg-gray-700 rounded-lg border border-gray-600 hover:border-green-500 transition flex items-center gap-2 text-sm text-gray-300 disabled:opacity-50"
+            >
+              <Plus size={14} />
+              Add Project
+            </button>
+            {invalid && (
+              <span className="text-sm text-red-400">
+                {Object.values(errors)[0]}
+              </span>
+            )}
+          </div>
+
+          <div className="mt-6">
+            <h3 className="font-bold text-gray-300 mb-2">
+              Cross-project correlation
+            </h3>
+            <p className="text-xs text-gray-500 mb-3">
+              Each project is simulated on its own assumptions; the runs are
+              then joined through a Gaussian copula whose normal scores carry
+              these correlations. They set how project NPVs rank together; the
+              realised Pearson correlation of the NPVs is shown alongside.
+            </p>
+            <table className="text-sm">
+              <tbody>
+                {projects.map((row, i) => (
+                  <tr key={row.id}>
+                    <td
+                      className="pr-3 py-1 text-xs"
+                      style={{ color: PROJECT_COLORS[i] }}
+                    >
+                      {row.name}
+                    </td>
+                    {projects.map((col, j) => (
+                      <td key={col.id} className="px-1 py-1">
+                        {j > i ? (
+                          <NumberField
+                            value={portfolio.correlation[i][j]}
+                            onChange={(v) =>
+                              onChange({
+                                ...portfolio,
+                                correlation: setCorrelation(
+                                  portfolio.correlation,
+                                  i,
+                                  j,
+                                  v
+                                ),
+                              })
+                            }
+                            error={errors.correlation}
+                            className="w-16"
+                          />
+                        ) : (
+                          <div className="w-16 text-center font-mono text-gray-500">
+                            {portfolio.correlation[i][j].toFixed(2)}
+                          </div>
+                        )}
+                      </td>
+                    ))}
+                    {usable && (
+                      <td className="pl-4 text-xs text-gray-500 font-mono">
+                        realised{" "}
+                        {joint.realized[i]
+                          .filter((_, j) => j !== i)
+                          .map((rho) => rho.toFixed(2))
+                          .join(" / ")}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {error && <div className="text-sm text-red-400">{error}</div>}
+        {outdated && (
+          <div className="p-3 bg-yellow-500/10 rounded-xl border border-yellow-500/30 text-sm text-yellow-300 flex items-center gap-2">
+            <AlertTriangle size={16} />
+            Projects, correlations, budget or run settings have changed. Press
+            Simulate Portfolio to update the figures below.
+          </div>
+        )}
+
+        {stats ? (
+          <>
+            <div className="grid grid-cols-4 gap-4">
+              {[
+                [
+                  "Portfolio mean NPV",
+                  money(stats.mean),
+                  `P10 ${money(stats.p10)} – P90 ${money(stats.p90)}`,
+                ],
+                [
+                  "Median NPV",
+                  money(stats.median),
+                  `Std dev ${money(stats.std)}`,
+                ],
+                [
+                  `CVaR (${confidenceLabel(confidence)})`,
+                  money(stats.cvar),
+                  `Worst-tail mean ${money(stats.risk.tailMean)}`,
+                ],
+                [
+                  "P(portfolio loss)",
+                  `${stats.risk.probLoss.toFixed(1)}%`,
+                  `Expected shortfall ${money(stats.risk.expectedShortfall)}`,
+                ],
+              ].map(([label, value, detail]) => (
+                <div
+                  key={label}
+                  className="bg-gray-800/80 rounded-xl p-6 border border-gray-700"
+                >
+                  <div className="text-sm text-gray-400">{label}</div>
+                  <div className="text-3xl font-bold mt-1">{value}</div>
+                  <div className="text-xs text-gray-400 mt-2">{detail}</div>
+                </div>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-2 gap-8">
+              <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
+                <h2 className="text-2xl font-bold mb-6">
+                  Aggregate NPV Distribution
+                </h2>
+                <ResponsiveContainer width="100%" height={300}>
+                  <AreaChart
+                    data={stats.histogram}
+                    margin={{ top: 10, right: 20, bottom: 10, left: 10 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                    <XAxis
+                      dataKey="x"
+                      type="number"
+                      domain={["dataMin", "dataMax"]}
+                      stroke="#9ca3af"
+                      tickFormatter={(v) => `$${v.toFixed(0)}B`}
+                    />
+                    <YAxis
+                      stroke="#9ca3af"
+                      tickFormatter={(v) => `${v.toFixed(0)}%`}
+                    />
+                    <Tooltip
+                      contentStyle={tooltipStyle}
+                      formatter={(v) => [`${v.toFixed(2)}%`, "Share of draws"]}
+                      labelFormatter={(v) => `≈ ${money(v)}`}
+                    />
+                    <Area
+                      type="monotone"
+                      dataKey="y"
+                      stroke="#10b981"
+                      fill="#10b981"
+                      fillOpacity={0.3}
+                      isAnimationActive={false}
+                    />
+                    {["p10", "median", "p90"].map((key) => (
+                      <ReferenceLine
+                        key={key}
+                        x={stats[key]}
+                        stroke="#9ca3af"
+                        strokeDasharray="4 4"
+                      />
+                    ))}
+                  </AreaChart>
+                </ResponsiveContainer>
+              </div>
+
+              <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
+                <h2 className="text-2xl font-bold mb-6">
+                  Contribution to Risk
+                </h2>
+                <ResponsiveContainer width="100%" height={220}>
+                  <BarChart
+                    data={projects.map((p, i) => ({
+                      name: p.name,
+                      std:
+                        stats.std > 0
+                          ? (stats.contributions[i].std / stats.std) * 100
+                          : 0,
+                      cvar:
+                        stats.cvar > 0
+                          ? (stats.contributions[i].cvar / stats.cvar) * 100
+                          : 0,
+                    }))}
+                    margin={{ top: 10, right: 20, bottom: 10, left: 10 }}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                    <XAxis
+                      dataKey="name"
+                      stroke="#9ca3af"
+                      tick={{ fontSize: 11 }}
+                    />
+                    <YAxis
+                      stroke="#9ca3af"
+                      tickFormatter={(v) => `${v.toFixed(0)}%`}
+                    />
+                    <Tooltip
+                      contentStyle={tooltipStyle}
+                      formatter={(v) => `${v.toFixed(1)}%`}
+                    />
+                    <Legend />
+                    <Bar
+                      dataKey="std"
+                      name="Share of std dev"
+                      fill="#3b82f6"
+                      isAnimationActive={false}
+                    />
+                    <Bar
+                      dataKey="cvar"
+                      name="Share of CVaR"
+                      fill="#ef4444"
+                      isAnimationActive={false}
+                    />
+                  </BarChart>
+                </ResponsiveContainer>
+                <table className="w-full text-xs mt-3">
+                  <thead>
+                    <tr className="text-gray-400">
+                      <th className="text-left pb-1">Project</th>
+                      <th className="text-right pb-1">Mean</th>
+                      <th className="text-right pb-1">Std dev</th>
+                      <th className="text-right pb-1">CVaR</th>
+                    </tr>
+                  </thead>
+                  <tbody className="font-mono">
+                    {projects.map((p, i) => (
+                      <tr key={p.id} className="border-t border-gray-700">
+                        <td
+                          className="py-1 font-sans"
+                          style={{ color: PROJECT_COLORS[i] }}
+                        >
+                          {p.name}
+                        </td>
+                        <td className="text-right">
+                          {money(stats.contributions[i].mean)}
+                        </td>
+                        <td className="text-right">
+                          {money(stats.contributions[i].std)}
+                        </td>
+                        <td className="text-right">
+                          {money(stats.contributions[i].cvar)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="text-xs text-gray-500 mt-2">
+                  Euler allocations: each project's covariance with the total,
+                  and its average shortfall below its own mean in the
+                  portfolio's worst {confidenceLabel(1 - confidence)}. Both add
+                  up to the portfolio figure.
+                </div>
+              </div>
+            </div>
+
+            <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
+              <h2 className="text-2xl font-bold mb-2">
+                Mean / CVaR Efficient Frontier
+              </h2>
+              <p className="text-sm text-gray-400 mb-6">
+                Every funding mix on a {joint.frontier.steps}-step grid that
+                fits the {money(result.config.portfolio.budget)} budget, valued
+                on {joint.frontier.sampleSize.toLocaleString()} of the joint
+                draws. CVaR is how far the worst{" "}
+                {confidenceLabel(1 - confidence)} of outcomes falls below the
+                mean. Click a frontier point to apply its funding.
+              </p>
+              <ResponsiveContainer width="100%" height={380}>
+                <ScatterChart
+                  margin={{ top: 10, right: 30, bottom: 30, left: 20 }}
+                >
+                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                  <XAxis
+                    dataKey="cvar"
+                    type="number"
+                    name="CVaR"
+                    stroke="#9ca3af"
+                    tickFormatter={(v) => `$${v.toFixed(0)}B`}
+                    label={{
+                      value: `CVaR (${confidenceLabel(confidence)}), $B`,
+                      position: "insideBottom",
+                      offset: -15,
+                      fill: "#9ca3af",
+                    }}
+                  />
+                  <YAxis
+                    dataKey="mean"
+                    type="number"
+                    name="Mean NPV"
+                    stroke="#9ca3af"
+                    tickFormatter={(v) => `$${v.toFixed(0)}B`}
+                  />
+                  <ZAxis range={[20, 20]} />
+                  <Tooltip
+                    contentStyle={tooltipStyle}
+                    cursor={{ strokeDasharray: "3 3" }}
+                    content={({ active, payload }) => {
+                      if (!active || !payload || !payload.length) return null;
+                      const point = payload[0].payload;
+                      return (
+                        <div className="p-3 text-xs" style={tooltipStyle}>
+                          <div>
+                            Mean {money(point.mean)} • CVaR {money(point.cvar)}
+                          </div>
+                          {point.funding && (
+                            <div className="mt-1 text-gray-400">
+                              {projects
+                                .map(
+                                  (p, i) =>
+                                    `${p.name} ${(point.funding[i] * 100).toFixed(0)}%`
+                                )
+                                .join(" • ")}
+                            </div>
+                          )}
+                        </div>
+                      );
+                    }}
+                  />
+                  <Legend verticalAlign="top" />
+                  <Scatter
+                    name="Feasible mixes"
+                    data={joint.frontier.points}
+                    fill="#4b5563"
+                    isAnimationActive={false}
+                  />
+                  <Scatter
+                    name="Efficient frontier"
+                    data={joint.frontier.frontier}
+                    fill="#10b981"
+                    line={{ stroke: "#10b981", strokeWidth: 2 }}
+                    onClick={(point) => applyFunding(point.payload.funding)}
+                    className="cursor-pointer"
+                    isAnimationActive={false}
+                  />
+                  <Scatter
+                    name="Current funding"
+                    data={[{ mean: stats.mean, cvar: stats.cvar }]}
+                    fill="#f9fafb"
+                    shape="star"
+                    isAnimationActive={false}
+                  />
+                </ScatterChart>
+              </ResponsiveContainer>
+              {overBudget && (
+                <div className="text-sm text-yellow-300 mt-2">
+                  The current funding is over budget, so it lies outside the
+                  feasible set.
+                </div>
+              )}
+            </div>
+          </>
+        ) : (
+          !running && (
+            <div className="text-sm text-gray-400">
+              Press Simulate Portfolio to run every project jointly.
+            </div>
+          )
+        )}
+      </div>
+
+      {editedProject && (
+        <AssumptionsPanel
+          assumptions={editedProject.assumptions}
+          errors={validateAssumptions(editedProject.assumptions)}
+          initialScenario="all"
+          onChange={(assumptions) =>
+            onChange(setProject(portfolio, editing, { assumptions }))
+          }
+          onReset={() =>
+            onChange(
+              setProject(portfolio, editing, {
+                assumptions: DEFAULT_ASSUMPTIONS,
+              })
+            )
+          }
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PortfolioView;
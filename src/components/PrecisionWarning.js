@@ -0,0 +1,27 @@
+import React from "react";
+import { AlertTriangle } from "lucide-react";
+import { DISPLAY_RESOLUTION } from "../lib/convergence";
+import { ITERATION_OPTIONS } from "../lib/model";
+
+const PrecisionWarning = ({ diagnostics }) => {
+  if (diagnostics.precise) return null;
+  const { widest, requiredIterations } = diagnostics;
+  const suggestion = ITERATION_OPTIONS.find((n) => n >= requiredIterations);
+
+  return (
+    <div className="mt-4 p-3 bg-yellow-500/10 rounded-xl border border-yellow-500/40 text-sm text-yellow-200 flex items-start gap-2">
+      <AlertTriangle className="text-yellow-400 mt-0.5 shrink-0" size={16} />
+      <div>
+        Sample too small for the precision shown: figures are reported to $
+        {DISPLAY_RESOLUTION}B but {widest.label} is only known to ±$
+        {widest.halfWidth.toFixed(2)}B
+        {diagnostics.iidApproximation && " (iid approximation)"}.{" "}
+        {suggestion
+          ? `Run at least ${suggestion.toLocaleString()} iterations to pin down the last digit.`
+          : `About ${requiredIterations.toLocaleString()} iterations would be needed to pin down the last digit.`}
+      </div>
+    </div>
+  );
+};
+
+export default PrecisionWarning;
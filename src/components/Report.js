@@ -0,0 +1,1220 @@
+import React, { useMemo } from "react";
+import {
+  AreaChart,
+  Area,
+  BarChart,
+  Bar,
+  ComposedChart,
+  Line,
+  LineChart,
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  ZAxis,
+  CartesianGrid,
+  Legend,
+  ReferenceLine,
+  Cell,
+  ErrorBar,
+} from "recharts";
+import { ArrowLeft, Printer } from "lucide-react";
+import { scenarioLabel } from "../lib/assumptions";
+import { BOOTSTRAP_RESAMPLES, CI_LEVEL } from "../lib/convergence";
+import { bandColor, bandRangeLabel } from "../lib/density";
+import { DISTRIBUTIONS } from "../lib/distributions";
+import { exceedanceCurves, probabilityAtLeast } from "../lib/exceedance";
+import {
+  SOLVER_INPUTS,
+  formatStatistic,
+  formatUnit,
+  statisticLabel,
+} from "../lib/goalSeek";
+import { DRIVERS, MODEL_SCENARIOS } from "../lib/model";
+import { narrativeText } from "../lib/narrative";
+import { DECISIONS, GATE_TRIGGERS } from "../lib/options";
+import { metricHistogram } from "../lib/returns";
+import { capitalUsed, portfolioStats } from "../lib/portfolio";
+import { confidenceLabel, formatRatio } from "../lib/risk";
+import { SAMPLING_STRATEGIES } from "../lib/sampling";
+import {
+  SWING_PERCENTILES,
+  spider,
+  tornado,
+  varianceContributions,
+} from "../lib/sensitivity";
+
+// Print-optimised memo of the last completed run. Everything here is light
+// on white and sized for an A4 page, independent of the dashboard styling.
+
+const CHART_WIDTH = 680;
+const AXIS = "#6b7280";
+const GRID = "#e5e7eb";
+const SWING = SWING_PERCENTILES[1];
+
+const DRIVER_COLORS = [
+  "#059669",
+  "#2563eb",
+  "#7c3aed",
+  "#d97706",
+  "#dc2626",
+  "#0891b2",
+  "#db2777",
+  "#65a30d",
+  "#ea580c",
+];
+
+const PRINT_CSS = `
+@page { size: A4; margin: 14mm; }
+@media print {
+  html, body { background: #ffffff; }
+  * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+}
+`;
+
+const money = (v, digits = 1) => `$${v.toFixed(digits)}B`;
+
+const Section = ({ title, children, pageBreak }) => (
+  <section
+    className={`mt-8 ${pageBreak ? "break-before-page print:mt-0" : ""}`}
+  >
+    <h2 className="text-xl font-bold text-gray-900 border-b-2 border-green-600 pb-1 mb-4">
+      {title}
+    </h2>
+    {children}
+  </section>
+);
+
+const Figure = ({ title, note, children }) => (
+  <figure className="break-inside-avoid mb-6">
+    <figcaption className="font-semibold text-gray-800 mb-2">
+      {title}
+    </figcaption>
+    {children}
+    {note && <div className="text-xs text-gray-500 mt-1">{note}</div>}
+  </figure>
+);
+
+const Kpi = ({ label, value, detail }) => (
+  <div className="border border-gray-300 rounded-lg p-3 break-inside-avoid">
+    <div className="text-xs uppercase tracking-wide text-gray-500">{label}</div>
+    <div className="text-2xl font-bold text-gray-900">{value}</div>
+    <div className="text-xs text-gray-600 mt-1">{detail}</div>
+  </div>
+);
+
+const Table = ({ head, rows }) => (
+  <table className="w-full text-sm border-collapse break-inside-avoid">
+    <thead>
+      <tr className="border-b border-gray-400 text-left text-gray-600">
+        {head.map((h, i) => (
+          <th key={i} className={`py-1 pr-2 ${i > 0 ? "text-right" : ""}`}>
+            {h}
+          </th>
+        ))}
+      </tr>
+    </thead>
+    <tbody>
+      {rows.map((row, r) => (
+        <tr key={r} className="border-b border-gray-200">
+          {row.map((cell, i) => (
+            <td
+              key={i}
+              className={`py-1 pr-2 ${
+                i > 0 ? "text-right font-mono" : "text-gray-800"
+              }`}
+            >
+              {cell}
+            </td>
+          ))}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const percent = (v) => `${(v * 100).toFixed(1)}%`;
+const years = (v) => `${v.toFixed(2)} yrs`;
+const times = (v) => `${v.toFixed(1)}x`;
+
+// P50 of a return metric, or why it has none
+const medianOf = (summary, format) =>
+  summary.n > 0 ? format(summary.median) : "n/a";
+
+// The category axis only takes bin centres, so a median marks its bin
+const nearestBin = (histogram, v) =>
+  histogram.reduce((best, d) =>
+    Math.abs(d.x - v) < Math.abs(best.x - v) ? d : best
+  ).x;
+
+const RETURN_METRICS = [
+  { key: "irr", title: "IRR", color: "#2563eb", format: percent },
+  {
+    key: "payback",
+    title: "Discounted Payback",
+    color: "#d97706",
+    format: years,
+  },
+  { key: "moic", title: "MOIC", color: "#059669", format: times },
+];
+
+const specSummary = (spec) =>
+  DISTRIBUTIONS[spec.dist].fields.map((f) => `${f} ${spec[f]}`).join(" · ") +
+  (spec.source ? ` (fitted to ${spec.source})` : "");
+
+const Report = ({
+  config,
+  finishedAt,
+  stats,
+  risk,
+  returns,
+  confidence,
+  diagnostics,
+  distribution,
+  trajectory,
+  sortedDrivers,
+  density,
+  bandSummary,
+  scenarios,
+  simulations,
+  narrative,
+  target,
+  aboveTarget,
+  threshold,
+  multiple,
+  options,
+  goalSeek,
+  portfolio,
+  joint,
+  onClose,
+}) => {
+  const { assumptions } = config;
+  const { investment } = assumptions;
+  const tornadoData = useMemo(
+    () => tornado(sortedDrivers, assumptions, SWING),
+    [sortedDrivers, assumptions]
+  );
+  const spiderData = useMemo(
+    () => spider(sortedDrivers, assumptions),
+    [sortedDrivers, assumptions]
+  );
+  const curve = useMemo(
+    () => exceedanceCurves({ run: stats.sortedNpv }),
+    [stats]
+  );
+  const returnHistograms = useMemo(
+    () =>
+      RETURN_METRICS.map(({ key }) =>
+        metricHistogram(returns[key].sorted, simulations.n)
+      ),
+    [returns, simulations]
+  );
+  const contributions = useMemo(
+    () => varianceContributions(simulations),
+    [simulations]
+  );
+
+  const portfolioFunding = useMemo(
+    () =>
+      joint &&
+      portfolioStats(
+        joint.columns,
+        portfolio.projects.map((p) => p.funding),
+        confidence
+      ),
+    [joint, portfolio, confidence]
+  );
+  const goal = goalSeek && goalSeek.config.goal;
+  const solution = goalSeek && goalSeek.solution;
+  const goalInput =
+    goal && SOLVER_INPUTS.find((input) => input.key === goal.input);
+
+  // Margins of error are only an iid approximation outside plain sampling
+  const moe = (key) =>
+    `±${diagnostics.estimates[key].halfWidth.toFixed(2)}${
+      diagnostics.iidApproximation ? " (iid approx.)" : ""
+    }`;
+  const correlated = [];
+  DRIVERS.forEach((a, i) =>
+    DRIVERS.forEach((b, j) => {
+      const rho = assumptions.correlation[i][j];
+      if (j > i && rho !== 0) correlated.push([a.label, b.label, rho]);
+    })
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-100 print:bg-white text-gray-900">
+      <style>{PRINT_CSS}</style>
+
+      <div className="print:hidden sticky top-0 bg-white border-b border-gray-300 shadow-sm">
+        <div className="max-w-[210mm] mx-auto flex justify-between items-center py-3 px-4">
+          <button
+            onClick={onClose}
+            className="flex items-center gap-2 text-sm text-gray-700 hover:text-green-700"
+          >
+            <ArrowLeft size={16} />
+            Back to Dashboard
+          </button>
+          <button
+            onClick={() => window.print()}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg font-semibold flex items-center gap-2 text-sm hover:bg-green-700"
+          >
+            <Printer size={16} />
+            Print / Save as PDF
+          </button>
+        </div>
+      </div>
+
+      <article className="max-w-[210mm] mx-auto bg-white p-10 my-6 shadow print:shadow-none print:my-0 print:p-0">
+        <header className="border-b-4 border-green-600 pb-4">
+          <div className="text-xs uppercase tracking-widest text-green-700 font-semibold">
+            Investment Memo
+          </div>
+          <h1 className="text-3xl font-bold mt-1">
+            NVIDIA Green AI Investment Analytics
+          </h1>
+          <div className="text-sm text-gray-600 mt-2 grid grid-cols-2 gap-x-6">
+            <div>Run completed: {new Date(finishedAt).toLocaleString()}</div>
+            <div>Seed: {config.seed}</div>
+            <div>Iterations: {config.iterations.toLocaleString()}</div>
+            <div>Scenario: {scenarioLabel(config.scenario)}</div>
+            <div>Sampling: {SAMPLING_STRATEGIES[config.sampling].label}</div>
+            <div>
+              Investment: {money(investment)} over {assumptions.horizon} years
+            </div>
+          </div>
+        </header>
+
+        <Section title="Key Figures">
+          <div className="mb-4 p-3 border-l-4 border-green-600 bg-gray-50">
+            <div className="font-bold">Rating: {narrative.rating.label}</div>
+            {narrative.rating.heldBackBy.length > 0 && (
+              <div className="text-xs text-gray-600">
+                Held back by: {narrative.rating.heldBackBy.join("; ")}
+              </div>
+            )}
+            <p className="text-sm text-gray-700 mt-1">
+              {narrativeText(narrative.insight.parts)}
+            </p>
+          </div>
+          <div className="grid grid-cols-3 gap-3">
+            <Kpi
+              label="Median NPV (P50)"
+              value={money(stats.median)}
+              detail={`${moe("median")} · P10 ${money(stats.p10)} – P90 ${money(
+                stats.p90
+              )}`}
+            />
+            <Kpi
+              label="MOIC (P50)"
+              value={medianOf(returns.moic, times)}
+              detail={`On ${money(investment)} invested`}
+            />
+            <Kpi
+              label="IRR (P50)"
+              value={medianOf(returns.irr, percent)}
+              detail={
+                returns.irr.missing > 0
+                  ? `Undefined in ${returns.irr.missing.toLocaleString()} simulations`
+                  : "Defined in every simulation"
+              }
+            />
+            <Kpi
+              label="Discounted Payback (P50)"
+              value={medianOf(returns.payback, years)}
+              detail={
+                returns.payback.missing > 0
+                  ? `Not repaid within ${assumptions.horizon} years in ${returns.payback.missing.toLocaleString()} simulations`
+                  : `Excludes the terminal value`
+              }
+            />
+            <Kpi
+              label="Volatility"
+              value={`${((stats.std / stats.mean) * 100).toFixed(1)}%`}
+              detail={`Std dev ${money(stats.std)}`}
+            />
+            <Kpi
+              label="Success Rate"
+              value={`${(100 - risk.probLoss).toFixed(1)}%`}
+              detail={`P(capital loss) ${risk.probLoss.toFixed(1)}%`}
+            />
+            <Kpi
+              label={`Value at Risk (${confidenceLabel(confidence)})`}
+              value={money(risk.valueAtRisk)}
+              detail={`Expected shortfall ${money(risk.expectedShortfall)}`}
+            />
+            <Kpi
+              label="Mean NPV"
+              value={money(stats.mean)}
+              detail={`${moe("mean")} · SE ${diagnostics.se.toFixed(2)}`}
+            />
+          </div>
+          {!diagnostics.precise && (
+            <p className="text-xs text-amber-700 mt-2">
+              Monte Carlo error: {diagnostics.widest.label} is known to ±$
+              {diagnostics.widest.halfWidth.toFixed(2)}B
+              {diagnostics.iidApproximation && " (iid approximation)"}, so the
+              last digit of the figures above is not reliable at this sample
+              size.
+            </p>
+          )}
+        </Section>
+
+        <Section title="Analytics Summary">
+          <div className="grid grid-cols-2 gap-6">
+            <Table
+              head={["Value", ""]}
+              rows={[
+                ["Investment", money(investment)],
+                ["Min NPV", money(stats.min)],
+                ["Mean NPV", money(stats.mean)],
+                ["Median NPV", money(stats.median)],
+                ["Max NPV", money(stats.max)],
+                ["Positive NPV", `${stats.positive.toFixed(1)}%`],
+                [`NPV > $${target}B`, `${aboveTarget.toFixed(1)}%`],
+                ["Mean MOIC", times(returns.moic.mean)],
+                ["Avg market share", `${stats.avgMs.toFixed(1)}%`],
+                ["Share > 75%", `${stats.msAbove75.toFixed(1)}%`],
+              ]}
+            />
+            <Table
+              head={["Risk", ""]}
+              rows={[
+                [
+                  "Volatility",
+                  `${((stats.std / stats.mean) * 100).toFixed(1)}%`,
+                ],
+                ["P10–P90 width", money(stats.p90 - stats.p10)],
+                [
+                  `VaR (${confidenceLabel(confidence)})`,
+                  money(risk.valueAtRisk),
+                ],
+                [
+                  `Expected shortfall (${confidenceLabel(confidence)})`,
+                  money(risk.expectedShortfall),
+                ],
+                ["P(capital loss)", `${risk.probLoss.toFixed(1)}%`],
+                ["Downside deviation", money(risk.downsideDeviation)],
+                ["Sortino ratio", formatRatio(risk.sortino)],
+                ["Share–NPV correlation", stats.msNpvCorr.toFixed(2)],
+              ]}
+            />
+          </div>
+          <div className="mt-4">
+            <Table
+              head={["Return metric", "P10", "P50", "P90", "Undefined"]}
+              rows={[
+                ["IRR", returns.irr, percent],
+                ["Discounted payback", returns.payback, years],
+                ["MOIC", returns.moic, times],
+              ].map(([label, summary, format]) => [
+                label,
+                ...(summary.n > 0
+                  ? [summary.p10, summary.median, summary.p90].map(format)
+                  : ["n/a", "n/a", "n/a"]),
+                summary.missing.toLocaleString(),
+              ])}
+            />
+            {returns.irrUndefined.map((reason) => (
+              <p key={reason.key} className="text-xs text-amber-700 mt-1">
+                IRR undefined in {reason.count.toLocaleString()} simulations:{" "}
+                {reason.label.toLowerCase()}.
+              </p>
+            ))}
+          </div>
+        </Section>
+
+        <Section title="Charts" pageBreak>
+          <Figure
+            title={`NPV Distribution (${scenarioLabel(config.scenario)})`}
+            note="Share of simulations per NPV bin. Dashed lines mark P10, P50 and P90."
+          >
+            <AreaChart
+              width={CHART_WIDTH}
+              height={260}
+              data={distribution}
+              margin={{ top: 10, right: 20, bottom: 20, left: 10 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke={GRID} />
+              <XAxis
+                dataKey="x"
+                type="number"
+                domain={["dataMin", "dataMax"]}
+                stroke={AXIS}
+                tickFormatter={(v) => `$${v.toFixed(0)}B`}
+              />
+              <YAxis stroke={AXIS} tickFormatter={(v) => `${v.toFixed(1)}%`} />
+              <Area
+                type="monotone"
+                dataKey="y"
+                stroke="#059669"
+                fill="#059669"
+                fillOpacity={0.25}
+                isAnimationActive={false}
+              />
+              {["p10", "median", "p90"].map((key) => (
+                <ReferenceLine
+                  key={key}
+                  x={stats[key]}
+                  stroke="#374151"
+                  strokeDasharray="4 4"
+                />
+              ))}
+            </AreaChart>
+          </Figure>
+
+          <Figure
+            title="Exceedance Probability"
+            note={`Share of simulations with NPV at or above each threshold; the line marks the ${money(
+              threshold
+            )} threshold set on the dashboard.`}
+          >
+            <LineChart
+              width={CHART_WIDTH}
+              height={240}
+              data={curve}
+              margin={{ top: 10, right: 20, bottom: 20, left: 10 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke={GRID} />
+              <XAxis
+                dataKey="x"
+                type="number"
+                domain={["dataMin", "dataMax"]}
+                stroke={AXIS}
+                tickFormatter={(v) => `$${v.toFixed(0)}B`}
+              />
+              <YAxis
+                domain={[0, 100]}
+                stroke={AXIS}
+                tickFormatter={(v) => `${v}%`}
+              />
+              <Line
+                dataKey="run"
+                type="monotone"
+                stroke="#059669"
+                strokeWidth={2}
+                dot={false}
+                isAnimationActive={false}
+              />
+              <ReferenceLine
+                x={threshold}
+                stroke="#374151"
+                strokeDasharray="4 4"
+              />
+            </LineChart>
+            <Table
+              head={["Readout", "Probability"]}
+              rows={[
+                [
+                  `P(NPV ≥ ${money(threshold)})`,
+                  `${probabilityAtLeast(stats.sortedNpv, threshold).toFixed(
+                    1
+                  )}%`,
+                ],
+                [
+                  `P(MOIC ≥ ${times(multiple)})`,
+                  `${probabilityAtLeast(returns.moic.sorted, multiple).toFixed(
+                    1
+                  )}%`,
+                ],
+              ]}
+            />
+          </Figure>
+
+          <Figure
+            title="Return Metric Distributions"
+            note="Share of all simulations per bin; dashed lines mark each median. Simulations where a metric is undefined are left out of its histogram."
+          >
+            <div className="grid grid-cols-3 gap-2">
+              {RETURN_METRICS.map((metric, i) => (
+                <div key={metric.key}>
+                  <div className="text-sm text-gray-700 mb-1">
+                    {metric.title}
+                  </div>
+                  {returns[metric.key].n > 0 ? (
+                    <BarChart
+                      width={220}
+                      height={160}
+                      data={returnHistograms[i]}
+                      margin={{ top: 5, right: 10, bottom: 0, left: 0 }}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" stroke={GRID} />
+                      <XAxis
+                        dataKey="x"
+                        stroke={AXIS}
+                        tick={{ fontSize: 10 }}
+                        tickFormatter={metric.format}
+                      />
+                      <YAxis
+                        stroke={AXIS}
+                        tick={{ fontSize: 10 }}
+                        tickFormatter={(v) => `${v.toFixed(0)}%`}
+                        width={35}
+                      />
+                      <Bar
+                        dataKey="y"
+                        fill={metric.color}
+                        isAnimationActive={false}
+                      />
+                      <ReferenceLine
+                        x={nearestBin(
+                          returnHistograms[i],
+                          returns[metric.key].median
+                        )}
+                        stroke="#374151"
+                        strokeDasharray="4 4"
+                      />
+                    </BarChart>
+                  ) : (
+                    <div className="h-[160px] flex items-center justify-center text-xs text-gray-500">
+                      Undefined in every simulation
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </Figure>
+
+          <Figure
+            title={`NPV Trajectory ${trajectory[0].year}–${
+              trajectory[trajectory.length - 1].year
+            }`}
+            note="Cumulative discounted value net of the investment: P5–P95 and P25–P75 bands with the median path."
+          >
+            <ComposedChart
+              width={CHART_WIDTH}
+              height={260}
+              data={trajectory}
+              margin={{ top: 10, right: 20, bottom: 10, left: 10 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke={GRID} />
+              <XAxis dataKey="year" stroke={AXIS} />
+              <YAxis stroke={AXIS} tickFormatter={(v) => `$${v}B`} />
+              <Legend />
+              <Area
+                dataKey="outer"
+                stroke="none"
+                fill="#059669"
+                fillOpacity={0.15}
+                name="P5–P95"
+                isAnimationActive={false}
+              />
+              <Area
+                dataKey="inner"
+                stroke="none"
+                fill="#059669"
+                fillOpacity={0.3}
+                name="P25–P75"
+                isAnimationActive={false}
+              />
+              <Line
+                dataKey="p50"
+                stroke="#047857"
+                strokeWidth={2}
+                dot={false}
+                name="Median"
+                isAnimationActive={false}
+              />
+            </ComposedChart>
+          </Figure>
+
+          <Figure
+            title="Risk-Return: Market Share vs NPV"
+            note={`Density of all ${density.n.toLocaleString()} iterations, coloured by risk band; more opaque cells hold more iterations.`}
+          >
+            <ScatterChart
+              width={CHART_WIDTH}
+              height={260}
+              margin={{ top: 10, right: 20, bottom: 20, left: 10 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke={GRID} />
+              <XAxis
+                dataKey="x"
+                type="number"
+                domain={density.x}
+                stroke={AXIS}
+                tickFormatter={(v) => `${(v * 100).toFixed(0)}%`}
+              />
+              <YAxis
+                dataKey="y"
+                type="number"
+                domain={density.y}
+                stroke={AXIS}
+                tickFormatter={(v) => `$${v.toFixed(0)}B`}
+              />
+              <Scatter
+                data={density.cells}
+                shape={({ xAxis, yAxis, payload }) => (
+                  <rect
+                    x={xAxis.scale(payload.x0)}
+                    y={yAxis.scale(payload.y1)}
+                    width={Math.max(
+                      1,
+                      xAxis.scale(payload.x1) - xAxis.scale(payload.x0)
+                    )}
+                    height={Math.max(
+                      1,
+                      yAxis.scale(payload.y0) - yAxis.scale(payload.y1)
+                    )}
+                    fill={bandColor(payload.band, bandSummary.length)}
+                    fillOpacity={
+                      0.15 +
+                      (0.85 * Math.log1p(payload.count)) /
+                        Math.log1p(density.peak)
+                    }
+                  />
+                )}
+                isAnimationActive={false}
+              />
+            </ScatterChart>
+            <Table
+              head={[
+                "Risk band",
+                "Share",
+                "Iterations",
+                "Mean",
+                "P10",
+                "P50",
+                "P90",
+              ]}
+              rows={bandSummary.map((band) => [
+                band.name,
+                bandRangeLabel(band),
+                `${band.count.toLocaleString()} (${band.percent.toFixed(1)}%)`,
+                ...(band.mean === null
+                  ? ["—", "—", "—", "—"]
+                  : [band.mean, band.p10, band.median, band.p90].map((v) =>
+                      money(v)
+                    )),
+              ])}
+            />
+          </Figure>
+
+          <Figure
+            title="Scenario Comparison"
+            note={`Median NPV of each scenario run on its own, with P10–P90 error bars, against the ${money(
+              target
+            )} target; probabilities are the mixture weights.`}
+          >
+            {scenarios[0].median === null ? (
+              <p className="text-sm text-gray-600">
+                The per-scenario runs had not finished when this report was
+                opened.
+              </p>
+            ) : (
+              <BarChart
+                width={CHART_WIDTH}
+                height={240}
+                data={scenarios}
+                margin={{ top: 10, right: 20, bottom: 10, left: 10 }}
+              >
+                <CartesianGrid strokeDasharray="3 3" stroke={GRID} />
+                <XAxis dataKey="name" stroke={AXIS} />
+                <YAxis stroke={AXIS} tickFormatter={(v) => `$${v}B`} />
+                <Legend />
+                <Bar
+                  dataKey="target"
+                  fill="#9ca3af"
+                  name="Target NPV"
+                  isAnimationActive={false}
+                />
+                <Bar
+                  dataKey="median"
+                  name="Median NPV (P10–P90)"
+                  isAnimationActive={false}
+                >
+                  {scenarios.map((sc) => (
+                    <Cell key={sc.key} fill={sc.color} />
+                  ))}
+                  <ErrorBar dataKey="range" width={10} stroke="#374151" />
+                </Bar>
+              </BarChart>
+            )}
+          </Figure>
+
+          <Figure
+            title={`Tornado: NPV swing vs ${money(tornadoData.baseNpv)} base`}
+            note={`Each driver moved to its ${SWING.label} with the others at their medians.`}
+          >
+            <BarChart
+              width={CHART_WIDTH}
+              height={300}
+              data={tornadoData.bars}
+              layout="vertical"
+              margin={{ top: 10, right: 20, bottom: 10, left: 10 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke={GRID} />
+              <XAxis
+                type="number"
+                stroke={AXIS}
+                tickFormatter={(v) => `${v.toFixed(0)}B`}
+              />
+              <YAxis
+                type="category"
+                dataKey="label"
+                stroke={AXIS}
+                width={170}
+                tick={{ fontSize: 11 }}
+              />
+              <Legend />
+              <ReferenceLine x={0} stroke="#374151" />
+              <Bar
+                dataKey="lowRange"
+                fill="#dc2626"
+                name="Low input"
+                isAnimationActive={false}
+              />
+              <Bar
+                dataKey="highRange"
+                fill="#059669"
+                name="High input"
+                isAnimationActive={false}
+              />
+            </BarChart>
+          </Figure>
+
+          <Figure title="Spider: NPV vs change in each driver">
+            <LineChart
+              width={CHART_WIDTH}
+              height={280}
+              data={spiderData}
+              margin={{ top: 10, right: 20, bottom: 10, left: 10 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke={GRID} />
+              <XAxis
+                dataKey="step"
+                stroke={AXIS}
+                tickFormatter={(v) => `${v > 0 ? "+" : ""}${v}%`}
+              />
+              <YAxis stroke={AXIS} tickFormatter={(v) => `$${v.toFixed(0)}B`} />
+              <Legend wrapperStyle={{ fontSize: "11px" }} />
+              {DRIVERS.map(({ key, short }, i) => (
+                <Line
+                  key={key}
+                  dataKey={key}
+                  name={short}
+                  stroke={DRIVER_COLORS[i]}
+                  dot={false}
+                  isAnimationActive={false}
+                />
+              ))}
+            </LineChart>
+          </Figure>
+
+          <Figure
+            title="Contribution to NPV Variance"
+            note="Squared rank correlation with simulated NPV, normalised."
+          >
+            <Table
+              head={["Driver", "Contribution", "ρ"]}
+              rows={contributions.map((c) => [
+                c.label,
+                `${c.contribution.toFixed(1)}%`,
+                c.rho.toFixed(2),
+              ])}
+            />
+          </Figure>
+
+          <Figure
+            title="Staged Investment & Real Options"
+            note={
+              options
+                ? `Mean NPV ${money(options.static.mean)} with every tranche paid and ${money(
+                    options.flexible.mean
+                  )} with the gates (${options.flexibility >= 0 ? "+" : "−"}${money(
+                    Math.abs(options.flexibility)
+                  )}); the gates add value in ${options.better.toFixed(
+                    1
+                  )}% of simulations and cost value in ${options.worse.toFixed(
+                    1
+                  )}%.`
+                : undefined
+            }
+          >
+            {options ? (
+              <>
+                <AreaChart
+                  width={CHART_WIDTH}
+                  height={240}
+                  data={options.histogram}
+                  margin={{ top: 10, right: 20, bottom: 10, left: 10 }}
+                >
+                  <CartesianGrid strokeDasharray="3 3" stroke={GRID} />
+                  <XAxis
+                    dataKey="x"
+                    type="number"
+                    domain={["dataMin", "dataMax"]}
+                    stroke={AXIS}
+                    tickFormatter={(v) => `$${v.toFixed(0)}B`}
+                  />
+                  <YAxis
+                    stroke={AXIS}
+                    tickFormatter={(v) => `${v.toFixed(0)}%`}
+                  />
+                  <Legend />
+                  <Area
+                    type="monotone"
+                    dataKey="static"
+                    name="Static"
+                    stroke="#6b7280"
+                    fill="#6b7280"
+                    fillOpacity={0.2}
+                    isAnimationActive={false}
+                  />
+                  <Area
+                    type="monotone"
+                    dataKey="flexible"
+                    name="Option-adjusted"
+                    stroke="#059669"
+                    fill="#059669"
+                    fillOpacity={0.25}
+                    isAnimationActive={false}
+                  />
+                </AreaChart>
+                {options.gates.length > 0 && (
+                  <Table
+                    head={[
+                      "Gate",
+                      "Trigger",
+                      ...DECISIONS.map(({ label }) => label),
+                    ]}
+                    rows={options.gates.map((gate) => [
+                      gate.year,
+                      GATE_TRIGGERS[gate.trigger].label,
+                      ...DECISIONS.map(({ key }) => `${gate[key].toFixed(1)}%`),
+                    ])}
+                  />
+                )}
+              </>
+            ) : (
+              <p className="text-sm text-gray-600">
+                Not valued for this run. Press Value Options on the dashboard to
+                include the staged plan.
+              </p>
+            )}
+          </Figure>
+
+          <Figure
+            title="Goal Seek"
+            note={
+              solution && solution.solved !== null
+                ? `${goalInput.label} of ${formatUnit(
+                    goalInput.unit,
+                    solution.solved
+                  )} (currently ${formatUnit(
+                    goalInput.unit,
+                    solution.start
+                  )}) gives ${statisticLabel(goal)} of ${formatStatistic(
+                    goal.statistic,
+                    solution.achieved
+                  )} against a target of ${formatStatistic(
+                    goal.statistic,
+                    goal.target
+                  )}, after ${solution.history.length} runs${
+                    solution.converged ? "" : " (closest value found)"
+                  }.`
+                : undefined
+            }
+          >
+            {!solution && (
+              <p className="text-sm text-gray-600">
+                Not solved for this run. Press Solve on the dashboard to include
+                a goal.
+              </p>
+            )}
+            {solution && solution.solved === null && (
+              <p className="text-sm text-gray-600">
+                {statisticLabel(goal)} does not reach{" "}
+                {formatStatistic(goal.statistic, goal.target)} for{" "}
+                {goalInput.label} between {formatUnit(goalInput.unit, goal.low)}{" "}
+                and {formatUnit(goalInput.unit, goal.high)}.
+              </p>
+            )}
+            {solution && solution.solved !== null && (
+              <LineChart
+                width={CHART_WIDTH}
+                height={240}
+                data={solution.history}
+                margin={{ top: 10, right: 20, bottom: 10, left: 10 }}
+              >
+                <CartesianGrid strokeDasharray="3 3" stroke={GRID} />
+                <XAxis dataKey="step" stroke={AXIS} />
+                <YAxis
+                  yAxisId="statistic"
+                  stroke="#059669"
+                  tickFormatter={(v) => formatStatistic(goal.statistic, v)}
+                  width={70}
+                />
+                <YAxis
+                  yAxisId="value"
+                  orientation="right"
+                  stroke="#2563eb"
+                  tickFormatter={(v) => formatUnit(goalInput.unit, v, 1)}
+                  width={70}
+                />
+                <Legend />
+                <ReferenceLine
+                  yAxisId="statistic"
+                  y={goal.target}
+                  stroke="#374151"
+                  strokeDasharray="4 4"
+                />
+                <Line
+                  yAxisId="statistic"
+                  dataKey="statistic"
+                  name={statisticLabel(goal)}
+                  stroke="#059669"
+                  strokeWidth={2}
+                  isAnimationActive={false}
+                />
+                <Line
+                  yAxisId="value"
+                  dataKey="value"
+                  name={goalInput.label}
+                  stroke="#2563eb"
+                  strokeWidth={2}
+                  isAnimationActive={false}
+                />
+              </LineChart>
+            )}
+          </Figure>
+
+          <Figure
+            title="Portfolio: Mean / CVaR Efficient Frontier"
+            note={
+              joint
+                ? `Every funding mix on a ${
+                    joint.frontier.steps
+                  }-step grid within the ${money(
+                    portfolio.budget
+                  )} budget, valued on ${joint.frontier.sampleSize.toLocaleString()} joint draws; CVaR (${confidenceLabel(
+                    confidence
+                  )}) is how far the worst ${confidenceLabel(
+                    1 - confidence
+                  )} of outcomes falls below the mean. The dark point is the current funding, which uses ${money(
+                    capitalUsed(portfolio)
+                  )}.`
+                : undefined
+            }
+          >
+            {joint ? (
+              <>
+                <ScatterChart
+                  width={CHART_WIDTH}
+                  height={260}
+                  margin={{ top: 10, right: 20, bottom: 20, left: 10 }}
+                >
+                  <CartesianGrid strokeDasharray="3 3" stroke={GRID} />
+                  <XAxis
+                    dataKey="cvar"
+                    type="number"
+                    name="CVaR"
+                    stroke={AXIS}
+                    tickFormatter={(v) => `$${v.toFixed(0)}B`}
+                  />
+                  <YAxis
+                    dataKey="mean"
+                    type="number"
+                    name="Mean NPV"
+                    stroke={AXIS}
+                    tickFormatter={(v) => `$${v.toFixed(0)}B`}
+                  />
+                  <ZAxis range={[20, 20]} />
+                  <Legend />
+                  <Scatter
+                    name="Feasible mixes"
+                    data={joint.frontier.points}
+                    fill="#d1d5db"
+                    isAnimationActive={false}
+                  />
+                  <Scatter
+                    name="Efficient frontier"
+                    data={joint.frontier.frontier}
+                    fill="#059669"
+                    line={{ stroke: "#059669", strokeWidth: 2 }}
+                    isAnimationActive={false}
+                  />
+                  <Scatter
+                    name="Current funding"
+                    data={[
+                      {
+                        mean: portfolioFunding.mean,
+                        cvar: portfolioFunding.cvar,
+                      },
+                    ]}
+                    fill="#111827"
+                    shape="star"
+                    isAnimationActive={false}
+                  />
+                </ScatterChart>
+                <Table
+                  head={["Project", "Funding", "Capital", "Mean NPV"]}
+                  rows={portfolio.projects.map((p, i) => [
+                    p.name,
+                    `${(p.funding * 100).toFixed(0)}%`,
+                    money(p.funding * p.assumptions.investment),
+                    money(portfolioFunding.contributions[i].mean),
+                  ])}
+                />
+              </>
+            ) : (
+              <p className="text-sm text-gray-600">
+                Not simulated for this run. Press Simulate Portfolio in the
+                portfolio view to include the frontier.
+              </p>
+            )}
+          </Figure>
+
+          <Figure
+            title="Convergence of the Running Estimates"
+            note={`Running mean and percentiles against sample size (log scale).${
+              diagnostics.iidApproximation
+                ? ` Each point is a prefix of the ${
+                    SAMPLING_STRATEGIES[config.sampling].label
+                  } draws, which is not a sample of that design on its own, so the path is indicative only.`
+                : ""
+            }`}
+          >
+            <LineChart
+              width={CHART_WIDTH}
+              height={260}
+              data={diagnostics.path}
+              margin={{ top: 10, right: 20, bottom: 10, left: 10 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke={GRID} />
+              <XAxis
+                dataKey="n"
+                type="number"
+                scale="log"
+                domain={["dataMin", "dataMax"]}
+                stroke={AXIS}
+                tickFormatter={(v) => v.toLocaleString()}
+              />
+              <YAxis
+                stroke={AXIS}
+                domain={["auto", "auto"]}
+                tickFormatter={(v) => `$${v.toFixed(0)}B`}
+              />
+              <Legend />
+              {[
+                ["mean", "Mean", "#059669"],
+                ["p10", "P10", "#d97706"],
+                ["median", "P50", "#2563eb"],
+                ["p90", "P90", "#7c3aed"],
+              ].map(([key, name, color]) => (
+                <Line
+                  key={key}
+                  dataKey={key}
+                  name={name}
+                  stroke={color}
+                  dot={false}
+                  isAnimationActive={false}
+                />
+              ))}
+            </LineChart>
+          </Figure>
+        </Section>
+
+        <Section title="Assumptions" pageBreak>
+          <p className="text-sm text-gray-700 mb-3">
+            Investment {money(investment)}, explicit horizon{" "}
+            {assumptions.horizon} years. Scenario weights:{" "}
+            {MODEL_SCENARIOS.map(
+              (key) =>
+                `${scenarioLabel(key)} ${(
+                  assumptions.scenarios[key].weight * 100
+                ).toFixed(0)}%`
+            ).join(", ")}
+            .
+          </p>
+          {MODEL_SCENARIOS.map((key) => (
+            <div key={key} className="mb-4 break-inside-avoid">
+              <h3 className="font-semibold text-gray-800 mb-1">
+                {scenarioLabel(key)}
+              </h3>
+              <Table
+                head={["Driver", "Distribution", "Parameters"]}
+                rows={DRIVERS.map((d) => {
+                  const spec = assumptions.scenarios[key].drivers[d.key];
+                  return [
+                    d.label,
+                    DISTRIBUTIONS[spec.dist].label,
+                    specSummary(spec),
+                  ];
+                })}
+              />
+            </div>
+          ))}
+          <div className="break-inside-avoid">
+            <h3 className="font-semibold text-gray-800 mb-1">Correlations</h3>
+            {correlated.length > 0 ? (
+              <Table
+                head={["Driver pair", "", "ρ"]}
+                rows={correlated.map(([a, b, rho]) => [a, b, rho.toFixed(2)])}
+              />
+            ) : (
+              <p className="text-sm text-gray-600">
+                All drivers are sampled independently.
+              </p>
+            )}
+          </div>
+        </Section>
+
+        <Section title="Appendix: Methodology" pageBreak>
+          <div className="text-sm text-gray-700 space-y-3 leading-relaxed">
+            <p>
+              <strong>Valuation.</strong> Each simulation values the project
+              with a discounted cash-flow model over {assumptions.horizon}{" "}
+              years. Revenue is the addressable market grown at the market
+              growth rate times market share; free cash flow is revenue times
+              gross margin less operating expenses, after tax, less capital
+              expenditure. A Gordon growth terminal value is added in the final
+              year and everything is discounted at the sampled WACC, held at
+              least one point above terminal growth. NPV is net of the{" "}
+              {money(investment)} investment.
+            </p>
+            <p>
+              <strong>Inputs.</strong> Each driver follows the distribution
+              listed in the assumptions, truncated to the driver's valid range.
+              Drivers are linked through a Gaussian copula: independent normals
+              are correlated with the Cholesky factor of the correlation matrix
+              and mapped through each driver's inverse distribution function.
+              "All Scenarios" draws each simulation from one scenario chosen by
+              the scenario weights.
+            </p>
+            <p>
+              <strong>Sampling.</strong>{" "}
+              {SAMPLING_STRATEGIES[config.sampling].label} with seed{" "}
+              {config.seed}; the same seed, settings and assumptions reproduce
+              every figure in this memo exactly.
+            </p>
+            <p>
+              <strong>Statistics.</strong> Percentiles use the nearest-rank rule
+              on the sorted simulated NPVs. The mean carries a {CI_LEVEL * 100}%
+              interval from its standard error; percentile intervals come from{" "}
+              {BOOTSTRAP_RESAMPLES.toLocaleString()} bootstrap resamples.
+              {diagnostics.iidApproximation &&
+                ` Both treat the simulations as independent draws, which ${
+                  SAMPLING_STRATEGIES[config.sampling].label
+                } simulations are not, so these intervals are an iid approximation.`}{" "}
+              Value at Risk is the loss against recovering the investment at the{" "}
+              {confidenceLabel(confidence)} confidence level, expected shortfall
+              the average loss beyond it, both floored at zero. Downside
+              deviation and the Sortino ratio are measured against break-even
+              NPV.
+            </p>
+            <p>
+              <strong>Sensitivity.</strong> The tornado and spider charts
+              revalue the model with one driver moved and the others at their
+              simulated medians. Variance contributions are squared Spearman
+              rank correlations between each driver and NPV, normalised to sum
+              to 100%.
+            </p>
+          </div>
+        </Section>
+      </article>
+    </div>
+  );
+};
+
+export default Report;
@@ -0,0 +1,195 @@
+import React, { useMemo, useRef } from "react";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  ReferenceLine,
+} from "recharts";
+import { AlertTriangle, Percent } from "lucide-react";
+import ChartExport from "./ChartExport";
+import SeedTag from "./SeedTag";
+import { fileStem } from "../lib/export";
+import { START_YEAR } from "../lib/model";
+import { metricHistogram } from "../lib/returns";
+
+const tooltipStyle = {
+  backgroundColor: "#1f2937",
+  border: "1px solid #374151",
+  borderRadius: "8px",
+};
+
+const METRICS = [
+  {
+    key: "irr",
+    title: "IRR",
+    color: "#60a5fa",
+    text: "text-blue-400",
+    format: (v) => `${(v * 100).toFixed(1)}%`,
+    missing: "IRR undefined",
+  },
+  {
+    key: "payback",
+    title: "Discounted Payback",
+    color: "#f59e0b",
+    text: "text-amber-400",
+    format: (v) => `${v.toFixed(2)} yrs`,
+    missing: "not repaid within the horizon",
+  },
+  {
+    key: "moic",
+    title: "MOIC",
+    color: "#34d399",
+    text: "text-green-400",
+    format: (v) => `${v.toFixed(1)}x`,
+    missing: "undefined",
+  },
+];
+
+const MetricColumn = ({ metric, summary, total, stem }) => {
+  const chartRef = useRef(null);
+  const histogram = useMemo(
+    () => metricHistogram(summary.sorted, total),
+    [summary, total]
+  );
+  const { format } = metric;
+  // The category axis only takes bin centres, so the median marks its bin
+  const medianBin =
+    histogram.length > 0 &&
+    histogram.reduce((best, d) =>
+      Math.abs(d.x - summary.median) < Math.abs(best.x - summary.median)
+        ? d
+        : best
+    ).x;
+
+  return (
+    <div className="p-5 bg-gray-700/30 rounded-xl border border-gray-600 space-y-3">
+      <div className="flex items-center gap-2">
+        <div className="text-sm text-gray-300">{metric.title}</div>
+        <ChartExport chartRef={chartRef} filename={`${stem}-${metric.key}`} />
+      </div>
+      <div className="text-4xl font-bold">
+        {summary.n > 0 ? format(summary.median) : "n/a"}
+      </div>
+      <div className={`text-sm ${metric.text}`}>Median (P50)</div>
+      {summary.n > 0 && (
+        <div className="grid grid-cols-3 gap-2 text-xs text-center">
+          {[
+            ["P10", summary.p10],
+            ["P50", summary.median],
+            ["P90", summary.p90],
+          ].map(([label, v]) => (
+            <div key={label} className="p-2 bg-gray-800/60 rounded">
+              <div className="text-gray-400">{label}</div>
+              <div className="font-semibold">{format(v)}</div>
+            </div>
+          ))}
+        </div>
+      )}
+      <div ref={chartRef}>
+        {summary.n > 0 ? (
+          <ResponsiveContainer width="100%" height={200}>
+            <BarChart data={histogram} margin={{ top: 10, right: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis
+                dataKey="x"
+                stroke="#9ca3af"
+                tick={{ fontSize: 11 }}
+                tickFormatter={format}
+              />
+              <YAxis
+                stroke="#9ca3af"
+                tick={{ fontSize: 11 }}
+                tickFormatter={(v) => `${v.toFixed(0)}%`}
+                width={40}
+              />
+              <Tooltip
+                contentStyle={tooltipStyle}
+                formatter={(v) => [`${v.toFixed(2)}%`, "Share of iterations"]}
+                labelFormatter={(v) => `≈ ${format(v)}`}
+              />
+              <Bar dataKey="y" fill={metric.color} isAnimationActive={false} />
+              <ReferenceLine
+                x={medianBin}
+                stroke="#f9fafb"
+                strokeDasharray="4 4"
+              />
+            </BarChart>
+          </ResponsiveContainer>
+        ) : (
+          <div className="h-[200px] flex items-center justify-center text-sm text-gray-400">
+            No iteration has a defined {metric.title}
+          </div>
+        )}
+      </div>
+      <div
+        className={`text-xs ${
+          summary.missing > 0 ? "text-yellow-400" : "text-gray-500"
+        }`}
+      >
+        {summary.missing > 0
+          ? `${summary.missing.toLocaleString()} of ${total.toLocaleString()} iterations (${(
+              (summary.missing / total) *
+              100
+            ).toFixed(1)}%) ${metric.missing}, left out above`
+          : `Defined for all ${total.toLocaleString()} iterations`}
+      </div>
+    </div>
+  );
+};
+
+const ReturnsSection = ({ config, returns, total }) => {
+  const stem = fileStem(config);
+  return (
+    <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
+      <h2 className="text-2xl font-bold mb-6 flex items-center gap-3">
+        <Percent className="text-green-400" size={28} />
+        Return Metrics
+        <SeedTag seed={config.seed} />
+      </h2>
+
+      <div className="grid grid-cols-3 gap-6">
+        {METRICS.map((metric) => (
+          <MetricColumn
+            key={metric.key}
+            metric={metric}
+            summary={returns[metric.key]}
+            total={total}
+            stem={stem}
+          />
+        ))}
+      </div>
+
+      {returns.irrUndefined.length > 0 && (
+        <div className="mt-6 p-4 rounded-xl border bg-yellow-500/10 border-yellow-500/30 text-sm text-yellow-300 space-y-1">
+          <div className="flex items-center gap-2 font-bold">
+            <AlertTriangle size={16} />
+            IRR is undefined for {returns.irr.missing.toLocaleString()}{" "}
+            iterations
+          </div>
+          {returns.irrUndefined.map((reason) => (
+            <div key={reason.key}>
+              {reason.count.toLocaleString()} (
+              {((reason.count / total) * 100).toFixed(1)}%): {reason.label}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="text-xs text-gray-500 mt-4">
+        Each iteration's cash-flow stream is the $
+        {config.assumptions.investment.toFixed(1)}B investment at the start of{" "}
+        {START_YEAR}, a free cash flow per year, and the terminal value in the
+        final year. IRR is the rate that discounts that stream to zero; MOIC is
+        the undiscounted cash returned per dollar invested; discounted payback
+        is the time until discounted free cash flow, excluding the terminal
+        value, repays the investment.
+      </div>
+    </div>
+  );
+};
+
+export default ReturnsSection;
@@ -0,0 +1,299 @@
+import React, { useRef, useState } from "react";
+import {
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  ReferenceLine,
+} from "recharts";
+import { Plus, RotateCcw, Shield, Trash2 } from "lucide-react";
+import ChartExport from "./ChartExport";
+import NarrativeCallout from "./NarrativeCallout";
+import NumberField from "./NumberField";
+import SeedTag from "./SeedTag";
+import {
+  DEFAULT_RISK_BANDS,
+  MAX_RISK_BANDS,
+  addBand,
+  bandColor,
+  bandRangeLabel,
+  removeBand,
+  validateBands,
+} from "../lib/density";
+import { fileStem } from "../lib/export";
+
+const tooltipStyle = {
+  backgroundColor: "#1f2937",
+  border: "1px solid #374151",
+  borderRadius: "8px",
+};
+
+const money = (v) => `$${v.toFixed(1)}B`;
+
+// More opaque cells hold more iterations; log scaling keeps sparse tails
+// visible
+const cellOpacity = (count, peak) =>
+  0.15 + (0.85 * Math.log1p(count)) / Math.log1p(peak);
+
+// One grid cell drawn edge to edge from its bounds on the chart's own scales
+const DensityCell = ({ xAxis, yAxis, payload, bandCount, peak }) => {
+  const left = xAxis.scale(payload.x0);
+  const right = xAxis.scale(payload.x1);
+  const top = yAxis.scale(payload.y1);
+  const bottom = yAxis.scale(payload.y0);
+  return (
+    <rect
+      x={left}
+      y={top}
+      width={Math.max(1, right - left)}
+      height={Math.max(1, bottom - top)}
+      fill={bandColor(payload.band, bandCount)}
+      fillOpacity={cellOpacity(payload.count, peak)}
+    />
+  );
+};
+
+const RiskReturnSection = ({
+  config,
+  density,
+  bandSummary,
+  bands,
+  onBandsChange,
+  callout,
+}) => {
+  const chartRef = useRef(null);
+  // Edits stay local until the bands are valid again
+  const [draft, setDraft] = useState(bands);
+  const errors = validateBands(draft);
+  const update = (next) => {
+    setDraft(next);
+    if (Object.keys(validateBands(next)).length === 0) onBandsChange(next);
+  };
+  const setBand = (index, changes) =>
+    update(draft.map((b, i) => (i === index ? { ...b, ...changes } : b)));
+
+  return (
+    <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
+      <h2 className="text-2xl font-bold mb-6 flex items-center gap-3">
+        <Shield className="text-green-400" size={28} />
+        Risk-Return Analysis
+        <SeedTag seed={config.seed} />
+        <ChartExport
+          chartRef={chartRef}
+          filename={`${fileStem(config)}-risk-return`}
+        />
+      </h2>
+
+      <div ref={chartRef}>
+        <ResponsiveContainer width="100%" height={380}>
+          <ScatterChart margin={{ top: 20, right: 30, bottom: 40, left: 30 }}>
+            <CartesianGrid
+              strokeDasharray="3 3"
+              stroke="#4b5563"
+              opacity={0.3}
+            />
+            <XAxis
+              dataKey="x"
+              type="number"
+              domain={density.x}
+              stroke="#9ca3af"
+              tick={{ fill: "#d1d5db", fontSize: 13 }}
+              tickFormatter={(v) => `${(v * 100).toFixed(0)}%`}
+              label={{
+                value: "Market Share Retained (%)",
+                position: "insideBottom",
+                offset: -25,
+                fill: "#e5e7eb",
+                fontSize: 14,
+                fontWeight: 700,
+              }}
+            />
+            <YAxis
+              dataKey="y"
+              type="number"
+              domain={density.y}
+              stroke="#9ca3af"
+              tick={{ fill: "#d1d5db", fontSize: 13 }}
+              tickFormatter={(v) => `$${v.toFixed(0)}B`}
+              label={{
+                value: "Net Present Value",
+                angle: -90,
+                position: "insideLeft",
+                offset: -15,
+                fill: "#e5e7eb",
+                fontSize: 14,
+                fontWeight: 700,
+              }}
+            />
+            <Tooltip
+              cursor={false}
+              content={({ active, payload }) => {
+                if (!active || !payload || !payload.length) return null;
+                const cell = payload[0].payload;
+                return (
+                  <div className="p-3 text-xs" style={tooltipStyle}>
+                    <div className="font-bold mb-1">
+                      {cell.count.toLocaleString()} iterations (
+                      {((cell.count / density.n) * 100).toFixed(2)}%)
+                    </div>
+                    <div>
+                      Share {(cell.x0 * 100).toFixed(1)}–
+                      {(cell.x1 * 100).toFixed(1)}%
+                    </div>
+                    <div>
+                      NPV {money(cell.y0)} – {money(cell.y1)}
+                    </div>
+                    <div style={{ color: bandColor(cell.band, bands.length) }}>
+                      {bands[cell.band].name}
+                    </div>
+                  </div>
+                );
+              }}
+            />
+            <Scatter
+              data={density.cells}
+              shape={(props) => (
+                <DensityCell
+                  {...props}
+                  bandCount={bands.length}
+                  peak={density.peak}
+                />
+              )}
+              isAnimationActive={false}
+            />
+            {bands.slice(0, -1).map((band, i) => (
+              <ReferenceLine
+                key={i}
+                x={band.upTo}
+                stroke={bandColor(i + 1, bands.length)}
+                strokeDasharray="4 4"
+              />
+            ))}
+          </ScatterChart>
+        </ResponsiveContainer>
+      </div>
+      <div className="text-xs text-gray-500 mb-4">
+        All {density.n.toLocaleString()} iterations, binned on a grid spanning
+        their full range; brighter cells hold more iterations. Dashed lines are
+        the band cut-offs.
+      </div>
+
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-gray-400">
+            <th className="text-left pb-2">Band</th>
+            <th className="text-right pb-2">Share below</th>
+            <th className="text-right pb-2">Iterations</th>
+            <th className="text-right pb-2">Mean NPV</th>
+            <th className="text-right pb-2">P10</th>
+            <th className="text-right pb-2">Median</th>
+            <th className="text-right pb-2">P90</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {draft.map((band, i) => {
+            const row = bandSummary[i];
+            // The table only shows figures once the draft matches the bands
+            const current = draft === bands && row;
+            return (
+              <tr key={i} className="border-t border-gray-700">
+                <td className="py-1.5 pr-2">
+                  <div className="flex items-center gap-2">
+                    <span
+                      className="w-3 h-3 rounded-sm shrink-0"
+                      style={{
+                        backgroundColor: bandColor(i, draft.length),
+                      }}
+                    />
+                    <input
+                      value={band.name}
+                      onChange={(e) => setBand(i, { name: e.target.value })}
+                      className={`w-full bg-gray-900/60 text-white px-2 py-1 rounded border focus:outline-none ${
+                        errors[`${i}.name`]
+                          ? "border-red-500"
+                          : "border-gray-600 focus:border-green-500"
+                      }`}
+                    />
+                  </div>
+                </td>
+                <td className="py-1.5 text-right">
+                  {i < draft.length - 1 ? (
+                    <NumberField
+                      value={band.upTo}
+                      onChange={(v) => setBand(i, { upTo: v })}
+                      error={errors[`${i}.upTo`]}
+                      step={0.01}
+                      className="w-16 ml-auto block"
+                    />
+                  ) : (
+                    <span className="text-gray-500">
+                      {current ? bandRangeLabel(row) : "—"}
+                    </span>
+                  )}
+                </td>
+                <td className="py-1.5 text-right font-mono">
+                  {current
+                    ? `${row.count.toLocaleString()} (${row.percent.toFixed(
+                        1
+                      )}%)`
+                    : "—"}
+                </td>
+                {["mean", "p10", "median", "p90"].map((key) => (
+                  <td key={key} className="py-1.5 text-right font-mono">
+                    {current && row.mean !== null ? money(row[key]) : "—"}
+                  </td>
+                ))}
+                <td className="py-1.5 text-right">
+                  <button
+                    onClick={() => update(removeBand(draft, i))}
+                    disabled={draft.length === 1}
+                    title="Remove band"
+                    className="p-1 text-gray-400 hover:text-red-400 transition disabled:opacity-40"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="flex items-center gap-3 mt-3">
+        <button
+          onClick={() => update(addBand(draft))}
+          disabled={draft.length >= MAX_RISK_BANDS}
+          className="px-3 py-1.5 bg-gray-700 rounded-lg border border-gray-600 hover:border-green-500 transition flex items-center gap-2 text-sm text-gray-300 disabled:opacity-50"
+        >
+          <Plus size={14} />
+          Add Band
+        </button>
+        <button
+          onClick={() => update(DEFAULT_RISK_BANDS)}
+          className="px-3 py-1.5 bg-gray-700 rounded-lg border border-gray-600 hover:border-green-500 transition flex items-center gap-2 text-sm text-gray-300"
+        >
+          <RotateCcw size={14} />
+          Reset bands
+        </button>
+        {Object.keys(errors).length > 0 && (
+          <span className="text-sm text-red-400">
+            {Object.values(errors)[0]}
+          </span>
+        )}
+      </div>
+
+      <NarrativeCallout
+        icon={Shield}
+        title="🛡️ Risk Analysis:"
+        callout={callout}
+        accent="green"
+      />
+    </div>
+  );
+};
+
+export default RiskReturnSection;
@@ -0,0 +1,224 @@
+import React, { useState } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { Layers, Loader2, Play } from "lucide-react";
+import SeedTag from "./SeedTag";
+import useSimulationWorker from "../hooks/useSimulationWorker";
+import {
+  COMPARISON_REPLICATIONS,
+  COMPARISON_SIZES,
+  REPORTED_PERCENTILES,
+} from "../lib/convergence";
+import { SAMPLING_STRATEGIES } from "../lib/sampling";
+
+const STRATEGY_COLORS = {
+  plain: "#9ca3af",
+  antithetic: "#f59e0b",
+  latinHypercube: "#3b82f6",
+  sobol: "#10b981",
+};
+
+const tooltipStyle = {
+  backgroundColor: "#1f2937",
+  border: "1px solid #374151",
+  borderRadius: "8px",
+};
+
+const comparisonWorker = () =>
+  new Worker(new URL("../lib/comparison.worker.js", import.meta.url));
+
+const SamplingComparison = ({ config }) => {
+  const [percentile, setPercentile] = useState("median");
+  const { run, status, progress, result, error } =
+    useSimulationWorker(comparisonWorker);
+  const running = status === "running";
+  const rows = result && result.rows;
+  const outdated =
+    !!result &&
+    (result.config.assumptions !== config.assumptions ||
+      result.config.scenario !== config.scenario ||
+      result.config.seed !== config.seed);
+
+  const compare = () =>
+    run({
+      assumptions: config.assumptions,
+      scenario: config.scenario,
+      seed: config.seed,
+    });
+
+  const largest = rows && rows[rows.length - 1];
+  const label = REPORTED_PERCENTILES.find((p) => p.key === percentile).label;
+
+  return (
+    <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold flex items-center gap-3">
+          <Layers className="text-green-400" size={28} />
+          Sampling Strategies
+          {result && <SeedTag seed={result.config.seed} />}
+        </h2>
+        <div className="flex gap-3 items-center">
+          <select
+            value={percentile}
+            onChange={(e) => setPercentile(e.target.value)}
+            className="bg-gray-700 text-white px-4 py-2 rounded-xl border-2 border-gray-600 hover:border-green-500 transition cursor-pointer text-sm font-medium"
+          >
+            {REPORTED_PERCENTILES.map((p) => (
+              <option key={p.key} value={p.key}>
+                {p.label} error
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={compare}
+            disabled={running}
+            className="px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-600 rounded-xl font-bold hover:from-green-600 hover:to-emerald-700 transition flex items-center gap-2 text-sm disabled:opacity-60"
+          >
+            {running ? (
+              <Loader2 className="animate-spin" size={16} />
+            ) : (
+              <Play size={16} />
+            )}
+            {running
+              ? `Comparing… ${(progress * 100).toFixed(0)}%`
+              : "Compare Strategies"}
+          </button>
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-400 mb-4">
+        Runs every strategy {COMPARISON_REPLICATIONS} times at{" "}
+        {COMPARISON_SIZES.map((n) => n.toLocaleString()).join(", ")} iterations
+        on the current model. The spread of each percentile across those
+        replications is its Monte Carlo error; the faster a line falls, the
+        sooner that strategy stabilises.
+      </p>
+
+      {error && <div className="text-sm text-red-400 mb-4">{error}</div>}
+      {outdated && (
+        <div className="text-sm text-yellow-300 mb-4">
+          The model has changed since this comparison. Press Compare Strategies
+          to refresh it.
+        </div>
+      )}
+
+      {rows ? (
+        <div className="grid grid-cols-3 gap-8">
+          <div className="col-span-2">
+            <ResponsiveContainer width="100%" height={320}>
+              <LineChart
+                data={rows}
+                margin={{ top: 10, right: 30, bottom: 30, left: 20 }}
+              >
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                <XAxis
+                  dataKey="n"
+                  type="number"
+                  scale="log"
+                  domain={["dataMin", "dataMax"]}
+                  ticks={COMPARISON_SIZES}
+                  stroke="#9ca3af"
+                  tickFormatter={(v) => v.toLocaleString()}
+                  label={{
+                    value: "Iterations (log scale)",
+                    position: "insideBottom",
+                    offset: -20,
+                    fill: "#9ca3af",
+                  }}
+                />
+                <YAxis
+                  scale="log"
+                  domain={["auto", "auto"]}
+                  stroke="#9ca3af"
+                  tickFormatter={(v) => `$${v.toFixed(2)}B`}
+                />
+                <Tooltip
+                  contentStyle={tooltipStyle}
+                  labelFormatter={(v) => `${v.toLocaleString()} iterations`}
+                  formatter={(v, name) => [`±$${v.toFixed(3)}B`, name]}
+                />
+                <Legend wrapperStyle={{ paddingTop: "25px" }} />
+                {Object.entries(SAMPLING_STRATEGIES).map(([key, s]) => (
+                  <Line
+                    key={key}
+                    type="monotone"
+                    dataKey={`${key}.${percentile}.error`}
+                    name={s.label}
+                    stroke={STRATEGY_COLORS[key]}
+                    strokeWidth={2}
+                    dot={{ r: 3 }}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div>
+            <h3 className="font-bold text-gray-300 mb-3">
+              At {largest.n.toLocaleString()} iterations
+            </h3>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-400 text-xs">
+                  <th className="text-left pb-2">Strategy</th>
+                  {REPORTED_PERCENTILES.map((p) => (
+                    <th key={p.key} className="text-right pb-2">
+                      {p.label} ±
+                    </th>
+                  ))}
+                  <th className="text-right pb-2">vs Plain</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(SAMPLING_STRATEGIES).map(([key, s]) => (
+                  <tr key={key} className="border-t border-gray-700">
+                    <td
+                      className="py-2 font-medium"
+                      style={{ color: STRATEGY_COLORS[key] }}
+                    >
+                      {s.label}
+                    </td>
+                    {REPORTED_PERCENTILES.map((p) => (
+                      <td key={p.key} className="py-2 text-right font-mono">
+                        {largest[key][p.key].error.toFixed(3)}
+                      </td>
+                    ))}
+                    <td className="py-2 text-right font-mono">
+                      {(
+                        (largest.plain[percentile].error /
+                          largest[key][percentile].error) **
+                        2
+                      ).toFixed(1)}
+                      x
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="text-xs text-gray-500 mt-3">
+              "vs Plain" is the sample-size multiplier plain Monte Carlo would
+              need to match each strategy's {label} error.
+            </div>
+          </div>
+        </div>
+      ) : (
+        !running && (
+          <div className="text-sm text-gray-500">
+            Not run yet. The comparison takes a few seconds and runs in the
+            background.
+          </div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default SamplingComparison;
@@ -0,0 +1,9 @@
+import React from "react";
+
+const SeedTag = ({ seed }) => (
+  <span className="text-xs font-mono font-normal text-gray-500">
+    seed {seed}
+  </span>
+);
+
+export default SeedTag;
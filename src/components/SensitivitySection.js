@@ -0,0 +1,212 @@
+import React, { useMemo, useState } from "react";
+import {
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  ReferenceLine,
+} from "recharts";
+import { Crosshair } from "lucide-react";
+import SeedTag from "./SeedTag";
+import { DRIVERS } from "../lib/model";
+import {
+  SWING_PERCENTILES,
+  spider,
+  tornado,
+  varianceContributions,
+} from "../lib/sensitivity";
+
+const DRIVER_COLORS = [
+  "#10b981",
+  "#3b82f6",
+  "#8b5cf6",
+  "#f59e0b",
+  "#ef4444",
+  "#06b6d4",
+  "#ec4899",
+  "#84cc16",
+  "#f97316",
+];
+
+const tooltipStyle = {
+  backgroundColor: "#1f2937",
+  border: "1px solid #374151",
+  borderRadius: "8px",
+};
+
+const SensitivitySection = ({ config, simulations, sortedDrivers }) => {
+  const [swingIdx, setSwingIdx] = useState(1);
+  const { assumptions } = config;
+  const swing = SWING_PERCENTILES[swingIdx];
+
+  const tornadoData = useMemo(
+    () => tornado(sortedDrivers, assumptions, swing),
+    [sortedDrivers, assumptions, swing]
+  );
+  const spiderData = useMemo(
+    () => spider(sortedDrivers, assumptions),
+    [sortedDrivers, assumptions]
+  );
+  const contributions = useMemo(
+    () => varianceContributions(simulations),
+    [simulations]
+  );
+
+  return (
+    <div className="bg-gray-800/80 backdrop-blur rounded-2xl p-8 border border-gray-700">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold flex items-center gap-3">
+          <Crosshair className="text-green-400" size={28} />
+          Sensitivity
+          <SeedTag seed={config.seed} />
+        </h2>
+        <select
+          value={swingIdx}
+          onChange={(e) => setSwingIdx(Number(e.target.value))}
+          className="bg-gray-700 text-white px-4 py-2 rounded-xl border-2 border-gray-600 hover:border-green-500 transition cursor-pointer text-sm font-medium"
+        >
+          {SWING_PERCENTILES.map((p, i) => (
+            <option key={p.label} value={i}>
+              Swing {p.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-2 gap-8">
+        <div>
+          <h3 className="font-bold text-gray-300 mb-2">
+            Tornado: NPV swing vs ${tornadoData.baseNpv.toFixed(1)}B base
+          </h3>
+          <ResponsiveContainer width="100%" height={360}>
+            <BarChart
+              data={tornadoData.bars}
+              layout="vertical"
+              margin={{ top: 10, right: 30, bottom: 30, left: 40 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis
+                type="number"
+                stroke="#9ca3af"
+                tickFormatter={(v) => `${v.toFixed(0)}B`}
+                label={{
+                  value: "Δ NPV vs Base (Billions $)",
+                  position: "insideBottom",
+                  offset: -20,
+                  fill: "#9ca3af",
+                }}
+              />
+              <YAxis
+                type="category"
+                dataKey="label"
+                stroke="#9ca3af"
+                width={140}
+                tick={{ fill: "#d1d5db", fontSize: 12 }}
+              />
+              <Tooltip
+                contentStyle={tooltipStyle}
+                formatter={(v, name) => [`${v[1].toFixed(1)}B`, name]}
+              />
+              <Legend wrapperStyle={{ paddingTop: "25px" }} />
+              <ReferenceLine x={0} stroke="#e5e7eb" />
+              <Bar
+                dataKey="lowRange"
+                fill="#ef4444"
+                name={`Input at ${swing.label.split(" / ")[0]}`}
+              />
+              <Bar
+                dataKey="highRange"
+                fill="#10b981"
+                name={`Input at ${swing.label.split(" / ")[1]}`}
+              />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div>
+          <h3 className="font-bold text-gray-300 mb-2">
+            Spider: NPV vs change in each driver
+          </h3>
+          <ResponsiveContainer width="100%" height={360}>
+            <LineChart
+              data={spiderData}
+              margin={{ top: 10, right: 30, bottom: 30, left: 20 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+              <XAxis
+                dataKey="step"
+                stroke="#9ca3af"
+                tickFormatter={(v) => `${v > 0 ? "+" : ""}${v}%`}
+                label={{
+                  value: "Change from Median",
+                  position: "insideBottom",
+                  offset: -20,
+                  fill: "#9ca3af",
+                }}
+              />
+              <YAxis
+                stroke="#9ca3af"
+                tickFormatter={(v) => `$${v.toFixed(0)}B`}
+              />
+              <Tooltip
+                contentStyle={tooltipStyle}
+                formatter={(v) => `$${v.toFixed(1)}B`}
+                labelFormatter={(v) => `${v > 0 ? "+" : ""}${v}%`}
+              />
+              <Legend wrapperStyle={{ paddingTop: "25px", fontSize: "12px" }} />
+              {DRIVERS.map(({ key, short }, i) => (
+                <Line
+                  key={key}
+                  type="monotone"
+                  dataKey={key}
+                  name={short}
+                  stroke={DRIVER_COLORS[i]}
+                  strokeWidth={2}
+                  dot={{ r: 2 }}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
+      <div className="mt-6">
+        <h3 className="font-bold text-gray-300 mb-3">
+          Contribution to NPV Variance
+          <span className="text-xs font-normal text-gray-500 ml-2">
+            squared rank correlation with simulated NPV, normalised
+          </span>
+        </h3>
+        <div className="space-y-2">
+          {contributions.map((c) => (
+            <div key={c.key} className="flex items-center gap-3 text-sm">
+              <div className="w-48 text-gray-300">{c.label}</div>
+              <div className="flex-1 h-3 bg-gray-700/50 rounded-full overflow-hidden">
+                <div
+                  className={`h-full ${
+                    c.rho >= 0 ? "bg-green-500" : "bg-red-500"
+                  }`}
+                  style={{ width: `${c.contribution}%` }}
+                />
+              </div>
+              <div className="w-16 text-right font-bold">
+                {c.contribution.toFixed(1)}%
+              </div>
+              <div className="w-20 text-right text-xs text-gray-400 font-mono">
+                ρ {c.rho.toFixed(2)}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SensitivitySection;
@@ -0,0 +1,33 @@
+import { useCallback, useState } from "react";
+import { emptyLibrary, loadLibrary, storeLibrary } from "../lib/library";
+
+const initialState = () => {
+  try {
+    return { library: loadLibrary(), error: null };
+  } catch (err) {
+    return { library: emptyLibrary(), error: err.message };
+  }
+};
+
+// The saved-analysis library, written back to browser storage on every change.
+// A failed write (storage full or disabled) keeps the change for this session
+// and reports why it was not persisted.
+const useSavedAnalyses = () => {
+  const [state, setState] = useState(initialState);
+
+  const update = useCallback((library) => {
+    try {
+      storeLibrary(library);
+      setState({ library, error: null });
+    } catch (err) {
+      setState({
+        library,
+        error: `Changes could not be saved to browser storage (${err.message})`,
+      });
+    }
+  }, []);
+
+  return { library: state.library, error: state.error, update };
+};
+
+export default useSavedAnalyses;
@@ -0,0 +1,73 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const simulationWorker = () =>
+  new Worker(new URL("../lib/simulation.worker.js", import.meta.url));
+
+// Runs one job at a time on a fresh worker; `result` is the worker's result
+// message without its type, stamped with the time it arrived. Its `config` is
+// the object passed to `run`, not the worker's copy, so callers can compare
+// it by identity with their current settings.
+const useSimulationWorker = (createWorker = simulationWorker) => {
+  const workerRef = useRef(null);
+  const [status, setStatus] = useState("idle");
+  const [progress, setProgress] = useState(0);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const stop = () => {
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+  };
+
+  const run = useCallback(
+    (config) => {
+      stop();
+      const worker = createWorker();
+      workerRef.current = worker;
+      setStatus("running");
+      setProgress(0);
+      setError(null);
+
+      worker.onmessage = ({ data }) => {
+        if (data.type === "progress") {
+          setProgress(data.done / data.total);
+        } else if (data.type === "result") {
+          const { type, ...payload } = data;
+          setResult({
+            ...payload,
+            config,
+            finishedAt: new Date().toISOString(),
+          });
+          setProgress(1);
+          setStatus("done");
+          stop();
+        } else if (data.type === "error") {
+          setError(data.message);
+          setStatus("error");
+          stop();
+        }
+      };
+      worker.onerror = (e) => {
+        setError(e.message || "Simulation worker failed");
+        setStatus("error");
+        stop();
+      };
+      worker.postMessage(config);
+    },
+    [createWorker]
+  );
+
+  const cancel = useCallback(() => {
+    if (!workerRef.current) return;
+    stop();
+    setStatus("cancelled");
+  }, []);
+
+  useEffect(() => stop, []);
+
+  return { run, cancel, status, progress, result, error };
+};
+
+export default useSimulationWorker;
@@ -0,0 +1,113 @@
+// Editable per-scenario assumptions and their validation
+import { correlationError } from "./correlation";
+import { distributionError, specMoments } from "./distributions";
+import {
+  DEFAULT_CORRELATION,
+  DEFAULT_PARAMS,
+  DEFAULT_WEIGHTS,
+  DRIVERS,
+  DEFAULT_HORIZON,
+  INVESTMENT,
+  MAX_HORIZON,
+  MIN_HORIZON,
+  MODEL_SCENARIOS,
+} from "./model";
+
+export const SCENARIO_KEYS = ["all", ...MODEL_SCENARIOS];
+
+export const scenarioLabel = (key) =>
+  key === "all" ? "All Scenarios" : key.charAt(0).toUpperCase() + key.slice(1);
+
+export const DEFAULT_ASSUMPTIONS = {
+  investment: INVESTMENT,
+  horizon: DEFAULT_HORIZON,
+  correlation: DEFAULT_CORRELATION,
+  scenarios: Object.fromEntries(
+    MODEL_SCENARIOS.map((key) => [
+      key,
+      {
+        weight: DEFAULT_WEIGHTS[key],
+        drivers: DEFAULT_PARAMS[key],
+      },
+    ])
+  ),
+};
+
+// Returns a flat map of "path" -> message; empty when everything is valid
+export const validateAssumptions = (assumptions) => {
+  const errors = {};
+  const { investment } = assumptions;
+  if (!(
+    typeof investment === "number" &&
+    Number.isFinite(investment) &&
+    investment > 0
+  )) {
+    errors.investment = "Investment must be positive";
+  }
+  const { horizon } = assumptions;
+  if (
+    !Number.isInteger(horizon) ||
+    horizon < MIN_HORIZON ||
+    horizon > MAX_HORIZON
+  ) {
+    errors.horizon = `Horizon must be a whole number of years from ${MIN_HORIZON} to ${MAX_HORIZON}`;
+  }
+  const correlation = correlationError(assumptions.correlation, DRIVERS.length);
+  if (correlation) errors.correlation = correlation;
+
+  const weights = MODEL_SCENARIOS.map((k) => assumptions.scenarios[k].weight);
+  if (weights.some((w) => !Number.isFinite(w) || w < 0)) {
+    errors.weights = "Scenario weights must be zero or more";
+  } else if (!(weights.reduce((sum, w) => sum + w, 0) > 0)) {
+    errors.weights = "At least one scenario weight must be positive";
+  }
+
+  MODEL_SCENARIOS.forEach((scenario) => {
+    const { drivers } = assumptions.scenarios[scenario];
+    DRIVERS.forEach((driver) => {
+      const message = distributionError(drivers[driver.key], driver);
+      if (message) {
+        errors[`${scenario}.${driver.key}`] = `${driver.label}: ${message}`;
+      }
+    });
+    const mean = (key) => specMoments(drivers[key]).mean;
+    if (mean("wacc") <= mean("terminalGrowth")) {
+      errors[`${scenario}.wacc.relation`] = "WACC must exceed terminal growth";
+    }
+    if (mean("grossMargin") < mean("opex")) {
+      errors[`${scenario}.opex.relation`] = "Opex cannot exceed gross margin";
+    }
+  });
+
+  return errors;
+};
+
+export const setDriver = (assumptions, scenario, key, spec) => {
+  const current = assumptions.scenarios[scenario];
+  return {
+    ...assumptions,
+    scenarios: {
+      ...assumptions.scenarios,
+      [scenario]: {
+        ...current,
+        drivers: { ...current.drivers, [key]: spec },
+      },
+    },
+  };
+};
+
+export const setWeight = (assumptions, scenario, weight) => ({
+  ...assumptions,
+  scenarios: {
+    ...assumptions.scenarios,
+    [scenario]: { ...assumptions.scenarios[scenario], weight },
+  },
+});
+
+export const resetScenario = (assumptions, scenario) => ({
+  ...assumptions,
+  scenarios: {
+    ...assumptions.scenarios,
+    [scenario]: DEFAULT_ASSUMPTIONS.scenarios[scenario],
+  },
+});
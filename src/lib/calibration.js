@@ -0,0 +1,266 @@
+// Fits driver distributions to imported observations by maximum likelihood
+// and reports how well each fit matches the data. Goodness of fit is the
+// Kolmogorov-Smirnov statistic alone: the parameters are estimated from the
+// same observations, so the usual KS p-value, which assumes they were fixed
+// in advance, would overstate every fit.
+import { createDistribution, distributionError } from "./distributions";
+
+export const MIN_OBSERVATIONS = 5;
+
+const NM_MAX_ITERATIONS = 2000;
+const NM_TOLERANCE = 1e-10;
+// Triangular and PERT need some room beyond the observed range to start from
+const RANGE_PADDING = 0.05;
+
+// Header row plus numeric columns; cells ending in "%" are read as fractions.
+// Columns with too few numbers are dropped.
+export const parseCsv = (text) => {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  if (lines.length < 2) {
+    throw new Error("The file needs a header row and at least one data row");
+  }
+  const split = (line) =>
+    line.split(/[,;\t]/).map((cell) => cell.trim().replace(/^"(.*)"$/, "$1"));
+
+  const columns = split(lines[0]).map((name, i) => ({
+    name: name || `Column ${i + 1}`,
+    values: [],
+    percent: false,
+  }));
+  lines.slice(1).forEach((line) => {
+    split(line).forEach((cell, i) => {
+      const column = columns[i];
+      if (!column || cell === "") return;
+      const percent = cell.endsWith("%");
+      const value = Number(
+        (percent ? cell.slice(0, -1) : cell).replace(/[$\s]/g, "")
+      );
+      if (!Number.isFinite(value)) return;
+      column.values.push(percent ? value / 100 : value);
+      if (percent) column.percent = true;
+    });
+  });
+
+  const numeric = columns.filter((c) => c.values.length >= MIN_OBSERVATIONS);
+  if (numeric.length === 0) {
+    throw new Error(
+      `No column has at least ${MIN_OBSERVATIONS} numeric observations`
+    );
+  }
+  return numeric;
+};
+
+export const observationSummary = (values) => {
+  const n = values.length;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / n;
+  return {
+    n,
+    mean,
+    std: Math.sqrt(variance),
+    min: Math.min(...values),
+    max: Math.max(...values),
+  };
+};
+
+// Nelder-Mead simplex minimiser; infeasible points return Infinity
+const nelderMead = (f, start, steps) => {
+  const dim = start.length;
+  let simplex = [
+    start,
+    ...steps.map((step, i) => {
+      const point = [...start];
+      point[i] += step;
+      return point;
+    }),
+  ].map((x) => ({ x, fx: f(x) }));
+
+  const combine = (a, b, t) => a.map((v, i) => v + t * (b[i] - v));
+
+  for (let iter = 0; iter < NM_MAX_ITERATIONS; iter++) {
+    simplex.sort((a, b) => a.fx - b.fx);
+    const best = simplex[0];
+    const worst = simplex[dim];
+    if (
+      Math.abs(worst.fx - best.fx) <=
+      NM_TOLERANCE * (Math.abs(best.fx) + NM_TOLERANCE)
+    ) {
+      break;
+    }
+    const centroid = new Array(dim).fill(0);
+    for (let j = 0; j < dim; j++) {
+      for (let i = 0; i < dim; i++) centroid[i] += simplex[j].x[i] / dim;
+    }
+    const reflected = combine(centroid, worst.x, -1);
+    const fr = f(reflected);
+    if (fr < best.fx) {
+      const expanded = combine(centroid, worst.x, -2);
+      const fe = f(expanded);
+      simplex[dim] =
+        fe < fr ? { x: expanded, fx: fe } : { x: reflected, fx: fr };
+    } else if (fr < simplex[dim - 1].fx) {
+      simplex[dim] = { x: reflected, fx: fr };
+    } else {
+      const contracted = combine(centroid, worst.x, 0.5);
+      const fc = f(contracted);
+      if (fc < worst.fx) {
+        simplex[dim] = { x: contracted, fx: fc };
+      } else {
+        simplex = simplex.map((p, i) =>
+          i === 0
+            ? p
+            : { x: combine(best.x, p.x, 0.5), fx: f(combine(best.x, p.x, 0.5)) }
+        );
+      }
+    }
+  }
+  simplex.sort((a, b) => a.fx - b.fx);
+  return simplex[0].x;
+};
+
+const clamp = (v, bounds) => Math.min(bounds.max, Math.max(bounds.min, v));
+
+// Per family: free parameters as a vector, a starting point from the sample
+// moments, and initial simplex steps. `k` counts estimated parameters for AIC.
+const FAMILIES = {
+  normal: {
+    k: 2,
+    start: (s) => [s.mean, Math.log(s.std)],
+    steps: (s) => [s.std / 2, 0.3],
+    spec: ([mean, logStd]) => ({ dist: "normal", mean, std: Math.exp(logStd) }),
+  },
+  lognormal: {
+    k: 2,
+    start: (s) => [s.mean, Math.log(s.std)],
+    steps: (s) => [s.std / 2, 0.3],
+    spec: ([mean, logStd]) => ({
+      dist: "lognormal",
+      mean,
+      std: Math.exp(logStd),
+    }),
+    check: (s) => (s.min > 0 ? null : "Lognormal needs positive observations"),
+  },
+  // The truncation points' MLE is the observed range; mean and std are then
+  // fitted inside it
+  truncatedNormal: {
+    k: 4,
+    start: (s) => [s.mean, Math.log(s.std)],
+    steps: (s) => [s.std / 2, 0.3],
+    spec: ([mean, logStd], s) => ({
+      dist: "truncatedNormal",
+      mean,
+      std: Math.exp(logStd),
+      low: s.min,
+      high: s.max,
+    }),
+  },
+  triangular: {
+    k: 3,
+    start: (s, bounds) => {
+      const pad = (s.max - s.min) * RANGE_PADDING;
+      const low = clamp(s.min - pad, bounds);
+      const high = clamp(s.max + pad, bounds);
+      const mode = Math.min(high, Math.max(low, 3 * s.mean - low - high));
+      return [low, mode, high];
+    },
+    steps: (s) => Array(3).fill((s.max - s.min) * 0.1),
+    spec: ([low, mode, high]) => ({ dist: "triangular", low, mode, high }),
+  },
+  pert: {
+    k: 3,
+    start: (s, bounds) => {
+      const pad = (s.max - s.min) * RANGE_PADDING;
+      const low = clamp(s.min - pad, bounds);
+      const high = clamp(s.max + pad, bounds);
+      const mode = Math.min(high, Math.max(low, (6 * s.mean - low - high) / 4));
+      return [low, mode, high];
+    },
+    steps: (s) => Array(3).fill((s.max - s.min) * 0.1),
+    spec: ([low, mode, high]) => ({ dist: "pert", low, mode, high }),
+  },
+};
+
+const logLikelihood = (spec, values, bounds) => {
+  if (distributionError(spec, bounds)) return -Infinity;
+  const { pdf } = createDistribution(spec, bounds);
+  let sum = 0;
+  for (const v of values) {
+    const density = pdf(v);
+    if (!(density > 0)) return -Infinity;
+    sum += Math.log(density);
+  }
+  return sum;
+};
+
+const goodnessOfFit = (spec, sorted, bounds) => {
+  const dist = createDistribution(spec, bounds);
+  const n = sorted.length;
+  let ks = 0;
+  const qq = sorted.map((observed, i) => {
+    const f = dist.cdf(observed);
+    ks = Math.max(ks, f - i / n, (i + 1) / n - f);
+    return { theoretical: dist.sample((i + 0.5) / n), observed };
+  });
+  return { ks, qq };
+};
+
+// Four significant figures, like the assumptions panel. Range ends round
+// outward so no observation falls outside the rounded support.
+const SIGNIFICANT = 4;
+const round = (v, mode = Math.round) => {
+  if (v === 0) return 0;
+  const scale = 10 ** (SIGNIFICANT - 1 - Math.floor(Math.log10(Math.abs(v))));
+  return Number((mode(v * scale) / scale).toPrecision(SIGNIFICANT + 1));
+};
+
+const roundSpec = (spec) => {
+  const out = { dist: spec.dist };
+  Object.keys(spec).forEach((key) => {
+    if (key === "low") out[key] = round(spec[key], Math.floor);
+    else if (key === "high") out[key] = round(spec[key], Math.ceil);
+    else if (key !== "dist") out[key] = round(spec[key]);
+  });
+  return out;
+};
+
+// One fit per family, best AIC first. Families that cannot be fitted to these
+// observations come back with an `error` instead of a spec.
+export const fitAll = (values, bounds) => {
+  const s = observationSummary(values);
+  const sorted = [...values].sort((a, b) => a - b);
+  if (!(s.std > 0)) {
+    return [{ dist: "normal", error: "Observations have no spread to fit" }];
+  }
+
+  const fits = Object.entries(FAMILIES).map(([dist, family]) => {
+    const problem = family.check && family.check(s);
+    if (problem) return { dist, error: problem };
+
+    const cost = (x) => -logLikelihood(family.spec(x, s), values, bounds);
+    const start = family.start(s, bounds);
+    if (!Number.isFinite(cost(start))) {
+      return { dist, error: "Observations fall outside the driver's range" };
+    }
+    const best = nelderMead(cost, start, family.steps(s));
+    const spec = roundSpec(family.spec(best, s));
+    const logLik = logLikelihood(spec, values, bounds);
+    if (!Number.isFinite(logLik)) {
+      return { dist, error: "No valid fit within the driver's range" };
+    }
+    return {
+      dist,
+      spec,
+      logLik,
+      aic: 2 * family.k - 2 * logLik,
+      ...goodnessOfFit(spec, sorted, bounds),
+    };
+  });
+
+  return fits.sort((a, b) => {
+    if (a.error || b.error) return (a.error ? 1 : 0) - (b.error ? 1 : 0);
+    return a.aic - b.aic;
+  });
+};
@@ -0,0 +1,132 @@
+import {
+  MIN_OBSERVATIONS,
+  fitAll,
+  observationSummary,
+  parseCsv,
+} from "./calibration";
+import { createDistribution } from "./distributions";
+import { createRng } from "./random";
+
+const UNBOUNDED = { min: -Infinity, max: Infinity };
+
+const draws = (spec, n, seed, bounds = UNBOUNDED) => {
+  const { sample } = createDistribution(spec, bounds);
+  const rng = createRng(seed);
+  return Array.from({ length: n }, () => sample(rng()));
+};
+
+const fitOf = (fits, dist) => fits.find((fit) => fit.dist === dist);
+
+// 5% critical value of D for a fully specified distribution; a fit estimated
+// from the same data lands closer still
+const ksCritical = (n) => 1.36 / Math.sqrt(n);
+
+describe("parseCsv", () => {
+  test("reads numeric columns and percentages as fractions", () => {
+    const text = [
+      'year,"share",revenue',
+      "2019,10%,$1 200",
+      "2020,12%,1300",
+      "2021,n/a,1250",
+      "2022,15%,1400",
+      "2023,11%,1500",
+      "2024,14%,",
+    ].join("\r\n");
+    const columns = parseCsv(text);
+    expect(columns.map((c) => c.name)).toEqual(["year", "share", "revenue"]);
+    const share = columns[1];
+    expect(share.percent).toBe(true);
+    expect(share.values).toEqual([0.1, 0.12, 0.15, 0.11, 0.14]);
+    expect(columns[2].values).toEqual([1200, 1300, 1250, 1400, 1500]);
+  });
+
+  test("drops short columns and rejects files without data", () => {
+    const rows = Array.from({ length: MIN_OBSERVATIONS }, (_, i) =>
+      i === 0 ? `${i};x` : `${i};`
+    );
+    expect(parseCsv(["a;b", ...rows].join("\n")).map((c) => c.name)).toEqual([
+      "a",
+    ]);
+    expect(() => parseCsv("a,b")).toThrow(/header row/);
+    expect(() => parseCsv("a\n1\n2")).toThrow(/at least 5/);
+  });
+});
+
+test("observationSummary uses the population standard deviation", () => {
+  expect(observationSummary([1, 2, 3, 4])).toEqual({
+    n: 4,
+    mean: 2.5,
+    std: Math.sqrt(1.25),
+    min: 1,
+    max: 4,
+  });
+});
+
+describe("fitAll", () => {
+  test("recovers normal parameters and ranks by AIC", () => {
+    const values = draws({ dist: "normal", mean: 10, std: 2 }, 2000, 1);
+    const fits = fitAll(values, UNBOUNDED);
+    fits
+      .filter((fit) => !fit.error)
+      .forEach((fit, i, ok) => {
+        if (i > 0) expect(fit.aic).toBeGreaterThanOrEqual(ok[i - 1].aic);
+      });
+    const normal = fitOf(fits, "normal");
+    const s = observationSummary(values);
+    // The MLE of a normal is the sample mean and population std
+    expect(normal.spec.mean).toBeCloseTo(s.mean, 2);
+    expect(normal.spec.std).toBeCloseTo(s.std, 2);
+    expect(normal.spec.mean).toBeCloseTo(10, 0);
+    expect(normal.ks).toBeLessThan(ksCritical(values.length));
+    expect(fits[0].dist).not.toBe("triangular");
+  });
+
+  test("recovers a triangular distribution", () => {
+    const spec = { dist: "triangular", low: 0.2, mode: 0.3, high: 0.7 };
+    const values = draws(spec, 3000, 2, { min: 0, max: 1 });
+    const fits = fitAll(values, { min: 0, max: 1 });
+    const triangular = fitOf(fits, "triangular");
+    expect(triangular.spec.low).toBeCloseTo(0.2, 2);
+    expect(triangular.spec.mode).toBeCloseTo(0.3, 1);
+    expect(triangular.spec.high).toBeCloseTo(0.7, 2);
+    expect(triangular.ks).toBeLessThan(ksCritical(values.length));
+    expect(triangular.aic).toBeLessThan(fitOf(fits, "normal").aic);
+  });
+
+  test("the KS statistic separates a poor fit from a good one", () => {
+    const values = draws({ dist: "lognormal", mean: 1, std: 1.5 }, 1000, 3);
+    const fits = fitAll(values, UNBOUNDED);
+    const normal = fitOf(fits, "normal");
+    const lognormal = fitOf(fits, "lognormal");
+    expect(lognormal.ks).toBeLessThan(ksCritical(values.length));
+    expect(normal.ks).toBeGreaterThan(5 * lognormal.ks);
+    expect(fits[0].dist).toBe("lognormal");
+  });
+
+  test("the KS statistic is the largest gap to the empirical CDF", () => {
+    const values = [1, 2, 3, 4, 5, 6, 7, 8];
+    const normal = fitOf(fitAll(values, UNBOUNDED), "normal");
+    const { cdf } = createDistribution(normal.spec, UNBOUNDED);
+    const gaps = values.flatMap((v, i) => [
+      cdf(v) - i / values.length,
+      (i + 1) / values.length - cdf(v),
+    ]);
+    expect(normal.ks).toBeCloseTo(Math.max(...gaps), 12);
+    expect(normal.qq).toHaveLength(values.length);
+  });
+
+  test("reports families that cannot be fitted", () => {
+    const fits = fitAll([-1, 0, 1, 2, 3], UNBOUNDED);
+    expect(fits[fits.length - 1]).toEqual({
+      dist: "lognormal",
+      error: "Lognormal needs positive observations",
+    });
+    expect(fitAll([2, 2, 2, 2, 2], UNBOUNDED)).toEqual([
+      { dist: "normal", error: "Observations have no spread to fit" },
+    ]);
+    expect(
+      fitOf(fitAll([1.1, 1.2, 1.3, 1.4, 1.5], { min: 0, max: 1 }), "normal")
+        .error
+    ).toMatch(/outside the driver's range/);
+  });
+});
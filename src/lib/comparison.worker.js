@@ -0,0 +1,14 @@
+/* eslint-disable no-restricted-globals */
+import { compareStrategies } from "./convergence";
+
+// Same protocol as the simulation worker, for the sampling-strategy comparison
+self.onmessage = ({ data: config }) => {
+  try {
+    const rows = compareStrategies(config, (done, total) =>
+      self.postMessage({ type: "progress", done, total })
+    );
+    self.postMessage({ type: "result", config, rows });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
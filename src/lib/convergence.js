@@ -0,0 +1,220 @@
+// Monte Carlo error on the reported statistics: standard error of the mean,
+// bootstrap intervals on the percentiles and running estimates by sample size.
+// All three treat the draws as independent, which only plain Monte Carlo draws
+// are: antithetic pairs are correlated and a prefix of a Latin hypercube or
+// Sobol design is not a balanced sample. For those strategies the figures are
+// an iid approximation; compareStrategies measures the error from independent
+// replications instead.
+import { runModel } from "./model";
+import { createRng, normal } from "./random";
+import { DEFAULT_SAMPLING, SAMPLING_STRATEGIES } from "./sampling";
+import { quantileSorted, sortedCopy } from "./stats";
+
+export const REPORTED_PERCENTILES = [
+  { key: "p10", label: "P10", p: 0.1 },
+  { key: "median", label: "P50", p: 0.5 },
+  { key: "p90", label: "P90", p: 0.9 },
+];
+
+export const BOOTSTRAP_RESAMPLES = 1000;
+export const CI_LEVEL = 0.95;
+const Z_95 = 1.959964;
+
+// Figures are shown to $0.1B; an interval half-width beyond that means the
+// last digit shown is noise
+export const DISPLAY_RESOLUTION = 0.1;
+
+const CONVERGENCE_POINTS = 40;
+const MIN_CONVERGENCE_DRAWS = 100;
+// Keeps the bootstrap seed stream apart from the simulation's
+const BOOTSTRAP_SEED_OFFSET = 0x9e3779b9;
+
+const meanAndStd = (values) => {
+  const n = values.length;
+  let mean = 0;
+  for (let i = 0; i < n; i++) mean += values[i];
+  mean /= n;
+  let ss = 0;
+  for (let i = 0; i < n; i++) ss += (values[i] - mean) ** 2;
+  return { mean, std: Math.sqrt(ss / n) };
+};
+
+// Marsaglia-Tsang gamma sampler; every shape used here is at least 1
+const gamma = (rng, shape) => {
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    const x = normal(rng);
+    const v = (1 + c * x) ** 3;
+    if (
+      v > 0 &&
+      Math.log(1 - rng()) < 0.5 * x * x + d - d * v + d * Math.log(v)
+    ) {
+      return d * v;
+    }
+  }
+};
+
+// A resample draws n indices uniformly from the sorted draws, so its k-th
+// smallest index is floor(n * U(k+1)) where U(k+1) ~ Beta(k+1, n-k). Sampling
+// that directly is the same bootstrap without touching every draw.
+export const bootstrapPercentiles = (sorted, probs, resamples, seed) => {
+  const n = sorted.length;
+  const rng = createRng(seed + BOOTSTRAP_SEED_OFFSET);
+
+  const estimates = probs.map((p) => {
+    const k = Math.min(n - 1, Math.floor(n * p));
+    const values = new Float64Array(resamples);
+    for (let b = 0; b < resamples; b++) {
+      const x = gamma(rng, k + 1);
+      const u = x / (x + gamma(rng, n - k));
+      values[b] = sorted[Math.min(n - 1, Math.floor(n * u))];
+    }
+    return values;
+  });
+
+  const tail = (1 - CI_LEVEL) / 2;
+  return estimates.map((values) => {
+    const s = values.sort();
+    return { low: quantileSorted(s, tail), high: quantileSorted(s, 1 - tail) };
+  });
+};
+
+// Running mean and percentiles at log-spaced sample sizes up to n
+export const convergencePath = (npv) => {
+  const n = npv.length;
+  const start = Math.min(n, MIN_CONVERGENCE_DRAWS);
+  const ratio = Math.pow(n / start, 1 / (CONVERGENCE_POINTS - 1));
+  const sizes = [
+    ...new Set(
+      Array.from({ length: CONVERGENCE_POINTS }, (_, i) =>
+        Math.min(n, Math.round(start * Math.pow(ratio, i)))
+      )
+    ),
+  ];
+
+  let sum = 0;
+  let sumSq = 0;
+  let seen = 0;
+  return sizes.map((size) => {
+    for (; seen < size; seen++) {
+      sum += npv[seen];
+      sumSq += npv[seen] * npv[seen];
+    }
+    const mean = sum / size;
+    const se = Math.sqrt(Math.max(0, sumSq / size - mean * mean) / size);
+    const prefix = sortedCopy(npv.subarray(0, size));
+    const row = {
+      n: size,
+      mean,
+      meanBand: [mean - Z_95 * se, mean + Z_95 * se],
+    };
+    REPORTED_PERCENTILES.forEach(({ key, p }) => {
+      row[key] = quantileSorted(prefix, p);
+    });
+    return row;
+  });
+};
+
+// Smallest sample that would bring a half-width down to the display
+// resolution, given that Monte Carlo error shrinks with the square root of n
+const requiredIterations = (n, halfWidth) =>
+  Math.ceil(n * Math.pow(halfWidth / DISPLAY_RESOLUTION, 2));
+
+export const diagnose = (npv, seed, sampling = DEFAULT_SAMPLING) => {
+  const n = npv.length;
+  const sorted = sortedCopy(npv);
+  const { mean, std } = meanAndStd(sorted);
+  const se = std / Math.sqrt(n);
+
+  const intervals = bootstrapPercentiles(
+    sorted,
+    REPORTED_PERCENTILES.map(({ p }) => p),
+    BOOTSTRAP_RESAMPLES,
+    seed
+  );
+
+  const estimates = {
+    mean: {
+      label: "Mean",
+      value: mean,
+      low: mean - Z_95 * se,
+      high: mean + Z_95 * se,
+    },
+  };
+  REPORTED_PERCENTILES.forEach(({ key, label, p }, i) => {
+    estimates[key] = {
+      label,
+      value: quantileSorted(sorted, p),
+      ...intervals[i],
+    };
+  });
+  Object.values(estimates).forEach((e) => {
+    e.halfWidth = (e.high - e.low) / 2;
+  });
+
+  const widest = Object.values(estimates).reduce((a, b) =>
+    b.halfWidth > a.halfWidth ? b : a
+  );
+
+  return {
+    n,
+    se,
+    estimates,
+    path: convergencePath(npv),
+    widest,
+    precise: widest.halfWidth <= DISPLAY_RESOLUTION,
+    requiredIterations: requiredIterations(n, widest.halfWidth),
+    iidApproximation: sampling !== DEFAULT_SAMPLING,
+  };
+};
+
+// Powers of two keep Sobol points balanced at every size
+export const COMPARISON_SIZES = [256, 1024, 4096, 16384];
+export const COMPARISON_REPLICATIONS = 8;
+
+// Runs every strategy several times per sample size with different seeds;
+// the spread of each percentile across replications is its Monte Carlo error
+export const compareStrategies = (
+  { assumptions, scenario, seed },
+  onProgress
+) => {
+  const strategies = Object.keys(SAMPLING_STRATEGIES);
+  const total =
+    strategies.length *
+    COMPARISON_REPLICATIONS *
+    COMPARISON_SIZES.reduce((sum, n) => sum + n, 0);
+  let done = 0;
+
+  const rows = COMPARISON_SIZES.map((n) => ({ n }));
+  strategies.forEach((sampling) => {
+    COMPARISON_SIZES.forEach((n, row) => {
+      const estimates = REPORTED_PERCENTILES.map(() => []);
+      for (let r = 0; r < COMPARISON_REPLICATIONS; r++) {
+        const { npv } = runModel({
+          assumptions,
+          scenario,
+          seed: seed + r,
+          iterations: n,
+          sampling,
+        });
+        const sorted = sortedCopy(npv);
+        REPORTED_PERCENTILES.forEach(({ p }, i) => {
+          estimates[i].push(quantileSorted(sorted, p));
+        });
+        done += n;
+        if (onProgress) onProgress(done, total);
+      }
+      rows[row][sampling] = {};
+      REPORTED_PERCENTILES.forEach(({ key }, i) => {
+        const { mean, std } = meanAndStd(estimates[i]);
+        // Sample standard deviation across replications
+        const error =
+          std *
+          Math.sqrt(COMPARISON_REPLICATIONS / (COMPARISON_REPLICATIONS - 1));
+        rows[row][sampling][key] = { mean, error };
+      });
+    });
+  });
+  return rows;
+};
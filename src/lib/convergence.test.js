@@ -0,0 +1,95 @@
+import {
+  BOOTSTRAP_RESAMPLES,
+  DISPLAY_RESOLUTION,
+  bootstrapPercentiles,
+  convergencePath,
+  diagnose,
+} from "./convergence";
+import { createRng, normal } from "./random";
+
+const normals = (n, seed) => {
+  const rng = createRng(seed);
+  return Float64Array.from({ length: n }, () => normal(rng));
+};
+
+describe("bootstrapPercentiles", () => {
+  // 0, 1, ..., n-1: the k-th order statistic is k, so interval widths read
+  // directly as ranks
+  const n = 10000;
+  const ranks = Float64Array.from({ length: n }, (_, i) => i);
+
+  test("intervals bracket the estimate with the binomial width", () => {
+    const probs = [0.1, 0.5, 0.9];
+    const intervals = bootstrapPercentiles(
+      ranks,
+      probs,
+      BOOTSTRAP_RESAMPLES,
+      3
+    );
+    intervals.forEach(({ low, high }, i) => {
+      const p = probs[i];
+      expect(low).toBeLessThan(n * p);
+      expect(high).toBeGreaterThan(n * p);
+      // The rank of a resampled percentile has sd sqrt(n p (1 - p))
+      const expected = 1.96 * Math.sqrt(n * p * (1 - p));
+      expect((high - low) / 2).toBeGreaterThan(0.8 * expected);
+      expect((high - low) / 2).toBeLessThan(1.2 * expected);
+    });
+  });
+
+  test("is reproducible from the seed", () => {
+    const a = bootstrapPercentiles(ranks, [0.5], 200, 9);
+    expect(bootstrapPercentiles(ranks, [0.5], 200, 9)).toEqual(a);
+    expect(bootstrapPercentiles(ranks, [0.5], 200, 10)).not.toEqual(a);
+  });
+
+  test("95% intervals cover the true median in about 95% of samples", () => {
+    let covered = 0;
+    const samples = 200;
+    for (let s = 0; s < samples; s++) {
+      const sorted = normals(400, s).sort();
+      const [{ low, high }] = bootstrapPercentiles(sorted, [0.5], 400, s);
+      if (low <= 0 && high >= 0) covered++;
+    }
+    expect(covered / samples).toBeGreaterThan(0.88);
+    expect(covered / samples).toBeLessThanOrEqual(1);
+  });
+});
+
+describe("diagnose", () => {
+  test("the mean interval is the normal one and sizes scale with 1/sqrt(n)", () => {
+    const npv = normals(10000, 1).map((z) => 80 + 10 * z);
+    const d = diagnose(npv, 1);
+    const { mean } = d.estimates;
+    expect(mean.halfWidth).toBeCloseTo(1.959964 * d.se, 10);
+    expect(d.se).toBeCloseTo(10 / 100, 2);
+    ["p10", "median", "p90"].forEach((key) => {
+      const e = d.estimates[key];
+      expect(e.low).toBeLessThanOrEqual(e.value);
+      expect(e.high).toBeGreaterThanOrEqual(e.value);
+    });
+    expect(d.precise).toBe(false);
+    const ratio = d.widest.halfWidth / DISPLAY_RESOLUTION;
+    expect(d.requiredIterations).toBe(Math.ceil(10000 * ratio * ratio));
+  });
+
+  test("only plain sampling gets intervals that are not an iid approximation", () => {
+    const npv = normals(1000, 3);
+    expect(diagnose(npv, 3).iidApproximation).toBe(false);
+    expect(diagnose(npv, 3, "plain").iidApproximation).toBe(false);
+    ["antithetic", "latinHypercube", "sobol"].forEach((sampling) => {
+      expect(diagnose(npv, 3, sampling).iidApproximation).toBe(true);
+    });
+  });
+
+  test("the convergence path ends at the full-sample estimates", () => {
+    const npv = normals(5000, 2);
+    const path = convergencePath(npv);
+    expect(path[0].n).toBe(100);
+    const last = path[path.length - 1];
+    expect(last.n).toBe(5000);
+    const d = diagnose(npv, 2);
+    expect(last.mean).toBeCloseTo(d.estimates.mean.value, 10);
+    expect(last.median).toBe(d.estimates.median.value);
+  });
+});
@@ -0,0 +1,93 @@
+// Correlation matrices: validation and Cholesky factors for correlated draws
+
+const EPS = 1e-10;
+
+export const identity = (size) =>
+  Array.from({ length: size }, (_, i) =>
+    Array.from({ length: size }, (_, j) => (i === j ? 1 : 0))
+  );
+
+// Lower-triangular L with L * L^T = matrix, or null when the matrix is not
+// positive semi-definite. Zero pivots are allowed so perfectly correlated
+// drivers (rho = 1) are still accepted.
+export const cholesky = (matrix) => {
+  const size = matrix.length;
+  const L = Array.from({ length: size }, () => new Array(size).fill(0));
+  for (let j = 0; j < size; j++) {
+    let diag = matrix[j][j];
+    for (let k = 0; k < j; k++) diag -= L[j][k] * L[j][k];
+    if (diag < -1e-8) return null;
+    L[j][j] = diag > EPS ? Math.sqrt(diag) : 0;
+
+    for (let i = j + 1; i < size; i++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (L[j][j] === 0) {
+        if (Math.abs(sum) > 1e-8) return null;
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+  return L;
+};
+
+// Returns the first problem found, or null for a usable correlation matrix
+export const correlationError = (matrix, size) => {
+  if (!Array.isArray(matrix) || matrix.length !== size) {
+    return `Correlation matrix must be ${size}x${size}`;
+  }
+  for (let i = 0; i < size; i++) {
+    if (!Array.isArray(matrix[i]) || matrix[i].length !== size) {
+      return `Correlation matrix must be ${size}x${size}`;
+    }
+    if (matrix[i][i] !== 1) return "Diagonal entries must be 1";
+    for (let j = 0; j < size; j++) {
+      const rho = matrix[i][j];
+      if (!Number.isFinite(rho) || rho < -1 || rho > 1) {
+        return "Correlations must be between -1 and 1";
+      }
+      if (rho !== matrix[j][i]) return "Correlation matrix must be symmetric";
+    }
+  }
+  if (!cholesky(matrix)) {
+    return "Correlation matrix is not positive semi-definite";
+  }
+  return null;
+};
+
+export const setCorrelation = (matrix, i, j, rho) =>
+  matrix.map((row, r) =>
+    row.map((v, c) => ((r === i && c === j) || (r === j && c === i) ? rho : v))
+  );
+
+// z' = L z turns independent standard normals into correlated ones
+export const correlate = (L, z) =>
+  L.map((row, i) => {
+    let sum = 0;
+    for (let k = 0; k <= i; k++) sum += row[k] * z[k];
+    return sum;
+  });
+
+export const pearson = (xs, ys) => {
+  const n = xs.length;
+  let mx = 0;
+  let my = 0;
+  for (let i = 0; i < n; i++) {
+    mx += xs[i];
+    my += ys[i];
+  }
+  mx /= n;
+  my /= n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - mx;
+    const dy = ys[i] - my;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+};
@@ -0,0 +1,120 @@
+import {
+  cholesky,
+  correlate,
+  correlationError,
+  identity,
+  pearson,
+  setCorrelation,
+} from "./correlation";
+import { createRng, normal } from "./random";
+
+const multiply = (L) =>
+  L.map((row, i) =>
+    L.map((other, j) => row.reduce((sum, v, k) => sum + v * other[k], 0))
+  );
+
+describe("cholesky", () => {
+  test("factors a positive definite matrix", () => {
+    const matrix = [
+      [1, 0.5, 0.3],
+      [0.5, 1, 0.4],
+      [0.3, 0.4, 1],
+    ];
+    const L = cholesky(matrix);
+    L.forEach((row, i) =>
+      row.forEach((v, j) => {
+        if (j > i) expect(v).toBe(0);
+      })
+    );
+    multiply(L).forEach((row, i) =>
+      row.forEach((v, j) => expect(v).toBeCloseTo(matrix[i][j], 12))
+    );
+  });
+
+  test("accepts perfectly correlated drivers", () => {
+    const L = cholesky([
+      [1, 1],
+      [1, 1],
+    ]);
+    expect(L).toEqual([
+      [1, 0],
+      [1, 0],
+    ]);
+  });
+
+  test.each([
+    [
+      "negative eigenvalue",
+      [
+        [1, 0.9, 0.9],
+        [0.9, 1, -0.9],
+        [0.9, -0.9, 1],
+      ],
+    ],
+    [
+      "inconsistent perfect correlations",
+      [
+        [1, 1, 0],
+        [1, 1, 0.5],
+        [0, 0.5, 1],
+      ],
+    ],
+    [
+      "correlation above one",
+      [
+        [1, 1.2],
+        [1.2, 1],
+      ],
+    ],
+  ])("rejects a non-PSD matrix (%s)", (_, matrix) => {
+    expect(cholesky(matrix)).toBeNull();
+  });
+});
+
+describe("correlationError", () => {
+  test("accepts the identity", () => {
+    expect(correlationError(identity(4), 4)).toBeNull();
+  });
+
+  test("reports the first problem", () => {
+    expect(correlationError(identity(3), 4)).toMatch(/4x4/);
+    expect(correlationError(setCorrelation(identity(2), 0, 0, 0.5), 2)).toBe(
+      "Diagonal entries must be 1"
+    );
+    expect(
+      correlationError(
+        [
+          [1, 0.2],
+          [0.3, 1],
+        ],
+        2
+      )
+    ).toMatch(/symmetric/);
+    expect(correlationError(setCorrelation(identity(2), 0, 1, NaN), 2)).toMatch(
+      /between -1 and 1/
+    );
+    const nonPsd = [
+      [0, 1, 0.9],
+      [0, 2, 0.9],
+      [1, 2, -0.9],
+    ].reduce((m, [i, j, rho]) => setCorrelation(m, i, j, rho), identity(3));
+    expect(correlationError(nonPsd, 3)).toMatch(/positive semi-definite/);
+  });
+});
+
+describe("correlate", () => {
+  test("draws through the factor reproduce the target correlation", () => {
+    const L = cholesky([
+      [1, 0.6],
+      [0.6, 1],
+    ]);
+    const rng = createRng(7);
+    const n = 20000;
+    const xs = new Float64Array(n);
+    const ys = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      [xs[i], ys[i]] = correlate(L, [normal(rng), normal(rng)]);
+    }
+    expect(pearson(xs, ys)).toBeCloseTo(0.6, 1);
+  });
+});
@@ -0,0 +1,250 @@
+// Dashboard state in the URL hash. Only values that differ from the defaults
+// are written, assumptions as a patch against DEFAULT_ASSUMPTIONS, and every
+// link carries a version so older links can still be decoded.
+import {
+  DEFAULT_ASSUMPTIONS,
+  SCENARIO_KEYS,
+  validateAssumptions,
+} from "./assumptions";
+import { setCorrelation } from "./correlation";
+import { DISTRIBUTIONS } from "./distributions";
+import {
+  DEFAULT_ITERATIONS,
+  DEFAULT_TARGET_NPV,
+  DRIVERS,
+  ITERATION_OPTIONS,
+  MODEL_SCENARIOS,
+} from "./model";
+import { DEFAULT_SEED, MAX_SEED } from "./random";
+import { CONFIDENCE_LEVELS, DEFAULT_CONFIDENCE } from "./risk";
+import { DEFAULT_SAMPLING, SAMPLING_STRATEGIES } from "./sampling";
+
+export const LINK_VERSION = 1;
+
+export const DEFAULT_VIEW = {
+  scenario: "all",
+  seed: DEFAULT_SEED,
+  iterations: DEFAULT_ITERATIONS,
+  sampling: DEFAULT_SAMPLING,
+  confidence: DEFAULT_CONFIDENCE,
+  stackByScenario: false,
+  target: DEFAULT_TARGET_NPV,
+  assumptions: DEFAULT_ASSUMPTIONS,
+};
+
+// base64url over UTF-8 so fitted-source names survive
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(
+    Uint8Array.from(binary, (c) => c.charCodeAt(0))
+  );
+};
+
+const sameSpec = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const assumptionsPatch = (assumptions) => {
+  const base = DEFAULT_ASSUMPTIONS;
+  const patch = {};
+  if (assumptions.investment !== base.investment) {
+    patch.investment = assumptions.investment;
+  }
+  if (assumptions.horizon !== base.horizon) patch.horizon = assumptions.horizon;
+
+  const correlation = [];
+  DRIVERS.forEach((_, i) =>
+    DRIVERS.forEach((__, j) => {
+      const rho = assumptions.correlation[i][j];
+      if (j > i && rho !== base.correlation[i][j]) {
+        correlation.push([i, j, rho]);
+      }
+    })
+  );
+  if (correlation.length) patch.correlation = correlation;
+
+  MODEL_SCENARIOS.forEach((key) => {
+    const current = assumptions.scenarios[key];
+    const defaults = base.scenarios[key];
+    const entry = {};
+    if (current.weight !== defaults.weight) entry.weight = current.weight;
+    DRIVERS.forEach((d) => {
+      if (!sameSpec(current.drivers[d.key], defaults.drivers[d.key])) {
+        entry.drivers = entry.drivers || {};
+        entry.drivers[d.key] = current.drivers[d.key];
+      }
+    });
+    if (Object.keys(entry).length) {
+      patch.scenarios = patch.scenarios || {};
+      patch.scenarios[key] = entry;
+    }
+  });
+  return patch;
+};
+
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+
+const validSpec = (spec) =>
+  !!spec &&
+  typeof spec === "object" &&
+  !!DISTRIBUTIONS[spec.dist] &&
+  DISTRIBUTIONS[spec.dist].fields.every((f) => isNumber(spec[f]));
+
+// Throws on anything that does not describe a valid set of assumptions
+const applyPatch = (patch) => {
+  if (!patch || typeof patch !== "object") throw new Error("not an object");
+  let { investment, horizon, correlation } = DEFAULT_ASSUMPTIONS;
+  if ("investment" in patch) {
+    if (!isNumber(patch.investment) || !(patch.investment > 0)) {
+      throw new Error("bad investment");
+    }
+    investment = patch.investment;
+  }
+  if ("horizon" in patch) horizon = patch.horizon;
+  (patch.correlation || []).forEach((entry) => {
+    const [i, j, rho] = Array.isArray(entry) ? entry : [];
+    if (!DRIVERS[i] || !DRIVERS[j] || i === j || !isNumber(rho)) {
+      throw new Error("bad correlation entry");
+    }
+    correlation = setCorrelation(correlation, i, j, rho);
+  });
+
+  const scenarios = { ...DEFAULT_ASSUMPTIONS.scenarios };
+  Object.entries(patch.scenarios || {}).forEach(([key, entry]) => {
+    if (!MODEL_SCENARIOS.includes(key)) {
+      throw new Error(`unknown scenario "${key}"`);
+    }
+    const drivers = { ...scenarios[key].drivers };
+    Object.entries(entry.drivers || {}).forEach(([driverKey, spec]) => {
+      if (!DRIVERS.some((d) => d.key === driverKey) || !validSpec(spec)) {
+        throw new Error(`bad driver "${driverKey}"`);
+      }
+      drivers[driverKey] = spec;
+    });
+    scenarios[key] = {
+      weight: "weight" in entry ? entry.weight : scenarios[key].weight,
+      drivers,
+    };
+  });
+
+  const assumptions = { investment, horizon, correlation, scenarios };
+  const first = Object.values(validateAssumptions(assumptions))[0];
+  if (first) throw new Error(first);
+  return assumptions;
+};
+
+// The hash for `view`, without the leading "#"
+export const encodeLink = (view) => {
+  const params = new URLSearchParams({ v: LINK_VERSION });
+  if (view.scenario !== DEFAULT_VIEW.scenario) {
+    params.set("scenario", view.scenario);
+  }
+  if (view.seed !== DEFAULT_VIEW.seed) params.set("seed", view.seed);
+  if (view.iterations !== DEFAULT_VIEW.iterations) {
+    params.set("n", view.iterations);
+  }
+  if (view.sampling !== DEFAULT_VIEW.sampling) {
+    params.set("sampling", view.sampling);
+  }
+  if (view.confidence !== DEFAULT_VIEW.confidence) {
+    params.set("conf", view.confidence);
+  }
+  if (view.stackByScenario) params.set("stack", 1);
+  if (view.target !== DEFAULT_VIEW.target) params.set("target", view.target);
+  const patch = assumptionsPatch(view.assumptions);
+  if (Object.keys(patch).length) {
+    params.set("a", toBase64Url(JSON.stringify(patch)));
+  }
+  return params.toString();
+};
+
+const decodeV1 = (params) => {
+  const view = { ...DEFAULT_VIEW };
+  const warnings = [];
+  const read = (name, label, parse) => {
+    if (!params.has(name)) return;
+    const value = parse(params.get(name));
+    if (value === undefined) {
+      warnings.push(`${label} "${params.get(name)}" is not valid`);
+    }
+    return value;
+  };
+  const number = (test) => (raw) => {
+    const v = Number(raw);
+    return raw !== "" && test(v) ? v : undefined;
+  };
+
+  const fields = {
+    scenario: read("scenario", "Scenario", (raw) =>
+      SCENARIO_KEYS.includes(raw) ? raw : undefined
+    ),
+    seed: read(
+      "seed",
+      "Seed",
+      number((v) => Number.isInteger(v) && v >= 0 && v <= MAX_SEED)
+    ),
+    iterations: read(
+      "n",
+      "Iteration count",
+      number((v) => ITERATION_OPTIONS.includes(v))
+    ),
+    sampling: read("sampling", "Sampling strategy", (raw) =>
+      SAMPLING_STRATEGIES[raw] ? raw : undefined
+    ),
+    confidence: read(
+      "conf",
+      "Confidence level",
+      number((v) => CONFIDENCE_LEVELS.includes(v))
+    ),
+    stackByScenario: read("stack", "Chart option", (raw) =>
+      raw === "1" ? true : raw === "0" ? false : undefined
+    ),
+    target: read("target", "Target NPV", number(Number.isFinite)),
+  };
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined) view[key] = value;
+  });
+
+  if (params.has("a")) {
+    try {
+      view.assumptions = applyPatch(JSON.parse(fromBase64Url(params.get("a"))));
+    } catch (err) {
+      warnings.push(
+        `Assumptions could not be restored (${err.message}); defaults are used`
+      );
+    }
+  }
+  return { view, warnings };
+};
+
+const DECODERS = { 1: decodeV1 };
+
+// Always returns a usable view; anything that could not be read is listed in
+// `warnings` and left at its default
+export const decodeLink = (hash) => {
+  const text = hash.replace(/^#/, "");
+  if (!text) return { view: DEFAULT_VIEW, warnings: [] };
+  const params = new URLSearchParams(text);
+  const decode = DECODERS[params.get("v")];
+  if (!decode) {
+    return {
+      view: DEFAULT_VIEW,
+      warnings: [
+        params.has("v")
+          ? `Link version ${params.get("v")} is not supported; showing the default analysis`
+          : "The link could not be read; showing the default analysis",
+      ],
+    };
+  }
+  return decode(params);
+};
@@ -0,0 +1,113 @@
+/**
+ * @jest-environment node
+ */
+import { DEFAULT_ASSUMPTIONS, setDriver, setWeight } from "./assumptions";
+import { setCorrelation } from "./correlation";
+import { DEFAULT_VIEW, decodeLink, encodeLink } from "./deepLink";
+
+const toBase64Url = (text) =>
+  Buffer.from(text, "utf8")
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const linkWithPatch = (patch) => `#v=1&a=${toBase64Url(JSON.stringify(patch))}`;
+
+describe("encodeLink / decodeLink", () => {
+  test("the default view encodes to the version alone", () => {
+    expect(encodeLink(DEFAULT_VIEW)).toBe("v=1");
+    expect(decodeLink("#v=1")).toEqual({ view: DEFAULT_VIEW, warnings: [] });
+  });
+
+  test("round-trips settings and edited assumptions", () => {
+    let assumptions = { ...DEFAULT_ASSUMPTIONS, investment: 6, horizon: 8 };
+    assumptions = setDriver(assumptions, "base", "share", {
+      dist: "triangular",
+      low: 0.6,
+      mode: 0.75,
+      high: 0.9,
+    });
+    assumptions = setWeight(assumptions, "optimistic", 0.4);
+    assumptions = {
+      ...assumptions,
+      correlation: setCorrelation(assumptions.correlation, 0, 2, 0.35),
+    };
+    const view = {
+      scenario: "base",
+      seed: 1234,
+      iterations: 50000,
+      sampling: "sobol",
+      confidence: 0.99,
+      stackByScenario: true,
+      target: 95,
+      assumptions,
+    };
+
+    const { view: decoded, warnings } = decodeLink(`#${encodeLink(view)}`);
+    expect(warnings).toEqual([]);
+    expect(decoded).toEqual(view);
+  });
+
+  test("an empty hash is the default view", () => {
+    expect(decodeLink("")).toEqual({ view: DEFAULT_VIEW, warnings: [] });
+  });
+});
+
+describe("decodeLink with malformed input", () => {
+  test.each([["5"], [true], [null], [-2], [0], [[4.5]], [{}]])(
+    "rejects investment %p and keeps the default assumptions",
+    (investment) => {
+      const { view, warnings } = decodeLink(linkWithPatch({ investment }));
+      expect(view.assumptions).toBe(DEFAULT_ASSUMPTIONS);
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0]).toMatch(/Assumptions could not be restored/);
+    }
+  );
+
+  test.each([
+    ["a string horizon", { horizon: "8" }],
+    ["a fractional horizon", { horizon: 7.5 }],
+    ["a string weight", { scenarios: { base: { weight: "0.5" } } }],
+    ["an unknown scenario", { scenarios: { bull: { weight: 1 } } }],
+    [
+      "a driver with a missing field",
+      { scenarios: { base: { drivers: { share: { dist: "normal" } } } } },
+    ],
+    ["a self-correlation", { correlation: [[1, 1, 0.5]] }],
+    [
+      "a non-PSD correlation",
+      {
+        correlation: [
+          [0, 1, 0.99],
+          [0, 2, 0.99],
+          [1, 2, -0.99],
+        ],
+      },
+    ],
+  ])("rejects %s", (_, patch) => {
+    const { view, warnings } = decodeLink(linkWithPatch(patch));
+    expect(view.assumptions).toBe(DEFAULT_ASSUMPTIONS);
+    expect(warnings).toHaveLength(1);
+  });
+
+  test("rejects an assumptions blob that is not JSON", () => {
+    const { view, warnings } = decodeLink("#v=1&a=not-json");
+    expect(view.assumptions).toBe(DEFAULT_ASSUMPTIONS);
+    expect(warnings).toHaveLength(1);
+  });
+
+  test("drops invalid settings one by one and keeps the rest", () => {
+    const { view, warnings } = decodeLink(
+      "#v=1&seed=-1&n=12345&sampling=bogus&conf=0.5&stack=2&target=abc&scenario=base"
+    );
+    expect(view).toEqual({ ...DEFAULT_VIEW, scenario: "base" });
+    expect(warnings).toHaveLength(6);
+  });
+
+  test("refuses unknown link versions", () => {
+    expect(decodeLink("#v=99").view).toBe(DEFAULT_VIEW);
+    expect(decodeLink("#v=99").warnings[0]).toMatch(/version 99/);
+    expect(decodeLink("#seed=5").warnings[0]).toMatch(/could not be read/);
+  });
+});
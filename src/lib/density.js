@@ -0,0 +1,150 @@
+// Risk-return view over every iteration: a 2-D density grid of market share
+// against NPV, and user-defined risk bands on market share with the NPV
+// statistics of the iterations in each band
+import { quantileSorted, sortedCopy } from "./stats";
+
+const GRID_X = 60;
+const GRID_Y = 40;
+
+export const MAX_RISK_BANDS = 6;
+
+// Ordered from the lowest share up; each band runs to `upTo` and the last one
+// is open-ended
+export const DEFAULT_RISK_BANDS = [
+  { name: "High risk", upTo: 0.7 },
+  { name: "Medium risk", upTo: 0.78 },
+  { name: "Low risk", upTo: null },
+];
+
+// Red for the riskiest band through to green for the safest
+export const bandColor = (index, count) =>
+  `hsl(${count > 1 ? (index / (count - 1)) * 140 : 140}, 70%, 50%)`;
+
+// Returns a flat map of "path" -> message; empty when the bands can be used
+export const validateBands = (bands) => {
+  const errors = {};
+  bands.forEach((band, i) => {
+    if (!band.name.trim()) errors[`${i}.name`] = "Name the band";
+    if (i === bands.length - 1) return;
+    if (!(band.upTo > 0 && band.upTo < 1)) {
+      errors[`${i}.upTo`] = "Cut-off must be between 0 and 1";
+    } else if (i > 0 && !(band.upTo > bands[i - 1].upTo)) {
+      errors[`${i}.upTo`] = "Cut-offs must increase from band to band";
+    }
+  });
+  return errors;
+};
+
+// A new band goes on top: the old open-ended band gets a cut-off just above
+// the one below it
+export const addBand = (bands) => {
+  const last = bands[bands.length - 1];
+  const previous = bands.length > 1 ? bands[bands.length - 2].upTo : 0.6;
+  return [
+    ...bands.slice(0, -1),
+    { ...last, upTo: Number(Math.min(0.99, previous + 0.05).toFixed(2)) },
+    { name: `Band ${bands.length + 1}`, upTo: null },
+  ];
+};
+
+export const removeBand = (bands, index) =>
+  bands
+    .filter((_, i) => i !== index)
+    .map((band, i, kept) =>
+      i === kept.length - 1 ? { ...band, upTo: null } : band
+    );
+
+// "< 70%", "70–78%" or "≥ 78%" for a band from bandStats
+export const bandRangeLabel = ({ from, upTo }) => {
+  const pct = (v) => `${Number((v * 100).toFixed(1))}%`;
+  if (from === null && upTo === null) return "All shares";
+  if (from === null) return `< ${pct(upTo)}`;
+  if (upTo === null) return `≥ ${pct(from)}`;
+  return `${pct(from).slice(0, -1)}–${pct(upTo)}`;
+};
+
+const bandOf = (bands, share) => {
+  let b = 0;
+  while (b < bands.length - 1 && share >= bands[b].upTo) b++;
+  return b;
+};
+
+// Counts on a GRID_X x GRID_Y grid spanning the full range of both variables,
+// so no iteration falls outside the axes. Only non-empty cells are returned;
+// `band` is the risk band of the cell's centre.
+export const densityGrid = (share, npv, bands) => {
+  const n = share.length;
+  const range = (values, bins) => {
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach((v) => {
+      if (v < min) min = v;
+      if (v > max) max = v;
+    });
+    return { min, max, width: (max - min) / bins || 1 };
+  };
+  const x = range(share, GRID_X);
+  const y = range(npv, GRID_Y);
+
+  const counts = new Uint32Array(GRID_X * GRID_Y);
+  for (let i = 0; i < n; i++) {
+    const cx = Math.min(GRID_X - 1, Math.floor((share[i] - x.min) / x.width));
+    const cy = Math.min(GRID_Y - 1, Math.floor((npv[i] - y.min) / y.width));
+    counts[cy * GRID_X + cx]++;
+  }
+
+  const cells = [];
+  let peak = 0;
+  counts.forEach((count, c) => {
+    if (count === 0) return;
+    const cx = c % GRID_X;
+    const cy = Math.floor(c / GRID_X);
+    const share0 = x.min + cx * x.width;
+    cells.push({
+      x: share0 + x.width / 2,
+      y: y.min + (cy + 0.5) * y.width,
+      x0: share0,
+      x1: share0 + x.width,
+      y0: y.min + cy * y.width,
+      y1: y.min + (cy + 1) * y.width,
+      count,
+      band: bandOf(bands, share0 + x.width / 2),
+    });
+    if (count > peak) peak = count;
+  });
+  return {
+    n,
+    peak,
+    x: [x.min, x.max],
+    y: [y.min, y.max],
+    cells,
+  };
+};
+
+// Per band: the share range, the iteration count and percent of the total,
+// and the NPV mean, P10, median, P90 and P(loss); `mean` is null when the band
+// is empty
+export const bandStats = (share, npv, bands) => {
+  const n = share.length;
+  const members = bands.map(() => []);
+  for (let i = 0; i < n; i++) members[bandOf(bands, share[i])].push(npv[i]);
+  return bands.map((band, b) => {
+    const values = members[b];
+    const from = b === 0 ? null : bands[b - 1].upTo;
+    if (values.length === 0) {
+      return { ...band, from, count: 0, percent: 0, mean: null };
+    }
+    const sorted = sortedCopy(values);
+    return {
+      ...band,
+      from,
+      count: values.length,
+      percent: (values.length / n) * 100,
+      mean: values.reduce((sum, v) => sum + v, 0) / values.length,
+      p10: quantileSorted(sorted, 0.1),
+      median: quantileSorted(sorted, 0.5),
+      p90: quantileSorted(sorted, 0.9),
+      probLoss: (values.filter((v) => v < 0).length / values.length) * 100,
+    };
+  });
+};
@@ -0,0 +1,306 @@
+// Input distribution families. Every family is sampled through its inverse
+// CDF so correlated normals can drive any of them (a Gaussian copula), and
+// truncation to a driver's bounds renormalises instead of piling up mass.
+
+export const DISTRIBUTIONS = {
+  normal: { label: "Normal", fields: ["mean", "std"] },
+  truncatedNormal: {
+    label: "Truncated Normal",
+    fields: ["mean", "std", "low", "high"],
+  },
+  lognormal: { label: "Lognormal", fields: ["mean", "std"] },
+  triangular: { label: "Triangular", fields: ["low", "mode", "high"] },
+  pert: { label: "PERT", fields: ["low", "mode", "high"] },
+};
+
+const P_EPS = 1e-12;
+const TABLE_SIZE = 1025;
+
+export const normalPdf = (z) => Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+
+// Complementary error function with fractional error below 1.2e-7
+const ERFC_COEFFS = [
+  -1.26551223, 1.00002368, 0.37409196, 0.09678418, -0.18628806, 0.27886807,
+  -1.13520398, 1.48851587, -0.82215223, 0.17087277,
+];
+
+const erfc = (x) => {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  let poly = 0;
+  for (let i = ERFC_COEFFS.length - 1; i >= 0; i--) {
+    poly = ERFC_COEFFS[i] + t * poly;
+  }
+  const r = t * Math.exp(-z * z + poly);
+  return x >= 0 ? r : 2 - r;
+};
+
+export const normalCdf = (z) => 0.5 * erfc(-z / Math.SQRT2);
+
+// Acklam's rational approximation, polished with one Newton step
+const A = [
+  -3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2,
+  1.38357751867269e2, -3.066479806614716e1, 2.506628277459239,
+];
+const B = [
+  -5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2,
+  6.680131188771972e1, -1.328068155288572e1,
+];
+const C = [
+  -7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838,
+  -2.549732539343734, 4.374664141464968, 2.938163982698783,
+];
+const D = [
+  7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996,
+  3.754408661907416,
+];
+
+export const normalQuantile = (p) => {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  let x;
+  if (p < 0.02425) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    x =
+      (((((C[0] * q + C[1]) * q + C[2]) * q + C[3]) * q + C[4]) * q + C[5]) /
+      ((((D[0] * q + D[1]) * q + D[2]) * q + D[3]) * q + 1);
+  } else if (p > 1 - 0.02425) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    x = -(
+      (((((C[0] * q + C[1]) * q + C[2]) * q + C[3]) * q + C[4]) * q + C[5]) /
+      ((((D[0] * q + D[1]) * q + D[2]) * q + D[3]) * q + 1)
+    );
+  } else {
+    const q = p - 0.5;
+    const r = q * q;
+    x =
+      ((((((A[0] * r + A[1]) * r + A[2]) * r + A[3]) * r + A[4]) * r + A[5]) *
+        q) /
+      (((((B[0] * r + B[1]) * r + B[2]) * r + B[3]) * r + B[4]) * r + 1);
+  }
+  const e = normalCdf(x) - p;
+  return x - e / Math.max(normalPdf(x), 1e-300);
+};
+
+// Tabulated CDF for families without a closed-form inverse (PERT)
+const tabulate = (low, high, rawPdf) => {
+  const xs = new Float64Array(TABLE_SIZE);
+  const cdf = new Float64Array(TABLE_SIZE);
+  const dx = (high - low) / (TABLE_SIZE - 1);
+  let prev = rawPdf(low);
+  xs[0] = low;
+  for (let i = 1; i < TABLE_SIZE; i++) {
+    xs[i] = low + i * dx;
+    const cur = rawPdf(xs[i]);
+    cdf[i] = cdf[i - 1] + ((prev + cur) / 2) * dx;
+    prev = cur;
+  }
+  const total = cdf[TABLE_SIZE - 1];
+  for (let i = 0; i < TABLE_SIZE; i++) cdf[i] /= total;
+
+  const search = (arr, v) => {
+    let lo = 0;
+    let hi = TABLE_SIZE - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (arr[mid] <= v) lo = mid;
+      else hi = mid;
+    }
+    return lo;
+  };
+  const lerp = (from, to, v) => {
+    const i = search(from, v);
+    const span = from[i + 1] - from[i];
+    const t = span > 0 ? (v - from[i]) / span : 0;
+    return to[i] + t * (to[i + 1] - to[i]);
+  };
+
+  return {
+    cdf: (x) => (x <= low ? 0 : x >= high ? 1 : lerp(xs, cdf, x)),
+    quantile: (p) => lerp(cdf, xs, Math.min(1, Math.max(0, p))),
+    pdf: (x) => (x < low || x > high ? 0 : rawPdf(x) / total),
+  };
+};
+
+const FAMILIES = {
+  normal: ({ mean, std }) => ({
+    cdf: (x) => normalCdf((x - mean) / std),
+    quantile: (p) => mean + std * normalQuantile(p),
+    pdf: (x) => normalPdf((x - mean) / std) / std,
+  }),
+  truncatedNormal: (spec) => FAMILIES.normal(spec),
+  lognormal: ({ mean, std }) => {
+    const s = Math.sqrt(Math.log(1 + (std / mean) ** 2));
+    const mu = Math.log(mean) - (s * s) / 2;
+    return {
+      cdf: (x) => (x <= 0 ? 0 : normalCdf((Math.log(x) - mu) / s)),
+      quantile: (p) => Math.exp(mu + s * normalQuantile(p)),
+      pdf: (x) => (x <= 0 ? 0 : normalPdf((Math.log(x) - mu) / s) / (x * s)),
+    };
+  },
+  triangular: ({ low, mode, high }) => {
+    const range = high - low;
+    const split = (mode - low) / range;
+    return {
+      cdf: (x) => {
+        if (x <= low) return 0;
+        if (x >= high) return 1;
+        return x <= mode
+          ? (x - low) ** 2 / (range * (mode - low))
+          : 1 - (high - x) ** 2 / (range * (high - mode));
+      },
+      quantile: (p) =>
+        p < split
+          ? low + Math.sqrt(p * range * (mode - low))
+          : high - Math.sqrt((1 - p) * range * (high - mode)),
+      pdf: (x) => {
+        if (x < low || x > high) return 0;
+        return x <= mode
+          ? (2 * (x - low)) / (range * (mode - low || 1))
+          : (2 * (high - x)) / (range * (high - mode || 1));
+      },
+    };
+  },
+  pert: ({ low, mode, high }) => {
+    const range = high - low;
+    const alpha = 1 + (4 * (mode - low)) / range;
+    const beta = 1 + (4 * (high - mode)) / range;
+    return tabulate(
+      low,
+      high,
+      (x) =>
+        ((x - low) / range) ** (alpha - 1) * ((high - x) / range) ** (beta - 1)
+    );
+  },
+};
+
+const supportBounds = (spec, bounds) => {
+  let lo = bounds.min;
+  let hi = bounds.max;
+  if (spec.dist === "truncatedNormal") {
+    lo = Math.max(lo, spec.low);
+    hi = Math.min(hi, spec.high);
+  }
+  return { lo, hi };
+};
+
+// { sample(u), pdf(x), cdf(x), lo, hi } with the family truncated to `bounds`
+export const createDistribution = (spec, bounds) => {
+  const family = FAMILIES[spec.dist](spec);
+  const { lo, hi } = supportBounds(spec, bounds);
+  const cdfLo = Number.isFinite(lo) ? family.cdf(lo) : 0;
+  const cdfHi = Number.isFinite(hi) ? family.cdf(hi) : 1;
+  const mass = cdfHi - cdfLo;
+
+  return {
+    lo,
+    hi,
+    mass,
+    sample: (u) => {
+      const p = Math.min(1 - P_EPS, Math.max(P_EPS, u));
+      const x = family.quantile(cdfLo + p * mass);
+      return Math.min(hi, Math.max(lo, x));
+    },
+    pdf: (x) => (x < lo || x > hi || mass <= 0 ? 0 : family.pdf(x) / mass),
+    cdf: (x) => {
+      if (x <= lo) return 0;
+      if (x >= hi) return 1;
+      return Math.min(1, Math.max(0, (family.cdf(x) - cdfLo) / mass));
+    },
+  };
+};
+
+// Mean and standard deviation of the untruncated family, used to seed
+// parameters when the analyst switches family
+export const specMoments = (spec) => {
+  if (spec.dist === "triangular") {
+    const { low, mode, high } = spec;
+    return {
+      mean: (low + mode + high) / 3,
+      std: Math.sqrt(
+        (low * low +
+          mode * mode +
+          high * high -
+          low * mode -
+          low * high -
+          mode * high) /
+          18
+      ),
+    };
+  }
+  if (spec.dist === "pert") {
+    const { low, mode, high } = spec;
+    const mean = (low + 4 * mode + high) / 6;
+    return { mean, std: Math.sqrt(((mean - low) * (high - mean)) / 7) };
+  }
+  return { mean: spec.mean, std: spec.std };
+};
+
+const round = (v) => Number(v.toPrecision(4));
+
+export const convertSpec = (spec, dist, bounds) => {
+  const { mean, std } = specMoments(spec);
+  const clip = (v) => round(Math.min(bounds.max, Math.max(bounds.min, v)));
+  if (dist === "normal" || dist === "lognormal") {
+    return { dist, mean: round(mean), std: round(std) };
+  }
+  if (dist === "truncatedNormal") {
+    return {
+      dist,
+      mean: round(mean),
+      std: round(std),
+      low: clip(mean - 3 * std),
+      high: clip(mean + 3 * std),
+    };
+  }
+  const half = std * (dist === "pert" ? Math.sqrt(7) : Math.sqrt(6));
+  return {
+    dist,
+    low: clip(mean - half),
+    mode: clip(mean),
+    high: clip(mean + half),
+  };
+};
+
+// Returns a message for an unusable spec, or null
+export const distributionError = (spec, bounds) => {
+  if (!DISTRIBUTIONS[spec.dist]) return "Unknown distribution";
+  const missing = DISTRIBUTIONS[spec.dist].fields.find(
+    (f) => !Number.isFinite(spec[f])
+  );
+  if (missing) return `${missing} must be a number`;
+
+  if (spec.dist === "triangular" || spec.dist === "pert") {
+    const { low, mode, high } = spec;
+    if (!(low <= mode && mode <= high && low < high)) {
+      return "Requires low ≤ mode ≤ high with low < high";
+    }
+    if (low < bounds.min || high > bounds.max) {
+      return `Range must stay within ${bounds.min} to ${bounds.max}`;
+    }
+    return null;
+  }
+
+  if (!(spec.std > 0)) return "std must be positive";
+  if (spec.dist === "lognormal" && !(spec.mean > 0)) {
+    return "Lognormal mean must be positive";
+  }
+  if (spec.dist === "truncatedNormal" && !(spec.low < spec.high)) {
+    return "Truncation low must be below high";
+  }
+  const { mass } = createDistribution(spec, bounds);
+  if (!(mass > 1e-6)) return "No probability mass within the driver's bounds";
+  return null;
+};
+
+// Points for a small density preview of the truncated distribution
+export const densityCurve = (spec, bounds, points = 40) => {
+  const dist = createDistribution(spec, bounds);
+  const from = dist.sample(0.001);
+  const to = dist.sample(0.999);
+  if (!(to > from)) return [];
+  return Array.from({ length: points }, (_, i) => {
+    const x = from + ((to - from) * i) / (points - 1);
+    return { x, y: dist.pdf(x) };
+  });
+};
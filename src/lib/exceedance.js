@@ -0,0 +1,28 @@
+// Exceedance curves: P(NPV >= x) against x, for one or more sorted samples
+import { countAtLeast } from "./stats";
+
+const CURVE_POINTS = 240;
+
+// MOIC multiple the dashboard starts the P(MOIC >= Y) readout at
+export const DEFAULT_MOIC_MULTIPLE = 30;
+
+// Percent of draws at or above `x`
+export const probabilityAtLeast = (sorted, x) =>
+  (countAtLeast(sorted, x) / sorted.length) * 100;
+
+// Rows of { x, [key]: P(NPV >= x) } on one grid spanning every series, so the
+// curves share an axis and the chart can snap a threshold to any row
+export const exceedanceCurves = (series) => {
+  const samples = Object.values(series);
+  const min = Math.min(...samples.map((s) => s[0]));
+  const max = Math.max(...samples.map((s) => s[s.length - 1]));
+  const step = (max - min) / CURVE_POINTS || 1;
+  return Array.from({ length: CURVE_POINTS + 1 }, (_, i) => {
+    const x = min + i * step;
+    const row = { x };
+    Object.entries(series).forEach(([key, sorted]) => {
+      row[key] = probabilityAtLeast(sorted, x);
+    });
+    return row;
+  });
+};
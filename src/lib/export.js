@@ -0,0 +1,221 @@
+// File exports: raw draws as CSV, computed results as a versioned JSON
+// document, and rendered charts as SVG or PNG.
+import { DRIVERS, MODEL_SCENARIOS, horizonYears } from "./model";
+
+export const EXPORT_FORMAT = "green-ai-npv-analysis";
+export const EXPORT_VERSION = 1;
+
+const CSV_CHUNK_ROWS = 10000;
+const CHART_BACKGROUND = "#1f2937";
+const CHART_FONT = "ui-sans-serif, system-ui, sans-serif";
+const PNG_SCALE = 2;
+
+export const fileStem = (config) =>
+  `npv-${config.scenario}-${config.iterations}-seed${config.seed}`;
+
+// Returned as chunks so a million rows never become one giant string
+export const simulationsCsv = (simulations) => {
+  const { n, horizon, npv, drivers, scenario, paths, irr, payback, moic } =
+    simulations;
+  const years = horizonYears(horizon);
+  const header = [
+    "iteration",
+    "scenario",
+    ...DRIVERS.map((d) => d.key),
+    "npv",
+    "irr",
+    "discounted_payback",
+    "moic",
+    ...years.map((yr) => `value_${yr}`),
+  ];
+
+  const chunks = [`${header.join(",")}\n`];
+  let lines = [];
+  for (let i = 0; i < n; i++) {
+    const row = [i + 1, MODEL_SCENARIOS[scenario[i]]];
+    DRIVERS.forEach(({ key }) => row.push(drivers[key][i]));
+    row.push(npv[i]);
+    // Undefined IRR and unreached payback are left empty
+    [irr, payback, moic].forEach((values) =>
+      row.push(Number.isNaN(values[i]) ? "" : values[i])
+    );
+    for (let t = 0; t < horizon; t++) row.push(paths[i * horizon + t]);
+    lines.push(row.join(","));
+    if (lines.length === CSV_CHUNK_ROWS || i === n - 1) {
+      chunks.push(`${lines.join("\n")}\n`);
+      lines = [];
+    }
+  }
+  return chunks;
+};
+
+export const analysisDocument = ({
+  config,
+  stats,
+  returns,
+  target,
+  distribution,
+  trajectory,
+}) => {
+  // The sorted draws are an internal cache, not a statistic
+  const { sortedNpv, ...summary } = stats;
+  const withoutDraws = ({ sorted, ...rest }) => rest;
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    run: {
+      seed: config.seed,
+      iterations: config.iterations,
+      scenario: config.scenario,
+      sampling: config.sampling,
+    },
+    assumptions: config.assumptions,
+    stats: summary,
+    returns: {
+      irr: withoutDraws(returns.irr),
+      discountedPayback: withoutDraws(returns.payback),
+      moic: withoutDraws(returns.moic),
+      irrUndefined: returns.irrUndefined,
+    },
+    target,
+    distribution,
+    trajectory,
+  };
+};
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download after click() returns; revoking the URL
+  // straight away can cancel it
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export const downloadCsv = (chunks, filename) =>
+  downloadBlob(new Blob(chunks, { type: "text/csv" }), filename);
+
+export const downloadJson = (data, filename) =>
+  downloadBlob(
+    new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }),
+    filename
+  );
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+const svgElement = (tag, attrs) => {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+  return el;
+};
+
+// Recharts draws the legend as HTML next to the SVG, so it is redrawn here as
+// a row of swatches under the plot
+const appendLegend = (svg, container, width, height) => {
+  const items = Array.from(
+    container.querySelectorAll(".recharts-legend-item")
+  ).map((item) => {
+    const swatch = item.querySelector(".recharts-legend-icon");
+    return {
+      text: item.textContent,
+      color:
+        (swatch &&
+          (swatch.getAttribute("fill") !== "none"
+            ? swatch.getAttribute("fill")
+            : swatch.getAttribute("stroke"))) ||
+        "#9ca3af",
+    };
+  });
+  if (items.length === 0) return height;
+
+  const rowHeight = 24;
+  let x = 16;
+  let y = height + 8;
+  items.forEach(({ text, color }) => {
+    const itemWidth = 24 + text.length * 7;
+    if (x + itemWidth > width) {
+      x = 16;
+      y += rowHeight;
+    }
+    svg.appendChild(
+      svgElement("rect", { x, y, width: 12, height: 12, fill: color })
+    );
+    const label = svgElement("text", {
+      x: x + 18,
+      y: y + 11,
+      fill: "#d1d5db",
+      "font-size": 12,
+    });
+    label.textContent = text;
+    svg.appendChild(label);
+    x += itemWidth;
+  });
+  return y + rowHeight;
+};
+
+// Standalone SVG markup for the chart inside `container`
+export const chartSvg = (container) => {
+  const surface = container.querySelector(
+    ".recharts-wrapper > svg.recharts-surface"
+  );
+  if (!surface) throw new Error("Chart is not rendered yet");
+  const width = Number(surface.getAttribute("width"));
+  const plotHeight = Number(surface.getAttribute("height"));
+
+  const svg = surface.cloneNode(true);
+  svg.setAttribute("xmlns", SVG_NS);
+  svg.setAttribute("font-family", CHART_FONT);
+  svg.insertBefore(
+    svgElement("rect", {
+      width: "100%",
+      height: "100%",
+      fill: CHART_BACKGROUND,
+    }),
+    svg.firstChild
+  );
+  const height = appendLegend(svg, container, width, plotHeight);
+  svg.setAttribute("height", height);
+  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+
+  return {
+    markup: new XMLSerializer().serializeToString(svg),
+    width,
+    height,
+  };
+};
+
+export const downloadChartSvg = (container, filename) => {
+  const { markup } = chartSvg(container);
+  downloadBlob(new Blob([markup], { type: "image/svg+xml" }), filename);
+};
+
+export const downloadChartPng = (container, filename) =>
+  new Promise((resolve, reject) => {
+    const { markup, width, height } = chartSvg(container);
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * PNG_SCALE;
+      canvas.height = height * PNG_SCALE;
+      const ctx = canvas.getContext("2d");
+      ctx.scale(PNG_SCALE, PNG_SCALE);
+      ctx.drawImage(image, 0, 0, width, height);
+      canvas.toBlob((blob) => {
+        if (!blob) {
+          reject(new Error("Could not encode PNG"));
+          return;
+        }
+        downloadBlob(blob, filename);
+        resolve();
+      }, "image/png");
+    };
+    image.onerror = () => reject(new Error("Could not render chart image"));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(
+      markup
+    )}`;
+  });
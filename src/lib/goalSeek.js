@@ -0,0 +1,247 @@
+// Goal seek: the value of one input at which an NPV statistic hits a target.
+// Every evaluation re-runs the model on the same seed, so the statistic is a
+// deterministic function of the input and the search always retraces its
+// steps. A driver is moved by shifting its distribution in every scenario; its
+// value is the scenario-weighted mean of the shifted distributions.
+import { validateAssumptions } from "./assumptions";
+import { specMoments } from "./distributions";
+import { DRIVERS, MODEL_SCENARIOS, runModel, scenarioWeights } from "./model";
+import { countAbove, quantileSorted, sortedCopy } from "./stats";
+
+// Evaluations are capped in size so a 1M-iteration dashboard still solves in
+// reasonable time
+export const SOLVER_MAX_ITERATIONS = 50000;
+const MAX_STEPS = 40;
+
+export const SOLVER_STATISTICS = {
+  median: { label: "Median NPV", unit: "$B" },
+  mean: { label: "Mean NPV", unit: "$B" },
+  p10: { label: "P10 NPV", unit: "$B" },
+  p90: { label: "P90 NPV", unit: "$B" },
+  probAbove: { label: "P(NPV > threshold)", unit: "%" },
+};
+
+// Inputs the solver can vary: the investment or the level of any driver
+export const SOLVER_INPUTS = [
+  { key: "investment", label: "Investment", unit: "$B", min: 0, max: Infinity },
+  ...DRIVERS,
+];
+
+export const DEFAULT_GOAL = {
+  statistic: "probAbove",
+  threshold: 80,
+  target: 70,
+  input: "share",
+  low: 0.6,
+  high: 0.95,
+};
+
+// Driver fractions read as percentages, everything else in $B
+export const formatUnit = (unit, v, digits = 2) =>
+  unit === "%" ? `${(v * 100).toFixed(digits)}%` : `$${v.toFixed(digits)}B`;
+
+export const formatStatistic = (statistic, v) =>
+  SOLVER_STATISTICS[statistic].unit === "%"
+    ? `${v.toFixed(2)}%`
+    : `$${v.toFixed(2)}B`;
+
+export const statisticLabel = (goal) =>
+  goal.statistic === "probAbove"
+    ? `P(NPV > $${goal.threshold}B)`
+    : SOLVER_STATISTICS[goal.statistic].label;
+
+// Whether a search's settings are still the goal and model on the dashboard
+export const searchMatches = (searched, goal, config) =>
+  searched.goal === goal &&
+  searched.assumptions === config.assumptions &&
+  searched.scenario === config.scenario &&
+  searched.seed === config.seed &&
+  searched.iterations === config.iterations &&
+  searched.sampling === config.sampling;
+
+// Statistics on $B are solved to a cent of a billion, probabilities to a
+// hundredth of a percentage point
+const TOLERANCE = { $B: 0.01, "%": 0.01 };
+
+const inputOf = (key) => SOLVER_INPUTS.find((input) => input.key === key);
+
+const shiftSpec = (spec, delta) => {
+  const shifted = { ...spec };
+  ["mean", "mode", "low", "high"].forEach((field) => {
+    if (field in spec) shifted[field] = spec[field] + delta;
+  });
+  return shifted;
+};
+
+// Current value of `key` under `assumptions` for the run's scenario mix
+export const inputValue = (assumptions, scenario, key) => {
+  if (key === "investment") return assumptions.investment;
+  const weights = scenarioWeights(assumptions, scenario);
+  return MODEL_SCENARIOS.reduce(
+    (sum, s, k) =>
+      sum +
+      weights[k] * specMoments(assumptions.scenarios[s].drivers[key]).mean,
+    0
+  );
+};
+
+// `assumptions` with `key` moved to `value`
+export const withInput = (assumptions, scenario, key, value) => {
+  if (key === "investment") return { ...assumptions, investment: value };
+  const delta = value - inputValue(assumptions, scenario, key);
+  return {
+    ...assumptions,
+    scenarios: Object.fromEntries(
+      MODEL_SCENARIOS.map((s) => {
+        const current = assumptions.scenarios[s];
+        return [
+          s,
+          {
+            ...current,
+            drivers: {
+              ...current.drivers,
+              [key]: shiftSpec(current.drivers[key], delta),
+            },
+          },
+        ];
+      })
+    ),
+  };
+};
+
+// A search range either side of the current value, inside the input's bounds
+export const defaultRange = (assumptions, scenario, key) => {
+  const { min, max } = inputOf(key);
+  const value = inputValue(assumptions, scenario, key);
+  const span = Math.abs(value) * 0.5 || 1;
+  const round = (v) => Number(v.toPrecision(3));
+  return {
+    low: round(Math.max(min, value - span)),
+    high: round(Math.min(max, value + span)),
+  };
+};
+
+// Returns a flat map of "path" -> message; empty when the goal can be solved
+export const validateGoal = (goal, assumptions, scenario) => {
+  const errors = {};
+  const input = inputOf(goal.input);
+  if (!input) errors.input = "Choose an input to vary";
+  if (!SOLVER_STATISTICS[goal.statistic]) {
+    errors.statistic = "Choose a statistic";
+  } else if (
+    SOLVER_STATISTICS[goal.statistic].unit === "%" &&
+    !(goal.target > 0 && goal.target < 100)
+  ) {
+    errors.target = "Target probability must be between 0 and 100";
+  }
+  if (!Number.isFinite(goal.target)) errors.target = "Enter a target value";
+  if (goal.statistic === "probAbove" && !Number.isFinite(goal.threshold)) {
+    errors.threshold = "Enter an NPV threshold";
+  }
+  if (!(goal.low < goal.high)) {
+    errors.high = "Upper bound must be above the lower bound";
+  } else if (input && (goal.low < input.min || goal.high > input.max)) {
+    errors.high = `Range must stay within ${input.min} to ${input.max}`;
+  }
+  if (!input || errors.high) return errors;
+  ["low", "high"].forEach((end) => {
+    const first = Object.values(
+      validateAssumptions(
+        withInput(assumptions, scenario, goal.input, goal[end])
+      )
+    )[0];
+    if (first) errors[end] = `At ${goal[end]}: ${first}`;
+  });
+  return errors;
+};
+
+const statisticOf = (npv, { statistic, threshold }) => {
+  const sorted = sortedCopy(npv);
+  if (statistic === "probAbove") {
+    return (countAbove(sorted, threshold) / sorted.length) * 100;
+  }
+  if (statistic === "mean") {
+    return sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  }
+  const p = { median: 0.5, p10: 0.1, p90: 0.9 }[statistic];
+  return quantileSorted(sorted, p);
+};
+
+// Brackets the target between the range ends, then closes in with the
+// Illinois variant of regula falsi. `history` lists every evaluation in order.
+// `solved` is null when the ends do not bracket the target; the two
+// evaluations in `history` then show how far the statistic moves across the
+// range.
+export const goalSeek = (
+  { goal, assumptions, scenario, seed, iterations, sampling },
+  onProgress
+) => {
+  const n = Math.min(iterations, SOLVER_MAX_ITERATIONS);
+  const tolerance = TOLERANCE[SOLVER_STATISTICS[goal.statistic].unit];
+  const history = [];
+  const evaluate = (value) => {
+    const { npv } = runModel({
+      assumptions: withInput(assumptions, scenario, goal.input, value),
+      scenario,
+      seed,
+      iterations: n,
+      sampling,
+    });
+    const statistic = statisticOf(npv, goal);
+    history.push({ step: history.length + 1, value, statistic });
+    if (onProgress) onProgress(history.length, MAX_STEPS);
+    return statistic - goal.target;
+  };
+
+  let a = goal.low;
+  let b = goal.high;
+  let fa = evaluate(a);
+  let fb = evaluate(b);
+  const result = {
+    iterations: n,
+    start: inputValue(assumptions, scenario, goal.input),
+    history,
+  };
+  if (Math.sign(fa) === Math.sign(fb) && fa !== 0 && fb !== 0) {
+    return { ...result, solved: null, converged: false };
+  }
+
+  let side = 0;
+  let best = Math.abs(fa) < Math.abs(fb) ? a : b;
+  let bestError = Math.min(Math.abs(fa), Math.abs(fb));
+  while (bestError > tolerance && history.length < MAX_STEPS) {
+    const c = (a * fb - b * fa) / (fb - fa);
+    // Bisect whenever the secant step would leave the bracket
+    const x =
+      Number.isFinite(c) && c > Math.min(a, b) && c < Math.max(a, b)
+        ? c
+        : (a + b) / 2;
+    const fx = evaluate(x);
+    if (Math.abs(fx) < bestError) {
+      best = x;
+      bestError = Math.abs(fx);
+    }
+    if (Math.sign(fx) === Math.sign(fb)) {
+      b = x;
+      fb = fx;
+      if (side === -1) fa /= 2;
+      side = -1;
+    } else {
+      a = x;
+      fa = fx;
+      if (side === 1) fb /= 2;
+      side = 1;
+    }
+    // The statistic is a step function of the input at a fixed seed, so the
+    // bracket can shrink to nothing without the error reaching the tolerance
+    if (Math.abs(b - a) <= 1e-9 * Math.max(1, Math.abs(a))) break;
+  }
+  if (onProgress) onProgress(MAX_STEPS, MAX_STEPS);
+
+  return {
+    ...result,
+    solved: best,
+    achieved: history.find((h) => h.value === best).statistic,
+    converged: bestError <= tolerance,
+  };
+};
@@ -0,0 +1,162 @@
+import { DEFAULT_ASSUMPTIONS } from "./assumptions";
+import {
+  DEFAULT_GOAL,
+  defaultRange,
+  goalSeek,
+  inputValue,
+  searchMatches,
+  statisticLabel,
+  validateGoal,
+  withInput,
+} from "./goalSeek";
+
+const solve = (goal, iterations = 2000) =>
+  goalSeek({
+    goal,
+    assumptions: DEFAULT_ASSUMPTIONS,
+    scenario: "all",
+    seed: 7,
+    iterations,
+    sampling: "plain",
+  });
+
+describe("withInput / inputValue", () => {
+  test("moving a driver shifts every scenario by the same amount", () => {
+    const before = inputValue(DEFAULT_ASSUMPTIONS, "all", "share");
+    const moved = withInput(DEFAULT_ASSUMPTIONS, "all", "share", before + 0.05);
+    expect(inputValue(moved, "all", "share")).toBeCloseTo(before + 0.05, 12);
+    const { base } = DEFAULT_ASSUMPTIONS.scenarios;
+    const field = "mean" in base.drivers.share ? "mean" : "mode";
+    expect(moved.scenarios.base.drivers.share[field]).toBeCloseTo(
+      base.drivers.share[field] + 0.05,
+      12
+    );
+  });
+
+  test("the investment is set directly", () => {
+    expect(
+      withInput(DEFAULT_ASSUMPTIONS, "all", "investment", 6).investment
+    ).toBe(6);
+    expect(defaultRange(DEFAULT_ASSUMPTIONS, "all", "investment")).toEqual({
+      low: 2.25,
+      high: 6.75,
+    });
+  });
+});
+
+describe("goalSeek", () => {
+  test("reports the range when it does not bracket the target", () => {
+    const result = solve({
+      ...DEFAULT_GOAL,
+      input: "wacc",
+      low: 0.08,
+      high: 0.1,
+    });
+    expect(result.solved).toBeNull();
+    expect(result.converged).toBe(false);
+    expect(result.history.map((h) => h.value)).toEqual([0.08, 0.1]);
+    result.history.forEach((h) =>
+      expect(h.statistic).toBeGreaterThan(DEFAULT_GOAL.target)
+    );
+  });
+
+  test("a statistic linear in the input solves in one secant step", () => {
+    // Every NPV draw moves one-for-one with the investment, so P10 does too
+    const result = solve({
+      statistic: "p10",
+      target: 50,
+      input: "investment",
+      low: 2,
+      high: 40,
+    });
+    expect(result.history).toHaveLength(3);
+    expect(result.converged).toBe(true);
+    expect(result.achieved).toBeCloseTo(50, 6);
+    const [a, b] = result.history;
+    const slope = (b.statistic - a.statistic) / (b.value - a.value);
+    expect(slope).toBeCloseTo(-1, 10);
+  });
+
+  test("the Illinois step converges within the bracket", () => {
+    const goal = {
+      statistic: "median",
+      target: 45,
+      input: "wacc",
+      low: 0.05,
+      high: 0.3,
+    };
+    const result = solve(goal);
+    expect(result.converged).toBe(true);
+    expect(Math.abs(result.achieved - goal.target)).toBeLessThanOrEqual(0.01);
+    expect(result.solved).toBeGreaterThan(goal.low);
+    expect(result.solved).toBeLessThan(goal.high);
+    // Plain regula falsi would keep one end fixed and crawl; Illinois halves
+    // the stale end and closes in quickly
+    expect(result.history.length).toBeLessThan(15);
+    result.history.slice(2).forEach((h) => {
+      expect(h.value).toBeGreaterThan(goal.low);
+      expect(h.value).toBeLessThan(goal.high);
+    });
+  });
+
+  test("is reproducible, and stops at the step resolution of the statistic", () => {
+    const first = solve(DEFAULT_GOAL);
+    expect(solve(DEFAULT_GOAL)).toEqual(first);
+    expect(first.iterations).toBe(2000);
+    expect(first.start).toBeCloseTo(
+      inputValue(DEFAULT_ASSUMPTIONS, "all", "share"),
+      12
+    );
+    // A probability over 2000 draws moves in 0.05-point steps, coarser than
+    // the solver's tolerance
+    expect(Math.abs(first.achieved - DEFAULT_GOAL.target)).toBeLessThanOrEqual(
+      0.05
+    );
+    expect(first.history.length).toBeLessThanOrEqual(40);
+  });
+});
+
+describe("validateGoal", () => {
+  test("the default goal is valid", () => {
+    expect(validateGoal(DEFAULT_GOAL, DEFAULT_ASSUMPTIONS, "all")).toEqual({});
+  });
+
+  test.each([
+    [{ input: "nope" }, "input"],
+    [{ target: 120 }, "target"],
+    [{ target: NaN }, "target"],
+    [{ threshold: NaN }, "threshold"],
+    [{ low: 0.9, high: 0.8 }, "high"],
+    [{ low: -0.1 }, "high"],
+    // The range is inside the input's bounds but the model rejects one end
+    [{ input: "investment", statistic: "mean", low: 0, high: 5 }, "low"],
+  ])("%p is flagged on %p", (change, field) => {
+    const errors = validateGoal(
+      { ...DEFAULT_GOAL, ...change },
+      DEFAULT_ASSUMPTIONS,
+      "all"
+    );
+    expect(errors).toHaveProperty(field);
+  });
+});
+
+test("statisticLabel names the threshold of a probability goal", () => {
+  expect(statisticLabel(DEFAULT_GOAL)).toBe("P(NPV > $80B)");
+  expect(statisticLabel({ ...DEFAULT_GOAL, statistic: "p10" })).toBe("P10 NPV");
+});
+
+test("searchMatches needs the same goal and model settings", () => {
+  const config = {
+    assumptions: DEFAULT_ASSUMPTIONS,
+    scenario: "all",
+    seed: 7,
+    iterations: 2000,
+    sampling: "plain",
+  };
+  const searched = { goal: DEFAULT_GOAL, ...config };
+  expect(searchMatches(searched, DEFAULT_GOAL, config)).toBe(true);
+  expect(searchMatches(searched, { ...DEFAULT_GOAL }, config)).toBe(false);
+  expect(
+    searchMatches(searched, DEFAULT_GOAL, { ...config, sampling: "lhs" })
+  ).toBe(false);
+});
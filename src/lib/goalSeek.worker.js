@@ -0,0 +1,14 @@
+/* eslint-disable no-restricted-globals */
+import { goalSeek } from "./goalSeek";
+
+// Same protocol as the simulation worker, for the breakeven solver
+self.onmessage = ({ data: config }) => {
+  try {
+    const solution = goalSeek(config, (done, total) =>
+      self.postMessage({ type: "progress", done, total })
+    );
+    self.postMessage({ type: "result", config, solution });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,277 @@
+// Saved analyses: named entries in browser storage, each a list of revisions.
+// A revision holds the run settings and a compact copy of its results, so
+// two revisions can be compared without re-running either.
+import {
+  SCENARIO_KEYS,
+  scenarioLabel,
+  validateAssumptions,
+} from "./assumptions";
+import { DISTRIBUTIONS } from "./distributions";
+import { DRIVERS, ITERATION_OPTIONS, MODEL_SCENARIOS } from "./model";
+import { MAX_SEED } from "./random";
+import { tailRisk } from "./risk";
+import { SAMPLING_STRATEGIES } from "./sampling";
+
+export const LIBRARY_STORAGE_KEY = "green-ai-npv.saved-analyses";
+export const LIBRARY_FORMAT = "green-ai-npv-saved-analysis";
+export const LIBRARY_VERSION = 1;
+
+const SAVED_CONFIDENCE = 0.95;
+const DENSITY_BINS = 40;
+
+export const SAVED_STATS = [
+  { key: "mean", label: "Mean NPV", unit: "$B" },
+  { key: "median", label: "Median NPV", unit: "$B" },
+  { key: "p10", label: "P10", unit: "$B" },
+  { key: "p90", label: "P90", unit: "$B" },
+  { key: "std", label: "Std Dev", unit: "$B" },
+  { key: "positive", label: "Positive NPV", unit: "%" },
+  { key: "valueAtRisk", label: "VaR (95%)", unit: "$B" },
+  { key: "expectedShortfall", label: "Expected Shortfall (95%)", unit: "$B" },
+];
+
+const newId = () =>
+  `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+export const emptyLibrary = () => ({ version: LIBRARY_VERSION, analyses: [] });
+
+// Unreadable data is moved aside rather than overwritten by the next save
+export const loadLibrary = (storage = window.localStorage) => {
+  const raw = storage.getItem(LIBRARY_STORAGE_KEY);
+  if (!raw) return emptyLibrary();
+  try {
+    const library = JSON.parse(raw);
+    if (!Array.isArray(library.analyses)) throw new Error("missing analyses");
+    return library;
+  } catch (err) {
+    storage.setItem(`${LIBRARY_STORAGE_KEY}.unreadable`, raw);
+    storage.removeItem(LIBRARY_STORAGE_KEY);
+    throw new Error(
+      `Saved analyses could not be read (${err.message}); the old data was kept under "${LIBRARY_STORAGE_KEY}.unreadable"`
+    );
+  }
+};
+
+export const storeLibrary = (library, storage = window.localStorage) =>
+  storage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(library));
+
+// Histogram as probability per $B so runs with different ranges overlay
+const npvDensity = (sorted) => {
+  const n = sorted.length;
+  const min = sorted[0];
+  const width = (sorted[n - 1] - min) / DENSITY_BINS || 1;
+  const counts = new Array(DENSITY_BINS).fill(0);
+  sorted.forEach((v) => {
+    counts[Math.min(DENSITY_BINS - 1, Math.floor((v - min) / width))]++;
+  });
+  return counts.map((count, i) => ({
+    x: min + (i + 0.5) * width,
+    density: count / n / width,
+  }));
+};
+
+export const revisionFrom = ({ config, stats, note }) => {
+  const risk = tailRisk(stats.sortedNpv, SAVED_CONFIDENCE);
+  const summary = {};
+  SAVED_STATS.forEach(({ key }) => {
+    summary[key] = key in stats ? stats[key] : risk[key];
+  });
+  return {
+    id: newId(),
+    savedAt: new Date().toISOString(),
+    note: note || "",
+    settings: {
+      scenario: config.scenario,
+      seed: config.seed,
+      iterations: config.iterations,
+      sampling: config.sampling,
+      assumptions: config.assumptions,
+    },
+    results: {
+      stats: summary,
+      density: npvDensity(stats.sortedNpv),
+    },
+  };
+};
+
+export const formatSavedAt = (iso) => new Date(iso).toLocaleString();
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Saving under an existing name adds a revision to that analysis
+export const saveRevision = (library, name, revision) => {
+  const existing = library.analyses.find((a) => sameName(a.name, name));
+  if (existing) {
+    return {
+      ...library,
+      analyses: library.analyses.map((a) =>
+        a === existing
+          ? {
+              ...a,
+              updatedAt: revision.savedAt,
+              revisions: [...a.revisions, revision],
+            }
+          : a
+      ),
+    };
+  }
+  return {
+    ...library,
+    analyses: [
+      ...library.analyses,
+      {
+        id: newId(),
+        name: name.trim(),
+        createdAt: revision.savedAt,
+        updatedAt: revision.savedAt,
+        revisions: [revision],
+      },
+    ],
+  };
+};
+
+export const deleteAnalysis = (library, id) => ({
+  ...library,
+  analyses: library.analyses.filter((a) => a.id !== id),
+});
+
+export const analysisDocument = (analysis) => ({
+  format: LIBRARY_FORMAT,
+  version: LIBRARY_VERSION,
+  analysis,
+});
+
+const settingsError = (settings) => {
+  if (!settings || typeof settings !== "object") return "missing settings";
+  if (!SCENARIO_KEYS.includes(settings.scenario)) return "unknown scenario";
+  if (!SAMPLING_STRATEGIES[settings.sampling]) return "unknown sampling";
+  if (
+    !Number.isInteger(settings.seed) ||
+    settings.seed < 0 ||
+    settings.seed > MAX_SEED
+  ) {
+    return "invalid seed";
+  }
+  // Only counts the dashboard can select, as in shared links
+  if (!ITERATION_OPTIONS.includes(settings.iterations)) {
+    return "invalid iteration count";
+  }
+  const { assumptions } = settings;
+  if (!assumptions || typeof assumptions !== "object") {
+    return "missing assumptions";
+  }
+  // A string or boolean investment would reach the dashboard's formatting
+  if (typeof assumptions.investment !== "number") return "invalid investment";
+  try {
+    const errors = validateAssumptions(assumptions);
+    const first = Object.values(errors)[0];
+    return first ? `invalid assumptions: ${first}` : null;
+  } catch (err) {
+    return "malformed assumptions";
+  }
+};
+
+const revisionError = (revision) => {
+  if (!revision || typeof revision !== "object") return "malformed revision";
+  const problem = settingsError(revision.settings);
+  if (problem) return problem;
+  const { results } = revision;
+  if (
+    !results ||
+    !results.stats ||
+    !Array.isArray(results.density) ||
+    SAVED_STATS.some(({ key }) => !Number.isFinite(results.stats[key]))
+  ) {
+    return "missing results";
+  }
+  return null;
+};
+
+// Adds an exported analysis to the library under a fresh id. The name gets a
+// suffix if it is already taken so the import never merges into another
+// analysis's history.
+export const importAnalysis = (library, doc) => {
+  if (!doc || doc.format !== LIBRARY_FORMAT) {
+    throw new Error("Not a saved-analysis file");
+  }
+  if (!(doc.version <= LIBRARY_VERSION)) {
+    throw new Error(
+      `File version ${doc.version} is newer than this dashboard supports`
+    );
+  }
+  const { analysis } = doc;
+  if (
+    !analysis ||
+    typeof analysis.name !== "string" ||
+    !analysis.name.trim() ||
+    !Array.isArray(analysis.revisions) ||
+    analysis.revisions.length === 0
+  ) {
+    throw new Error("The file has no named analysis with revisions");
+  }
+  analysis.revisions.forEach((revision, i) => {
+    const problem = revisionError(revision);
+    if (problem) throw new Error(`Revision ${i + 1}: ${problem}`);
+  });
+
+  const base = analysis.name.trim();
+  const taken = (candidate) =>
+    library.analyses.some((a) => sameName(a.name, candidate));
+  let name = base;
+  for (let n = 2; taken(name); n++) name = `${base} (${n})`;
+  return {
+    ...library,
+    analyses: [...library.analyses, { ...analysis, id: newId(), name }],
+  };
+};
+
+const formatValue = (v) =>
+  typeof v === "number" ? String(Number(v.toPrecision(6))) : String(v);
+
+const specText = (spec) =>
+  `${DISTRIBUTIONS[spec.dist].label}: ${DISTRIBUTIONS[spec.dist].fields
+    .map((f) => `${f} ${formatValue(spec[f])}`)
+    .join(", ")}`;
+
+// Rows of { label, a, b } for every setting that differs
+export const diffSettings = (a, b) => {
+  const rows = [];
+  const add = (label, va, vb) => {
+    if (va !== vb) rows.push({ label, a: formatValue(va), b: formatValue(vb) });
+  };
+
+  add("Scenario", scenarioLabel(a.scenario), scenarioLabel(b.scenario));
+  add("Seed", a.seed, b.seed);
+  add("Iterations", a.iterations, b.iterations);
+  add(
+    "Sampling",
+    SAMPLING_STRATEGIES[a.sampling].label,
+    SAMPLING_STRATEGIES[b.sampling].label
+  );
+
+  const x = a.assumptions;
+  const y = b.assumptions;
+  add("Investment ($B)", x.investment, y.investment);
+  add("Horizon (years)", x.horizon, y.horizon);
+  MODEL_SCENARIOS.forEach((key) => {
+    const name = scenarioLabel(key);
+    add(`${name} weight`, x.scenarios[key].weight, y.scenarios[key].weight);
+    DRIVERS.forEach((d) => {
+      const sa = x.scenarios[key].drivers[d.key];
+      const sb = y.scenarios[key].drivers[d.key];
+      add(`${name} · ${d.label}`, specText(sa), specText(sb));
+    });
+  });
+  DRIVERS.forEach((da, i) =>
+    DRIVERS.forEach((db, j) => {
+      if (j > i) {
+        add(
+          `ρ ${da.short}–${db.short}`,
+          x.correlation[i][j],
+          y.correlation[i][j]
+        );
+      }
+    })
+  );
+  return rows;
+};
@@ -0,0 +1,172 @@
+import { DEFAULT_ASSUMPTIONS } from "./assumptions";
+import {
+  LIBRARY_FORMAT,
+  LIBRARY_STORAGE_KEY,
+  LIBRARY_VERSION,
+  analysisDocument,
+  diffSettings,
+  emptyLibrary,
+  importAnalysis,
+  loadLibrary,
+  revisionFrom,
+  saveRevision,
+} from "./library";
+
+const config = {
+  scenario: "all",
+  seed: 42,
+  iterations: 10000,
+  sampling: "plain",
+  assumptions: DEFAULT_ASSUMPTIONS,
+};
+
+const sortedNpv = Float64Array.from({ length: 200 }, (_, i) => i - 20);
+const stats = {
+  sortedNpv,
+  mean: 79.5,
+  median: 80,
+  p10: 0,
+  p90: 160,
+  std: 57.7,
+  positive: 89.5,
+};
+
+const savedLibrary = () =>
+  saveRevision(emptyLibrary(), "Base case", revisionFrom({ config, stats }));
+
+// What a user's exported file looks like once read back from disk
+const exportedFile = () =>
+  JSON.parse(JSON.stringify(analysisDocument(savedLibrary().analyses[0])));
+
+const withInvestment = (doc, investment) => {
+  const revision = doc.analysis.revisions[0];
+  revision.settings.assumptions = {
+    ...revision.settings.assumptions,
+    investment,
+  };
+  return doc;
+};
+
+describe("export / import", () => {
+  test("an exported analysis imports under a fresh id", () => {
+    const library = savedLibrary();
+    const doc = exportedFile();
+    expect(doc.format).toBe(LIBRARY_FORMAT);
+    expect(doc.version).toBe(LIBRARY_VERSION);
+
+    const imported = importAnalysis(emptyLibrary(), doc);
+    expect(imported.analyses).toHaveLength(1);
+    const [analysis] = imported.analyses;
+    expect(analysis.name).toBe("Base case");
+    expect(analysis.id).not.toBe(library.analyses[0].id);
+    expect(analysis.revisions[0].settings).toEqual(config);
+    expect(analysis.revisions[0].results.stats.valueAtRisk).toBeGreaterThan(0);
+  });
+
+  test("a name already in the library gets a suffix", () => {
+    const once = importAnalysis(savedLibrary(), exportedFile());
+    const twice = importAnalysis(once, exportedFile());
+    expect(twice.analyses.map((a) => a.name)).toEqual([
+      "Base case",
+      "Base case (2)",
+      "Base case (3)",
+    ]);
+  });
+
+  test.each([["5"], [true], [null], [-1], [Infinity]])(
+    "rejects a file with investment %p",
+    (investment) => {
+      const doc = withInvestment(exportedFile(), investment);
+      expect(() => importAnalysis(emptyLibrary(), doc)).toThrow(
+        /Revision 1: invalid/
+      );
+    }
+  );
+
+  test("rejects files that are not saved analyses", () => {
+    expect(() => importAnalysis(emptyLibrary(), { format: "other" })).toThrow(
+      "Not a saved-analysis file"
+    );
+    expect(() =>
+      importAnalysis(emptyLibrary(), {
+        ...exportedFile(),
+        version: LIBRARY_VERSION + 1,
+      })
+    ).toThrow(/newer/);
+    const doc = exportedFile();
+    doc.analysis.revisions = [];
+    expect(() => importAnalysis(emptyLibrary(), doc)).toThrow(/no named/);
+  });
+
+  test.each([[1], [12345], ["10000"], [2000000]])(
+    "rejects an iteration count of %p the dashboard cannot select",
+    (iterations) => {
+      const doc = exportedFile();
+      doc.analysis.revisions[0].settings.iterations = iterations;
+      expect(() => importAnalysis(emptyLibrary(), doc)).toThrow(
+        "Revision 1: invalid iteration count"
+      );
+    }
+  );
+
+  test("rejects revisions with bad settings or missing results", () => {
+    const badSeed = exportedFile();
+    badSeed.analysis.revisions[0].settings.seed = "42";
+    expect(() => importAnalysis(emptyLibrary(), badSeed)).toThrow(
+      "Revision 1: invalid seed"
+    );
+    const noResults = exportedFile();
+    delete noResults.analysis.revisions[0].results.stats.mean;
+    expect(() => importAnalysis(emptyLibrary(), noResults)).toThrow(
+      "Revision 1: missing results"
+    );
+    const noAssumptions = exportedFile();
+    noAssumptions.analysis.revisions[0].settings.assumptions = "default";
+    expect(() => importAnalysis(emptyLibrary(), noAssumptions)).toThrow(
+      "Revision 1: missing assumptions"
+    );
+  });
+});
+
+describe("saveRevision", () => {
+  test("saving under an existing name adds a revision", () => {
+    const library = saveRevision(
+      savedLibrary(),
+      " base CASE ",
+      revisionFrom({ config: { ...config, seed: 7 }, stats })
+    );
+    expect(library.analyses).toHaveLength(1);
+    const [first, second] = library.analyses[0].revisions;
+    expect(diffSettings(first.settings, second.settings)).toEqual([
+      { label: "Seed", a: "42", b: "7" },
+    ]);
+  });
+});
+
+describe("loadLibrary", () => {
+  const memoryStorage = (initial) => {
+    const items = { ...initial };
+    return {
+      items,
+      getItem: (key) => (key in items ? items[key] : null),
+      setItem: (key, value) => {
+        items[key] = value;
+      },
+      removeItem: (key) => {
+        delete items[key];
+      },
+    };
+  };
+
+  test("an empty storage is an empty library", () => {
+    expect(loadLibrary(memoryStorage())).toEqual(emptyLibrary());
+  });
+
+  test("unreadable data is moved aside", () => {
+    const storage = memoryStorage({ [LIBRARY_STORAGE_KEY]: "{oops" });
+    expect(() => loadLibrary(storage)).toThrow(/could not be read/);
+    expect(storage.items).toEqual({
+      [`${LIBRARY_STORAGE_KEY}.unreadable`]: "{oops",
+    });
+  });
+});
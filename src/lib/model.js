@@ -0,0 +1,354 @@
+// Cash-flow DCF model: yearly drivers -> free cash flow -> NPV
+import { cholesky, correlate } from "./correlation";
+import { createDistribution, normalCdf } from "./distributions";
+import { returnMetrics } from "./returns";
+import { DEFAULT_SAMPLING, createSampler } from "./sampling";
+
+export const START_YEAR = 2026;
+export const DEFAULT_HORIZON = 6;
+export const MIN_HORIZON = 3;
+export const MAX_HORIZON = 15;
+
+export const horizonYears = (horizon = DEFAULT_HORIZON) =>
+  Array.from({ length: horizon }, (_, t) => START_YEAR + t);
+
+export const INVESTMENT = 4.5;
+
+// NPV the investment case is measured against, $B
+export const DEFAULT_TARGET_NPV = 80;
+
+export const DEFAULT_ITERATIONS = 10000;
+export const ITERATION_OPTIONS = [
+  1000, 5000, 10000, 50000, 100000, 250000, 500000, 1000000,
+];
+
+// Keeps the Gordon growth terminal value finite when WACC draws near growth
+export const MIN_DISCOUNT_SPREAD = 0.01;
+
+export const DRIVERS = [
+  {
+    key: "market",
+    label: "Addressable Market (2026)",
+    short: "Mkt",
+    unit: "$B",
+    min: 0,
+    max: Infinity,
+  },
+  {
+    key: "growth",
+    label: "Market Growth",
+    short: "Grw",
+    unit: "%",
+    min: -0.5,
+    max: 1,
+  },
+  {
+    key: "share",
+    label: "Market Share",
+    short: "Shr",
+    unit: "%",
+    min: 0,
+    max: 1,
+  },
+  {
+    key: "grossMargin",
+    label: "Gross Margin",
+    short: "GM",
+    unit: "%",
+    min: 0,
+    max: 1,
+  },
+  {
+    key: "opex",
+    label: "Opex (% Revenue)",
+    short: "Opx",
+    unit: "%",
+    min: 0,
+    max: 1,
+  },
+  {
+    key: "capex",
+    label: "Capex (% Revenue)",
+    short: "Cpx",
+    unit: "%",
+    min: 0,
+    max: 1,
+  },
+  {
+    key: "taxRate",
+    label: "Tax Rate",
+    short: "Tax",
+    unit: "%",
+    min: 0,
+    max: 1,
+  },
+  {
+    key: "terminalGrowth",
+    label: "Terminal Growth",
+    short: "TG",
+    unit: "%",
+    min: -0.05,
+    max: 0.08,
+  },
+  {
+    key: "wacc",
+    label: "Discount Rate (WACC)",
+    short: "WACC",
+    unit: "%",
+    min: 0.01,
+    max: 0.4,
+  },
+];
+
+const driverIndex = (key) => DRIVERS.findIndex((d) => d.key === key);
+
+// Pricing power lifts share, growth and margin together; rates move together
+const DEFAULT_PAIRS = [
+  ["share", "grossMargin", 0.4],
+  ["share", "growth", 0.3],
+  ["growth", "grossMargin", 0.2],
+  ["grossMargin", "opex", -0.2],
+  ["terminalGrowth", "wacc", 0.3],
+];
+
+export const DEFAULT_CORRELATION = DRIVERS.map((row, i) =>
+  DRIVERS.map((col, j) => {
+    if (i === j) return 1;
+    const pair = DEFAULT_PAIRS.find(
+      ([a, b]) =>
+        (driverIndex(a) === i && driverIndex(b) === j) ||
+        (driverIndex(a) === j && driverIndex(b) === i)
+    );
+    return pair ? pair[2] : 0;
+  })
+);
+
+// Scenarios with their own driver models; "all" is a weighted mixture of these
+export const MODEL_SCENARIOS = ["conservative", "base", "optimistic"];
+
+export const DEFAULT_WEIGHTS = {
+  conservative: 0.24,
+  base: 0.51,
+  optimistic: 0.25,
+};
+
+export const DEFAULT_PARAMS = {
+  conservative: {
+    market: { dist: "normal", mean: 16.5, std: 0.9 },
+    growth: { dist: "normal", mean: 0.2, std: 0.015 },
+    share: { dist: "normal", mean: 0.7, std: 0.03 },
+    grossMargin: { dist: "normal", mean: 0.7, std: 0.012 },
+    opex: { dist: "normal", mean: 0.23, std: 0.009 },
+    capex: { dist: "normal", mean: 0.09, std: 0.006 },
+    taxRate: { dist: "normal", mean: 0.17, std: 0.009 },
+    terminalGrowth: { dist: "normal", mean: 0.025, std: 0.002 },
+    wacc: { dist: "normal", mean: 0.11, std: 0.0025 },
+  },
+  base: {
+    market: { dist: "normal", mean: 14, std: 0.9 },
+    growth: { dist: "normal", mean: 0.21, std: 0.015 },
+    share: { dist: "normal", mean: 0.749, std: 0.03 },
+    grossMargin: { dist: "normal", mean: 0.72, std: 0.012 },
+    opex: { dist: "normal", mean: 0.22, std: 0.009 },
+    capex: { dist: "normal", mean: 0.08, std: 0.006 },
+    taxRate: { dist: "normal", mean: 0.15, std: 0.009 },
+    terminalGrowth: { dist: "normal", mean: 0.03, std: 0.002 },
+    wacc: { dist: "normal", mean: 0.105, std: 0.0025 },
+  },
+  optimistic: {
+    market: { dist: "normal", mean: 13, std: 0.7 },
+    growth: { dist: "normal", mean: 0.23, std: 0.012 },
+    share: { dist: "normal", mean: 0.82, std: 0.025 },
+    grossMargin: { dist: "normal", mean: 0.74, std: 0.009 },
+    opex: { dist: "normal", mean: 0.21, std: 0.0075 },
+    capex: { dist: "normal", mean: 0.075, std: 0.005 },
+    taxRate: { dist: "normal", mean: 0.15, std: 0.0075 },
+    terminalGrowth: { dist: "normal", mean: 0.03, std: 0.002 },
+    wacc: { dist: "normal", mean: 0.105, std: 0.002 },
+  },
+};
+
+export const createSamplers = (params) =>
+  DRIVERS.map((driver) => createDistribution(params[driver.key], driver));
+
+// Independent normals are mixed through the Cholesky factor of the
+// correlation matrix, then mapped through each driver's own distribution
+export const sampleDrivers = (samplers, independent, factor) => {
+  const z = correlate(factor, independent);
+  const drivers = {};
+  DRIVERS.forEach(({ key }, i) => {
+    drivers[key] = samplers[i].sample(normalCdf(z[i]));
+  });
+  return drivers;
+};
+
+// `path` is the cumulative value by year: discounted cash flow to date net of
+// the investment, with the terminal value landing in the final year so the
+// last point equals the NPV
+export const discountedCashFlow = (
+  drivers,
+  investment = INVESTMENT,
+  horizon = DEFAULT_HORIZON
+) => {
+  const {
+    market,
+    growth,
+    share,
+    grossMargin,
+    opex,
+    capex,
+    taxRate,
+    terminalGrowth,
+  } = drivers;
+  const wacc = Math.max(drivers.wacc, terminalGrowth + MIN_DISCOUNT_SPREAD);
+
+  const cashFlows = [];
+  const revenues = [];
+  const path = [];
+  let value = -investment;
+  for (let t = 0; t < horizon; t++) {
+    const revenue = market * Math.pow(1 + growth, t) * share;
+    const operating = revenue * (grossMargin - opex) * (1 - taxRate);
+    const fcf = operating - revenue * capex;
+    revenues.push(revenue);
+    cashFlows.push(fcf);
+    value += fcf / Math.pow(1 + wacc, t + 1);
+    path.push(value);
+  }
+  const lastFcf = cashFlows[horizon - 1];
+  const terminalValue =
+    (lastFcf * (1 + terminalGrowth)) / (wacc - terminalGrowth);
+  const terminalPv = terminalValue / Math.pow(1 + wacc, horizon);
+  path[horizon - 1] += terminalPv;
+
+  return {
+    npv: path[horizon - 1],
+    revenues,
+    cashFlows,
+    path,
+    terminalValue,
+    terminalPv,
+    discountRate: wacc,
+  };
+};
+
+// Mixture weights for a run: the editable weights for "all", otherwise the
+// selected scenario alone
+export const scenarioWeights = (assumptions, scenario) => {
+  const raw = MODEL_SCENARIOS.map((key) =>
+    scenario === "all"
+      ? assumptions.scenarios[key].weight
+      : key === scenario
+        ? 1
+        : 0
+  );
+  const total = raw.reduce((sum, w) => sum + w, 0);
+  return raw.map((w) => w / total);
+};
+
+// Results are columnar typed arrays so a million draws stay compact and can be
+// transferred out of the worker without copying. `scenario` holds each draw's
+// index into MODEL_SCENARIOS.
+export const simulate = ({
+  params,
+  weights,
+  correlation = DEFAULT_CORRELATION,
+  iterations,
+  seed,
+  sampling = DEFAULT_SAMPLING,
+  investment,
+  horizon = DEFAULT_HORIZON,
+  onProgress,
+}) => {
+  const next = createSampler(sampling, {
+    iterations,
+    dimensions: DRIVERS.length,
+    seed,
+  });
+  const independent = new Float64Array(DRIVERS.length);
+  const samplers = params.map((p, k) =>
+    weights[k] > 0 ? createSamplers(p) : null
+  );
+  const factor = cholesky(correlation);
+  if (!factor) {
+    throw new Error("Correlation matrix is not positive semi-definite");
+  }
+  const npv = new Float64Array(iterations);
+  const scenario = new Uint8Array(iterations);
+  // Row-major [iteration][year]; single precision keeps 1M paths near 60MB
+  const paths = new Float32Array(iterations * horizon);
+  // NaN where IRR is undefined (see irrReason) or payback is not reached
+  const irr = new Float32Array(iterations);
+  const irrReason = new Uint8Array(iterations);
+  const payback = new Float32Array(iterations);
+  const moic = new Float32Array(iterations);
+  const drivers = {};
+  DRIVERS.forEach(({ key }) => {
+    drivers[key] = new Float64Array(iterations);
+  });
+
+  const step = Math.max(1000, Math.ceil(iterations / 100));
+  for (let i = 0; i < iterations; i++) {
+    let k = 0;
+    let u = next(independent);
+    while (k < weights.length - 1 && (u -= weights[k]) >= 0) k++;
+    if (!samplers[k]) k = weights.findIndex((w) => w > 0);
+    scenario[i] = k;
+    const draw = sampleDrivers(samplers[k], independent, factor);
+    DRIVERS.forEach(({ key }) => {
+      drivers[key][i] = draw[key];
+    });
+    const valuation = discountedCashFlow(draw, investment, horizon);
+    npv[i] = valuation.npv;
+    paths.set(valuation.path, i * horizon);
+    const returns = returnMetrics(valuation, investment);
+    irr[i] = returns.irr;
+    irrReason[i] = returns.irrReason;
+    payback[i] = returns.payback;
+    moic[i] = returns.moic;
+    if (onProgress && (i + 1) % step === 0) onProgress(i + 1, iterations);
+  }
+
+  return {
+    n: iterations,
+    horizon,
+    npv,
+    ms: drivers.share,
+    drivers,
+    scenario,
+    paths,
+    irr,
+    irrReason,
+    payback,
+    moic,
+  };
+};
+
+export const runModel = (
+  { assumptions, scenario, seed, iterations, sampling },
+  onProgress
+) =>
+  simulate({
+    params: MODEL_SCENARIOS.map((key) => assumptions.scenarios[key].drivers),
+    weights: scenarioWeights(assumptions, scenario),
+    correlation: assumptions.correlation,
+    iterations,
+    seed,
+    sampling,
+    investment: assumptions.investment,
+    horizon: assumptions.horizon,
+    onProgress,
+  });
+
+export const transferables = (simulations) => [
+  ...new Set([
+    simulations.npv.buffer,
+    simulations.scenario.buffer,
+    simulations.paths.buffer,
+    simulations.irr.buffer,
+    simulations.irrReason.buffer,
+    simulations.payback.buffer,
+    simulations.moic.buffer,
+    ...Object.values(simulations.drivers).map((a) => a.buffer),
+  ]),
+];
@@ -0,0 +1,411 @@
+// Narrative callouts and the headline rating, chosen by thresholds on the
+// computed statistics rather than written once for one set of numbers.
+// Each callout is { tone, parts }: parts are plain strings and { value }
+// figures the dashboard emphasises.
+import { scenarioLabel } from "./assumptions";
+import { confidenceLabel } from "./risk";
+import { countAbove } from "./stats";
+
+export const NARRATIVE_THRESHOLDS = {
+  // Coefficient of variation (std / mean) bands
+  volatility: { low: 0.25, high: 0.5 },
+  // P(NPV > 0) bands, %
+  success: { strong: 95, good: 85, fair: 70 },
+  // P(NPV > target) bands, %
+  targetProbability: { likely: 50, plausible: 25 },
+  // Expected shortfall as a share of the investment
+  tailLoss: { contained: 0.1, severe: 0.5 },
+  // Upside / downside width of the P10-P90 band around the median
+  skew: { downside: 0.8, upside: 1.25 },
+  // % of draws above 75% market share to call the position dominant
+  dominantShare: 50,
+  // |rho| bands for share-NPV correlation
+  correlation: { strong: 0.6, moderate: 0.3 },
+  // Rating tiers, best first: the first whose every limit is met applies, so
+  // the last tier has none
+  ratings: [
+    {
+      label: "Exceptional Investment Opportunity",
+      tone: "positive",
+      minSuccess: 95,
+      minTargetProbability: 50,
+      maxVolatility: 0.5,
+      maxTailLoss: 0.1,
+    },
+    {
+      label: "Attractive Investment",
+      tone: "positive",
+      minSuccess: 85,
+      minTargetProbability: 20,
+      maxVolatility: 1,
+      maxTailLoss: 0.25,
+    },
+    {
+      label: "Favorable with Material Risk",
+      tone: "caution",
+      minSuccess: 70,
+      maxTailLoss: 0.5,
+    },
+    { label: "Marginal Investment Case", tone: "caution", minSuccess: 50 },
+    { label: "Unfavorable: Capital at Risk", tone: "negative" },
+  ],
+};
+
+// Editable callout bands, each listed from its highest field down; a band's
+// fields must not increase along the list. `max` caps percentages and |rho|.
+// A band without `fields` is a single number.
+export const THRESHOLD_BANDS = [
+  {
+    key: "success",
+    label: "P(NPV > 0), %",
+    fields: ["strong", "good", "fair"],
+    max: 100,
+  },
+  {
+    key: "targetProbability",
+    label: "P(NPV > target), %",
+    fields: ["likely", "plausible"],
+    max: 100,
+  },
+  {
+    key: "volatility",
+    label: "Volatility (std / mean)",
+    fields: ["high", "low"],
+  },
+  {
+    key: "tailLoss",
+    label: "Tail loss (share of investment)",
+    fields: ["severe", "contained"],
+  },
+  {
+    key: "skew",
+    label: "Skew (upside / downside width)",
+    fields: ["upside", "downside"],
+  },
+  {
+    key: "correlation",
+    label: "Share-NPV |ρ|",
+    fields: ["strong", "moderate"],
+    max: 1,
+  },
+  { key: "dominantShare", label: "Dominant position, % of draws", max: 100 },
+];
+
+// Limits a rating tier may set; a tier without one is not held to it
+export const RATING_LIMITS = [
+  { key: "minSuccess", label: "Min P(NPV > 0), %", max: 100 },
+  { key: "minTargetProbability", label: "Min P(NPV > target), %", max: 100 },
+  { key: "maxVolatility", label: "Max volatility" },
+  { key: "maxTailLoss", label: "Max tail loss" },
+];
+
+// Returns a flat map of "path" -> message; empty when the thresholds can be
+// used. Paths are "<band>.<field>", "dominantShare" and "ratings.<i>.<limit>".
+export const validateThresholds = (thresholds) => {
+  const errors = {};
+  const check = (path, value, max) => {
+    if (!(value >= 0)) errors[path] = "Must be zero or more";
+    else if (max !== undefined && value > max) {
+      errors[path] = `Must be at most ${max}`;
+    }
+  };
+  THRESHOLD_BANDS.forEach(({ key, fields, max }) => {
+    if (!fields) {
+      check(key, thresholds[key], max);
+      return;
+    }
+    fields.forEach((field, i) => {
+      const path = `${key}.${field}`;
+      const value = thresholds[key][field];
+      check(path, value, max);
+      const above = thresholds[key][fields[i - 1]];
+      if (!errors[path] && i > 0 && value > above) {
+        errors[path] = `Must not exceed ${fields[i - 1]} (${above})`;
+      }
+    });
+  });
+  thresholds.ratings.forEach((tier, i) =>
+    RATING_LIMITS.forEach(({ key, max }) => {
+      if (tier[key] !== undefined) check(`ratings.${i}.${key}`, tier[key], max);
+    })
+  );
+  return errors;
+};
+
+// `thresholds` with the value at `path` (as in validateThresholds) replaced
+export const setThreshold = (thresholds, path, value) => {
+  const [head, ...rest] = path.split(".");
+  if (rest.length === 0) return { ...thresholds, [head]: value };
+  if (Array.isArray(thresholds)) {
+    return thresholds.map((item, i) =>
+      i === Number(head) ? setThreshold(item, rest.join("."), value) : item
+    );
+  }
+  return {
+    ...thresholds,
+    [head]: setThreshold(thresholds[head], rest.join("."), value),
+  };
+};
+
+const pct = (v) => `${v.toFixed(0)}%`;
+// Limits are shown as entered, without floating-point noise from the scaling
+const limitPct = (v) => `${Number((v * 100).toPrecision(6))}%`;
+const money = (v) => `$${v.toFixed(1)}B`;
+
+const metrics = ({ stats, risk, returns, investment, target }) => {
+  const n = stats.sortedNpv.length;
+  return {
+    target,
+    success: stats.positive,
+    targetProbability: (countAbove(stats.sortedNpv, target) / n) * 100,
+    volatility: stats.mean > 0 ? stats.std / stats.mean : Infinity,
+    tailLoss: risk.expectedShortfall / investment,
+    moic: returns.moic.median,
+    // Undefined when no iteration has an IRR
+    irr: returns.irr.n > 0 ? returns.irr.median : null,
+  };
+};
+
+const ratingShortfalls = (tier, m) => {
+  const out = [];
+  if (tier.minSuccess !== undefined && m.success < tier.minSuccess) {
+    out.push(`P(NPV > 0) ${pct(m.success)} < ${tier.minSuccess}%`);
+  }
+  if (
+    tier.minTargetProbability !== undefined &&
+    m.targetProbability < tier.minTargetProbability
+  ) {
+    out.push(
+      `P(NPV > $${m.target}B) ${pct(m.targetProbability)} < ${
+        tier.minTargetProbability
+      }%`
+    );
+  }
+  if (tier.maxVolatility !== undefined && m.volatility > tier.maxVolatility) {
+    out.push(
+      Number.isFinite(m.volatility)
+        ? `volatility ${pct(m.volatility * 100)} > ${limitPct(
+            tier.maxVolatility
+          )}`
+        : "mean NPV is not positive"
+    );
+  }
+  if (tier.maxTailLoss !== undefined && m.tailLoss > tier.maxTailLoss) {
+    out.push(
+      `tail loss ${pct(m.tailLoss * 100)} of investment > ${limitPct(
+        tier.maxTailLoss
+      )}`
+    );
+  }
+  return out;
+};
+
+const rate = (m, { ratings }) => {
+  const index = ratings.findIndex(
+    (tier) => ratingShortfalls(tier, m).length === 0
+  );
+  const tier = ratings[index];
+  // What kept the result out of the tier above
+  const heldBackBy = index > 0 ? ratingShortfalls(ratings[index - 1], m) : [];
+  return { label: tier.label, tone: tier.tone, heldBackBy };
+};
+
+const insight = ({ stats, returns, investment }, m, t) => {
+  const parts = [];
+  let tone = "positive";
+  if (m.success >= t.success.strong) {
+    parts.push("High-confidence case: ", { value: pct(m.success) });
+    parts.push(" of simulations have positive NPV. ");
+  } else if (m.success >= t.success.good) {
+    parts.push(
+      { value: pct(m.success) },
+      " of simulations have positive NPV. "
+    );
+  } else if (m.success >= t.success.fair) {
+    tone = "caution";
+    parts.push("Positive NPV in only ", { value: pct(m.success) });
+    parts.push(" of simulations; the investment is not recovered in ");
+    parts.push({ value: pct(100 - m.success) }, ". ");
+  } else {
+    tone = "negative";
+    parts.push("Weak case: only ", { value: pct(m.success) });
+    parts.push(" of simulations recover the investment. ");
+  }
+
+  if (stats.median <= 0) {
+    tone = "negative";
+    parts.push("Median NPV is ", { value: money(stats.median) });
+    parts.push(", so the typical outcome destroys value. ");
+  } else {
+    parts.push("Median NPV of ", { value: money(stats.median) });
+    parts.push(" on ", money(investment), ", with a median MOIC of ");
+    parts.push({ value: `${m.moic.toFixed(1)}x` });
+    if (m.irr !== null) {
+      parts.push(" and IRR of ", { value: pct(m.irr * 100) });
+    }
+    parts.push(". ");
+  }
+  if (returns.irr.missing > 0) {
+    if (tone === "positive") tone = "caution";
+    parts.push("IRR is undefined in ", {
+      value: `${((returns.irr.missing / stats.sortedNpv.length) * 100).toFixed(
+        1
+      )}%`,
+    });
+    parts.push(" of simulations. ");
+  }
+
+  if (!Number.isFinite(m.volatility)) {
+    parts.push("Volatility is not meaningful with a non-positive mean.");
+  } else if (m.volatility <= t.volatility.low) {
+    parts.push("Volatility at ", { value: pct(m.volatility * 100) });
+    parts.push(" indicates stable value creation.");
+  } else if (m.volatility <= t.volatility.high) {
+    parts.push("Volatility at ", { value: pct(m.volatility * 100) });
+    parts.push(" means outcomes vary materially around the median.");
+  } else {
+    if (tone === "positive") tone = "caution";
+    parts.push("Volatility at ", { value: pct(m.volatility * 100) });
+    parts.push(" is high; the result depends heavily on how drivers land.");
+  }
+  return { tone, parts };
+};
+
+const distributionAnalysis = ({ stats }, m, t) => {
+  const up = stats.p90 - stats.median;
+  const down = stats.median - stats.p10;
+  const skew = down > 0 ? up / down : Infinity;
+  const parts = ["Outcomes centered at ", { value: money(stats.median) }];
+  parts.push(". P10-P90 spread of ", { value: money(stats.p90 - stats.p10) });
+  let tone = "positive";
+  if (skew < t.skew.downside) {
+    tone = "caution";
+    parts.push(
+      " is skewed to the downside: the P10 sits further below the median than the P90 above it."
+    );
+  } else if (skew > t.skew.upside) {
+    parts.push(
+      " is skewed to the upside: the P90 sits further above the median than the P10 below it."
+    );
+  } else {
+    parts.push(" indicates a balanced risk-return profile.");
+  }
+  if (stats.p10 < 0) {
+    tone = "caution";
+    parts.push(" The P10 of ", { value: money(stats.p10) });
+    parts.push(" is a loss on the investment.");
+  }
+  return { tone, parts };
+};
+
+const riskAnalysis = ({ stats, risk, investment }, m, t) => {
+  const parts = [];
+  let tone = "positive";
+  if (stats.msAbove75 >= t.dominantShare) {
+    parts.push({ value: pct(stats.msAbove75) });
+    parts.push(" of simulations keep a dominant position above 75% share. ");
+  } else {
+    tone = "caution";
+    parts.push("Only ", { value: pct(stats.msAbove75) });
+    parts.push(
+      " of simulations keep share above 75%; most see the position eroded. "
+    );
+  }
+
+  const rho = stats.msNpvCorr;
+  const strength =
+    Math.abs(rho) >= t.correlation.strong
+      ? "strong"
+      : Math.abs(rho) >= t.correlation.moderate
+        ? "moderate"
+        : "weak";
+  parts.push(
+    `Market share and NPV show a ${strength} ${
+      rho >= 0 ? "positive" : "negative"
+    } correlation (ρ = `,
+    { value: rho.toFixed(2) },
+    "). "
+  );
+
+  const worst = `${confidenceLabel(1 - risk.confidence)}`;
+  if (risk.expectedShortfall === 0) {
+    parts.push(
+      `Even the worst ${worst} of simulations recover the investment.`
+    );
+  } else {
+    parts.push(`In the worst ${worst} the average loss is `);
+    parts.push({ value: money(risk.expectedShortfall) });
+    parts.push(` (${pct(m.tailLoss * 100)} of the ${money(investment)})`);
+    if (m.tailLoss >= t.tailLoss.severe) {
+      tone = "negative";
+      parts.push(", a severe tail.");
+    } else if (m.tailLoss > t.tailLoss.contained) {
+      if (tone === "positive") tone = "caution";
+      parts.push(", a material tail.");
+    } else {
+      parts.push(", a contained tail.");
+    }
+  }
+  return { tone, parts };
+};
+
+const validation = ({ scenarios }, m, t) => {
+  const parts = [];
+  let tone = "positive";
+  // Draw counts only exist when the run sampled the mixture
+  const base = scenarios.find((s) => s.key === "base");
+  parts.push("Base case carries ", { value: `${base.pct}% weight` });
+  parts.push(
+    base.sims !== null ? ` (${base.sims.toLocaleString()} simulations). ` : ". "
+  );
+
+  if (scenarios.some((s) => s.median === null)) {
+    parts.push("Scenario runs are still in progress. ");
+  } else {
+    const above = scenarios.filter((s) => s.median > m.target);
+    const weakest = scenarios.reduce((a, b) => (b.median < a.median ? b : a));
+    if (above.length === scenarios.length) {
+      parts.push(
+        `Run on its own, every scenario has a median above the $${m.target}B target. `
+      );
+    } else {
+      tone = "caution";
+      parts.push(
+        `Run on their own, ${above.length} of ${scenarios.length} scenarios have a median above the $${m.target}B target; ${scenarioLabel(
+          weakest.key
+        )} sits at `,
+        { value: money(weakest.median) },
+        ". "
+      );
+    }
+  }
+
+  parts.push(`Overall P(NPV > $${m.target}B) is `);
+  parts.push({ value: pct(m.targetProbability) });
+  if (m.targetProbability >= t.targetProbability.likely) {
+    parts.push(", so the target is likely to be met.");
+  } else if (m.targetProbability >= t.targetProbability.plausible) {
+    if (tone === "positive") tone = "caution";
+    parts.push(", so the target is plausible but not assured.");
+  } else {
+    tone = "negative";
+    parts.push(", so the target is unlikely to be met.");
+  }
+  return { tone, parts };
+};
+
+// `inputs`: stats, risk, return metrics, investment, the target NPV and the
+// scenario comparison rows (median null while the scenario runs are pending)
+export const buildNarrative = (inputs, thresholds = NARRATIVE_THRESHOLDS) => {
+  const m = metrics(inputs);
+  return {
+    rating: rate(m, thresholds),
+    insight: insight(inputs, m, thresholds),
+    analysis: distributionAnalysis(inputs, m, thresholds),
+    risk: riskAnalysis(inputs, m, thresholds),
+    validation: validation(inputs, m, thresholds),
+  };
+};
+
+export const narrativeText = (parts) =>
+  parts.map((p) => (typeof p === "string" ? p : p.value)).join("");
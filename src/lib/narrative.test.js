@@ -0,0 +1,95 @@
+import {
+  NARRATIVE_THRESHOLDS,
+  buildNarrative,
+  setThreshold,
+  validateThresholds,
+} from "./narrative";
+
+// 100 draws from -10 to 89: 89% positive, 39% above a $50B target
+const sortedNpv = Float64Array.from({ length: 100 }, (_, i) => i - 10);
+const inputs = {
+  stats: {
+    sortedNpv,
+    positive: 89,
+    mean: 39.5,
+    std: 28.9,
+    median: 40,
+    p10: 0,
+    p90: 80,
+    msAbove75: 60,
+    msNpvCorr: 0.7,
+  },
+  risk: { expectedShortfall: 0.5, confidence: 0.95 },
+  returns: {
+    moic: { median: 4 },
+    irr: { n: 100, median: 0.3, missing: 0 },
+  },
+  investment: 4.5,
+  target: 50,
+  scenarios: [{ key: "base", pct: 100, sims: 100, median: 40 }],
+};
+
+describe("rating", () => {
+  test("names what held the result back from the tier above", () => {
+    const { rating } = buildNarrative(inputs);
+    expect(rating.label).toBe("Attractive Investment");
+    expect(rating.heldBackBy).toEqual([
+      "P(NPV > 0) 89% < 95%",
+      "P(NPV > $50B) 39% < 50%",
+      "volatility 73% > 50%",
+      "tail loss 11% of investment > 10%",
+    ]);
+  });
+
+  test("edited limits move the rating", () => {
+    const strict = setThreshold(
+      NARRATIVE_THRESHOLDS,
+      "ratings.1.minSuccess",
+      90
+    );
+    const { rating } = buildNarrative(inputs, strict);
+    expect(rating.label).toBe("Favorable with Material Risk");
+    expect(rating.heldBackBy).toEqual(["P(NPV > 0) 89% < 90%"]);
+    const loose = setThreshold(strict, "ratings.1.maxVolatility", 0.29);
+    expect(buildNarrative(inputs, loose).rating.heldBackBy).toContain(
+      "volatility 73% > 29%"
+    );
+  });
+
+  test("edited callout bands change the wording", () => {
+    const t = setThreshold(NARRATIVE_THRESHOLDS, "success.good", 90);
+    expect(buildNarrative(inputs, t).insight.tone).toBe("caution");
+  });
+});
+
+describe("setThreshold", () => {
+  test("replaces one value and leaves the defaults untouched", () => {
+    const next = setThreshold(NARRATIVE_THRESHOLDS, "volatility.low", 0.2);
+    expect(next.volatility).toEqual({ low: 0.2, high: 0.5 });
+    expect(NARRATIVE_THRESHOLDS.volatility.low).toBe(0.25);
+    expect(next.ratings).toBe(NARRATIVE_THRESHOLDS.ratings);
+    expect(setThreshold(next, "dominantShare", 40).dominantShare).toBe(40);
+  });
+});
+
+describe("validateThresholds", () => {
+  test("the defaults are valid", () => {
+    expect(validateThresholds(NARRATIVE_THRESHOLDS)).toEqual({});
+  });
+
+  test.each([
+    ["success.good", 97, /Must not exceed strong/],
+    ["volatility.low", 0.6, /Must not exceed high/],
+    ["skew.downside", -0.1, /zero or more/],
+    ["targetProbability.likely", 120, /at most 100/],
+    ["correlation.strong", 1.5, /at most 1/],
+    ["dominantShare", NaN, /zero or more/],
+    ["ratings.2.maxTailLoss", -1, /zero or more/],
+  ])("flags %s = %p", (path, value, message) => {
+    const errors = validateThresholds(
+      setThreshold(NARRATIVE_THRESHOLDS, path, value)
+    );
+    expect(Object.keys(errors)).toEqual([path]);
+    expect(errors[path]).toMatch(message);
+  });
+});
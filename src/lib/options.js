@@ -0,0 +1,282 @@
+// Staged investment with real options. The capital goes in as tranches; at
+// each later tranche a gate reads the market share or revenue realised so far
+// and continues, expands or abandons the program. The same tranches paid
+// regardless of what happens give the static NPV, and the difference between
+// the two is the value of the flexibility.
+//
+// A draw's drivers alone would fix every year's cash flow, so a gate reading
+// them would know the outcome in advance. Instead the realised share wanders
+// around the drawn share year by year, and a gate only sees the path up to
+// the year before it opens: it can abandon a program that would have
+// recovered, or expand one that then fades.
+import { DRIVERS, START_YEAR, discountedCashFlow, runModel } from "./model";
+import { createRng, normal, normalizeSeed } from "./random";
+import { quantileSorted, sortedCopy } from "./stats";
+
+// What a gate looks at when it opens
+export const GATE_TRIGGERS = {
+  share: { label: "Market share (0-1)" },
+  revenue: { label: "Prior-year revenue ($B)" },
+};
+
+// Per-gate outcomes, in the order their codes are stored
+export const DECISIONS = [
+  { key: "continue", label: "Continue" },
+  { key: "expand", label: "Expand" },
+  { key: "abandon", label: "Abandon" },
+  { key: "notReached", label: "Not reached" },
+];
+const CONTINUE = 0;
+const EXPAND = 1;
+const ABANDON = 2;
+const NOT_REACHED = 3;
+
+const HISTOGRAM_BINS = 40;
+
+// Keeps the share paths' stream apart from the model's draws
+const SIGNAL_SEED_OFFSET = 0xc2b2ae35;
+
+export const DEFAULT_GATE = {
+  amount: 1,
+  trigger: "share",
+  abandonBelow: 0.68,
+  expandAbove: 0.8,
+  expandBy: 0.25,
+  expandCost: 1,
+  salvage: 0.5,
+};
+
+// $4.5B in total: a first tranche committed in 2026 and two gated ones
+export const DEFAULT_PLAN = {
+  upfront: 2.5,
+  // Yearly volatility of the realised market share around the drawn share
+  volatility: 0.15,
+  gates: [
+    { ...DEFAULT_GATE, year: START_YEAR + 2 },
+    {
+      ...DEFAULT_GATE,
+      year: START_YEAR + 4,
+      trigger: "revenue",
+      abandonBelow: 15,
+      expandAbove: 21,
+      expandBy: 0.2,
+      expandCost: 1.5,
+      salvage: 0.3,
+    },
+  ],
+};
+
+export const committedCapital = (plan) =>
+  plan.upfront + plan.gates.reduce((sum, gate) => sum + gate.amount, 0);
+
+// Whether a valuation's settings are still the plan and model on the dashboard
+export const valuationMatches = (valued, plan, config) =>
+  valued.plan === plan &&
+  valued.assumptions === config.assumptions &&
+  valued.scenario === config.scenario &&
+  valued.seed === config.seed &&
+  valued.iterations === config.iterations &&
+  valued.sampling === config.sampling;
+
+// Returns a flat map of "path" -> message; empty when the plan can be valued
+export const validatePlan = (plan, horizon) => {
+  const errors = {};
+  if (!(plan.upfront > 0)) errors.upfront = "First tranche must be positive";
+  if (!(plan.volatility >= 0 && plan.volatility <= 1)) {
+    errors.volatility = "Volatility must be between 0 and 1";
+  }
+  const lastYear = START_YEAR + horizon - 1;
+  plan.gates.forEach((gate, i) => {
+    const at = (field) => `gates.${i}.${field}`;
+    if (
+      !Number.isInteger(gate.year) ||
+      gate.year <= START_YEAR ||
+      gate.year > lastYear
+    ) {
+      errors[at("year")] = `Gate year must be from ${
+        START_YEAR + 1
+      } to ${lastYear}`;
+    } else if (plan.gates.some((g, j) => j < i && g.year === gate.year)) {
+      errors[at("year")] = `Two gates open in ${gate.year}`;
+    }
+    ["amount", "expandBy", "expandCost"].forEach((field) => {
+      if (!(gate[field] >= 0)) errors[at(field)] = "Must be zero or more";
+    });
+    if (!(gate.salvage >= 0 && gate.salvage <= 1)) {
+      errors[at("salvage")] = "Salvage must be between 0 and 1";
+    }
+    if (!(gate.abandonBelow <= gate.expandAbove)) {
+      errors[at("expandAbove")] =
+        "Expand threshold must be at or above the abandon threshold";
+    }
+  });
+  return errors;
+};
+
+// Multipliers on a draw's market share, one per year: a driftless random walk
+// in logs with `volatility` per year, so the share realised in year t is
+// share * factors[t] and averages the drawn share. The realised share is
+// capped at 100%.
+export const shareFactors = (
+  rng,
+  horizon,
+  volatility,
+  share,
+  factors = new Float64Array(horizon)
+) => {
+  let level = 1;
+  for (let t = 0; t < horizon; t++) {
+    level *= Math.exp(volatility * normal(rng) - (volatility * volatility) / 2);
+    factors[t] = share > 0 ? Math.min(level, 1 / share) : level;
+  }
+  return factors;
+};
+
+// One draw valued both ways on the share path `factors` (see shareFactors).
+// `gates` must be in year order. Tranches and salvage fall at the start of
+// their year; a gate sees the share or revenue realised in the year before it,
+// and expansion scales every later cash flow and the terminal value.
+export const stagedValuation = (drivers, plan, gates, horizon, factors) => {
+  const { cashFlows, revenues, terminalValue, discountRate } =
+    discountedCashFlow(drivers, 0, horizon);
+  const discount = (t) => Math.pow(1 + discountRate, -t);
+  // Free cash flow and revenue are proportional to the share
+  const flow = (t) => factors[t] * cashFlows[t] * discount(t + 1);
+  const terminal = factors[horizon - 1] * terminalValue * discount(horizon);
+
+  let staticNpv =
+    terminal -
+    plan.upfront -
+    gates.reduce(
+      (sum, gate) => sum + gate.amount * discount(gate.year - START_YEAR),
+      0
+    );
+  for (let t = 0; t < horizon; t++) staticNpv += flow(t);
+
+  const decisions = gates.map(() => NOT_REACHED);
+  let value = -plan.upfront;
+  let invested = plan.upfront;
+  let scale = 1;
+  let t = 0;
+  for (let j = 0; j < gates.length; j++) {
+    const gate = gates[j];
+    const g = gate.year - START_YEAR;
+    for (; t < g; t++) value += scale * flow(t);
+    const observed =
+      gate.trigger === "share"
+        ? drivers.share * factors[g - 1]
+        : scale * revenues[g - 1] * factors[g - 1];
+
+    if (observed < gate.abandonBelow) {
+      decisions[j] = ABANDON;
+      value += gate.salvage * invested * discount(g);
+      return { staticNpv, flexibleNpv: value, decisions };
+    }
+    value -= gate.amount * discount(g);
+    invested += gate.amount;
+    decisions[j] = CONTINUE;
+    if (observed >= gate.expandAbove) {
+      decisions[j] = EXPAND;
+      value -= gate.expandCost * discount(g);
+      invested += gate.expandCost;
+      scale *= 1 + gate.expandBy;
+    }
+  }
+  for (; t < horizon; t++) value += scale * flow(t);
+  value += scale * terminal;
+  return { staticNpv, flexibleNpv: value, decisions };
+};
+
+const summarize = (values) => {
+  const sorted = sortedCopy(values);
+  return {
+    mean: values.reduce((sum, v) => sum + v, 0) / values.length,
+    p10: quantileSorted(sorted, 0.1),
+    median: quantileSorted(sorted, 0.5),
+    p90: quantileSorted(sorted, 0.9),
+  };
+};
+
+// Both NPV distributions on one set of bins, as % of draws
+const overlayHistogram = (staticNpv, flexibleNpv) => {
+  let min = Infinity;
+  let max = -Infinity;
+  [staticNpv, flexibleNpv].forEach((values) =>
+    values.forEach((v) => {
+      if (v < min) min = v;
+      if (v > max) max = v;
+    })
+  );
+  const width = (max - min) / HISTOGRAM_BINS || 1;
+  const rows = Array.from({ length: HISTOGRAM_BINS }, (_, i) => ({
+    x: min + (i + 0.5) * width,
+    static: 0,
+    flexible: 0,
+  }));
+  const n = staticNpv.length;
+  const add = (values, key) =>
+    values.forEach((v) => {
+      rows[Math.min(HISTOGRAM_BINS - 1, Math.floor((v - min) / width))][key] +=
+        100 / n;
+    });
+  add(staticNpv, "static");
+  add(flexibleNpv, "flexible");
+  return rows;
+};
+
+// Re-runs the model for `config` (same seed, so the same draws as the
+// dashboard), gives every draw a share path and values `plan` on it
+export const valueOptions = ({ plan, ...config }, onProgress) => {
+  const simulations = runModel(
+    config,
+    onProgress && ((done, total) => onProgress(done, 2 * total))
+  );
+  const { n, horizon } = simulations;
+  const gates = [...plan.gates].sort((a, b) => a.year - b.year);
+  const staticNpv = new Float64Array(n);
+  const flexibleNpv = new Float64Array(n);
+  const counts = gates.map(() => DECISIONS.map(() => 0));
+  let better = 0;
+  let worse = 0;
+
+  const step = Math.max(1000, Math.ceil(n / 100));
+  const rng = createRng(normalizeSeed(config.seed + SIGNAL_SEED_OFFSET));
+  const factors = new Float64Array(horizon);
+  const drivers = {};
+  for (let i = 0; i < n; i++) {
+    DRIVERS.forEach(({ key }) => {
+      drivers[key] = simulations.drivers[key][i];
+    });
+    shareFactors(rng, horizon, plan.volatility, drivers.share, factors);
+    const valuation = stagedValuation(drivers, plan, gates, horizon, factors);
+    staticNpv[i] = valuation.staticNpv;
+    flexibleNpv[i] = valuation.flexibleNpv;
+    valuation.decisions.forEach((d, j) => {
+      counts[j][d]++;
+    });
+    if (valuation.flexibleNpv > valuation.staticNpv) better++;
+    else if (valuation.flexibleNpv < valuation.staticNpv) worse++;
+    if (onProgress && (i + 1) % step === 0) onProgress(n + i + 1, 2 * n);
+  }
+
+  const staticSummary = summarize(staticNpv);
+  const flexibleSummary = summarize(flexibleNpv);
+  return {
+    n,
+    committed: committedCapital(plan),
+    upfrontNpv: summarize(simulations.npv),
+    static: staticSummary,
+    flexible: flexibleSummary,
+    flexibility: flexibleSummary.mean - staticSummary.mean,
+    better: (better / n) * 100,
+    worse: (worse / n) * 100,
+    gates: gates.map((gate, j) => {
+      const row = { year: gate.year, trigger: gate.trigger };
+      DECISIONS.forEach(({ key }, d) => {
+        row[key] = (counts[j][d] / n) * 100;
+      });
+      return row;
+    }),
+    histogram: overlayHistogram(staticNpv, flexibleNpv),
+  };
+};
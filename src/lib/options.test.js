@@ -0,0 +1,162 @@
+import { DEFAULT_ASSUMPTIONS } from "./assumptions";
+import { START_YEAR, discountedCashFlow } from "./model";
+import {
+  DECISIONS,
+  DEFAULT_GATE,
+  DEFAULT_PLAN,
+  shareFactors,
+  stagedValuation,
+  validatePlan,
+  valuationMatches,
+  valueOptions,
+} from "./options";
+import { createRng } from "./random";
+
+const HORIZON = 6;
+
+const drivers = {
+  market: 10,
+  growth: 0.1,
+  share: 0.75,
+  grossMargin: 0.6,
+  opex: 0.2,
+  capex: 0.05,
+  taxRate: 0.25,
+  terminalGrowth: 0.02,
+  wacc: 0.1,
+};
+
+// One share-triggered gate in the third year: abandon below 0.68, expand at
+// 0.8 or above
+const gate = { ...DEFAULT_GATE, year: START_YEAR + 2 };
+const plan = { ...DEFAULT_PLAN, gates: [gate] };
+const decision = (valuation) => DECISIONS[valuation.decisions[0]].key;
+
+describe("stagedValuation", () => {
+  test("a gate only sees the share path up to the year before it", () => {
+    const early = [0.8, 0.8];
+    const recovers = stagedValuation(drivers, plan, plan.gates, HORIZON, [
+      ...early,
+      1.6,
+      1.6,
+      1.6,
+      1.6,
+    ]);
+    const fades = stagedValuation(drivers, plan, plan.gates, HORIZON, [
+      ...early,
+      0.5,
+      0.5,
+      0.5,
+      0.5,
+    ]);
+    expect(decision(recovers)).toBe("abandon");
+    expect(decision(fades)).toBe("abandon");
+    expect(recovers.flexibleNpv).toBe(fades.flexibleNpv);
+  });
+
+  test("a gate can abandon a program that would have recovered", () => {
+    const valuation = stagedValuation(
+      drivers,
+      plan,
+      plan.gates,
+      HORIZON,
+      [0.8, 0.8, 1.6, 1.6, 1.6, 1.6]
+    );
+    expect(decision(valuation)).toBe("abandon");
+    expect(valuation.flexibleNpv).toBeLessThan(valuation.staticNpv);
+  });
+
+  test("a gate can expand a program that then fades", () => {
+    const valuation = stagedValuation(
+      drivers,
+      plan,
+      plan.gates,
+      HORIZON,
+      [1.2, 1.2, 0.05, 0.05, 0.05, 0.05]
+    );
+    expect(decision(valuation)).toBe("expand");
+    expect(valuation.flexibleNpv).toBeLessThan(valuation.staticNpv);
+  });
+
+  test("on a flat path the static NPV is the DCF less the tranches", () => {
+    const flat = new Float64Array(HORIZON).fill(1);
+    const { npv, discountRate } = discountedCashFlow(drivers, 0, HORIZON);
+    const { staticNpv } = stagedValuation(
+      drivers,
+      plan,
+      plan.gates,
+      HORIZON,
+      flat
+    );
+    expect(staticNpv).toBeCloseTo(
+      npv - plan.upfront - gate.amount / Math.pow(1 + discountRate, 2),
+      10
+    );
+  });
+});
+
+describe("shareFactors", () => {
+  test("has no drift and caps the realised share at 100%", () => {
+    const rng = createRng(5);
+    const n = 20000;
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += shareFactors(rng, HORIZON, 0.15, 0.1)[5];
+    expect(sum / n).toBeCloseTo(1, 1);
+    const capped = shareFactors(createRng(5), HORIZON, 3, 0.9);
+    capped.forEach((f) => expect(0.9 * f).toBeLessThanOrEqual(1));
+    expect(shareFactors(createRng(5), HORIZON, 0, 0.5)).toEqual(
+      new Float64Array(HORIZON).fill(1)
+    );
+  });
+});
+
+describe("valueOptions", () => {
+  const config = {
+    plan: DEFAULT_PLAN,
+    assumptions: DEFAULT_ASSUMPTIONS,
+    scenario: "all",
+    seed: 9,
+    iterations: 4000,
+    sampling: "plain",
+  };
+  const options = valueOptions(config);
+
+  test("gates add value in some draws and cost value in others", () => {
+    expect(options.better).toBeGreaterThan(0);
+    expect(options.worse).toBeGreaterThan(0);
+    options.gates.forEach((row) => {
+      const total = DECISIONS.reduce((sum, { key }) => sum + row[key], 0);
+      expect(total).toBeCloseTo(100, 8);
+    });
+  });
+
+  test("is reproducible from the seed", () => {
+    expect(valueOptions(config)).toEqual(options);
+    expect(valueOptions({ ...config, seed: 10 }).flexibility).not.toBe(
+      options.flexibility
+    );
+  });
+});
+
+test("validatePlan checks the share volatility", () => {
+  expect(validatePlan(DEFAULT_PLAN, HORIZON)).toEqual({});
+  expect(validatePlan({ ...DEFAULT_PLAN, volatility: -0.1 }, HORIZON)).toEqual({
+    volatility: "Volatility must be between 0 and 1",
+  });
+});
+
+test("valuationMatches needs the same plan and model settings", () => {
+  const config = {
+    assumptions: DEFAULT_ASSUMPTIONS,
+    scenario: "base",
+    seed: 42,
+    iterations: 1000,
+    sampling: "plain",
+  };
+  const valued = { plan: DEFAULT_PLAN, ...config };
+  expect(valuationMatches(valued, DEFAULT_PLAN, config)).toBe(true);
+  expect(valuationMatches(valued, { ...DEFAULT_PLAN }, config)).toBe(false);
+  expect(valuationMatches(valued, DEFAULT_PLAN, { ...config, seed: 7 })).toBe(
+    false
+  );
+});
@@ -0,0 +1,14 @@
+/* eslint-disable no-restricted-globals */
+import { valueOptions } from "./options";
+
+// Same protocol as the simulation worker, for the staged-investment valuation
+self.onmessage = ({ data: config }) => {
+  try {
+    const options = valueOptions(config, (done, total) =>
+      self.postMessage({ type: "progress", done, total })
+    );
+    self.postMessage({ type: "result", config, options });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,395 @@
+// Several projects valued together. Each project runs the same cash-flow model
+// on its own assumptions; the runs are then joined through a Gaussian copula,
+// reordering every project's NPV draws so their ranks follow correlated
+// normals. Marginals are untouched and the correlation the user sets is the
+// one between the projects' normal scores, so it fixes the rank dependence of
+// the NPVs; their Pearson correlation (shown as "realised") generally differs.
+// Funding a fraction of a project scales its investment and cash flows alike,
+// so its NPV scales linearly.
+import { DEFAULT_ASSUMPTIONS, validateAssumptions } from "./assumptions";
+import { cholesky, correlate, correlationError, pearson } from "./correlation";
+import { MODEL_SCENARIOS, runModel } from "./model";
+import { createRng, normal, normalizeSeed } from "./random";
+import { tailRisk } from "./risk";
+import { quantileSorted, sortedCopy } from "./stats";
+
+export const MAX_PROJECTS = 8;
+
+// The frontier is searched on a grid of funding fractions over a strided
+// sample of the joint draws
+const MAX_ALLOCATIONS = 5000;
+const FRONTIER_SAMPLE = 4000;
+const MAX_GRID_STEPS = 20;
+// Feasible allocations kept for plotting behind the frontier
+const MAX_PLOTTED = 1500;
+
+const HISTOGRAM_BINS = 40;
+
+// Keeps the copula's stream apart from the projects' seed + p streams
+const COPULA_SEED_OFFSET = 0x85ebca6b;
+
+// Applies `change(spec)` to one driver in every scenario
+const adjustDriver = (assumptions, key, change) => ({
+  ...assumptions,
+  scenarios: Object.fromEntries(
+    MODEL_SCENARIOS.map((scenario) => {
+      const current = assumptions.scenarios[scenario];
+      return [
+        scenario,
+        {
+          ...current,
+          drivers: {
+            ...current.drivers,
+            [key]: change(current.drivers[key]),
+          },
+        },
+      ];
+    })
+  ),
+});
+
+const scaleNormal =
+  (factor, stdFactor = factor) =>
+  (spec) => ({
+    ...spec,
+    mean: spec.mean * factor,
+    std: spec.std * stdFactor,
+  });
+const shiftNormal =
+  (shift, stdFactor = 1) =>
+  (spec) => ({
+    ...spec,
+    mean: spec.mean + shift,
+    std: spec.std * stdFactor,
+  });
+
+const liquidCooling = adjustDriver(
+  adjustDriver(
+    { ...DEFAULT_ASSUMPTIONS, investment: 2 },
+    "market",
+    scaleNormal(0.3, 0.6)
+  ),
+  "growth",
+  shiftNormal(0.06, 3)
+);
+
+const renewableClusters = adjustDriver(
+  adjustDriver(
+    { ...DEFAULT_ASSUMPTIONS, investment: 3.5 },
+    "market",
+    scaleNormal(0.45, 1.2)
+  ),
+  "wacc",
+  shiftNormal(0.02, 2)
+);
+
+export const newProjectId = () =>
+  `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+export const DEFAULT_PORTFOLIO = {
+  budget: 8,
+  projects: [
+    {
+      id: "efficiency",
+      name: "Data-center efficiency",
+      funding: 1,
+      assumptions: DEFAULT_ASSUMPTIONS,
+    },
+    {
+      id: "cooling",
+      name: "Liquid cooling",
+      funding: 0.5,
+      assumptions: liquidCooling,
+    },
+    {
+      id: "renewables",
+      name: "Renewable-powered clusters",
+      funding: 0.25,
+      assumptions: renewableClusters,
+    },
+  ],
+  // Cross-project correlation of NPV ranks, in project order
+  correlation: [
+    [1, 0.5, 0.3],
+    [0.5, 1, 0.4],
+    [0.3, 0.4, 1],
+  ],
+};
+
+// Whether a joint run still holds for the portfolio and run settings. Funding
+// and names can change without re-running: the joint draws are rescaled on the
+// fly.
+export const simulationMatches = (simulated, portfolio, confidence, config) =>
+  simulated.portfolio.budget === portfolio.budget &&
+  simulated.portfolio.correlation === portfolio.correlation &&
+  simulated.portfolio.projects.length === portfolio.projects.length &&
+  simulated.portfolio.projects.every(
+    (p, i) => p.assumptions === portfolio.projects[i].assumptions
+  ) &&
+  simulated.confidence === confidence &&
+  simulated.seed === config.seed &&
+  simulated.iterations === config.iterations &&
+  simulated.sampling === config.sampling;
+
+export const capitalUsed = (portfolio) =>
+  portfolio.projects.reduce(
+    (sum, p) => sum + p.funding * p.assumptions.investment,
+    0
+  );
+
+// A new project starts uncorrelated with the others
+export const addProject = (portfolio, project) => ({
+  ...portfolio,
+  projects: [...portfolio.projects, project],
+  correlation: [
+    ...portfolio.correlation.map((row) => [...row, 0]),
+    [...portfolio.correlation.map(() => 0), 1],
+  ],
+});
+
+export const removeProject = (portfolio, index) => ({
+  ...portfolio,
+  projects: portfolio.projects.filter((_, i) => i !== index),
+  correlation: portfolio.correlation
+    .filter((_, i) => i !== index)
+    .map((row) => row.filter((_, j) => j !== index)),
+});
+
+export const setProject = (portfolio, index, changes) => ({
+  ...portfolio,
+  projects: portfolio.projects.map((p, i) =>
+    i === index ? { ...p, ...changes } : p
+  ),
+});
+
+// Returns a flat map of "path" -> message; empty when the portfolio can be run
+export const validatePortfolio = (portfolio) => {
+  const errors = {};
+  const { projects } = portfolio;
+  if (projects.length === 0) errors.projects = "Add at least one project";
+  if (!(portfolio.budget > 0)) errors.budget = "Budget must be positive";
+  projects.forEach((p, i) => {
+    if (!p.name.trim()) errors[`projects.${i}.name`] = "Name the project";
+    if (!(p.funding >= 0 && p.funding <= 1)) {
+      errors[`projects.${i}.funding`] = "Funding must be between 0 and 1";
+    }
+    const first = Object.values(validateAssumptions(p.assumptions))[0];
+    if (first) errors[`projects.${i}.assumptions`] = `${p.name}: ${first}`;
+  });
+  const correlation = correlationError(portfolio.correlation, projects.length);
+  if (correlation) errors.correlation = correlation;
+  return errors;
+};
+
+// Positions 0..n-1 ordered by `values`
+const argsort = (values) =>
+  Uint32Array.from(values.keys()).sort((a, b) => values[a] - values[b]);
+
+// Draws whose ranks follow correlated normals: column p, row i gets the value
+// of project p whose rank matches row i's normal score
+const joinByCopula = (sortedColumns, correlation, seed) => {
+  const n = sortedColumns[0].length;
+  const k = sortedColumns.length;
+  const factor = cholesky(correlation);
+  const rng = createRng(seed);
+  const scores = sortedColumns.map(() => new Float64Array(n));
+  const z = new Array(k);
+  for (let i = 0; i < n; i++) {
+    for (let p = 0; p < k; p++) z[p] = normal(rng);
+    const correlated = correlate(factor, z);
+    for (let p = 0; p < k; p++) scores[p][i] = correlated[p];
+  }
+  return sortedColumns.map((sorted, p) => {
+    const order = argsort(scores[p]);
+    const joined = new Float64Array(n);
+    order.forEach((row, rank) => {
+      joined[row] = sorted[rank];
+    });
+    return joined;
+  });
+};
+
+// CVaR as a deviation: how far the mean of the worst 1 - confidence of draws
+// falls below the overall mean. Measured from break-even instead, a portfolio
+// whose tail is still a gain would look safer the more it invests.
+const cvarOf = (sorted, mean, confidence) =>
+  mean - tailRisk(sorted, confidence).tailMean;
+
+// Every funding grid point within the budget with its mean and CVaR, and the
+// subset no other point beats on both
+export const efficientFrontier = (columns, investments, budget, confidence) => {
+  const k = columns.length;
+  const n = columns[0].length;
+  const stride = Math.max(1, Math.floor(n / FRONTIER_SAMPLE));
+  const sample = columns.map((col) =>
+    Float64Array.from(
+      { length: Math.floor(n / stride) },
+      (_, s) => col[s * stride]
+    )
+  );
+  const m = sample[0].length;
+
+  let steps = MAX_GRID_STEPS;
+  while (steps > 1 && Math.pow(steps + 1, k) > MAX_ALLOCATIONS) steps--;
+
+  const points = [];
+  const values = new Float64Array(m);
+  const funding = new Array(k).fill(0);
+  const visit = (p, capital) => {
+    if (p === k) {
+      values.fill(0);
+      funding.forEach((f, q) => {
+        if (f === 0) return;
+        const col = sample[q];
+        for (let s = 0; s < m; s++) values[s] += f * col[s];
+      });
+      const sorted = values.slice().sort();
+      const mean = sorted.reduce((sum, v) => sum + v, 0) / m;
+      points.push({
+        funding: [...funding],
+        capital,
+        mean,
+        cvar: cvarOf(sorted, mean, confidence),
+      });
+      return;
+    }
+    for (let step = 0; step <= steps; step++) {
+      const f = step / steps;
+      const next = capital + f * investments[p];
+      if (next > budget + 1e-9) break;
+      funding[p] = f;
+      visit(p + 1, next);
+    }
+    funding[p] = 0;
+  };
+  visit(0, 0);
+
+  const byRisk = [...points].sort((a, b) => a.cvar - b.cvar || b.mean - a.mean);
+  const frontier = [];
+  byRisk.forEach((point) => {
+    if (
+      frontier.length === 0 ||
+      point.mean > frontier[frontier.length - 1].mean
+    ) {
+      frontier.push(point);
+    }
+  });
+  const plotStride = Math.max(1, Math.ceil(points.length / MAX_PLOTTED));
+  return {
+    steps,
+    sampleSize: m,
+    points: points.filter((_, i) => i % plotStride === 0),
+    frontier,
+  };
+};
+
+// Runs every project at the dashboard's iterations and sampling, joins the
+// runs and searches the frontier. Project p uses seed + p and the copula its
+// own offset, so no two of them share a random stream.
+export const simulatePortfolio = (
+  { portfolio, confidence, seed, iterations, sampling },
+  onProgress
+) => {
+  const { projects, correlation, budget } = portfolio;
+  const k = projects.length;
+  const sortedColumns = projects.map((project, p) => {
+    const { npv } = runModel(
+      {
+        assumptions: project.assumptions,
+        scenario: "all",
+        seed: normalizeSeed(seed + p),
+        iterations,
+        sampling,
+      },
+      onProgress &&
+        ((done, total) => onProgress(p * total + done, (k + 1) * total))
+    );
+    return sortedCopy(npv);
+  });
+  const columns = joinByCopula(
+    sortedColumns,
+    correlation,
+    normalizeSeed(seed + COPULA_SEED_OFFSET)
+  );
+  if (onProgress) onProgress(k * iterations, (k + 1) * iterations);
+
+  const frontier = efficientFrontier(
+    columns,
+    projects.map((p) => p.assumptions.investment),
+    budget,
+    confidence
+  );
+  if (onProgress) onProgress(1, 1);
+
+  return {
+    columns,
+    realized: columns.map((a) => columns.map((b) => pearson(a, b))),
+    frontier,
+  };
+};
+
+// Joint draws for one funding choice: the distribution, tail risk and each
+// project's share of the mean, the standard deviation and the CVaR. Both risk
+// shares are Euler allocations, so they add up to the portfolio figure.
+export const portfolioStats = (columns, funding, confidence) => {
+  const n = columns[0].length;
+  const total = new Float64Array(n);
+  columns.forEach((col, p) => {
+    const f = funding[p];
+    if (f === 0) return;
+    for (let i = 0; i < n; i++) total[i] += f * col[i];
+  });
+  const sorted = sortedCopy(total);
+  const mean = total.reduce((sum, v) => sum + v, 0) / n;
+  let variance = 0;
+  for (let i = 0; i < n; i++) variance += (total[i] - mean) ** 2;
+  variance /= n;
+  const std = Math.sqrt(variance);
+  const risk = tailRisk(sorted, confidence);
+  const tailCutoff = sorted[Math.max(1, Math.floor(n * (1 - confidence))) - 1];
+
+  const contributions = columns.map((col, p) => {
+    const f = funding[p];
+    let colMean = 0;
+    for (let i = 0; i < n; i++) colMean += col[i];
+    colMean /= n;
+    let covariance = 0;
+    let tailSum = 0;
+    let tailCount = 0;
+    for (let i = 0; i < n; i++) {
+      covariance += (col[i] - colMean) * (total[i] - mean);
+      if (total[i] <= tailCutoff) {
+        tailSum += col[i];
+        tailCount++;
+      }
+    }
+    covariance /= n;
+    return {
+      mean: f * colMean,
+      std: std > 0 ? (f * covariance) / std : 0,
+      cvar: tailCount > 0 ? f * (colMean - tailSum / tailCount) : 0,
+    };
+  });
+
+  const min = sorted[0];
+  const width = (sorted[n - 1] - min) / HISTOGRAM_BINS || 1;
+  const counts = new Array(HISTOGRAM_BINS).fill(0);
+  sorted.forEach((v) => {
+    counts[Math.min(HISTOGRAM_BINS - 1, Math.floor((v - min) / width))]++;
+  });
+
+  return {
+    mean,
+    std,
+    p10: quantileSorted(sorted, 0.1),
+    median: quantileSorted(sorted, 0.5),
+    p90: quantileSorted(sorted, 0.9),
+    risk,
+    cvar: cvarOf(sorted, mean, confidence),
+    contributions,
+    histogram: counts.map((count, i) => ({
+      x: min + (i + 0.5) * width,
+      y: (count / n) * 100,
+    })),
+  };
+};
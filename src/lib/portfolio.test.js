@@ -0,0 +1,219 @@
+import { pearson } from "./correlation";
+import { runModel } from "./model";
+import {
+  DEFAULT_PORTFOLIO,
+  addProject,
+  efficientFrontier,
+  portfolioStats,
+  removeProject,
+  setProject,
+  simulatePortfolio,
+  simulationMatches,
+  validatePortfolio,
+} from "./portfolio";
+import { sortedCopy } from "./stats";
+
+const ITERATIONS = 4000;
+const SEED = 17;
+
+const run = simulatePortfolio({
+  portfolio: DEFAULT_PORTFOLIO,
+  confidence: 0.95,
+  seed: SEED,
+  iterations: ITERATIONS,
+  sampling: "plain",
+});
+
+const ranks = (values) => {
+  const out = new Float64Array(values.length);
+  Array.from(values.keys())
+    .sort((a, b) => values[a] - values[b])
+    .forEach((row, rank) => {
+      out[row] = rank;
+    });
+  return out;
+};
+
+const sum = (values) => values.reduce((total, v) => total + v, 0);
+
+describe("simulatePortfolio", () => {
+  test("the copula reorders draws without changing any project's marginal", () => {
+    DEFAULT_PORTFOLIO.projects.forEach((project, p) => {
+      const { npv } = runModel({
+        assumptions: project.assumptions,
+        scenario: "all",
+        seed: SEED + p,
+        iterations: ITERATIONS,
+        sampling: "plain",
+      });
+      expect(sortedCopy(run.columns[p])).toEqual(sortedCopy(npv));
+    });
+  });
+
+  test("NPV ranks follow the normal-score correlation", () => {
+    const { correlation } = DEFAULT_PORTFOLIO;
+    const rankColumns = run.columns.map(ranks);
+    correlation.forEach((row, i) =>
+      row.forEach((rho, j) => {
+        if (j <= i) return;
+        // Spearman correlation of a Gaussian copula with correlation rho
+        const spearman = (6 / Math.PI) * Math.asin(rho / 2);
+        expect(pearson(rankColumns[i], rankColumns[j])).toBeCloseTo(
+          spearman,
+          1
+        );
+      })
+    );
+  });
+
+  test("is reproducible from the seed", () => {
+    const again = simulatePortfolio({
+      portfolio: DEFAULT_PORTFOLIO,
+      confidence: 0.95,
+      seed: SEED,
+      iterations: ITERATIONS,
+      sampling: "plain",
+    });
+    expect(again.columns).toEqual(run.columns);
+  });
+});
+
+describe("portfolioStats", () => {
+  test.each([[[1, 0.5, 0.25]], [[1, 1, 1]], [[0, 0.7, 0.3]]])(
+    "Euler contributions for funding %p add up to the totals",
+    (funding) => {
+      const stats = portfolioStats(run.columns, funding, 0.95);
+      const { contributions } = stats;
+      expect(sum(contributions.map((c) => c.mean))).toBeCloseTo(stats.mean, 8);
+      expect(sum(contributions.map((c) => c.std))).toBeCloseTo(stats.std, 8);
+      expect(sum(contributions.map((c) => c.cvar))).toBeCloseTo(stats.cvar, 8);
+      funding.forEach((f, p) => {
+        if (f === 0)
+          expect(contributions[p]).toEqual({ mean: 0, std: 0, cvar: 0 });
+      });
+    }
+  );
+
+  test("CVaR is measured from the mean", () => {
+    const stats = portfolioStats(run.columns, [1, 0, 0], 0.9);
+    expect(stats.cvar).toBeCloseTo(stats.mean - stats.risk.tailMean, 10);
+    expect(sum(stats.histogram.map((bin) => bin.y))).toBeCloseTo(100, 8);
+  });
+});
+
+describe("efficientFrontier", () => {
+  const investments = DEFAULT_PORTFOLIO.projects.map(
+    (p) => p.assumptions.investment
+  );
+  const budget = 6;
+  const result = efficientFrontier(run.columns, investments, budget, 0.95);
+
+  test("every allocation stays within the budget", () => {
+    [...result.points, ...result.frontier].forEach((point) => {
+      expect(point.capital).toBeLessThanOrEqual(budget + 1e-9);
+      expect(point.capital).toBeCloseTo(
+        sum(point.funding.map((f, p) => f * investments[p])),
+        10
+      );
+    });
+    expect(result.frontier[0].funding).toEqual([0, 0, 0]);
+  });
+
+  test("the frontier rises in mean with CVaR and nothing dominates it", () => {
+    const { frontier, points } = result;
+    frontier.slice(1).forEach((point, i) => {
+      expect(point.cvar).toBeGreaterThanOrEqual(frontier[i].cvar);
+      expect(point.mean).toBeGreaterThan(frontier[i].mean);
+    });
+    const dominated = frontier.filter((f) =>
+      points.some((p) => p.mean > f.mean && p.cvar < f.cvar)
+    );
+    expect(dominated).toEqual([]);
+  });
+
+  test("the grid coarsens as projects are added", () => {
+    expect(result.steps).toBe(16);
+    const one = efficientFrontier(run.columns.slice(0, 1), [4.5], 10, 0.95);
+    expect(one.steps).toBe(20);
+    expect(one.frontier[one.frontier.length - 1].funding).toEqual([1]);
+  });
+});
+
+describe("editing", () => {
+  test("adding and removing projects keeps the correlation square", () => {
+    const project = {
+      id: "new",
+      name: "New",
+      funding: 1,
+      assumptions: DEFAULT_PORTFOLIO.projects[0].assumptions,
+    };
+    const added = addProject(DEFAULT_PORTFOLIO, project);
+    expect(added.correlation).toEqual([
+      [1, 0.5, 0.3, 0],
+      [0.5, 1, 0.4, 0],
+      [0.3, 0.4, 1, 0],
+      [0, 0, 0, 1],
+    ]);
+    expect(removeProject(added, 1).correlation).toEqual([
+      [1, 0.3, 0],
+      [0.3, 1, 0],
+      [0, 0, 1],
+    ]);
+  });
+
+  test("validation flags each problem by path", () => {
+    expect(validatePortfolio(DEFAULT_PORTFOLIO)).toEqual({});
+    const broken = {
+      ...DEFAULT_PORTFOLIO,
+      budget: 0,
+      projects: DEFAULT_PORTFOLIO.projects.map((p, i) =>
+        i === 1 ? { ...p, name: " ", funding: 1.5 } : p
+      ),
+      correlation: [
+        [1, 0.9, 0.9],
+        [0.9, 1, -0.9],
+        [0.9, -0.9, 1],
+      ],
+    };
+    expect(Object.keys(validatePortfolio(broken)).sort()).toEqual([
+      "budget",
+      "correlation",
+      "projects.1.funding",
+      "projects.1.name",
+    ]);
+    expect(
+      validatePortfolio({ ...DEFAULT_PORTFOLIO, projects: [], correlation: [] })
+    ).toHaveProperty("projects");
+  });
+});
+
+test("simulationMatches ignores funding and names but not the model inputs", () => {
+  const config = { seed: SEED, iterations: ITERATIONS, sampling: "plain" };
+  const simulated = {
+    portfolio: DEFAULT_PORTFOLIO,
+    confidence: 0.95,
+    ...config,
+  };
+  const refunded = setProject(DEFAULT_PORTFOLIO, 0, {
+    funding: 0.5,
+    name: "Renamed",
+  });
+  expect(simulationMatches(simulated, refunded, 0.95, config)).toBe(true);
+  expect(
+    simulationMatches(
+      simulated,
+      { ...DEFAULT_PORTFOLIO, budget: DEFAULT_PORTFOLIO.budget + 1 },
+      0.95,
+      config
+    )
+  ).toBe(false);
+  expect(simulationMatches(simulated, DEFAULT_PORTFOLIO, 0.99, config)).toBe(
+    false
+  );
+  expect(
+    simulationMatches(simulated, DEFAULT_PORTFOLIO, 0.95, {
+      ...config,
+      seed: SEED + 1,
+    })
+  ).toBe(false);
+});
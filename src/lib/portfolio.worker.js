@@ -0,0 +1,17 @@
+/* eslint-disable no-restricted-globals */
+import { simulatePortfolio } from "./portfolio";
+
+// Same protocol as the simulation worker, for the joint portfolio run
+self.onmessage = ({ data: config }) => {
+  try {
+    const portfolio = simulatePortfolio(config, (done, total) =>
+      self.postMessage({ type: "progress", done, total })
+    );
+    self.postMessage(
+      { type: "result", config, portfolio },
+      portfolio.columns.map((col) => col.buffer)
+    );
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,31 @@
+// Seeded pseudo-random numbers so every run can be reproduced from its seed
+
+export const DEFAULT_SEED = 2026;
+export const MAX_SEED = 0xffffffff;
+
+export const normalizeSeed = (value) => {
+  const n = Math.floor(Number(value));
+  if (!Number.isFinite(n)) return DEFAULT_SEED;
+  return ((n % (MAX_SEED + 1)) + (MAX_SEED + 1)) % (MAX_SEED + 1);
+};
+
+export const randomSeed = () => Math.floor(Math.random() * MAX_SEED);
+
+// Mulberry32: small, fast, and good enough for Monte Carlo work
+export const createRng = (seed) => {
+  let a = normalizeSeed(seed) >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Box-Muller standard normal; 1 - u keeps log() away from zero
+export const normal = (rng) => {
+  const u1 = 1 - rng();
+  const u2 = rng();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+};
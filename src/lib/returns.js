@@ -0,0 +1,156 @@
+// Investment-committee return metrics per iteration: IRR, discounted payback
+// and MOIC, all from the same cash-flow stream as the NPV
+import { quantileSorted, sortedCopy } from "./stats";
+
+// IRR is searched between these rates; a root outside them counts as undefined
+export const IRR_MIN = -0.99;
+export const IRR_MAX = 10;
+const IRR_TOLERANCE = 1e-9;
+const IRR_GUESS = 0.1;
+
+// Codes stored per iteration alongside a NaN IRR
+export const IRR_DEFINED = 0;
+const IRR_NO_SIGN_CHANGE = 1;
+const IRR_OUT_OF_RANGE = 2;
+export const IRR_UNDEFINED_REASONS = [
+  null,
+  {
+    key: "noSignChange",
+    label: "Cash flows never change sign, so no rate discounts them to zero",
+  },
+  {
+    key: "outOfRange",
+    label: `No rate between ${IRR_MIN * 100}% and ${
+      IRR_MAX * 100
+    }% discounts the cash flows to zero`,
+  },
+];
+
+// Present value and its derivative in the rate, by Horner's rule in the
+// discount factor
+const presentValue = (flows, rate) => {
+  const v = 1 / (1 + rate);
+  let pv = 0;
+  let slope = 0;
+  for (let t = flows.length - 1; t >= 0; t--) {
+    slope = slope * v + pv;
+    pv = pv * v + flows[t];
+  }
+  return { pv, slope: -slope * v * v };
+};
+
+const signChanges = (flows) => {
+  let changes = 0;
+  let last = 0;
+  flows.forEach((c) => {
+    if (c === 0) return;
+    if (last !== 0 && Math.sign(c) !== last) changes++;
+    last = Math.sign(c);
+  });
+  return changes;
+};
+
+// { irr, reason }: irr is NaN whenever reason is not IRR_DEFINED. Newton steps
+// inside a shrinking bracket, falling back to bisection when a step leaves
+// it. With more than one sign change the root found may not be the only one.
+export const internalRate = (flows) => {
+  if (signChanges(flows) === 0) return { irr: NaN, reason: IRR_NO_SIGN_CHANGE };
+  let lo = IRR_MIN;
+  let hi = IRR_MAX;
+  const signLo = Math.sign(presentValue(flows, lo).pv);
+  if (signLo === Math.sign(presentValue(flows, hi).pv)) {
+    return { irr: NaN, reason: IRR_OUT_OF_RANGE };
+  }
+  let rate = IRR_GUESS;
+  while (hi - lo > IRR_TOLERANCE) {
+    const { pv, slope } = presentValue(flows, rate);
+    if (pv === 0) break;
+    if (Math.sign(pv) === signLo) lo = rate;
+    else hi = rate;
+    const step = rate - pv / slope;
+    const next = step > lo && step < hi ? step : (lo + hi) / 2;
+    if (Math.abs(next - rate) < IRR_TOLERANCE) {
+      rate = next;
+      break;
+    }
+    rate = next;
+  }
+  return { irr: rate, reason: IRR_DEFINED };
+};
+
+// Years from the investment until discounted operating cash flow repays it,
+// interpolated within the year; NaN if that never happens within the horizon.
+// The terminal value is left out: it is not cash the project pays back.
+export const discountedPayback = (valuation, investment) => {
+  const { path, terminalPv } = valuation;
+  const horizon = path.length;
+  let previous = -investment;
+  for (let t = 0; t < horizon; t++) {
+    const cumulative = t === horizon - 1 ? path[t] - terminalPv : path[t];
+    if (cumulative >= 0) return t + -previous / (cumulative - previous);
+    previous = cumulative;
+  }
+  return NaN;
+};
+
+// The investment at t = 0, each year's free cash flow, and the terminal value
+// received at the end of the horizon
+export const cashFlowStream = (valuation, investment) => {
+  const flows = [-investment, ...valuation.cashFlows];
+  flows[flows.length - 1] += valuation.terminalValue;
+  return flows;
+};
+
+export const returnMetrics = (valuation, investment) => {
+  const flows = cashFlowStream(valuation, investment);
+  const { irr, reason } = internalRate(flows);
+  const returned = flows.slice(1).reduce((sum, c) => sum + c, 0);
+  return {
+    irr,
+    irrReason: reason,
+    payback: discountedPayback(valuation, investment),
+    moic: returned / investment,
+  };
+};
+
+// Summary over the defined (non-NaN) values; `missing` counts the rest
+export const metricSummary = (values) => {
+  const sorted = sortedCopy(values.filter((v) => !Number.isNaN(v)));
+  const n = sorted.length;
+  const summary = { sorted, n, missing: values.length - n };
+  if (n === 0) return summary;
+  return {
+    ...summary,
+    mean: sorted.reduce((sum, v) => sum + v, 0) / n,
+    p10: quantileSorted(sorted, 0.1),
+    median: quantileSorted(sorted, 0.5),
+    p90: quantileSorted(sorted, 0.9),
+  };
+};
+
+// How many iterations left IRR undefined, by reason
+export const irrReasonCounts = (reasons) => {
+  const counts = IRR_UNDEFINED_REASONS.map(() => 0);
+  reasons.forEach((r) => {
+    counts[r]++;
+  });
+  return IRR_UNDEFINED_REASONS.map((reason, r) =>
+    reason ? { ...reason, count: counts[r] } : null
+  ).filter((reason) => reason && reason.count > 0);
+};
+
+// Percent of iterations per bin across the defined values
+export const metricHistogram = (sorted, total, bins = 30) => {
+  const n = sorted.length;
+  if (n === 0) return [];
+  const min = sorted[0];
+  const width = (sorted[n - 1] - min) / bins || 1;
+  const counts = new Array(bins).fill(0);
+  sorted.forEach((v) => {
+    counts[Math.min(bins - 1, Math.floor((v - min) / width))]++;
+  });
+  return counts.map((count, i) => ({
+    x: min + (i + 0.5) * width,
+    y: (count / total) * 100,
+  }));
+};
@@ -0,0 +1,119 @@
+import { discountedCashFlow } from "./model";
+import {
+  IRR_DEFINED,
+  IRR_UNDEFINED_REASONS,
+  cashFlowStream,
+  discountedPayback,
+  internalRate,
+  irrReasonCounts,
+  metricSummary,
+  returnMetrics,
+} from "./returns";
+
+const presentValue = (flows, rate) =>
+  flows.reduce((sum, c, t) => sum + c / Math.pow(1 + rate, t), 0);
+
+const reasonKey = (flows) => IRR_UNDEFINED_REASONS[internalRate(flows).reason];
+
+const DRIVERS = {
+  market: 10,
+  growth: 0.1,
+  share: 0.2,
+  grossMargin: 0.6,
+  opex: 0.2,
+  capex: 0.05,
+  taxRate: 0.25,
+  terminalGrowth: 0.02,
+  wacc: 0.1,
+};
+
+describe("internalRate", () => {
+  test.each([
+    [[-100, 110], 0.1],
+    // 60 v + 60 v^2 = 100 in the discount factor v = 1 / (1 + r)
+    [[-100, 60, 60], 120 / (Math.sqrt(27600) - 60) - 1],
+    [[-1000, 0, 0, 1331], 0.1],
+  ])("solves %p", (flows, expected) => {
+    const { irr, reason } = internalRate(flows);
+    expect(reason).toBe(IRR_DEFINED);
+    expect(irr).toBeCloseTo(expected, 8);
+    expect(presentValue(flows, irr)).toBeCloseTo(0, 6);
+  });
+
+  test("has no rate when the flows never change sign", () => {
+    expect(internalRate([100, 50]).irr).toBeNaN();
+    expect(reasonKey([100, 50]).key).toBe("noSignChange");
+    expect(reasonKey([-4.5, 0, -1]).key).toBe("noSignChange");
+  });
+
+  test("has no rate when the root lies outside the search range", () => {
+    // The root is 9900%
+    expect(internalRate([-1, 100]).irr).toBeNaN();
+    expect(reasonKey([-1, 100]).key).toBe("outOfRange");
+  });
+
+  test("reasons are counted per iteration", () => {
+    expect(irrReasonCounts([0, 1, 1, 2, 0])).toEqual([
+      { ...IRR_UNDEFINED_REASONS[1], count: 2 },
+      { ...IRR_UNDEFINED_REASONS[2], count: 1 },
+    ]);
+    expect(irrReasonCounts([0, 0])).toEqual([]);
+  });
+});
+
+describe("discountedPayback", () => {
+  test("interpolates within the year the investment is repaid", () => {
+    expect(discountedPayback({ path: [-50, 0, 50], terminalPv: 0 }, 100)).toBe(
+      2
+    );
+    expect(
+      discountedPayback({ path: [-40, 20, 80], terminalPv: 0 }, 100)
+    ).toBeCloseTo(1 + 40 / 60, 12);
+  });
+
+  test("ignores the terminal value and is NaN when never repaid", () => {
+    // Only the terminal value takes the final position above zero
+    expect(
+      discountedPayback({ path: [-60, -20, 500], terminalPv: 510 }, 100)
+    ).toBeNaN();
+  });
+});
+
+describe("returnMetrics", () => {
+  // Small enough to be repaid before the terminal year
+  const investment = 1.5;
+  const valuation = discountedCashFlow(DRIVERS, investment, 6);
+  const metrics = returnMetrics(valuation, investment);
+  const flows = cashFlowStream(valuation, investment);
+
+  test("IRR and NPV agree on the same cash-flow stream", () => {
+    expect(presentValue(flows, valuation.discountRate)).toBeCloseTo(
+      valuation.npv,
+      10
+    );
+    expect(presentValue(flows, metrics.irr)).toBeCloseTo(0, 8);
+    expect(metrics.irr > valuation.discountRate).toBe(valuation.npv > 0);
+  });
+
+  test("payback lands in the year discounted cash turns positive", () => {
+    const year = valuation.path.findIndex((v) => v >= 0);
+    expect(metrics.payback).toBeGreaterThan(year);
+    expect(metrics.payback).toBeLessThanOrEqual(year + 1);
+  });
+
+  test("MOIC is undiscounted cash back per dollar invested", () => {
+    const returned =
+      valuation.cashFlows.reduce((sum, c) => sum + c, 0) +
+      valuation.terminalValue;
+    expect(metrics.moic).toBeCloseTo(returned / investment, 12);
+  });
+});
+
+test("metricSummary skips undefined values", () => {
+  const summary = metricSummary(Float64Array.from([3, NaN, 1, 2, NaN]));
+  expect(summary.n).toBe(3);
+  expect(summary.missing).toBe(2);
+  expect(summary.mean).toBe(2);
+  expect(summary.median).toBe(2);
+  expect(metricSummary([NaN]).mean).toBeUndefined();
+});
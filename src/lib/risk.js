@@ -0,0 +1,46 @@
+// Tail-risk measures on NPV. NPV is already net of the investment, so a
+// negative draw is capital not recovered and losses are measured from
+// break-even.
+
+export const CONFIDENCE_LEVELS = [0.9, 0.95, 0.99, 0.995];
+export const DEFAULT_CONFIDENCE = 0.95;
+
+// `sorted` is ascending NPV; VaR and ES are reported as positive losses and
+// floored at zero when even the tail clears break-even
+export const tailRisk = (sorted, confidence) => {
+  const n = sorted.length;
+  const tailCount = Math.max(1, Math.floor(n * (1 - confidence)));
+  let tailSum = 0;
+  for (let i = 0; i < tailCount; i++) tailSum += sorted[i];
+
+  let mean = 0;
+  let downsideSq = 0;
+  let losses = 0;
+  for (let i = 0; i < n; i++) {
+    mean += sorted[i];
+    if (sorted[i] < 0) {
+      downsideSq += sorted[i] * sorted[i];
+      losses++;
+    }
+  }
+  mean /= n;
+  const downsideDeviation = Math.sqrt(downsideSq / n);
+
+  return {
+    confidence,
+    tailNpv: sorted[tailCount - 1],
+    valueAtRisk: Math.max(0, -sorted[tailCount - 1]),
+    expectedShortfall: Math.max(0, -tailSum / tailCount),
+    tailMean: tailSum / tailCount,
+    probLoss: (losses / n) * 100,
+    downsideDeviation,
+    // Sortino-style: mean excess over break-even per unit of downside risk
+    sortino: downsideDeviation > 0 ? mean / downsideDeviation : Infinity,
+  };
+};
+
+export const confidenceLabel = (confidence) =>
+  `${Number((confidence * 100).toFixed(1))}%`;
+
+export const formatRatio = (v) =>
+  Number.isFinite(v) ? v.toFixed(2) : "∞ (no losses)";
@@ -0,0 +1,48 @@
+import { confidenceLabel, formatRatio, tailRisk } from "./risk";
+
+// -10, -9, ..., 89: 100 draws, 10 of them losses
+const sorted = Float64Array.from({ length: 100 }, (_, i) => i - 10);
+
+describe("tailRisk", () => {
+  test("VaR and ES come from the worst 1 - confidence of draws", () => {
+    const risk = tailRisk(sorted, 0.95);
+    // The worst five draws are -10..-6
+    expect(risk.tailNpv).toBe(-6);
+    expect(risk.valueAtRisk).toBe(6);
+    expect(risk.tailMean).toBe(-8);
+    expect(risk.expectedShortfall).toBe(8);
+    expect(risk.probLoss).toBe(10);
+  });
+
+  test("downside deviation and Sortino measure from break-even", () => {
+    const risk = tailRisk(sorted, 0.9);
+    const downsideSq = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10].reduce(
+      (sum, v) => sum + v * v,
+      0
+    );
+    expect(risk.downsideDeviation).toBeCloseTo(Math.sqrt(downsideSq / 100));
+    expect(risk.sortino).toBeCloseTo(39.5 / risk.downsideDeviation);
+  });
+
+  test("losses floor at zero when the tail clears break-even", () => {
+    const gains = sorted.map((v) => v + 20);
+    const risk = tailRisk(gains, 0.95);
+    expect(risk.valueAtRisk).toBe(0);
+    expect(risk.expectedShortfall).toBe(0);
+    expect(risk.tailMean).toBe(12);
+    expect(risk.probLoss).toBe(0);
+    expect(risk.sortino).toBe(Infinity);
+    expect(formatRatio(risk.sortino)).toMatch(/no losses/);
+  });
+
+  test("the tail always holds at least one draw", () => {
+    const risk = tailRisk(Float64Array.from([-3, 1, 2]), 0.995);
+    expect(risk.tailNpv).toBe(-3);
+    expect(risk.expectedShortfall).toBe(3);
+  });
+});
+
+test("confidenceLabel avoids floating-point noise", () => {
+  expect(confidenceLabel(0.995)).toBe("99.5%");
+  expect(confidenceLabel(1 - 0.95)).toBe("5%");
+});
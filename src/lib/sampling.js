@@ -0,0 +1,149 @@
+// Sampling strategies. Every strategy yields, per iteration, one uniform for
+// the scenario pick and independent standard normals for the drivers; the
+// model correlates and transforms them the same way whichever is chosen.
+import { normalQuantile } from "./distributions";
+import { createRng, normal } from "./random";
+
+export const SAMPLING_STRATEGIES = {
+  plain: { label: "Plain Monte Carlo" },
+  antithetic: { label: "Antithetic Variates" },
+  latinHypercube: { label: "Latin Hypercube" },
+  sobol: { label: "Sobol (scrambled)" },
+};
+
+export const DEFAULT_SAMPLING = "plain";
+
+const U_EPS = 1e-12;
+const TWO_32 = 4294967296;
+
+const toNormal = (u) => normalQuantile(Math.min(1 - U_EPS, Math.max(U_EPS, u)));
+
+// Matches the original sampler draw for draw, so seeds keep their results
+const plain =
+  ({ rng }) =>
+  (z) => {
+    const pick = rng();
+    for (let j = 0; j < z.length; j++) z[j] = normal(rng);
+    return pick;
+  };
+
+// Every second draw mirrors the previous one: 1 - u for the pick, -z for the
+// drivers
+const antithetic = ({ rng, dimensions }) => {
+  const last = new Float64Array(dimensions);
+  let lastPick = 0;
+  let mirror = false;
+  return (z) => {
+    mirror = !mirror;
+    if (!mirror) {
+      for (let j = 0; j < z.length; j++) z[j] = -last[j];
+      return 1 - lastPick;
+    }
+    lastPick = rng();
+    for (let j = 0; j < z.length; j++) {
+      last[j] = normal(rng);
+      z[j] = last[j];
+    }
+    return lastPick;
+  };
+};
+
+// Each dimension is cut into `iterations` equal strata and every stratum is
+// used exactly once, in an independently shuffled order per dimension
+const latinHypercube = ({ rng, dimensions, iterations }) => {
+  const strata = Array.from({ length: dimensions + 1 }, () => {
+    const order = new Uint32Array(iterations);
+    for (let i = 0; i < iterations; i++) order[i] = i;
+    for (let i = iterations - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      const tmp = order[i];
+      order[i] = order[j];
+      order[j] = tmp;
+    }
+    return order;
+  });
+  let i = 0;
+  return (z) => {
+    const u = (d) => (strata[d][i] + rng()) / iterations;
+    const pick = u(0);
+    for (let j = 0; j < z.length; j++) z[j] = toNormal(u(j + 1));
+    i++;
+    return pick;
+  };
+};
+
+// Joe & Kuo (2008) direction numbers for dimensions 2-10 as [s, a, m...];
+// dimension 1 is the van der Corput sequence
+const SOBOL_PARAMS = [
+  [1, 0, [1]],
+  [2, 1, [1, 3]],
+  [3, 1, [1, 3, 1]],
+  [3, 2, [1, 1, 1]],
+  [4, 1, [1, 1, 3, 3]],
+  [4, 4, [1, 3, 5, 13]],
+  [5, 2, [1, 1, 5, 5, 17]],
+  [5, 4, [1, 1, 5, 5, 5]],
+  [5, 7, [1, 1, 7, 11, 19]],
+];
+
+export const SOBOL_MAX_DIMENSIONS = SOBOL_PARAMS.length + 1;
+
+const directionNumbers = (dim) => {
+  const v = new Uint32Array(32);
+  if (dim === 0) {
+    for (let k = 0; k < 32; k++) v[k] = 2 ** (31 - k);
+    return v;
+  }
+  const [s, a, m] = SOBOL_PARAMS[dim - 1];
+  for (let k = 0; k < 32; k++) {
+    if (k < s) {
+      v[k] = m[k] * 2 ** (31 - k);
+      continue;
+    }
+    let value = v[k - s] ^ (v[k - s] >>> s);
+    for (let l = 1; l < s; l++) {
+      if ((a >>> (s - 1 - l)) & 1) value ^= v[k - l];
+    }
+    v[k] = value;
+  }
+  return v;
+};
+
+// Gray-code Sobol points with a random digital shift per dimension, so the
+// seed still matters and no point sits exactly on zero
+const sobol = ({ rng, dimensions }) => {
+  const dims = dimensions + 1;
+  if (dims > SOBOL_MAX_DIMENSIONS) {
+    throw new Error(
+      `Sobol sampling supports ${SOBOL_MAX_DIMENSIONS} dimensions`
+    );
+  }
+  const directions = Array.from({ length: dims }, (_, d) =>
+    directionNumbers(d)
+  );
+  const shift = Array.from({ length: dims }, () => Math.floor(rng() * TWO_32));
+  const x = new Uint32Array(dims);
+  let index = 0;
+
+  return (z) => {
+    const u = (d) => (((x[d] ^ shift[d]) >>> 0) + 0.5) / TWO_32;
+    const pick = u(0);
+    for (let j = 0; j < z.length; j++) z[j] = toNormal(u(j + 1));
+
+    // Next point flips the direction number at the lowest zero bit of index
+    let c = 0;
+    while ((index >>> c) & 1) c++;
+    for (let d = 0; d < dims; d++) x[d] ^= directions[d][c];
+    index++;
+    return pick;
+  };
+};
+
+const FACTORIES = { plain, antithetic, latinHypercube, sobol };
+
+// Returns next(z): fills z with standard normals and returns the pick uniform
+export const createSampler = (strategy, { iterations, dimensions, seed }) => {
+  const factory = FACTORIES[strategy];
+  if (!factory) throw new Error(`Unknown sampling strategy "${strategy}"`);
+  return factory({ rng: createRng(seed), iterations, dimensions });
+};
@@ -0,0 +1,111 @@
+import { normalCdf } from "./distributions";
+import {
+  SAMPLING_STRATEGIES,
+  SOBOL_MAX_DIMENSIONS,
+  createSampler,
+} from "./sampling";
+
+const DIMENSIONS = 9;
+
+// Every draw of a sampler: the pick uniform and the driver uniforms, one
+// column per dimension
+const drawAll = (strategy, iterations, seed = 11) => {
+  const next = createSampler(strategy, {
+    iterations,
+    dimensions: DIMENSIONS,
+    seed,
+  });
+  const columns = Array.from(
+    { length: DIMENSIONS + 1 },
+    () => new Float64Array(iterations)
+  );
+  const z = new Float64Array(DIMENSIONS);
+  for (let i = 0; i < iterations; i++) {
+    columns[0][i] = next(z);
+    z.forEach((v, j) => {
+      columns[j + 1][i] = normalCdf(v);
+    });
+  }
+  return columns;
+};
+
+// True when every one of the n equal strata of [0, 1) holds exactly one value
+const oneInEachStratum = (values) => {
+  const n = values.length;
+  const seen = new Uint8Array(n);
+  values.forEach((u) => {
+    seen[Math.min(n - 1, Math.floor(u * n))]++;
+  });
+  return seen.every((count) => count === 1);
+};
+
+const moments = (values) => {
+  const n = values.length;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / n;
+  return { mean, variance };
+};
+
+describe("createSampler", () => {
+  test("every strategy is reproducible from its seed", () => {
+    Object.keys(SAMPLING_STRATEGIES).forEach((strategy) => {
+      expect(drawAll(strategy, 64, 5)).toEqual(drawAll(strategy, 64, 5));
+      expect(drawAll(strategy, 64, 5)).not.toEqual(drawAll(strategy, 64, 6));
+    });
+  });
+
+  test.each(Object.keys(SAMPLING_STRATEGIES))(
+    "%s has uniform marginals",
+    (strategy) => {
+      drawAll(strategy, 4096).forEach((column) => {
+        const { mean, variance } = moments(column);
+        expect(mean).toBeCloseTo(0.5, 1);
+        expect(variance).toBeCloseTo(1 / 12, 2);
+        column.forEach((u) => {
+          expect(u).toBeGreaterThan(0);
+          expect(u).toBeLessThan(1);
+        });
+      });
+    }
+  );
+
+  test("Latin hypercube uses each stratum once per dimension", () => {
+    drawAll("latinHypercube", 256).forEach((column) =>
+      expect(oneInEachStratum(column)).toBe(true)
+    );
+  });
+
+  test("Sobol points are balanced at powers of two", () => {
+    drawAll("sobol", 256).forEach((column) =>
+      expect(oneInEachStratum(column)).toBe(true)
+    );
+  });
+
+  test("Sobol marginals are far closer to uniform than plain draws", () => {
+    const error = (strategy) =>
+      Math.abs(moments(drawAll(strategy, 1024)[3]).mean - 0.5);
+    expect(error("sobol")).toBeLessThan(0.002);
+    expect(error("sobol")).toBeLessThan(error("plain"));
+  });
+
+  test("antithetic draws come in mirrored pairs", () => {
+    drawAll("antithetic", 64).forEach((column) => {
+      for (let i = 0; i < 64; i += 2) {
+        expect(column[i] + column[i + 1]).toBeCloseTo(1, 6);
+      }
+    });
+  });
+
+  test("rejects unknown strategies and too many Sobol dimensions", () => {
+    expect(() =>
+      createSampler("halton", { iterations: 8, dimensions: 2, seed: 1 })
+    ).toThrow(/Unknown sampling strategy/);
+    expect(() =>
+      createSampler("sobol", {
+        iterations: 8,
+        dimensions: SOBOL_MAX_DIMENSIONS,
+        seed: 1,
+      })
+    ).toThrow(/supports/);
+  });
+});
@@ -0,0 +1,25 @@
+// Runs every scenario on its own so the comparison reflects the model, not
+// the mixture weights. All runs share the seed, so differences between
+// scenarios are not sampling noise from different random streams.
+import { MODEL_SCENARIOS, runModel } from "./model";
+import { quantileSorted, sortedCopy } from "./stats";
+
+export const runScenarios = (config, onProgress) =>
+  MODEL_SCENARIOS.map((key, k) => {
+    const { npv, moic, n } = runModel(
+      { ...config, scenario: key },
+      onProgress &&
+        ((done, total) =>
+          onProgress(k * total + done, MODEL_SCENARIOS.length * total))
+    );
+    const sortedNpv = sortedCopy(npv);
+    return {
+      key,
+      sortedNpv,
+      sortedMoic: sortedCopy(moic),
+      mean: npv.reduce((sum, v) => sum + v, 0) / n,
+      p10: quantileSorted(sortedNpv, 0.1),
+      median: quantileSorted(sortedNpv, 0.5),
+      p90: quantileSorted(sortedNpv, 0.9),
+    };
+  });
@@ -0,0 +1,17 @@
+/* eslint-disable no-restricted-globals */
+import { runScenarios } from "./scenarios";
+
+// Same protocol as the simulation worker, for the per-scenario runs
+self.onmessage = ({ data: config }) => {
+  try {
+    const runs = runScenarios(config, (done, total) =>
+      self.postMessage({ type: "progress", done, total })
+    );
+    self.postMessage(
+      { type: "result", config, runs },
+      runs.flatMap((r) => [r.sortedNpv.buffer, r.sortedMoic.buffer])
+    );
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
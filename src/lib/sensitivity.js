@@ -0,0 +1,117 @@
+// One-way sensitivity around the median drivers, and variance attribution.
+// Everything is read from the simulated draws, so the "all" mixture is
+// handled the same way as a single scenario.
+import { DRIVERS, discountedCashFlow } from "./model";
+import { quantileSorted, sortedCopy } from "./stats";
+
+export const SWING_PERCENTILES = [
+  { label: "P5 / P95", low: 0.05, high: 0.95 },
+  { label: "P10 / P90", low: 0.1, high: 0.9 },
+  { label: "P25 / P75", low: 0.25, high: 0.75 },
+];
+
+export const SPIDER_STEPS = [-0.3, -0.2, -0.1, 0, 0.1, 0.2, 0.3];
+
+// Largest sample used for rank correlations; larger runs are strided
+const MAX_RANK_SAMPLE = 50000;
+
+export const sortedDrivers = (simulations) => {
+  const sorted = {};
+  DRIVERS.forEach(({ key }) => {
+    sorted[key] = sortedCopy(simulations.drivers[key]);
+  });
+  return sorted;
+};
+
+const npvOf = (drivers, { investment, horizon }) =>
+  discountedCashFlow(drivers, investment, horizon).npv;
+
+const medians = (sorted) => {
+  const base = {};
+  DRIVERS.forEach(({ key }) => {
+    base[key] = quantileSorted(sorted[key], 0.5);
+  });
+  return base;
+};
+
+// NPV at each driver's low and high percentile with the rest at their medians.
+// `lowRange` and `highRange` run from the base NPV (zero) to each end's delta,
+// so both ends show up as their own bar even when they move NPV the same way.
+export const tornado = (sorted, assumptions, { low, high }) => {
+  const base = medians(sorted);
+  const baseNpv = npvOf(base, assumptions);
+
+  const bars = DRIVERS.map(({ key, label }) => {
+    const at = (p) =>
+      npvOf({ ...base, [key]: quantileSorted(sorted[key], p) }, assumptions);
+    const lowNpv = at(low);
+    const highNpv = at(high);
+    return {
+      key,
+      label,
+      lowNpv,
+      highNpv,
+      lowDelta: lowNpv - baseNpv,
+      highDelta: highNpv - baseNpv,
+      lowRange: [0, lowNpv - baseNpv],
+      highRange: [0, highNpv - baseNpv],
+      swing: Math.abs(highNpv - lowNpv),
+    };
+  });
+
+  return { baseNpv, bars: bars.sort((a, b) => b.swing - a.swing) };
+};
+
+// NPV as each driver is scaled by SPIDER_STEPS, one row per step
+export const spider = (sorted, assumptions) => {
+  const base = medians(sorted);
+  return SPIDER_STEPS.map((step) => {
+    const row = { step: step * 100 };
+    DRIVERS.forEach(({ key, min, max }) => {
+      const value = Math.min(max, Math.max(min, base[key] * (1 + step)));
+      row[key] = npvOf({ ...base, [key]: value }, assumptions);
+    });
+    return row;
+  });
+};
+
+const ranks = (values) => {
+  const order = Array.from(values.keys()).sort((a, b) => values[a] - values[b]);
+  const out = new Float64Array(values.length);
+  order.forEach((idx, rank) => {
+    out[idx] = rank;
+  });
+  return out;
+};
+
+const correlation = (xs, ys) => {
+  const n = xs.length;
+  const mean = (n - 1) / 2;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - mean;
+    const dy = ys[i] - mean;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+};
+
+// Contribution to variance as normalised squared Spearman rank correlation
+export const varianceContributions = (simulations) => {
+  const stride = Math.max(1, Math.ceil(simulations.n / MAX_RANK_SAMPLE));
+  const pick = (arr) => arr.filter((_, i) => i % stride === 0);
+  const npvRanks = ranks(pick(simulations.npv));
+
+  const rows = DRIVERS.map(({ key, label }) => {
+    const rho = correlation(ranks(pick(simulations.drivers[key])), npvRanks);
+    return { key, label, rho, squared: rho * rho };
+  });
+  const total = rows.reduce((sum, r) => sum + r.squared, 0) || 1;
+  return rows
+    .map((r) => ({ ...r, contribution: (r.squared / total) * 100 }))
+    .sort((a, b) => b.contribution - a.contribution);
+};
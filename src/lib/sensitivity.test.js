@@ -0,0 +1,43 @@
+import { DEFAULT_ASSUMPTIONS } from "./assumptions";
+import { DRIVERS, runModel } from "./model";
+import { SWING_PERCENTILES, sortedDrivers, tornado } from "./sensitivity";
+
+const simulations = runModel({
+  assumptions: DEFAULT_ASSUMPTIONS,
+  scenario: "all",
+  seed: 3,
+  iterations: 2000,
+  sampling: "plain",
+});
+const sorted = sortedDrivers(simulations);
+
+describe("tornado", () => {
+  const { baseNpv, bars } = tornado(
+    sorted,
+    DEFAULT_ASSUMPTIONS,
+    SWING_PERCENTILES[1]
+  );
+
+  test("every driver gets a bar, widest swing first", () => {
+    expect(bars.map((b) => b.key).sort()).toEqual(
+      DRIVERS.map((d) => d.key).sort()
+    );
+    bars.slice(1).forEach((bar, i) => {
+      expect(bar.swing).toBeLessThanOrEqual(bars[i].swing);
+    });
+  });
+
+  test("each end is its own range from the base NPV", () => {
+    bars.forEach((bar) => {
+      expect(bar.lowRange).toEqual([0, bar.lowNpv - baseNpv]);
+      expect(bar.highRange).toEqual([0, bar.highNpv - baseNpv]);
+      expect(bar.swing).toBeCloseTo(
+        Math.abs(bar.highRange[1] - bar.lowRange[1]),
+        10
+      );
+    });
+    const share = bars.find((b) => b.key === "share");
+    expect(share.lowRange[1]).toBeLessThan(0);
+    expect(share.highRange[1]).toBeGreaterThan(0);
+  });
+});
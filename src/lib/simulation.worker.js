@@ -0,0 +1,22 @@
+/* eslint-disable no-restricted-globals */
+import { diagnose } from "./convergence";
+import { runModel, transferables } from "./model";
+import { summarizeRun, summaryTransferables } from "./summary";
+
+// One message in, progress messages and a single result out. Cancelling is
+// done by terminating the worker from the main thread.
+self.onmessage = ({ data: config }) => {
+  try {
+    const simulations = runModel(config, (done, total) =>
+      self.postMessage({ type: "progress", done, total })
+    );
+    const diagnostics = diagnose(simulations.npv, config.seed, config.sampling);
+    const summary = summarizeRun(simulations);
+    self.postMessage(
+      { type: "result", config, simulations, diagnostics, summary },
+      [...transferables(simulations), ...summaryTransferables(summary)]
+    );
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,33 @@
+// Summary helpers shared by the dashboard sections
+
+export const sortedCopy = (values) => Float64Array.from(values).sort();
+
+// Same nearest-rank convention the dashboard has always used for P10/P50/P90
+export const quantileSorted = (sorted, p) =>
+  sorted[
+    Math.min(sorted.length - 1, Math.max(0, Math.floor(sorted.length * p)))
+  ];
+
+// Number of values strictly above `x` in an ascending array
+export const countAbove = (sorted, x) => {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] > x) hi = mid;
+    else lo = mid + 1;
+  }
+  return sorted.length - lo;
+};
+
+// Number of values at or above `x` in an ascending array
+export const countAtLeast = (sorted, x) => {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] >= x) hi = mid;
+    else lo = mid + 1;
+  }
+  return sorted.length - lo;
+};
@@ -0,0 +1,48 @@
+// Sorted columns and per-year bands of one run. The simulation worker builds
+// them next to the draws, so the dashboard never sorts a full run itself.
+import { DRIVERS, horizonYears } from "./model";
+import { metricSummary } from "./returns";
+import { sortedDrivers } from "./sensitivity";
+import { quantileSorted, sortedCopy } from "./stats";
+
+// Individual value paths drawn over the trajectory bands
+export const SAMPLE_PATHS = 5;
+
+// P5-P95 and P25-P75 bands and the median of the cumulative value in each
+// year, with the first few paths as they were drawn
+export const trajectoryBands = ({ n, horizon, paths }) => {
+  const column = new Float64Array(n);
+  return horizonYears(horizon).map((yr, t) => {
+    for (let i = 0; i < n; i++) column[i] = paths[i * horizon + t];
+    const sorted = sortedCopy(column);
+    const q = (p) => Number(quantileSorted(sorted, p).toFixed(1));
+    const row = {
+      year: String(yr),
+      outer: [q(0.05), q(0.95)],
+      inner: [q(0.25), q(0.75)],
+      p50: q(0.5),
+    };
+    for (let k = 0; k < Math.min(SAMPLE_PATHS, n); k++) {
+      row[`path${k}`] = Number(paths[k * horizon + t].toFixed(1));
+    }
+    return row;
+  });
+};
+
+export const summarizeRun = (simulations) => ({
+  sortedNpv: sortedCopy(simulations.npv),
+  sortedDrivers: sortedDrivers(simulations),
+  trajectory: trajectoryBands(simulations),
+  returns: {
+    irr: metricSummary(simulations.irr),
+    payback: metricSummary(simulations.payback),
+    moic: metricSummary(simulations.moic),
+  },
+});
+
+// Buffers of a summary that can move to the main thread without a copy
+export const summaryTransferables = (summary) => [
+  summary.sortedNpv.buffer,
+  ...DRIVERS.map(({ key }) => summary.sortedDrivers[key].buffer),
+  ...Object.values(summary.returns).map((r) => r.sorted.buffer),
+];
@@ -0,0 +1,48 @@
+import { DEFAULT_ASSUMPTIONS } from "./assumptions";
+import { DRIVERS, runModel } from "./model";
+import { SAMPLE_PATHS, summarizeRun, summaryTransferables } from "./summary";
+
+const simulations = runModel({
+  assumptions: DEFAULT_ASSUMPTIONS,
+  scenario: "all",
+  seed: 5,
+  iterations: 2000,
+  sampling: "plain",
+});
+const summary = summarizeRun(simulations);
+
+const ascending = (values) =>
+  values.every((v, i) => i === 0 || values[i - 1] <= v);
+
+test("sorts the NPV and every driver column without losing draws", () => {
+  expect(ascending(summary.sortedNpv)).toBe(true);
+  expect(Float64Array.from(simulations.npv).sort()).toEqual(summary.sortedNpv);
+  DRIVERS.forEach(({ key }) => {
+    expect(summary.sortedDrivers[key]).toHaveLength(simulations.n);
+    expect(ascending(summary.sortedDrivers[key])).toBe(true);
+  });
+  Object.values(summary.returns).forEach((metric) => {
+    expect(metric.n + metric.missing).toBe(simulations.n);
+    expect(ascending(metric.sorted)).toBe(true);
+  });
+});
+
+test("nests the trajectory bands in each year and keeps the first paths", () => {
+  const { horizon, paths } = simulations;
+  expect(summary.trajectory).toHaveLength(horizon);
+  summary.trajectory.forEach((row, t) => {
+    expect(row.outer[0]).toBeLessThanOrEqual(row.inner[0]);
+    expect(row.inner[0]).toBeLessThanOrEqual(row.p50);
+    expect(row.p50).toBeLessThanOrEqual(row.inner[1]);
+    expect(row.inner[1]).toBeLessThanOrEqual(row.outer[1]);
+    for (let k = 0; k < SAMPLE_PATHS; k++) {
+      expect(row[`path${k}`]).toBe(Number(paths[k * horizon + t].toFixed(1)));
+    }
+  });
+});
+
+test("lists each buffer once so the worker can transfer them", () => {
+  const buffers = summaryTransferables(summary);
+  expect(new Set(buffers).size).toBe(buffers.length);
+  expect(buffers).toHaveLength(1 + DRIVERS.length + 3);
+});